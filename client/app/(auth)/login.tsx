@@ -44,6 +44,7 @@ export default function Login() {
       if (result.success) {
         const data = result.data;
         await AsyncStorage.setItem('token', data.token);
+        await AsyncStorage.setItem('refreshToken', data.refreshToken);
         await AsyncStorage.setItem('user', JSON.stringify(data.user));
         shouldResetLoading = false;
         router.replace('/(main)/choose');
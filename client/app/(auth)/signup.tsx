@@ -23,6 +23,7 @@ export default function Signup() {
       if (result.success) {
         const data = result.data;
         await AsyncStorage.setItem('token', data.token);
+        await AsyncStorage.setItem('refreshToken', data.refreshToken);
         await AsyncStorage.setItem('user', JSON.stringify(data.user));
         router.replace('/(main)/choose');
       } else {
@@ -34,6 +34,7 @@ export default function MainLayout() {
       <Stack.Screen name="tournament" options={{ headerShown: false }} />
       <Stack.Screen name="leaderboard" options={{ headerShown: false }} />
       <Stack.Screen name="profile" options={{ headerShown: false }} />
+      <Stack.Screen name="my-games" options={{ headerShown: false }} />
       <Stack.Screen name="streak-master" options={{ headerShown: false }} />
       <Stack.Screen name="newsletter" options={{ headerShown: false }} />
     </Stack>
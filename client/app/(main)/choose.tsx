@@ -14,6 +14,7 @@ import {
   View
 } from "react-native";
 import { shouldHideNavigation } from "../../utils/navigationState";
+import { logoutUser } from "../lib/APIservice/service";
 import Layout from '../components/layout/Layout';
 import VariantCard from '../components/ui/VariantCard';
 import Skeleton from "../components/ui/Skeleton";
@@ -280,7 +281,7 @@ export default function Choose() {
 
   const handleLogout = async () => {
     try {
-      await AsyncStorage.multiRemove(["user", "token"]);
+      await logoutUser();
       router.push("/(auth)/login");
     } catch (e) {
       console.error("Error logging out:", e);
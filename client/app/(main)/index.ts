@@ -2,6 +2,7 @@
 export { default as Choose } from './choose';
 export { default as Leaderboard } from './leaderboard';
 export { default as Matchmaking } from './matchmaking';
+export { default as MyGames } from './my-games';
 export { default as Profile } from './profile';
 export { default as StreakMaster } from './streak-master';
 export { default as Tournament } from './tournament';
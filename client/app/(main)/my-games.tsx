@@ -0,0 +1,212 @@
+import AsyncStorage from "@react-native-async-storage/async-storage";
+import React, { useEffect, useState } from "react";
+import {
+  ActivityIndicator,
+  Alert,
+  ScrollView,
+  Share,
+  Text,
+  TouchableOpacity,
+  View
+} from "react-native";
+import { SafeAreaView } from "react-native-safe-area-context";
+import { fetchGameDetails, fetchGameHistory, fetchGamePgn } from "../lib/APIservice/service";
+import { myGamesScreenStyles } from "../lib/styles/screens";
+import { GameRecord } from "../lib/types/miscellaneous";
+
+const formatDate = (date: string) => new Date(date).toLocaleDateString();
+
+const formatClock = (ms?: number) => {
+  if (ms == null) return "-";
+  const seconds = Math.max(0, Math.floor(ms / 1000));
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, "0")}`;
+};
+
+// "1. e4 e5 2. Nf3 ...", with "--" for a six-pointer turn lost on time
+const formatMoves = (moves: GameRecord["moves"] = []) =>
+  moves
+    .map((move, index) => {
+      const san = move.type === "timeout" ? "--" : move.san || "?";
+      return index % 2 === 0 ? `${index / 2 + 1}. ${san}` : san;
+    })
+    .join(" ");
+
+function getOutcome(game: GameRecord, userId: string | null) {
+  if (game.result === "draw") return { label: "Draw", style: myGamesScreenStyles.draw };
+  if (game.result === "aborted") return { label: "Aborted", style: myGamesScreenStyles.draw };
+  return game.winner?._id === userId
+    ? { label: "Win", style: myGamesScreenStyles.win }
+    : { label: "Loss", style: myGamesScreenStyles.loss };
+}
+
+function getOpponentName(game: GameRecord, userId: string | null) {
+  const opponent = game.players.white?._id === userId ? game.players.black : game.players.white;
+  return opponent?.name || "Unknown player";
+}
+
+const variantLabel = (game: GameRecord) =>
+  game.subvariant ? `${game.variant} · ${game.subvariant}` : game.variant;
+
+export default function MyGames() {
+  const [userId, setUserId] = useState<string | null>(null);
+  const [games, setGames] = useState<GameRecord[]>([]);
+  const [nextCursor, setNextCursor] = useState<string | null>(null);
+  const [loading, setLoading] = useState(false);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [selectedGame, setSelectedGame] = useState<GameRecord | null>(null);
+  const [loadingDetails, setLoadingDetails] = useState(false);
+
+  // First page, or the next one after `cursor`
+  const loadGames = async (cursor: string | null = null) => {
+    if (cursor) setLoadingMore(true);
+    else setLoading(true);
+    try {
+      const result = await fetchGameHistory({}, cursor);
+      if (result.success) {
+        setGames((previous) => (cursor ? [...previous, ...result.data] : result.data));
+        setNextCursor(result.nextCursor);
+        setError(null);
+      } else {
+        setError(result.error);
+      }
+    } finally {
+      setLoading(false);
+      setLoadingMore(false);
+    }
+  };
+
+  const openGame = async (game: GameRecord) => {
+    setLoadingDetails(true);
+    setSelectedGame(game);
+    const result = await fetchGameDetails(game.sessionId);
+    if (result.success) {
+      setSelectedGame(result.data);
+    } else {
+      setError(result.error);
+      setSelectedGame(null);
+    }
+    setLoadingDetails(false);
+  };
+
+  // Hand the PGN to the system share sheet, to save it or open it in another chess app
+  const sharePgn = async (game: GameRecord) => {
+    const result = await fetchGamePgn(game.sessionId);
+    if (!result.success) {
+      Alert.alert("Error", result.error);
+      return;
+    }
+    try {
+      await Share.share({ message: result.data, title: `${getOpponentName(game, userId)} (${formatDate(game.endedAt)})` });
+    } catch (err) {
+      console.error("Error sharing PGN:", err);
+    }
+  };
+
+  useEffect(() => {
+    AsyncStorage.getItem("user")
+      .then((userData) => setUserId(userData ? JSON.parse(userData)._id : null))
+      .catch((err) => console.error("Error loading user data:", err));
+    loadGames();
+  }, []);
+
+  if (loading) {
+    return (
+      <SafeAreaView style={myGamesScreenStyles.container}>
+        <View style={myGamesScreenStyles.loadingContainer}>
+          <ActivityIndicator size="large" color="#00A862" />
+          <Text style={myGamesScreenStyles.loadingText}>Loading your games...</Text>
+        </View>
+      </SafeAreaView>
+    );
+  }
+
+  if (selectedGame) {
+    const outcome = getOutcome(selectedGame, userId);
+    return (
+      <SafeAreaView style={myGamesScreenStyles.container}>
+        <ScrollView contentContainerStyle={myGamesScreenStyles.scrollContent} showsVerticalScrollIndicator={false}>
+          <TouchableOpacity style={myGamesScreenStyles.backButton} onPress={() => setSelectedGame(null)}>
+            <Text style={myGamesScreenStyles.backButtonText}>← My games</Text>
+          </TouchableOpacity>
+
+          <View style={myGamesScreenStyles.detailsCard}>
+            <Text style={myGamesScreenStyles.detailsTitle}>
+              {selectedGame.players.white?.name || "White"} vs {selectedGame.players.black?.name || "Black"}
+            </Text>
+            <Text style={[myGamesScreenStyles.resultText, outcome.style]}>
+              {outcome.label}{selectedGame.resultReason ? ` by ${selectedGame.resultReason}` : ""}
+            </Text>
+            <Text style={myGamesScreenStyles.detailsLine}>{variantLabel(selectedGame)}</Text>
+            <Text style={myGamesScreenStyles.detailsLine}>{formatDate(selectedGame.endedAt)}</Text>
+            <Text style={myGamesScreenStyles.detailsLine}>
+              Clocks: {formatClock(selectedGame.clocks?.white)} / {formatClock(selectedGame.clocks?.black)}
+            </Text>
+          </View>
+
+          <View style={myGamesScreenStyles.detailsCard}>
+            <Text style={myGamesScreenStyles.detailsTitle}>Moves</Text>
+            {loadingDetails ? (
+              <ActivityIndicator color="#00A862" />
+            ) : (
+              <Text style={myGamesScreenStyles.moveList}>{formatMoves(selectedGame.moves) || "No moves played"}</Text>
+            )}
+          </View>
+
+          <TouchableOpacity style={myGamesScreenStyles.button} onPress={() => sharePgn(selectedGame)}>
+            <Text style={myGamesScreenStyles.buttonText}>Export PGN</Text>
+          </TouchableOpacity>
+        </ScrollView>
+      </SafeAreaView>
+    );
+  }
+
+  return (
+    <SafeAreaView style={myGamesScreenStyles.container}>
+      <View style={myGamesScreenStyles.header}>
+        <Text style={myGamesScreenStyles.title}>My games</Text>
+        <Text style={myGamesScreenStyles.subtitle}>Your finished games, newest first</Text>
+      </View>
+
+      {error || games.length === 0 ? (
+        <View style={myGamesScreenStyles.messageContainer}>
+          <Text style={myGamesScreenStyles.messageText}>{error || "You haven't finished a game yet."}</Text>
+          <TouchableOpacity onPress={() => loadGames()} style={myGamesScreenStyles.button}>
+            <Text style={myGamesScreenStyles.buttonText}>{error ? "Try Again" : "Refresh"}</Text>
+          </TouchableOpacity>
+        </View>
+      ) : (
+        <ScrollView contentContainerStyle={myGamesScreenStyles.scrollContent} showsVerticalScrollIndicator={false}>
+          {games.map((game) => {
+            const outcome = getOutcome(game, userId);
+            return (
+              <TouchableOpacity key={game._id} style={myGamesScreenStyles.gameCard} onPress={() => openGame(game)}>
+                <View style={myGamesScreenStyles.gameInfo}>
+                  <Text style={myGamesScreenStyles.opponentName}>vs {getOpponentName(game, userId)}</Text>
+                  <Text style={myGamesScreenStyles.gameMeta}>
+                    {variantLabel(game)} · {formatDate(game.endedAt)}
+                  </Text>
+                </View>
+                <Text style={[myGamesScreenStyles.resultText, outcome.style]}>{outcome.label}</Text>
+              </TouchableOpacity>
+            );
+          })}
+
+          {nextCursor && (
+            <TouchableOpacity
+              style={[myGamesScreenStyles.button, myGamesScreenStyles.loadMore]}
+              onPress={() => loadGames(nextCursor)}
+              disabled={loadingMore}
+            >
+              {loadingMore ? (
+                <ActivityIndicator color="#00A862" />
+              ) : (
+                <Text style={myGamesScreenStyles.buttonText}>Load more</Text>
+              )}
+            </TouchableOpacity>
+          )}
+        </ScrollView>
+      )}
+    </SafeAreaView>
+  );
+}
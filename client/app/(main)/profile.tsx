@@ -4,10 +4,11 @@ import React, { useEffect, useState } from 'react';
 import { Alert, ScrollView, StyleSheet, Text, TouchableOpacity, View } from 'react-native';
 import Svg, { Path } from 'react-native-svg';
 import Layout from '../components/layout/Layout';
+import { logoutUser } from '../lib/APIservice/service';
 import { profileScreenStyles } from '../lib/styles/screens';
 import Skeleton from '../components/ui/Skeleton';
 
-function Profile({ onLogout }: { onLogout: () => void }) {
+function Profile({ onLogout, onMyGames }: { onLogout: () => void, onMyGames: () => void }) {
   const [user, setUser] = useState<{name: string, email: string} | null>(null);
   const [loadingUser, setLoadingUser] = useState(true);
 
@@ -50,6 +51,16 @@ function Profile({ onLogout }: { onLogout: () => void }) {
       </View>
 
       <View style={profileScreenStyles.optionsContainer}>
+        {/* My Games */}
+        <TouchableOpacity style={profileScreenStyles.optionButton} onPress={onMyGames}>
+          <View style={profileScreenStyles.iconContainer}>
+            <Svg width="24" height="24" viewBox="0 0 24 24">
+              <Path d="M13 3a9 9 0 0 0-9 9H1l3.89 3.89.07.14L9 12H6c0-3.87 3.13-7 7-7s7 3.13 7 7-3.13 7-7 7c-1.93 0-3.68-.79-4.94-2.06l-1.42 1.42A8.954 8.954 0 0 0 13 21a9 9 0 0 0 0-18zm-1 5v5l4.28 2.54.72-1.21-3.5-2.08V8H12z" fill="#00A862" />
+            </Svg>
+          </View>
+          <Text style={profileScreenStyles.optionText}>My Games</Text>
+        </TouchableOpacity>
+
         {/* Invite & Earn */}
         <TouchableOpacity style={profileScreenStyles.optionButton}>
           <View style={profileScreenStyles.iconContainer}>
@@ -129,14 +140,14 @@ function ProfileSkeleton() {
       </View>
 
       <View style={profileScreenStyles.optionsContainer}>
-        {Array.from({ length: 6 }).map((_, index) => (
+        {Array.from({ length: 7 }).map((_, index) => (
           <Skeleton
             key={index}
             height={64}
             borderRadius={12}
             style={[
               profileSkeletonStyles.option,
-              index === 5 && profileSkeletonStyles.optionLast,
+              index === 6 && profileSkeletonStyles.optionLast,
             ]}
           />
         ))}
@@ -175,7 +186,7 @@ export default function ProfilePage() {
 
   const handleLogout = async () => {
     try {
-      await AsyncStorage.removeItem("user");
+      await logoutUser();
       router.push("/(auth)/login");
     } catch (e) {
       console.error("Error logging out:", e);
@@ -183,6 +194,10 @@ export default function ProfilePage() {
     }
   };
 
+  const handleMyGames = () => {
+    router.push('/my-games');
+  };
+
   const handleHome = () => {
     router.push('/choose');
   };
@@ -201,7 +216,7 @@ export default function ProfilePage() {
       hideTopNav={true}
       activeBottomTab="menu"
     >
-      <Profile onLogout={handleLogout} />
+      <Profile onLogout={handleLogout} onMyGames={handleMyGames} />
     </Layout>
   );
 }
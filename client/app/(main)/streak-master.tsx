@@ -99,6 +99,11 @@ export default function StreakMasterScreen() {
         setActiveButton(null)
       })
 
+      // Live standings, pushed after every tournament game (same shape as the leaderboard API)
+      tournamentSocketInstance.on("tournament:leaderboard_update", (update: any) => {
+        setLeaderboardData(update)
+      })
+
       // Handle match found
       tournamentSocketInstance.on("queue:matched", async (response: {
         opponent: { userId: string; name: string }
@@ -348,10 +353,10 @@ export default function StreakMasterScreen() {
           <Text style={streakMasterScreenStyles.sectionTitle}>How to Win</Text>
           <View style={streakMasterScreenStyles.rulesCard}>
             {[
-              "Win or draw games without losing to form a streak",
-              "The more games you go unbeaten, the longer your streak",
-              "The number of games in your unbeaten streak will be your score in the leaderboard",
-              "Your score will be frozen when you lose a game. But don't worry, we will give you another chance if you lose your first game",
+              "Win games in a row to build a streak, a loss or a draw ends it",
+              "Each win scores more the longer your streak, up to 5 times its points",
+              "Harder variants score more points per win",
+              "A draw scores 1 point, a loss scores none",
               "You should win at least one game to be eligible for prize money"
             ].map((rule, index) => (
               <View key={index} style={streakMasterScreenStyles.ruleItem}>
@@ -429,7 +434,7 @@ export default function StreakMasterScreen() {
                         )}
                       </Text>
                     </View>
-                    <Text style={streakMasterScreenStyles.playerStreak}>{player.player.currentTournamentStreak}</Text>
+                    <Text style={streakMasterScreenStyles.playerStreak}>{player.stats.points}</Text>
                   </View>
                 </View>
               ))}
@@ -1,12 +1,93 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
 import axios from 'axios';
+import Constants from 'expo-constants';
+import { Platform } from 'react-native';
 import { API_BASE_URL } from "../constants";
 
+// Axios instance for endpoints guarded by the server's authenticate middleware
+const authClient = axios.create({ baseURL: API_BASE_URL });
+
+authClient.interceptors.request.use(async (config) => {
+    const token = await AsyncStorage.getItem('token');
+    if (token) {
+        config.headers.Authorization = `Bearer ${token}`;
+    }
+    return config;
+});
+
+// Exchange the stored refresh token for a new token pair. Concurrent callers share one request
+// because the server rotates the refresh token and rejects the old one once used.
+let refreshPromise = null;
+
+export const refreshAccessToken = () => {
+    if (!refreshPromise) {
+        refreshPromise = (async () => {
+            const refreshToken = await AsyncStorage.getItem('refreshToken');
+            if (!refreshToken) {
+                throw new Error('No refresh token stored');
+            }
+            try {
+                const response = await axios.post(`${API_BASE_URL}/auth/refresh`, { refreshToken });
+                await AsyncStorage.multiSet([
+                    ['token', response.data.token],
+                    ['refreshToken', response.data.refreshToken],
+                ]);
+                return response.data.token;
+            } catch (err) {
+                // The session is gone (expired, revoked or token reused): force a fresh login
+                if (err.response?.status === 401) {
+                    await AsyncStorage.multiRemove(['token', 'refreshToken', 'user']);
+                }
+                throw err;
+            }
+        })().finally(() => {
+            refreshPromise = null;
+        });
+    }
+    return refreshPromise;
+};
+
+// Retry a request once with a refreshed token when the access token is rejected
+authClient.interceptors.response.use(
+    (response) => response,
+    async (error) => {
+        const originalRequest = error.config;
+        if (error.response?.status !== 401 || !originalRequest || originalRequest._retry) {
+            return Promise.reject(error);
+        }
+
+        originalRequest._retry = true;
+        try {
+            const token = await refreshAccessToken();
+            originalRequest.headers.Authorization = `Bearer ${token}`;
+            return authClient(originalRequest);
+        } catch (refreshError) {
+            console.error("Error refreshing access token:", refreshError);
+            return Promise.reject(error);
+        }
+    }
+);
+
+// Stable per-install identifier so the server keeps one session per device
+const getDeviceInfo = async () => {
+    let deviceId = await AsyncStorage.getItem('deviceId');
+    if (!deviceId) {
+        deviceId = `${Platform.OS}-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+        await AsyncStorage.setItem('deviceId', deviceId);
+    }
+    return {
+        deviceId,
+        deviceName: Constants.deviceName || Platform.OS,
+    };
+};
+
 // Authentication APIs
 export const loginUser = async (email, password) => {
     try {
-        const response = await axios.post(`${API_BASE_URL}/auth/login`, {
+        const response = await axios.post(`${API_BASE_URL}/auth/login`, {
             email,
-            password
+            password,
+            ...(await getDeviceInfo())
         });
         
         if (response.status === 200) {
@@ -35,10 +116,11 @@ export const loginUser = async (email, password) => {
 
 export const registerUser = async (name, email, password) => {
     try {
-        const response = await axios.post(`${API_BASE_URL}/auth/register`, {
+        const response = await axios.post(`${API_BASE_URL}/auth/register`, {
             name,
             email,
-            password
+            password,
+            ...(await getDeviceInfo())
         });
         
         if (response.status === 201) {
@@ -65,10 +147,43 @@ export const registerUser = async (name, email, password) => {
     }
 };
 
+// Revoke this device's session on the server and clear local credentials
+export const logoutUser = async () => {
+    try {
+        const refreshToken = await AsyncStorage.getItem('refreshToken');
+        if (refreshToken) {
+            await axios.post(`${API_BASE_URL}/auth/logout`, { refreshToken });
+        }
+    } catch (err) {
+        // Still clear local credentials when the server cannot be reached
+        console.error("Error during logout:", err);
+    }
+    await AsyncStorage.multiRemove(['token', 'refreshToken', 'user']);
+};
+
+// Fetch the logged-in user's profile
+export const fetchProfile = async () => {
+    try {
+        const response = await authClient.get('/auth/me');
+        return {
+            success: true,
+            data: response.data.user,
+            error: null
+        };
+    } catch (err) {
+        console.error("Error fetching profile:", err);
+        return {
+            success: false,
+            data: null,
+            error: err.response?.data?.message || "Failed to load profile."
+        };
+    }
+};
+
 // Fetch leaderboard data
 export const fetchLeaderboardData = async () => {
     try {
-        const response = await axios.get(`${API_BASE_URL}/leaderboard`);
+        const response = await authClient.get('/leaderboard');
         console.log("Fetched players:", response.data);
         const fetchedPlayers = response.data.users || response.data;
         return {
@@ -89,7 +204,7 @@ export const fetchLeaderboardData = async () => {
 // Fetch tournament leaderboard data
 export const fetchTournamentLeaderboard = async () => {
     try {
-        const response = await axios.get(`${API_BASE_URL}/tournaments`);
+        const response = await authClient.get('/tournaments');
         const data = response.data;
         
         if (data.success) {
@@ -114,3 +229,87 @@ export const fetchTournamentLeaderboard = async () => {
         };
     }
 };
+
+/**
+ * Fetch a page of finished games for the logged-in user (or `filters.userId`).
+ * @param {Object} [filters] - { variant, subvariant, result: 'win'|'loss'|'draw', source: 'matchmaking'|'tournament', from, to, limit }
+ * @param {string|null} [cursor] - the nextCursor returned with the previous page
+ */
+export const fetchGameHistory = async (filters = {}, cursor = null) => {
+    try {
+        const response = await authClient.get('/games', {
+            params: { ...filters, ...(cursor ? { cursor } : {}) }
+        });
+        return {
+            success: true,
+            data: response.data.data,
+            nextCursor: response.data.nextCursor,
+            error: null
+        };
+    } catch (err) {
+        console.error("Error fetching game history:", err);
+        return {
+            success: false,
+            data: null,
+            nextCursor: null,
+            error: err.response?.data?.message || "Failed to load games."
+        };
+    }
+};
+
+// The user's game in progress (null if none), to reconnect to it after the app was closed or lost connection
+export const fetchActiveGame = async () => {
+    try {
+        const response = await authClient.get("/games/active");
+        return {
+            success: true,
+            data: response.data.data,
+            error: null
+        };
+    } catch (err) {
+        console.error("Error fetching active game:", err);
+        return {
+            success: false,
+            data: null,
+            error: err.response?.data?.message || "Failed to check for a game in progress."
+        };
+    }
+};
+
+// Fetch one game with its full move list and final state
+export const fetchGameDetails = async (sessionId) => {
+    try {
+        const response = await authClient.get(`/games/${sessionId}`);
+        return {
+            success: true,
+            data: response.data.data,
+            error: null
+        };
+    } catch (err) {
+        console.error("Error fetching game details:", err);
+        return {
+            success: false,
+            data: null,
+            error: err.response?.data?.message || "Failed to load game."
+        };
+    }
+};
+
+// Fetch a game as PGN text, e.g. to share it or open it in another chess tool
+export const fetchGamePgn = async (sessionId) => {
+    try {
+        const response = await authClient.get(`/games/${sessionId}/pgn`, { responseType: 'text' });
+        return {
+            success: true,
+            data: response.data,
+            error: null
+        };
+    } catch (err) {
+        console.error("Error fetching game PGN:", err);
+        return {
+            success: false,
+            data: null,
+            error: err.response?.data?.message || "Failed to export game."
+        };
+    }
+};
@@ -1,5 +1,6 @@
 export { chooseScreenStyles } from './choose'
 export { leaderboardScreenStyles } from './leaderboard'
+export { myGamesScreenStyles } from './my-games'
 export { profileScreenStyles } from './profile'
 export { streakMasterScreenStyles } from './streak-master'
 export { tournamentScreenStyles } from './tournament'
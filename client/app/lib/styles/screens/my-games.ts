@@ -0,0 +1,172 @@
+import { Dimensions, StyleSheet } from 'react-native';
+import { BORDER_RADIUS, COLORS, FONT_SIZES, SHADOWS, SPACING } from '../base';
+
+const { width: screenWidth } = Dimensions.get('window');
+
+// My games screen specific colors
+const MY_GAMES_COLORS = {
+  screenBackground: '#1C1C1E',
+  cardBackground: '#2C2C2E',
+  borderColor: 'rgba(255, 255, 255, 0.1)',
+  secondaryText: 'rgba(255, 255, 255, 0.6)',
+  tertiaryText: 'rgba(255, 255, 255, 0.5)',
+  win: '#00A862',
+  loss: '#FF5C5C',
+  draw: 'rgba(255, 255, 255, 0.6)',
+}
+
+export const myGamesScreenStyles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: MY_GAMES_COLORS.screenBackground,
+  },
+
+  // Header
+  header: {
+    paddingHorizontal: SPACING.xl,
+    paddingTop: SPACING.xl,
+    paddingBottom: SPACING.lg,
+    alignItems: 'center',
+  },
+  title: {
+    color: COLORS.white,
+    fontSize: Math.min(screenWidth * 0.08, 32),
+    fontWeight: "800",
+    textAlign: "center",
+    marginBottom: SPACING.sm,
+    letterSpacing: 0.5,
+  },
+  subtitle: {
+    color: MY_GAMES_COLORS.secondaryText,
+    fontSize: Math.min(screenWidth * 0.04, 16),
+    fontWeight: "500",
+    textAlign: "center",
+  },
+
+  // Loading
+  loadingContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  loadingText: {
+    color: COLORS.white,
+    fontSize: FONT_SIZES.large,
+    fontWeight: "500",
+    marginTop: SPACING.md,
+  },
+
+  // Error and empty list
+  messageContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    paddingHorizontal: 40,
+  },
+  messageText: {
+    color: MY_GAMES_COLORS.secondaryText,
+    fontSize: FONT_SIZES.large,
+    fontWeight: "500",
+    textAlign: "center",
+    marginBottom: SPACING.xl,
+    lineHeight: 24,
+  },
+  button: {
+    backgroundColor: MY_GAMES_COLORS.cardBackground,
+    paddingVertical: SPACING.md,
+    paddingHorizontal: SPACING.xxl,
+    borderRadius: BORDER_RADIUS.medium,
+    borderWidth: 1,
+    borderColor: MY_GAMES_COLORS.borderColor,
+    alignItems: 'center',
+  },
+  buttonText: {
+    color: COLORS.white,
+    fontSize: FONT_SIZES.large,
+    fontWeight: "600",
+  },
+
+  // Game list
+  scrollContent: {
+    paddingHorizontal: SPACING.xl,
+    paddingBottom: 40,
+  },
+  gameCard: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: MY_GAMES_COLORS.cardBackground,
+    borderRadius: BORDER_RADIUS.large,
+    padding: SPACING.lg,
+    marginBottom: SPACING.md,
+    borderWidth: 1,
+    borderColor: MY_GAMES_COLORS.borderColor,
+    ...SHADOWS.small,
+  },
+  gameInfo: {
+    flex: 1,
+    marginRight: SPACING.md,
+  },
+  opponentName: {
+    color: COLORS.white,
+    fontSize: Math.min(screenWidth * 0.045, 18),
+    fontWeight: "600",
+    marginBottom: 4,
+  },
+  gameMeta: {
+    color: MY_GAMES_COLORS.tertiaryText,
+    fontSize: Math.min(screenWidth * 0.035, 14),
+    fontWeight: "400",
+  },
+  resultText: {
+    fontSize: FONT_SIZES.large,
+    fontWeight: "700",
+  },
+  win: {
+    color: MY_GAMES_COLORS.win,
+  },
+  loss: {
+    color: MY_GAMES_COLORS.loss,
+  },
+  draw: {
+    color: MY_GAMES_COLORS.draw,
+  },
+  loadMore: {
+    marginTop: SPACING.sm,
+  },
+
+  // Game details
+  backButton: {
+    alignSelf: 'flex-start',
+    paddingVertical: SPACING.sm,
+    marginBottom: SPACING.md,
+  },
+  backButtonText: {
+    color: MY_GAMES_COLORS.win,
+    fontSize: FONT_SIZES.large,
+    fontWeight: "600",
+  },
+  detailsCard: {
+    backgroundColor: MY_GAMES_COLORS.cardBackground,
+    borderRadius: BORDER_RADIUS.large,
+    padding: SPACING.xl,
+    marginBottom: SPACING.lg,
+    borderWidth: 1,
+    borderColor: MY_GAMES_COLORS.borderColor,
+  },
+  detailsTitle: {
+    color: COLORS.white,
+    fontSize: FONT_SIZES.xlarge,
+    fontWeight: "700",
+    marginBottom: SPACING.sm,
+  },
+  detailsLine: {
+    color: MY_GAMES_COLORS.secondaryText,
+    fontSize: FONT_SIZES.medium,
+    marginBottom: 4,
+  },
+  moveList: {
+    color: COLORS.white,
+    fontSize: FONT_SIZES.medium,
+    lineHeight: 22,
+  },
+})
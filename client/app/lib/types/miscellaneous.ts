@@ -27,4 +27,21 @@ export interface TournamentDetails {
   status: "open" | "in-progress" | "finished"
   participantsCount: number
   createdAt: number
+}
+
+// A finished game as the game history API returns it (players populated with their names)
+export interface GameRecord {
+  _id: string
+  sessionId: string
+  variant: string
+  subvariant?: string
+  players: { white: { _id: string; name: string } | null; black: { _id: string; name: string } | null }
+  winner: { _id: string; name: string } | null
+  result: string
+  resultReason?: string
+  moveCount?: number
+  endedAt: string
+  // Detail endpoint only
+  moves?: { san?: string; type?: string }[]
+  clocks?: { white?: number; black?: number }
 }
\ No newline at end of file
@@ -21,7 +21,7 @@ export const storage = {
   },
   
   async clear() {
-    await AsyncStorage.multiRemove(['token', 'user']);
+    await AsyncStorage.multiRemove(['token', 'refreshToken', 'user']);
   },
 };
 
@@ -1,4 +1,6 @@
+import AsyncStorage from "@react-native-async-storage/async-storage";
 import { io } from "socket.io-client";
+import { refreshAccessToken } from "../app/lib/APIservice/service";
 import { WS_BASE_URL } from "../app/lib/constants";
 
 let socketInstance = null;
@@ -32,7 +34,16 @@ export const getSocket = (
     const socketUrl = `${WS_BASE_URL}${namespace}`;
     const socketOptions = {
       path: "/socket.io",
-      auth: { userId, sessionId, variant, subvariant, source },
+      // The server derives the userId from the JWT; the token is read on every
+      // (re)connection attempt so a refreshed token is picked up automatically
+      auth: (cb) => {
+        AsyncStorage.getItem("token")
+          .then((token) => cb({ token, sessionId, variant, subvariant, source }))
+          .catch((err) => {
+            console.error("Failed to read auth token for socket:", err);
+            cb({ token: null, sessionId, variant, subvariant, source });
+          });
+      },
       transports: ["websocket"],
       reconnection: true,
       reconnectionAttempts: 5,
@@ -52,6 +63,27 @@ export const getSocket = (
     socketInstance.on("disconnect", (reason) => {
       console.log("Socket.IO connection closed. Reason:", reason);
     });
+
+    // Rejected handshakes carry { code, message } in err.data (see socketAuth.middleware.js)
+    const socket = socketInstance;
+    socket.on("connect_error", (err) => {
+      console.error("Socket.IO connection error:", err.message, err.data || "");
+      // Access tokens are short-lived: refresh once and retry the handshake with the new token
+      if (err.data?.code === "AUTH_TOKEN_EXPIRED" && !socket.triedTokenRefresh) {
+        socket.triedTokenRefresh = true;
+        refreshAccessToken()
+          .then(() => socket.connect())
+          .catch((refreshErr) => console.error("Failed to refresh token for socket:", refreshErr));
+      }
+    });
+
+    socket.on("connect", () => {
+      socket.triedTokenRefresh = false;
+      // Game sockets re-attach to their game on every (re)connection: the server replays state and clocks
+      if (connectionType === "game" && sessionId) {
+        socket.emit("game:resume");
+      }
+    });
   }
 
   return socketInstance;
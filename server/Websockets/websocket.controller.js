@@ -5,9 +5,22 @@ import {
   resign,
   offerDraw,
   acceptDraw,
-  declineDraw,
-  applyTimeoutPenalty
+  declineDraw,
+  applyTimeoutPenalty,
+  abandonGame,
+  expireClock,
+  clearLegalMoves,
+  requestTakeback,
+  acceptTakeback,
+  declineTakeback,
+  berserk
 } from "../controllers/game.controller.js";
+import {
+  claimExpiredClocks,
+  getSessionById,
+  getUserActiveSession,
+  getLiveClocks,
+} from "../controllers/session.controller.js";
 import {
   joinQueue,
   cleanupIdleUsers,
@@ -15,9 +28,15 @@ import {
   emitRegularQueueCounts,
 } from "../controllers/matchmaking.controller.js";
 import { createTournament, getActiveTournamentDetails, joinTournament, leaveTournament } from "../controllers/tournament.controller.js";
-import tournamentModel from "../models/tournament.model.js";
-import UserModel from "../models/User.model.js";
-import { convertBigIntToNumber } from "../validations/classic/standard.js";
+import { convertBigIntToNumber } from "../validations/shared.js";
+import { serverNow } from "../utils/clock.js";
+import { socketAuthMiddleware, socketHasRole } from "../middlewares/socketAuth.middleware.js";
+import { gameAccessMiddleware, spectatorRoom, playerRoom } from "../middlewares/gameAccess.middleware.js";
+import { recordAdminAction, validateTournamentInput } from "../controllers/admin/admin.controller.js";
+import { processGameResult } from "../controllers/gameResult.controller.js";
+import { getTournamentStandings } from "../controllers/leaderboards/tournamentLeaderboard.controller.js";
+import { sendChatMessage, getChatHistory, toggleChatMute } from "../controllers/chat.controller.js";
+import { createChallenge, acceptChallenge, declineChallenge } from "../controllers/challenge.controller.js";
 
 dotenv.config();
 
@@ -38,33 +57,119 @@ const emitGameEvent = (emitter, event, payload) => {
   const safePayload = serializeForSocket(payload)
   emitter.emit(event, safePayload)
 }
+
+// Broadcast a new position to the session; the player now to move also gets its legal moves
+const emitPosition = (gameNamespace, sessionId, event, payload, legalMoves) => {
+  const userToMove = legalMoves && payload.gameState.players?.[legalMoves.color]?.userId
+  if (!userToMove) {
+    emitGameEvent(gameNamespace.to(sessionId), event, payload)
+    return
+  }
+
+  const moverRoom = playerRoom(sessionId, userToMove)
+  emitGameEvent(gameNamespace.to(sessionId).except(moverRoom), event, payload)
+  emitGameEvent(gameNamespace.to(moverRoom), event, {
+    ...payload,
+    legalMoves: { ply: legalMoves.ply, moves: legalMoves.moves },
+  })
+}
+
+const emitMove = (gameNamespace, sessionId, { move, gameState, legalMoves }) =>
+  emitPosition(gameNamespace, sessionId, "game:move", { move, gameState }, legalMoves)
+
+// Announce a six-pointer timeout penalty (client-reported or found by the clock worker)
+const emitTimeoutPenalty = async (gameNamespace, sessionId, result) => {
+  const emitter = gameNamespace.to(sessionId)
+  // Emit a game warning similar to previous behavior
+  emitGameEvent(emitter, "game:warning", {
+    message: result.validationResult.reason,
+    timeoutPenalty: result.validationResult.timeoutPenalty,
+    move: result.move,
+    gameState: result.gameState,
+    validationResult: result.validationResult,
+  })
+
+  // Emit a game:move-style update so clients update UI (move may be synthetic timeout move)
+  emitMove(gameNamespace, sessionId, result)
+
+  // Also emit timers
+  emitGameEvent(emitter, "game:timer", {
+    white: result.gameState.board.whiteTime,
+    black: result.gameState.board.blackTime,
+    activeColor: result.gameState.board.activeColor,
+  })
+
+  // Also emit entire gameState so clients refresh all derived fields
+  emitGameEvent(emitter, "game:gameState", { gameState: result.gameState })
+
+  // The penalty can use up the last move: the game is then decided on points
+  if (result.gameState.status === "finished") {
+    await emitGameEnd(gameNamespace, sessionId, result.gameState)
+  }
+}
+
+// How often the clock worker looks for flagged players
+const CLOCK_POLL_INTERVAL = 250
+
+// Grace period for a player who left a game before it is abandoned (or aborted)
+const ABANDON_TIMEOUT = 60 * 1000
+// Pending abandonment checks by "sessionId:userId"
+const abandonTimers = new Map()
+
+// /matchmaking room with all sockets of one user, for challenges addressed to them
+const lobbyRoom = (userId) => `user:${userId}`
+
+// Live standings for everyone on a tournament's leaderboard (their /matchmaking sockets), with the
+// points and streaks the last game gave its players
+const emitTournamentLeaderboard = async (matchmakingNamespace, tournamentId, scores) => {
+  const standings = await getTournamentStandings(tournamentId)
+  if (!standings || standings.leaderboard.length === 0) return
+  const rooms = standings.leaderboard.map((entry) => lobbyRoom(entry.player.id.toString()))
+  matchmakingNamespace.to(rooms).emit("tournament:leaderboard_update", { tournamentId, ...standings, scores })
+}
+
+// Process the result of a finished game and announce it; ratingChanges is null for unrated/aborted games
+const emitGameEnd = async (gameNamespace, sessionId, gameState) => {
+  clearLegalMoves(sessionId)
+  let ratingChanges = null
+  try {
+    const result = await processGameResult(sessionId, gameState)
+    if (result.success) {
+      ratingChanges = result.ratingChanges
+      if (result.tournamentScores) {
+        await emitTournamentLeaderboard(gameNamespace.server.of("/matchmaking"), gameState.metadata.tournamentId, result.tournamentScores)
+      }
+    } else {
+      console.error(`[emitGameEnd] Result of ${sessionId} not processed: ${result.message}`)
+    }
+  } catch (err) {
+    console.error(`[emitGameEnd] Failed to process result of ${sessionId}:`, err)
+  }
+  emitGameEvent(gameNamespace.to(sessionId), "game:end", { gameState, ratingChanges })
+}
 
 const websocketRoutes = (io) => {
-  const matchmakingNamespace = io.of("/matchmaking");
-
-  matchmakingNamespace.on("connection", (socket) => {
-        // userId should ideally come from an authenticated session (e.g., JWT in handshake.auth.token)
-        const queryParams = socket.handshake.auth;
-        const userId = queryParams.userId; // Get userId from auth payload
+  const matchmakingNamespace = io.of("/matchmaking");
+  // Only sockets presenting a valid JWT reach the connection handler
+  matchmakingNamespace.use(socketAuthMiddleware);
 
-        if (!userId) {
-            console.error("UserId not provided in handshake auth");
-            socket.disconnect(true);
-            return;
-        }
+  matchmakingNamespace.on("connection", (socket) => {
+        // userId is derived from the verified JWT, never from the client payload
+        const userId = socket.data.userId;
 
         // Store the mapping for disconnection handling
         socketIdToUserId[socket.id] = userId;
       console.log(`User ${userId} connected to socket: ${socket.id}`);
 
       emitRegularQueueCounts(matchmakingNamespace, socket.id);
+      socket.join(lobbyRoom(userId));
 
       socket.on("queue:get_live_counts", async () => {
         await emitRegularQueueCounts(matchmakingNamespace, socket.id);
       });
 
         // --- Regular Matchmaking Events ---
-        socket.on("queue:join", async ({ variant, subvariant = '' }) => {
+        socket.on("queue:join", async ({ variant, subvariant = '', timeControl }) => {
             console.log("Received queue:join for user", userId, "variant", variant, subvariant);
 
             try {
@@ -76,6 +181,7 @@ const websocketRoutes = (io) => {
                     variant,
                     io: matchmakingNamespace, // Pass the namespace for emitting events
                     subvariant,
+                    timeControl,
                 });
 
                 console.log(`User ${userId} successfully joined the regular queue`);
@@ -102,6 +208,74 @@ const websocketRoutes = (io) => {
             }
         });
 
+        // --- Challenges (direct and invite code) ---
+        socket.on("challenge:create", async (payload = {}) => {
+            try {
+                const result = await createChallenge({ ...payload, challengerId: userId });
+                if (!result.success) {
+                    socket.emit("challenge:error", { code: result.code, message: result.message });
+                    return;
+                }
+                const { challenge } = result;
+                matchmakingNamespace.to(lobbyRoom(userId)).emit("challenge:created", { challenge });
+                if (challenge.opponent) {
+                    matchmakingNamespace.to(lobbyRoom(challenge.opponent.userId)).emit("challenge:received", { challenge });
+                }
+            } catch (err) {
+                console.error("Error creating challenge:", err);
+                socket.emit("challenge:error", { code: "CHALLENGE_FAILED", message: "Failed to create challenge" });
+            }
+        });
+
+        // { challengeId } for a received challenge, { code } for an invite link
+        socket.on("challenge:accept", async ({ challengeId, code } = {}) => {
+            try {
+                const result = await acceptChallenge({ challengeId, code, userId });
+                if (!result.success) {
+                    socket.emit("challenge:error", { code: result.code, message: result.message });
+                    return;
+                }
+                const { challenge, sessionId, gameState } = result;
+                for (const color of ["white", "black"]) {
+                    const player = gameState.players[color];
+                    const opponent = gameState.players[color === "white" ? "black" : "white"];
+                    matchmakingNamespace.to(lobbyRoom(player.userId)).emit("challenge:accepted", {
+                        challengeId: challenge.id,
+                        opponent: { userId: opponent.userId, name: opponent.username },
+                        variant: challenge.variant,
+                        subvariant: challenge.subvariant,
+                        sessionId,
+                        gameState,
+                        source: "challenge",
+                    });
+                }
+            } catch (err) {
+                console.error("Error accepting challenge:", err);
+                socket.emit("challenge:error", { code: "CHALLENGE_FAILED", message: "Failed to accept challenge" });
+            }
+        });
+
+        // Challenged user declines, or the challenger cancels
+        socket.on("challenge:decline", async ({ challengeId } = {}) => {
+            try {
+                const result = await declineChallenge({ challengeId, userId });
+                if (!result.success) {
+                    socket.emit("challenge:error", { code: result.code, message: result.message });
+                    return;
+                }
+                const { challenge } = result;
+                for (const participant of [challenge.challenger, challenge.opponent].filter(Boolean)) {
+                    matchmakingNamespace.to(lobbyRoom(participant.userId)).emit("challenge:declined", {
+                        challengeId: challenge.id,
+                        by: userId,
+                    });
+                }
+            } catch (err) {
+                console.error("Error declining challenge:", err);
+                socket.emit("challenge:error", { code: "CHALLENGE_FAILED", message: "Failed to decline challenge" });
+            }
+        });
+
         // --- Tournament Matchmaking Events ---
         socket.on("tournament:join", async () => {
             console.log(`Received tournament:join for user ${userId}`);
@@ -155,15 +329,31 @@ const websocketRoutes = (io) => {
             }
         });
 
-        // Event for creating tournaments (typically an admin-only action)
-        socket.on("tournament:create", async ({ name, capacity, startTime, duration, entryFee, prizePool }) => {
-            // Implement authorization check here (e.g., if user is admin)
-            if (userId !== 'ADMIN_USER_ID') { // Replace with actual admin check
-                socket.emit('tournament:error', { message: 'Unauthorized: Only admins can create tournaments.' });
-                return;
-            }
-            try {
-                const tournamentId = await createTournament({ name, capacity, startTime, duration, entryFee, prizePool });
+        // Event for creating tournaments (admin only, same validation and audit log as POST /api/admin/tournaments)
+        socket.on("tournament:create", async (payload = {}) => {
+            try {
+                if (!(await socketHasRole(socket, "admin"))) {
+                    socket.emit('tournament:error', { message: 'Unauthorized: Only admins can create tournaments.' });
+                    return;
+                }
+
+                const { error, params } = validateTournamentInput(payload);
+                if (error) {
+                    socket.emit('tournament:error', { message: error });
+                    return;
+                }
+                const { name } = params;
+
+                const tournamentId = await createTournament(params);
+                await recordAdminAction({
+                    actorId: userId,
+                    action: 'tournament:create',
+                    targetType: 'tournament',
+                    targetId: tournamentId,
+                    details: params,
+                    channel: 'socket',
+                    ip: socket.handshake.address,
+                });
                 // Emit to all connected clients in the namespace to notify about new tournament
                 matchmakingNamespace.emit('tournament:new_active', { tournamentId, name, message: 'A new tournament has been created!' });
                 socket.emit('tournament:created', { tournamentId, message: 'Tournament created successfully.' });
@@ -197,23 +387,63 @@ const websocketRoutes = (io) => {
       .catch((err) => console.error('[cleanupIdleUsers] Interval error:', err));
   }, 60 * 1000);
 
-  // Optional: cleanup on server shutdown
-  process.on("SIGINT", () => {
-    clearInterval(intervalId);
-    process.exit();
-  });
-
-  // Game namespace for handling chess moves
-  const gameNamespace = io.of("/game");
-
-  gameNamespace.on("connection", (socket) => {
-    const queryParams = socket.handshake.auth
-    console.log("queryParams:", queryParams)
-    const { userId, sessionId, variant, subvariant } = queryParams
+  // Game namespace for handling chess moves
+  const gameNamespace = io.of("/game");
+  gameNamespace.use(socketAuthMiddleware);
+  // Sets socket.data.role: "player" or read-only "spectator"
+  gameNamespace.use(gameAccessMiddleware);
+
+  // Tell players and spectators how many people are watching
+  const emitSpectatorCount = async (sessionId) => {
+    const spectators = await gameNamespace.in(spectatorRoom(sessionId)).fetchSockets()
+    emitGameEvent(gameNamespace.to(sessionId), "game:spectators", { count: spectators.length })
+  }
+
+  // Clock worker: flags are detected server-side, even when nobody sends a move
+  let clockPollRunning = false
+  const clockIntervalId = setInterval(async () => {
+    if (clockPollRunning) return
+    clockPollRunning = true
+    try {
+      for (const sessionId of await claimExpiredClocks()) {
+        try {
+          const result = await expireClock({ sessionId })
+          if (result?.type === "game:end") {
+            console.log(`[clock] Session ${sessionId} ended on time (${result.gameState.resultReason})`)
+            emitGameEvent(gameNamespace.to(sessionId), "game:timer", {
+              white: result.gameState.board.whiteTime,
+              black: result.gameState.board.blackTime,
+            })
+            await emitGameEnd(gameNamespace, sessionId, result.gameState)
+          } else if (result?.type === "game:timeoutPenalty") {
+            console.log(`[clock] Timeout penalty applied in session ${sessionId}`)
+            await emitTimeoutPenalty(gameNamespace, sessionId, result)
+          }
+        } catch (err) {
+          console.error(`[clock] Error expiring clock of session ${sessionId}:`, err)
+        }
+      }
+    } catch (err) {
+      console.error("[clock] Poll error:", err)
+    } finally {
+      clockPollRunning = false
+    }
+  }, CLOCK_POLL_INTERVAL)
+
+  // Optional: cleanup on server shutdown
+  process.on("SIGINT", () => {
+    clearInterval(intervalId);
+    clearInterval(clockIntervalId);
+    process.exit();
+  });
+
+  gameNamespace.on("connection", (socket) => {
+    const userId = socket.data.userId
+    const { sessionId } = socket.handshake.auth
     console.log("User connected to game socket:", socket.id, "UserId:", userId, "SessionId:", sessionId)
 
-    if (!userId || !sessionId) {
-      console.error("UserId/sessionId not provided in handshake auth")
+    if (!sessionId) {
+      console.error("SessionId not provided in handshake auth")
       socket.disconnect(true)
       return
     }
@@ -221,11 +451,66 @@ const websocketRoutes = (io) => {
     // Join the session room so both players get updates
     socket.join(sessionId)
     console.log(`User ${userId} joined session room ${sessionId}`)
+
+    // Spectators only listen to the session room broadcasts (moves, clocks, game end): no game actions
+    if (socket.data.role === "spectator") {
+      socket.join(spectatorRoom(sessionId))
+      getSessionById(sessionId)
+        .then((session) => {
+          if (!session) return
+          emitGameEvent(socket, "game:gameState", { gameState: session.gameState })
+          emitGameEvent(socket, "game:timer", getLiveClocks(session.gameState))
+          return emitSpectatorCount(sessionId)
+        })
+        .catch((err) => console.error(`Error adding spectator to session ${sessionId}:`, err))
+
+      socket.on("disconnect", () => {
+        emitSpectatorCount(sessionId).catch((err) => console.error("Error updating spectator count:", err))
+      })
+      return
+    }
+
+    // Private channel for this player (legal moves pushed with game:move)
+    socket.join(playerRoom(sessionId, userId))
+
+    // Came back within the grace period: the game goes on
+    const abandonKey = `${sessionId}:${userId}`
+    if (abandonTimers.has(abandonKey)) {
+      clearTimeout(abandonTimers.get(abandonKey))
+      abandonTimers.delete(abandonKey)
+      emitGameEvent(socket.to(sessionId), "game:opponentReconnected", { userId })
+    }
+
+    // Returning player (new socket after a drop): replay the full game so the client can carry on
+    socket.on("game:resume", async () => {
+      try {
+        const session = await getUserActiveSession(userId)
+        if (!session || session.sessionId !== sessionId || session.gameState.status !== "active") {
+          emitGameEvent(socket, "game:error", { message: "No game in progress to resume" })
+          return
+        }
+
+        const { gameState } = session
+        const color = gameState.players.white.userId === userId ? "white" : "black"
+        const clocks = getLiveClocks(gameState)
+        emitGameEvent(socket, "game:resumed", { sessionId, color, gameState, clocks })
+        emitGameEvent(socket, "game:gameState", { gameState })
+        emitGameEvent(socket, "game:timer", clocks)
+        emitGameEvent(socket, "game:chatHistory", await getChatHistory({ sessionId, userId }))
+        console.log(`User ${userId} resumed session ${sessionId}`)
+      } catch (err) {
+        emitGameEvent(socket, "game:error", { message: err.message })
+      }
+    })
     // --- Outgoing events from client ---
     // Make move
     socket.on("game:makeMove", async ({ move, timestamp }) => {
       try {
-        const result = await makeMove({ sessionId, userId, move, timestamp, variant, subvariant })
+        const result = await makeMove({ sessionId, userId, move, timestamp })
+        if (result && result.type === "game:error") {
+          emitGameEvent(socket, "game:error", { message: result.message })
+          return
+        }
         if (result && result.type === "game:warning") {
           console.warn("Game warning:", result.message)
           emitGameEvent(gameNamespace.to(sessionId), "game:warning", {
@@ -236,34 +521,26 @@ const websocketRoutes = (io) => {
           return
         }
         
-        // Special handling for timeout penalty
+        // Flagged before the move could be applied: the game is over, the move is discarded
+        if (result && result.type === "game:end") {
+          emitGameEvent(gameNamespace.to(sessionId), "game:timer", {
+            white: result.gameState.board.whiteTime,
+            black: result.gameState.board.blackTime,
+          })
+          await emitGameEnd(gameNamespace, sessionId, result.gameState)
+          return
+        }
+
+        // The mover's time had run out: the timeout penalty was applied instead of the move,
+        // announced like the clock worker's (game:end when it used up the last move)
         if (result && result.type === "game:timeoutPenalty") {
-          console.log("Timeout penalty applied:", result.message)
-          
-          // Emit timeout penalty notification
-          emitGameEvent(gameNamespace.to(sessionId), "game:warning", {
-            message: result.message,
-            timeoutPenalty: result.timeoutPenalty,
-            gameState: result.gameState,
-          })
-          
-          // Emit game state update to refresh UI
-          emitGameEvent(gameNamespace.to(sessionId), "game:gameState", { gameState: result.gameState })
-          
-          // Emit timer update to show new turn and reset timers
-          emitGameEvent(gameNamespace.to(sessionId), "game:timer", {
-            white: result.gameState.board.whiteTime,
-            black: result.gameState.board.blackTime,
-            activeColor: result.gameState.board.activeColor,
-          })
-          
-          console.log(`Timeout penalty processed for session ${sessionId}`)
+          await emitTimeoutPenalty(gameNamespace, sessionId, result)
           return
         }
         
-        const { move: moveObj, gameState } = result
-        // Always emit all game events to the whole session
-        emitGameEvent(gameNamespace.to(sessionId), "game:move", { move: moveObj, gameState })
+        const { gameState } = result
+        // Everyone gets the move; only the side to move gets its legal moves with it
+        emitMove(gameNamespace, sessionId, result)
 
         // --- MODIFICATION START ---
         // Emit main game timers from gameState.board
@@ -276,75 +553,9 @@ const websocketRoutes = (io) => {
         // --- MODIFICATION END ---
 
         if (gameState.status === "finished") {
-          if (gameState.metadata.source === "tournament") {
-            const updatedTournament = await tournamentModel.findOneAndUpdate(
-              { "matches.sessionId": sessionId },
-              {
-                $set: {
-                  "matches.$.result": gameState.result,
-                  "matches.$.gameState": gameState.board,
-                },
-              },
-              { new: true },
-            )
-            if (updatedTournament) {
-              console.log(`Tournament match updated for session ${sessionId} with result ${gameState.result}`)
-              const winnerId = gameState.result === "white" ? updatedTournament.player1 : updatedTournament.player2
-              const updatedUserPoints = await UserModel.findByIdAndUpdate(
-                { winnerId },
-                {
-                  // will continue to update points based on your logic
-                },
-              )
-            }
-          } else if (gameState.metadata.source === "matchmaking") {
-            let incPoint = 0
-            if (variant === "classic") {
-              incPoint = 1
-            } else if (variant === "crazyhouse") {
-              incPoint = 2
-            } else if (variant === "sixpointer") {
-              incPoint = 3
-            } else if (variant === "decay") {
-              incPoint = 3
-            }
-            const winnerId =
-              gameState.winnerColor === "white" ? gameState.players.white.userId : gameState.players.black.userId
-            const looserId =
-              gameState.winnerColor === "white" ? gameState.players.black.userId : gameState.players.white.userId
-            const updateWinner = await UserModel.findByIdAndUpdate(
-              winnerId,
-              {
-                $inc: {
-                  ratings: incPoint,
-                  win: 1,
-                },
-              },
-              { new: true },
-            )
-
-            if (!updateWinner) {
-              console.error(`Failed to update user points for winner ${winnerId}`)
-              emitGameEvent(gameNamespace.to(sessionId), "game:error", { message: "Failed to update user points." })
-            }
-
-            const updateLooser = await UserModel.findByIdAndUpdate(
-              looserId,
-              {
-                $inc: { lose: 1 },
-              },
-              { new: true },
-            )
-
-            if (!updateLooser) {
-              console.error(`Failed to update user points for looser ${looserId}`)
-              emitGameEvent(gameNamespace.to(sessionId), "game:error", { message: "Failed to update user points." })
-            }
-            console.log(`User ${winnerId} points updated by ${incPoint} points.`)
-          }
-
-          emitGameEvent(gameNamespace.to(sessionId), "game:end", { gameState })
-        }
+          // Stats, ratings and tournament standings; rating deltas go out with game:end
+          await emitGameEnd(gameNamespace, sessionId, gameState)
+        }
       } catch (err) {
         emitGameEvent(gameNamespace.to(sessionId), "game:error", { message: err.message })
       }
@@ -355,30 +566,9 @@ const websocketRoutes = (io) => {
       try {
         console.log(`[TIMEOUT PENALTY] Request from user ${userId} in session ${sessionId} at ${timestamp}`)
 
-        const result = await applyTimeoutPenalty({ sessionId, userId, timestamp, variant, subvariant })
-        if (result && result.validationResult) {
-          // Emit a game warning similar to previous behavior
-          emitGameEvent(gameNamespace.to(sessionId), "game:warning", {
-            message: result.validationResult.reason,
-            timeoutPenalty: result.validationResult.timeoutPenalty,
-            move: result.move,
-            gameState: result.gameState,
-            validationResult: result.validationResult,
-          })
-
-          // Emit a game:move-style update so clients update UI (move may be synthetic timeout move)
-          emitGameEvent(gameNamespace.to(sessionId), "game:move", { move: result.move, gameState: result.gameState })
-
-          // Also emit timers
-          emitGameEvent(gameNamespace.to(sessionId), "game:timer", {
-            white: result.gameState.board.whiteTime,
-            black: result.gameState.board.blackTime,
-            activeColor: result.gameState.board.activeColor,
-          })
-
-          // Also emit entire gameState so clients refresh all derived fields
-          emitGameEvent(gameNamespace.to(sessionId), "game:gameState", { gameState: result.gameState })
-
+        const result = await applyTimeoutPenalty({ sessionId, userId, timestamp })
+        if (result && result.validationResult) {
+          await emitTimeoutPenalty(gameNamespace, sessionId, result)
           console.log(
             `[TIMEOUT PENALTY] Successfully applied penalty for ${result.validationResult.timeoutPenalty?.newActiveColor}`,
           )
@@ -393,20 +583,60 @@ const websocketRoutes = (io) => {
     })
 
     // Get possible moves
+    // Answered to the asking socket only: the opponent must not see which piece is being considered
     socket.on("game:getPossibleMoves", async ({ square }) => {
       try {
-        const moves = await getPossibleMoves({ sessionId, square, variant, subvariant })
-        emitGameEvent(gameNamespace.to(sessionId), "game:possibleMoves", { square, moves })
-      } catch (err) {
-        emitGameEvent(gameNamespace.to(sessionId), "game:error", { message: err.message })
+        const moves = await getPossibleMoves({ sessionId, square })
+        emitGameEvent(socket, "game:possibleMoves", { square, moves })
+      } catch (err) {
+        emitGameEvent(socket, "game:error", { message: err.message })
+      }
+    })
+
+    // Chat between the two players: { text } or { quick } (key of QUICK_MESSAGES)
+    socket.on("game:chat", async ({ text, quick } = {}) => {
+      try {
+        const result = await sendChatMessage({ sessionId, userId, text, quick })
+        if (!result.success) {
+          emitGameEvent(socket, "game:chatError", { code: result.code, message: result.message })
+          return
+        }
+        for (const recipient of result.recipients) {
+          emitGameEvent(gameNamespace.to(playerRoom(sessionId, recipient)), "game:chat", result.message)
+        }
+      } catch (err) {
+        console.error(`Error sending chat message in ${sessionId}:`, err)
+        emitGameEvent(socket, "game:chatError", { code: "CHAT_FAILED", message: "Message could not be sent" })
+      }
+    })
+
+    socket.on("game:getChat", async () => {
+      try {
+        emitGameEvent(socket, "game:chatHistory", await getChatHistory({ sessionId, userId }))
+      } catch (err) {
+        emitGameEvent(socket, "game:chatError", { code: "CHAT_FAILED", message: err.message })
+      }
+    })
+
+    // Mute/unmute the opponent's messages for this player
+    socket.on("game:chatMute", async () => {
+      try {
+        const result = await toggleChatMute({ sessionId, userId })
+        if (!result.success) {
+          emitGameEvent(socket, "game:chatError", { code: result.code, message: result.message })
+          return
+        }
+        emitGameEvent(gameNamespace.to(playerRoom(sessionId, userId)), "game:chatMuted", { muted: result.muted })
+      } catch (err) {
+        emitGameEvent(socket, "game:chatError", { code: "CHAT_FAILED", message: err.message })
       }
     })
 
     // Resign
     socket.on("game:resign", async () => {
       try {
-        const { gameState } = await resign({ sessionId, userId, variant, subvariant })
-        emitGameEvent(gameNamespace.to(sessionId), "game:end", { gameState })
+        const { gameState } = await resign({ sessionId, userId })
+        await emitGameEnd(gameNamespace, sessionId, gameState)
       } catch (err) {
         emitGameEvent(gameNamespace.to(sessionId), "game:error", { message: err.message })
       }
@@ -415,7 +645,7 @@ const websocketRoutes = (io) => {
     // Offer draw
     socket.on("game:offerDraw", async () => {
       try {
-        const { gameState } = await offerDraw({ sessionId, userId, variant, subvariant })
+        const { gameState } = await offerDraw({ sessionId, userId })
         emitGameEvent(gameNamespace.to(sessionId), "game:gameState", { gameState })
       } catch (err) {
         emitGameEvent(gameNamespace.to(sessionId), "game:error", { message: err.message })
@@ -425,8 +655,8 @@ const websocketRoutes = (io) => {
     // Accept draw
     socket.on("game:acceptDraw", async () => {
       try {
-        const { gameState } = await acceptDraw({ sessionId, userId, variant, subvariant })
-        emitGameEvent(gameNamespace.to(sessionId), "game:end", { gameState })
+        const { gameState } = await acceptDraw({ sessionId, userId })
+        await emitGameEnd(gameNamespace, sessionId, gameState)
       } catch (err) {
         emitGameEvent(gameNamespace.to(sessionId), "game:error", { message: err.message })
       }
@@ -435,10 +665,84 @@ const websocketRoutes = (io) => {
     // Decline draw
     socket.on("game:declineDraw", async () => {
       try {
-        const { gameState } = await declineDraw({ sessionId, userId, variant, subvariant })
-        emitGameEvent(gameNamespace.to(sessionId), "game:gameState", { gameState })
-      } catch (err) {
-        emitGameEvent(gameNamespace.to(sessionId), "game:error", { message: err.message })
+        const { gameState } = await declineDraw({ sessionId, userId })
+        emitGameEvent(gameNamespace.to(sessionId), "game:gameState", { gameState })
+      } catch (err) {
+        emitGameEvent(gameNamespace.to(sessionId), "game:error", { message: err.message })
+      }
+    })
+
+    // Berserk (arena tournament games): halve your own clock before your first move
+    socket.on("game:berserk", async () => {
+      try {
+        const { gameState, color } = await berserk({ sessionId, userId })
+        emitGameEvent(gameNamespace.to(sessionId), "game:berserk", { userId, color })
+        emitGameEvent(gameNamespace.to(sessionId), "game:gameState", { gameState })
+        emitGameEvent(gameNamespace.to(sessionId), "game:timer", getLiveClocks(gameState))
+      } catch (err) {
+        emitGameEvent(socket, "game:error", { message: err.message })
+      }
+    })
+
+    // Takebacks (unrated games only): request, then the opponent accepts or declines
+    socket.on("game:requestTakeback", async () => {
+      try {
+        const { gameState } = await requestTakeback({ sessionId, userId })
+        emitGameEvent(gameNamespace.to(sessionId), "game:takebackRequested", gameState.metadata.takebackRequest)
+        emitGameEvent(gameNamespace.to(sessionId), "game:gameState", { gameState })
+      } catch (err) {
+        emitGameEvent(socket, "game:error", { message: err.message })
+      }
+    })
+
+    socket.on("game:acceptTakeback", async () => {
+      try {
+        const { gameState, revertedMove, legalMoves } = await acceptTakeback({ sessionId, userId })
+        emitPosition(gameNamespace, sessionId, "game:takeback", { revertedMove, gameState }, legalMoves)
+        emitGameEvent(gameNamespace.to(sessionId), "game:gameState", { gameState })
+        emitGameEvent(gameNamespace.to(sessionId), "game:timer", getLiveClocks(gameState))
+      } catch (err) {
+        emitGameEvent(socket, "game:error", { message: err.message })
+      }
+    })
+
+    socket.on("game:declineTakeback", async () => {
+      try {
+        const { gameState } = await declineTakeback({ sessionId, userId })
+        emitGameEvent(gameNamespace.to(sessionId), "game:takebackDeclined", { userId })
+        emitGameEvent(gameNamespace.to(sessionId), "game:gameState", { gameState })
+      } catch (err) {
+        emitGameEvent(socket, "game:error", { message: err.message })
+      }
+    })
+
+    // Left the game: end it by abandonment unless the player reconnects in time
+    socket.on("disconnect", async () => {
+      try {
+        const sockets = await gameNamespace.in(sessionId).fetchSockets()
+        if (sockets.some((other) => other.data.userId === userId)) return
+
+        const session = await getSessionById(sessionId)
+        if (session?.gameState?.status !== "active") return
+
+        emitGameEvent(gameNamespace.to(sessionId), "game:opponentDisconnected", {
+          userId,
+          abandonAt: serverNow() + ABANDON_TIMEOUT,
+        })
+        clearTimeout(abandonTimers.get(abandonKey))
+        abandonTimers.set(abandonKey, setTimeout(async () => {
+          abandonTimers.delete(abandonKey)
+          try {
+            const result = await abandonGame({ sessionId, userId })
+            if (!result) return
+            console.log(`User ${userId} abandoned session ${sessionId} (${result.gameState.resultReason})`)
+            await emitGameEnd(gameNamespace, sessionId, result.gameState)
+          } catch (err) {
+            console.error(`Error abandoning session ${sessionId} for user ${userId}:`, err)
+          }
+        }, ABANDON_TIMEOUT))
+      } catch (err) {
+        console.error(`Error handling disconnect of ${userId} from session ${sessionId}:`, err)
       }
     })
   })
@@ -27,9 +27,33 @@ export const sessionKey = (sessionId) => `session:${sessionId}`;
 export const userSessionKey = (userId) => `user:session:${userId}`;
 export const moveListKey = (sessionId) => `moves:${sessionId}`;
 export const gameStateKey = (sessionId) => `gamestate:${sessionId}`;
+// State before each ply of an unrated game (list of JSON), restored by takebacks
+export const plySnapshotsKey = (sessionId) => `snapshots:${sessionId}`;
+// In-game chat: message history (list of JSON), players who muted it (set), per-player send counter
+export const chatKey = (sessionId) => `chat:${sessionId}`;
+export const chatMutedKey = (sessionId) => `chat:muted:${sessionId}`;
+export const chatRateKey = (sessionId, userId) => `chat:rate:${sessionId}:${userId}`;
+// Sorted set of active sessions scored by when the player to move runs out of time (ms)
+export const CLOCK_DEADLINES_KEY = "clock:deadlines";
+// Sorted set of games in progress that may be watched, scored by the players' average rating
+export const LIVE_GAMES_KEY = "games:live";
+
+// Pending challenges: the challenge (JSON), its invite code, and the ids each user sent or received (set)
+export const challengeKey = (challengeId) => `challenge:${challengeId}`;
+export const inviteCodeKey = (code) => `challenge:invite:${code}`;
+export const userChallengesKey = (userId) => `challenge:user:${userId}`;
+
+// Redis key helpers for auth (refresh token) sessions, one per logged-in device
+export const authSessionKey = (authSessionId) => `auth:session:${authSessionId}`;
+export const userAuthSessionsKey = (userId) => `auth:user:sessions:${userId}`;
 
 // Constants for session management
-export const SESSION_TIMEOUT = 5 * 60 * 1000; // 5 minutes
+export const SESSION_TIMEOUT = 5 * 60 * 1000; // 5 minutes past the next clock deadline (sessionTtl)
 export const MOVE_TIMEOUT = 30 * 1000; // 30 seconds per move
+export const CHALLENGE_TIMEOUT = 10 * 60 * 1000; // 10 minutes to accept a challenge
+
+// Constants for auth tokens
+export const ACCESS_TOKEN_EXPIRES_IN = "15m";
+export const REFRESH_TOKEN_TTL = 30 * 24 * 60 * 60 * 1000; // 30 days
 
 export default redisClient; // Export global Redis instance
@@ -0,0 +1,314 @@
+import mongoose from "mongoose";
+import AuditLogModel from "../../models/auditLog.model.js";
+import {
+  createTournament,
+  updateTournament,
+  cancelTournament,
+  forceStartTournament,
+  forceEndTournament,
+} from "../tournament.controller.js";
+import { ARENA_DEFAULTS } from "../../utils/arenaPairing.js";
+import { TOURNAMENT_FORMATS } from "../../utils/tournamentFormats.js";
+import { resolveGameTimeControl } from "../session.controller.js";
+import { isPlayableStartingPosition } from "../../validations/shared.js";
+
+const MAX_TOURNAMENT_CAPACITY = 200;
+const MAX_SWISS_ROUNDS = 20;
+const MAX_STARTING_POSITIONS = 100;
+
+// HTTP status for the failure codes returned by the tournament.controller transitions; anything else is a state conflict
+const HTTP_STATUS_BY_CODE = {
+  TOURNAMENT_NOT_FOUND: 404,
+  TOURNAMENT_INVALID_SCHEDULE: 400,
+  TOURNAMENT_INVALID_CAPACITY: 400,
+};
+const statusForCode = (code) => HTTP_STATUS_BY_CODE[code] || 409;
+
+/**
+ * Persist an admin action in the audit log. Failures are logged and swallowed so
+ * that a logging problem never blocks the action itself.
+ * @param {Object} entry - { actorId, action, targetType, targetId, details, channel, ip }
+ */
+export async function recordAdminAction({ actorId, action, targetType, targetId, details = {}, channel = "http", ip }) {
+  try {
+    await AuditLogModel.create({
+      actor: actorId,
+      action,
+      targetType,
+      targetId: targetId ? targetId.toString() : undefined,
+      details,
+      channel,
+      ip,
+    });
+  } catch (err) {
+    console.error(`[recordAdminAction] Failed to record ${action} by ${actorId}:`, err);
+  }
+}
+
+/**
+ * Validate tournament fields sent by an admin.
+ * With `partial` only the provided fields are checked (edit), otherwise name/startTime/endTime are required (create).
+ * `duration` (minutes) may be sent instead of endTime. `format` is arena, swiss or roundRobin,
+ * `rounds` the number of Swiss rounds. `arena` may set any of the arena pairing settings
+ * (utils/arenaPairing.js), the others keep their defaults.
+ * `variant`/`subvariant` fix the variant of every game (null: a random one per game); a
+ * `timeControl` is checked against that variant, so it is only accepted together with it.
+ * `rated` is true or false, `startingPositions` a list of FENs games start from.
+ * @returns {{ error?: string, params?: Object }}
+ */
+export function validateTournamentInput(body = {}, { partial = false } = {}) {
+  const { name, capacity, startTime, endTime, duration, format, rounds, arena } = body;
+  const { variant, subvariant, timeControl, rated, startingPositions } = body;
+  const params = {};
+
+  if (name !== undefined || !partial) {
+    if (typeof name !== "string" || !name.trim()) return { error: "name is required" };
+    params.name = name.trim();
+  }
+
+  if (capacity !== undefined) {
+    const parsed = Number(capacity);
+    if (!Number.isInteger(parsed) || parsed < 2 || parsed > MAX_TOURNAMENT_CAPACITY) {
+      return { error: `capacity must be an integer between 2 and ${MAX_TOURNAMENT_CAPACITY}` };
+    }
+    params.capacity = parsed;
+  }
+
+  if (startTime !== undefined || !partial) {
+    const start = new Date(startTime);
+    if (startTime === undefined || isNaN(start.getTime())) return { error: "startTime must be a valid date" };
+    params.startTime = start;
+  }
+
+  let end;
+  if (endTime !== undefined) {
+    end = new Date(endTime);
+  } else if (duration !== undefined && params.startTime) {
+    end = new Date(params.startTime.getTime() + Number(duration) * 60 * 1000);
+  }
+  if (end !== undefined || !partial) {
+    if (!end || isNaN(end.getTime())) return { error: "endTime (or duration in minutes) must be valid" };
+    params.endTime = end;
+  }
+
+  if (params.startTime && params.endTime && params.endTime <= params.startTime) {
+    return { error: "endTime must be after startTime" };
+  }
+
+  if (format !== undefined) {
+    if (!TOURNAMENT_FORMATS.includes(format)) return { error: `format must be one of ${TOURNAMENT_FORMATS.join(", ")}` };
+    params.format = format;
+  }
+
+  if (rounds !== undefined) {
+    const parsed = Number(rounds);
+    if (!Number.isInteger(parsed) || parsed < 1 || parsed > MAX_SWISS_ROUNDS) {
+      return { error: `rounds must be an integer between 1 and ${MAX_SWISS_ROUNDS}` };
+    }
+    params.rounds = parsed;
+  }
+
+  if (arena !== undefined) {
+    if (!arena || typeof arena !== "object") return { error: "arena must be an object" };
+    params.arena = {};
+    for (const [key, value] of Object.entries(arena)) {
+      if (!(key in ARENA_DEFAULTS)) return { error: `Unknown arena setting: ${key}` };
+      if (typeof ARENA_DEFAULTS[key] === "boolean") {
+        if (typeof value !== "boolean") return { error: `arena.${key} must be true or false` };
+      } else if (typeof value !== "number" || !Number.isFinite(value) || value < 0) {
+        return { error: `arena.${key} must be a non-negative number` };
+      }
+      params.arena[key] = value;
+    }
+  }
+
+  if (variant === null) {
+    if (subvariant || timeControl) return { error: "subvariant and timeControl need a variant" };
+    params.variant = null;
+    params.subvariant = null;
+    params.timeControl = null;
+  } else if (variant !== undefined || subvariant !== undefined || timeControl !== undefined) {
+    if (typeof variant !== "string") return { error: "variant is required with subvariant or timeControl" };
+    if (timeControl != null && typeof timeControl !== "object") return { error: "timeControl must be an object" };
+    const resolved = resolveGameTimeControl(variant, subvariant || "", timeControl || undefined);
+    if (!resolved.valid) return { error: resolved.reason };
+    params.variant = variant;
+    params.subvariant = subvariant || null;
+    params.timeControl = timeControl ? resolved.timeControl : null;
+  }
+
+  if (rated !== undefined) {
+    if (typeof rated !== "boolean") return { error: "rated must be true or false" };
+    params.rated = rated;
+  }
+
+  if (startingPositions !== undefined) {
+    if (!Array.isArray(startingPositions) || startingPositions.length > MAX_STARTING_POSITIONS) {
+      return { error: `startingPositions must be a list of at most ${MAX_STARTING_POSITIONS} FENs` };
+    }
+    const invalid = startingPositions.find((fen) => !isPlayableStartingPosition(fen));
+    if (invalid !== undefined) return { error: `Invalid starting position: ${invalid}` };
+    params.startingPositions = [...startingPositions];
+  }
+
+  return { params };
+}
+
+/**
+ * POST /api/admin/tournaments
+ * Create a tournament and notify connected matchmaking clients.
+ */
+export const createTournamentAdmin = async (req, res) => {
+  try {
+    const { error, params } = validateTournamentInput(req.body);
+    if (error) return res.status(400).json({ success: false, message: error });
+
+    const tournamentId = await createTournament(params);
+
+    await recordAdminAction({
+      actorId: req.userId,
+      action: "tournament:create",
+      targetType: "tournament",
+      targetId: tournamentId,
+      details: params,
+      ip: req.ip,
+    });
+
+    req.app.get("io")?.of("/matchmaking").emit("tournament:new_active", {
+      tournamentId,
+      name: params.name,
+      message: "A new tournament has been created!",
+    });
+
+    return res.status(201).json({ success: true, tournamentId });
+  } catch (err) {
+    console.error("[createTournamentAdmin] Error:", err);
+    return res.status(500).json({ success: false, message: "Internal Server Error" });
+  }
+};
+
+/**
+ * PATCH /api/admin/tournaments/:tournamentId
+ * Edit name, capacity, schedule, format, arena or game settings of a scheduled/active tournament.
+ */
+export const updateTournamentAdmin = async (req, res) => {
+  try {
+    const { tournamentId } = req.params;
+    if (!mongoose.isValidObjectId(tournamentId)) {
+      return res.status(400).json({ success: false, message: "Invalid tournament id" });
+    }
+
+    const { error, params } = validateTournamentInput(req.body, { partial: true });
+    if (error) return res.status(400).json({ success: false, message: error });
+    if (Object.keys(params).length === 0) {
+      return res.status(400).json({ success: false, message: "Nothing to update" });
+    }
+
+    const result = await updateTournament(tournamentId, params);
+    if (!result.success) {
+      return res.status(statusForCode(result.code)).json(result);
+    }
+
+    await recordAdminAction({
+      actorId: req.userId,
+      action: "tournament:update",
+      targetType: "tournament",
+      targetId: tournamentId,
+      details: { before: result.previous, after: params },
+      ip: req.ip,
+    });
+
+    return res.status(200).json({ success: true, tournament: result.tournament });
+  } catch (err) {
+    console.error("[updateTournamentAdmin] Error:", err);
+    return res.status(500).json({ success: false, message: "Internal Server Error" });
+  }
+};
+
+/**
+ * Build a handler for a state transition (cancel, force-start, force-end) that takes no body.
+ * @param {string} action - audit log action name
+ * @param {Function} transition - tournament.controller function returning { success, code, message, tournament }
+ * @param {string} event - event broadcast to /matchmaking on success
+ */
+const tournamentTransitionHandler = (action, transition, event) => async (req, res) => {
+  try {
+    const { tournamentId } = req.params;
+    if (!mongoose.isValidObjectId(tournamentId)) {
+      return res.status(400).json({ success: false, message: "Invalid tournament id" });
+    }
+
+    const result = await transition(tournamentId);
+    if (!result.success) {
+      return res.status(statusForCode(result.code)).json(result);
+    }
+
+    await recordAdminAction({
+      actorId: req.userId,
+      action,
+      targetType: "tournament",
+      targetId: tournamentId,
+      details: { reason: req.body?.reason },
+      ip: req.ip,
+    });
+
+    req.app.get("io")?.of("/matchmaking").emit(event, {
+      tournamentId,
+      status: result.tournament.status,
+    });
+
+    return res.status(200).json({ success: true, tournament: result.tournament });
+  } catch (err) {
+    console.error(`[${action}] Error:`, err);
+    return res.status(500).json({ success: false, message: "Internal Server Error" });
+  }
+};
+
+/** POST /api/admin/tournaments/:tournamentId/cancel */
+export const cancelTournamentAdmin = tournamentTransitionHandler("tournament:cancel", cancelTournament, "tournament:cancelled");
+
+/** POST /api/admin/tournaments/:tournamentId/start */
+export const forceStartTournamentAdmin = tournamentTransitionHandler("tournament:force_start", forceStartTournament, "tournament:started");
+
+/** POST /api/admin/tournaments/:tournamentId/end */
+// The tournament is "finishing" until its games are over; the lifecycle scheduler announces tournament:ended
+export const forceEndTournamentAdmin = tournamentTransitionHandler("tournament:force_end", forceEndTournament, "tournament:finishing");
+
+/**
+ * GET /api/admin/audit-log?targetType=&targetId=&actor=&limit=&before=
+ * Newest first. Pass the `createdAt` of the last entry as `before` to get the next page.
+ */
+export const getAuditLog = async (req, res) => {
+  try {
+    const { targetType, targetId, actor, before } = req.query;
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+
+    const filter = {};
+    if (targetType) filter.targetType = targetType;
+    if (targetId) filter.targetId = targetId;
+    if (actor) {
+      if (!mongoose.isValidObjectId(actor)) {
+        return res.status(400).json({ success: false, message: "Invalid actor id" });
+      }
+      filter.actor = actor;
+    }
+    if (before) {
+      const beforeDate = new Date(before);
+      if (isNaN(beforeDate.getTime())) {
+        return res.status(400).json({ success: false, message: "before must be a valid date" });
+      }
+      filter.createdAt = { $lt: beforeDate };
+    }
+
+    const entries = await AuditLogModel.find(filter)
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .populate("actor", "name email")
+      .lean();
+
+    return res.status(200).json({ success: true, data: entries });
+  } catch (err) {
+    console.error("[getAuditLog] Error:", err);
+    return res.status(500).json({ success: false, message: "Internal Server Error" });
+  }
+};
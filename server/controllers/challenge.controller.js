@@ -0,0 +1,254 @@
+import { randomInt } from 'crypto';
+import mongoose from 'mongoose';
+import { v4 as uuidv4 } from 'uuid';
+import redisClient, {
+  challengeKey,
+  inviteCodeKey,
+  userChallengesKey,
+  CHALLENGE_TIMEOUT,
+} from '../config/redis.config.js';
+import UserModel from '../models/User.model.js';
+import { createGameSession, getUserActiveSession, validateGameConfig, resolveGameTimeControl } from './session.controller.js';
+import { getVariantRating } from './rating.controller.js';
+import { serverNow } from '../utils/clock.js';
+
+const CHALLENGE_COLORS = ['white', 'black', 'random'];
+// Unambiguous characters only (no 0/O, 1/I/L), the code is typed from a shared link or message
+const INVITE_CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const INVITE_CODE_LENGTH = 8;
+// Outgoing challenges a user may have pending at once
+const MAX_PENDING_CHALLENGES = 10;
+
+const generateInviteCode = () =>
+  Array.from({ length: INVITE_CODE_LENGTH }, () => INVITE_CODE_ALPHABET[randomInt(INVITE_CODE_ALPHABET.length)]).join('');
+
+const failure = (code, message) => ({ success: false, code, message });
+
+async function readChallenge(challengeId) {
+  const entry = await redisClient.get(challengeKey(challengeId));
+  return entry ? JSON.parse(entry) : null;
+}
+
+// Pending challenges of a user; ids of expired ones are dropped from the user's set on the way
+async function readUserChallenges(userId) {
+  const ids = await redisClient.sMembers(userChallengesKey(userId));
+  const challenges = [];
+  for (const id of ids) {
+    const challenge = await readChallenge(id);
+    if (challenge) {
+      challenges.push(challenge);
+    } else {
+      await redisClient.sRem(userChallengesKey(userId), id);
+    }
+  }
+  return challenges;
+}
+
+async function removeChallenge(challenge) {
+  const multi = redisClient.multi();
+  multi.del(challengeKey(challenge.id));
+  multi.del(inviteCodeKey(challenge.code));
+  multi.sRem(userChallengesKey(challenge.challenger.userId), challenge.id);
+  if (challenge.opponent) multi.sRem(userChallengesKey(challenge.opponent.userId), challenge.id);
+  await multi.exec();
+}
+
+/**
+ * Challenge a user (opponentId) or, without opponentId, open an invite anyone with the code can accept.
+ * @param {Object} params
+ * @param {string} params.challengerId
+ * @param {string} [params.opponentId]
+ * @param {string} params.variant
+ * @param {string} [params.subvariant]
+ * @param {Object} [params.timeControl] - { base, increment, delay } or { perMove } in ms, over the variant's default
+ * @param {string} [params.color] - challenger's color: "white", "black" or "random" (default)
+ * @param {boolean} [params.rated] - defaults to false (friendly game)
+ * @returns {Promise<Object>} { success, challenge } or { success: false, code, message }
+ */
+export async function createChallenge({ challengerId, opponentId, variant, subvariant, timeControl, color = 'random', rated = false }) {
+  if (!validateGameConfig(variant, subvariant)) {
+    return failure('INVALID_VARIANT', `Invalid game variant: ${variant}/${subvariant}`);
+  }
+  const resolvedTimeControl = resolveGameTimeControl(variant, subvariant, timeControl);
+  if (!resolvedTimeControl.valid) {
+    return failure('INVALID_TIME_CONTROL', resolvedTimeControl.reason);
+  }
+  if (!CHALLENGE_COLORS.includes(color)) {
+    return failure('INVALID_COLOR', `color must be one of ${CHALLENGE_COLORS.join(', ')}`);
+  }
+  if (typeof rated !== 'boolean') {
+    return failure('INVALID_RATED', 'rated must be a boolean');
+  }
+  if (opponentId && opponentId === challengerId) {
+    return failure('INVALID_OPPONENT', 'You cannot challenge yourself');
+  }
+  if (opponentId && !mongoose.isValidObjectId(opponentId)) {
+    return failure('INVALID_OPPONENT', 'Invalid opponent id');
+  }
+
+  const pending = await readUserChallenges(challengerId);
+  if (pending.filter((challenge) => challenge.challenger.userId === challengerId).length >= MAX_PENDING_CHALLENGES) {
+    return failure('TOO_MANY_CHALLENGES', 'Too many pending challenges');
+  }
+
+  const [challengerDoc, opponentDoc] = await Promise.all([
+    UserModel.findById(challengerId).select('_id name'),
+    opponentId ? UserModel.findById(opponentId).select('_id name') : null,
+  ]);
+  if (!challengerDoc) return failure('USER_NOT_FOUND', 'User not found');
+  if (opponentId && !opponentDoc) return failure('OPPONENT_NOT_FOUND', 'Opponent not found');
+
+  const now = serverNow();
+  const challenge = {
+    id: uuidv4(),
+    code: generateInviteCode(),
+    challenger: { userId: challengerDoc._id.toString(), username: challengerDoc.name },
+    opponent: opponentDoc ? { userId: opponentDoc._id.toString(), username: opponentDoc.name } : null,
+    variant,
+    subvariant: subvariant || null,
+    timeControl: resolvedTimeControl.timeControl,
+    color,
+    rated,
+    createdAt: now,
+    expiresAt: now + CHALLENGE_TIMEOUT,
+  };
+
+  const multi = redisClient.multi();
+  multi.set(challengeKey(challenge.id), JSON.stringify(challenge), { PX: CHALLENGE_TIMEOUT });
+  multi.set(inviteCodeKey(challenge.code), challenge.id, { PX: CHALLENGE_TIMEOUT });
+  for (const participant of [challenge.challenger, challenge.opponent].filter(Boolean)) {
+    multi.sAdd(userChallengesKey(participant.userId), challenge.id);
+    multi.pExpire(userChallengesKey(participant.userId), CHALLENGE_TIMEOUT);
+  }
+  await multi.exec();
+
+  console.log(`[createChallenge] ${challengerId} -> ${opponentId || 'open invite'} (${variant}/${subvariant || '-'}) ${challenge.id}`);
+  return { success: true, challenge };
+}
+
+/**
+ * Find a pending challenge by id or invite code
+ */
+export async function getChallenge({ challengeId, code }) {
+  if (challengeId) return readChallenge(challengeId);
+  if (!code) return null;
+  const id = await redisClient.get(inviteCodeKey(String(code).toUpperCase()));
+  return id ? readChallenge(id) : null;
+}
+
+/**
+ * Accept a challenge (by id or invite code) and start the game. Direct challenges can only be
+ * accepted by the challenged user, open invites by anyone but the challenger. Each challenge
+ * starts at most one game.
+ * @returns {Promise<Object>} { success, challenge, sessionId, gameState } or { success: false, code, message }
+ */
+export async function acceptChallenge({ challengeId, code, userId }) {
+  const challenge = await getChallenge({ challengeId, code });
+  if (!challenge) return failure('CHALLENGE_NOT_FOUND', 'Challenge not found or expired');
+
+  if (challenge.challenger.userId === userId) {
+    return failure('INVALID_OPPONENT', 'You cannot accept your own challenge');
+  }
+  if (challenge.opponent && challenge.opponent.userId !== userId) {
+    return failure('NOT_CHALLENGED', 'This challenge is for another player');
+  }
+
+  const [challengerSession, accepterSession] = await Promise.all([
+    getUserActiveSession(challenge.challenger.userId),
+    getUserActiveSession(userId),
+  ]);
+  if (challengerSession || accepterSession) {
+    return failure('PLAYER_IN_GAME', 'A player is already in a game');
+  }
+
+  const [challengerDoc, accepterDoc] = await Promise.all([
+    UserModel.findById(challenge.challenger.userId).select('_id name variantRatings'),
+    UserModel.findById(userId).select('_id name variantRatings'),
+  ]);
+  if (!challengerDoc || !accepterDoc) return failure('USER_NOT_FOUND', 'User not found');
+
+  // Only the first accept gets the challenge
+  const claimed = await redisClient.del(challengeKey(challenge.id));
+  if (!claimed) return failure('CHALLENGE_NOT_FOUND', 'Challenge not found or expired');
+  await removeChallenge(challenge);
+
+  const toPlayer = (doc) => ({
+    userId: doc._id.toString(),
+    username: doc.name,
+    rating: Math.round(getVariantRating(doc, challenge.variant, challenge.subvariant).rating),
+  });
+  const challenger = toPlayer(challengerDoc);
+  const accepter = toPlayer(accepterDoc);
+
+  let whiteUserId = null;
+  if (challenge.color === 'white') whiteUserId = challenger.userId;
+  if (challenge.color === 'black') whiteUserId = accepter.userId;
+
+  const customConfig = { rated: challenge.rated, whiteUserId };
+  if (challenge.timeControl) customConfig.timeControl = challenge.timeControl;
+
+  const { sessionId, gameState } = await createGameSession(
+    challenger,
+    accepter,
+    challenge.variant,
+    challenge.subvariant,
+    { [challenger.userId]: 'challenge', [accepter.userId]: 'challenge' },
+    customConfig,
+  );
+
+  console.log(`[acceptChallenge] ${challenge.id} accepted by ${userId}: session ${sessionId}`);
+  return { success: true, challenge, sessionId, gameState };
+}
+
+/**
+ * Decline a challenge (challenged user) or cancel it (challenger)
+ * @returns {Promise<Object>} { success, challenge } or { success: false, code, message }
+ */
+export async function declineChallenge({ challengeId, userId }) {
+  const challenge = await readChallenge(challengeId);
+  if (!challenge) return failure('CHALLENGE_NOT_FOUND', 'Challenge not found or expired');
+
+  const participants = [challenge.challenger.userId, challenge.opponent?.userId];
+  if (!participants.includes(userId)) {
+    return failure('NOT_CHALLENGED', 'This challenge is for another player');
+  }
+
+  await removeChallenge(challenge);
+  return { success: true, challenge };
+}
+
+/**
+ * GET /api/challenges: the caller's pending challenges, split into received and sent
+ */
+export async function listChallenges(req, res) {
+  try {
+    const userId = req.userId;
+    const challenges = await readUserChallenges(userId);
+    return res.status(200).json({
+      success: true,
+      data: {
+        incoming: challenges.filter((challenge) => challenge.opponent?.userId === userId),
+        outgoing: challenges.filter((challenge) => challenge.challenger.userId === userId),
+      },
+    });
+  } catch (err) {
+    console.error('[listChallenges] Error:', err);
+    return res.status(500).json({ success: false, message: 'Internal server error' });
+  }
+}
+
+/**
+ * GET /api/challenges/invite/:code: what an invite link offers, before accepting it
+ */
+export async function getInvite(req, res) {
+  try {
+    const challenge = await getChallenge({ code: req.params.code });
+    if (!challenge) {
+      return res.status(404).json({ success: false, message: 'Invite not found or expired' });
+    }
+    return res.status(200).json({ success: true, data: challenge });
+  } catch (err) {
+    console.error('[getInvite] Error:', err);
+    return res.status(500).json({ success: false, message: 'Internal server error' });
+  }
+}
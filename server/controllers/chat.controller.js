@@ -0,0 +1,141 @@
+import { v4 as uuidv4 } from 'uuid';
+import redisClient, { chatKey, chatMutedKey, chatRateKey } from '../config/redis.config.js';
+import gameModel from '../models/game.model.js';
+import { getSessionById, sessionTtl } from './session.controller.js';
+import { filterChatText } from '../utils/chatFilter.js';
+import { serverNow } from '../utils/clock.js';
+
+// Canned messages, sent by key so clients can show them in the player's language
+export const QUICK_MESSAGES = {
+  hello: 'Hello',
+  goodLuck: 'Good luck',
+  goodGame: 'Good game',
+  wellPlayed: 'Well played',
+  thanks: 'Thanks',
+  rematch: 'Rematch?',
+};
+
+const MAX_MESSAGE_LENGTH = 200;
+// History kept per session; older messages are dropped
+const MAX_HISTORY = 100;
+// At most RATE_LIMIT_MESSAGES per player every RATE_LIMIT_WINDOW ms
+const RATE_LIMIT_MESSAGES = 5;
+const RATE_LIMIT_WINDOW = 10 * 1000;
+
+const getPlayerColor = (gameState, userId) =>
+  gameState.players?.white?.userId === userId ? 'white' : gameState.players?.black?.userId === userId ? 'black' : null;
+
+// What clients see of a message: the unfiltered text stays server-side for report review
+const toPublicMessage = ({ original, ...message }) => message;
+
+async function readHistory(sessionId) {
+  const entries = await redisClient.lRange(chatKey(sessionId), 0, -1);
+  return entries.map((entry) => JSON.parse(entry));
+}
+
+/**
+ * Post a chat message from one of the players. Either `text` or a `quick` key of QUICK_MESSAGES.
+ * Blocklisted words are masked; such messages are marked `flagged` and keep the original text
+ * in the stored history. Players can keep chatting after the game ended, while the session lasts.
+ * @returns {Promise<Object>} { success, message, recipients } where recipients are the userIds that
+ *   have not muted the chat (the sender always gets its own message), or { success: false, code, message }
+ */
+export async function sendChatMessage({ sessionId, userId, text, quick }) {
+  const session = await getSessionById(sessionId);
+  if (!session) return { success: false, code: 'GAME_NOT_FOUND', message: 'Game not found' };
+
+  const { gameState } = session;
+  const color = getPlayerColor(gameState, userId);
+  if (!color) return { success: false, code: 'NOT_A_PLAYER', message: 'Only players can chat' };
+
+  let body;
+  if (quick !== undefined && quick !== null) {
+    if (!Object.hasOwn(QUICK_MESSAGES, quick)) {
+      return { success: false, code: 'UNKNOWN_QUICK_MESSAGE', message: 'Unknown quick message' };
+    }
+    body = { text: QUICK_MESSAGES[quick], flagged: false };
+  } else {
+    const trimmed = typeof text === 'string' ? text.trim() : '';
+    if (!trimmed) return { success: false, code: 'CHAT_EMPTY', message: 'Message is empty' };
+    if (trimmed.length > MAX_MESSAGE_LENGTH) {
+      return { success: false, code: 'CHAT_TOO_LONG', message: `Messages are limited to ${MAX_MESSAGE_LENGTH} characters` };
+    }
+    body = filterChatText(trimmed);
+    if (body.flagged) body.original = trimmed;
+  }
+
+  const rateKey = chatRateKey(sessionId, userId);
+  const sent = await redisClient.incr(rateKey);
+  if (sent === 1) await redisClient.pExpire(rateKey, RATE_LIMIT_WINDOW);
+  if (sent > RATE_LIMIT_MESSAGES) {
+    return { success: false, code: 'CHAT_RATE_LIMITED', message: 'You are sending messages too fast' };
+  }
+
+  const message = {
+    id: uuidv4(),
+    userId,
+    username: gameState.players[color].username,
+    color,
+    quick: quick ?? null,
+    ...body,
+    timestamp: serverNow(),
+  };
+
+  // Lives as long as the session; updateGameState keeps the expiry of both in step
+  const multi = redisClient.multi();
+  multi.rPush(chatKey(sessionId), JSON.stringify(message));
+  multi.lTrim(chatKey(sessionId), -MAX_HISTORY, -1);
+  multi.expire(chatKey(sessionId), sessionTtl(gameState));
+  await multi.exec();
+
+  // Post-game messages: the Game document already holds the chat copied by finalizeGame
+  if (gameState.status === 'finished') {
+    await gameModel.updateOne({ sessionId }, { $push: { chat: message } });
+  }
+
+  if (message.flagged) {
+    console.warn(`[sendChatMessage] Flagged message from ${userId} in ${sessionId}`);
+  }
+
+  const muted = await redisClient.sMembers(chatMutedKey(sessionId));
+  const recipients = [gameState.players.white.userId, gameState.players.black.userId].filter(
+    (playerId) => playerId === userId || !muted.includes(playerId),
+  );
+  return { success: true, message: toPublicMessage(message), recipients };
+}
+
+/**
+ * Chat history of a session as shown to a player, plus whether that player muted the chat.
+ * Muted players get an empty history.
+ */
+export async function getChatHistory({ sessionId, userId }) {
+  const muted = await redisClient.sIsMember(chatMutedKey(sessionId), userId);
+  if (muted) return { messages: [], muted: true };
+  const messages = await readHistory(sessionId);
+  return { messages: messages.map(toPublicMessage), muted: false };
+}
+
+/**
+ * Turn the chat off (or back on) for one player of the session: a muted player stops receiving
+ * the opponent's messages and history.
+ * @returns {Promise<Object>} { success, muted } or { success: false, code, message }
+ */
+export async function toggleChatMute({ sessionId, userId }) {
+  const session = await getSessionById(sessionId);
+  if (!session) return { success: false, code: 'GAME_NOT_FOUND', message: 'Game not found' };
+  if (!getPlayerColor(session.gameState, userId)) {
+    return { success: false, code: 'NOT_A_PLAYER', message: 'Only players can chat' };
+  }
+
+  const key = chatMutedKey(sessionId);
+  const muted = !(await redisClient.sIsMember(key, userId));
+  const multi = redisClient.multi();
+  if (muted) {
+    multi.sAdd(key, userId);
+  } else {
+    multi.sRem(key, userId);
+  }
+  multi.expire(key, sessionTtl(session.gameState));
+  await multi.exec();
+  return { success: true, muted };
+}
@@ -1,35 +1,111 @@
-import {
-  getLegalMoves as legalMovesBullet,
-  validateAndApplyMove as validateBullet,
-} from "../validations/classic/bullet.js"
+import { getVariant } from "../validations/registry.js"
+import { serverNow, eventTimestamp } from "../utils/clock.js"
+import { chargeElapsed } from "../utils/timeControl.js"
 import {
-  validateAndApplyMove as validateStandard,
-  getLegalMoves as legalMovesStandard,
-} from "../validations/classic/standard.js"
-import {
-  getCrazyhouseStandardLegalMoves as legalMovesCzyStnd,
-  validateAndApplyCrazyhouseStandardMove as validateCzyStd,
-} from "../validations/crazyhouse/crazyhouseStandard.js"
-import {
-  validateAndApplyCrazyhouseMove as validateCzyTimer,
-  getCrazyhouseLegalMoves as legalMovesCzyTimer,
-  getCurrentCrazyhouseTimers,
-  serializeCrazyhouseState,
-  deserializeCrazyhouseState,
-  getPocketStatus,
-  getAvailableDropPieces,
-  expireDropPieces,
-} from "../validations/crazyhouse/crazyhouseTimer.js"
-import { getDecayLegalMoves, validateAndApplyDecayMove } from "../validations/decay.js"
-import {
-  getLegalMoves as legalMovesSixPointer,
-  validateAndApplyMove as validateSixPointer,
-} from "../validations/sixPointer.js"
-import { getSessionById, updateGameState } from "./session.controller.js"
-
-// Make a move
-export async function makeMove({ sessionId, userId, move, timestamp, variant, subvariant }) {
-  console.log("Making move:", move, "for user:", userId, "at timestamp:", timestamp)
+  finalizeGame,
+  getSessionById,
+  updateGameState,
+  getScheduledDeadline,
+  getFirstMoveDeadline,
+  scheduleClockDeadline,
+  checkTimeForfeiture,
+  pushPlySnapshot,
+  popPlySnapshot,
+} from "./session.controller.js"
+
+// Legal moves of the side to move, computed once per position: sessionId -> { ply, color, moves, expiresAt }.
+// makeMove and applyTimeoutPenalty store the entry for every new position, so square clicks are
+// answered without touching Redis. Crazyhouse withTimer entries expire with the droppable piece.
+const legalMovesCache = new Map()
+
+// All legal moves of the side to move: board moves, crazyhouse drops, decay without frozen pieces
+function computeLegalMoves(gameState, now) {
+  const engine = getVariant(gameState.variantName, gameState.subvariantName)
+  if (!engine) throw new Error("Invalid variant or subvariant")
+
+  const board = engine.deserialize(gameState.board, now)
+  const color = board.activeColor === "black" || board.activeColor === "b" ? "black" : "white"
+  const moves = engine.legalMoves(board, color, now)
+  const expiresAt = engine.legalMovesValidUntil ? engine.legalMovesValidUntil(board, color) : Infinity
+
+  return { color, moves: moves || [], expiresAt }
+}
+
+/**
+ * Compute and cache the legal moves of the game's current position.
+ * Finished games drop their entry and return null.
+ * @param {number} [now] - time of the event that produced the position
+ * @returns {{ ply: number, color: string, moves: Object[], expiresAt: number }|null}
+ */
+export function cacheLegalMoves(sessionId, gameState, now = serverNow()) {
+  if (!gameState || gameState.status !== "active") {
+    legalMovesCache.delete(sessionId)
+    return null
+  }
+  const entry = { ply: (gameState.moves || []).length, ...computeLegalMoves(gameState, now) }
+  legalMovesCache.set(sessionId, entry)
+  return entry
+}
+
+export function clearLegalMoves(sessionId) {
+  legalMovesCache.delete(sessionId)
+}
+
+// What a takeback restores: the state a ply is played from. Only unrated games keep snapshots.
+function takePlySnapshot(gameState, now) {
+  if (gameState.metadata?.rated !== false) return null
+  return JSON.parse(
+    JSON.stringify({
+      ply: (gameState.moves || []).length,
+      takenAt: now,
+      board: gameState.board,
+      gameState: gameState.gameState ?? null,
+      lastMove: gameState.lastMove ?? null,
+      moveCount: gameState.moveCount || 0,
+      timeControl: gameState.timeControl ?? null,
+      positionHistoryLength: (gameState.positionHistory || []).length,
+    }),
+  )
+}
+
+// Move the absolute times (ms) of a restored board forward by `delta`: turn start, six-pointer
+// move timers and crazyhouse drop deadlines. Decay timers only store remaining time.
+function shiftBoardTimestamps(board, delta) {
+  for (const field of ["turnStartTimestamp", "lastMoveTimestamp"]) {
+    if (typeof board[field] === "number") board[field] += delta
+  }
+  for (const color of ["white", "black"]) {
+    const timer = board.timers?.[color]
+    if (timer && typeof timer.lastUpdateTime === "number") timer.lastUpdateTime += delta
+    const dropTimers = board.dropTimers?.[color]
+    if (dropTimers) {
+      for (const pieceId of Object.keys(dropTimers)) dropTimers[pieceId] += delta
+    }
+  }
+}
+
+// Variant details that change move by move, stored with each move for the game record (PGN comments)
+function getMoveAnnotations(variant, board) {
+  if (variant === "decay") {
+    return {
+      frozenPieces: {
+        white: [...(board.frozenPieces?.white || [])],
+        black: [...(board.frozenPieces?.black || [])],
+      },
+    }
+  }
+  if (variant === "sixpointer") {
+    return { points: { ...(board.points || { white: 0, black: 0 }) } }
+  }
+  return {}
+}
+
+// Make a move. Every clock of the move is charged at one server time: the client's `timestamp`
+// only moves it back by the player's lag, up to MAX_LAG_COMPENSATION. The rules are the stored
+// game's variant, never one named by the client.
+export async function makeMove({ sessionId, userId, move, timestamp }) {
+  const now = eventTimestamp(timestamp)
+  console.log("Making move:", move, "for user:", userId, "at timestamp:", now)
   const session = await getSessionById(sessionId)
   if (!session) return { type: "game:error", message: "Session not found" }
 
@@ -39,22 +115,16 @@ export async function makeMove({ sessionId, userId, move, timestamp, variant, su
   }
 
   const gameState = session.gameState
+  const { variantName: variant, subvariantName: subvariant } = gameState
+  // Taken before any engine touches the board (unrated games only)
+  const plySnapshot = takePlySnapshot(gameState, now)
 
-  // Clamp timers to baseTime + increment for classic/standard
   if (variant === "classic") {
-    const baseTime = gameState.timeControl?.baseTime
-    const increment = gameState.timeControl?.increment
-    for (const color of ["white", "black"]) {
-      if (typeof gameState.board[`${color}Time`] === "number") {
-        const maxTime = baseTime
-        gameState.board[`${color}Time`] = Math.min(gameState.board[`${color}Time`], maxTime)
-      }
-    }
     // Start timer for active player immediately
     const activeColor = gameState.board.activeColor
     if (gameState.board.timers && gameState.board.timers[activeColor]) {
       gameState.board.timers[activeColor].isRunning = true
-      gameState.board.timers[activeColor].lastUpdateTime = timestamp || Date.now()
+      gameState.board.timers[activeColor].lastUpdateTime = now
     }
     const opponentColor = activeColor === "white" ? "black" : "white"
     if (gameState.board.timers && gameState.board.timers[opponentColor]) {
@@ -72,134 +142,39 @@ export async function makeMove({ sessionId, userId, move, timestamp, variant, su
   gameState.metadata = gameState.metadata || {}
   gameState.metadata.drawOffers = gameState.metadata.drawOffers || { white: false, black: false }
 
-  // Initialize crazyhouse-specific properties if this is a crazyhouse game
-  if (variant === "crazyhouse") {
-    if (!gameState.board.pocketedPieces) {
-      gameState.board.pocketedPieces = { white: [], black: [] }
-    }
-    if (subvariant === "withTimer") {
-      // Deserialize Maps if they come from a plain object (e.g., database)
-      gameState.board = deserializeCrazyhouseState(gameState.board)
-      if (!gameState.board.dropTimers) {
-        gameState.board.dropTimers = { white: new Map(), black: new Map() }
-      }
-      if (!gameState.board.repetitionMap) {
-        gameState.board.repetitionMap = new Map()
-      }
-      gameState.board.whiteTime = gameState.board.whiteTime ?? 180000
-      gameState.board.blackTime = gameState.board.blackTime ?? 180000
-      gameState.board.increment = gameState.board.increment ?? 2000
-      gameState.board.turnStartTimestamp = gameState.board.turnStartTimestamp ?? timestamp
-      gameState.board.lastMoveTimestamp = gameState.board.lastMoveTimestamp ?? timestamp
-      gameState.board.gameStarted = gameState.board.gameStarted ?? false
-      gameState.board.firstMoveTimestamp = gameState.board.firstMoveTimestamp ?? null
-      if (!gameState.board.frozenPieces) {
-        gameState.board.frozenPieces = { white: [], black: [] }
-      }
-    }
-  }
+  const engine = getVariant(variant, subvariant)
+  if (!engine) return { type: "game:error", message: "Invalid variant or subvariant" }
 
-  const now = timestamp || Date.now()
+  // Stored boards are plain JSON: the engine restores its Maps and fills in missing fields
+  gameState.board = engine.deserialize(gameState.board, now)
 
   // SixPointer timer logic
+  const perMove = gameState.timeControl?.perMove || 30000
   if (variant === "sixpointer") {
     if (!gameState.board.timers) {
       gameState.board.timers = {
-        white: { remaining: 30000, lastUpdateTime: now, isRunning: true },
-        black: { remaining: 30000, lastUpdateTime: now, isRunning: false },
+        white: { remaining: perMove, lastUpdateTime: now, isRunning: true },
+        black: { remaining: perMove, lastUpdateTime: now, isRunning: false },
       }
     }
-    gameState.board.whiteTime = gameState.board.whiteTime ?? 30000
-    gameState.board.blackTime = gameState.board.blackTime ?? 30000
+    gameState.board.whiteTime = gameState.board.whiteTime ?? perMove
+    gameState.board.blackTime = gameState.board.blackTime ?? perMove
 
     const currentSixPointerPlayerTime = gameState.board.timers[color].remaining
     const elapsed = now - (gameState.board.timers[color].lastUpdateTime || now)
     gameState.board.timers[color].remaining = Math.max(0, currentSixPointerPlayerTime - elapsed)
     gameState.board[`${color}Time`] = gameState.board.timers[color].remaining
 
-    let timeoutPenaltyApplied = false
-    if (gameState.board.timers[color].remaining <= 0) {
-      // Apply a -1 point penalty but do NOT abort the incoming move.
-      // The move will still be validated/applied and counted (+1 move),
-      // while the player's points are reduced by 1.
-      gameState.board.points = gameState.board.points || { white: 0, black: 0 }
-      gameState.board.points[color] = Math.max(0, (gameState.board.points[color] || 0) - 1)
-
-      // Track timeout penalties for auditing/UI
-      gameState.board.timeoutPenalties = gameState.board.timeoutPenalties || { white: 0, black: 0 }
-      gameState.board.timeoutPenalties[color] = (gameState.board.timeoutPenalties[color] || 0) + 1
-
-      // Record a small metadata object so clients/admin UI can surface the penalty
-      gameState.board.lastTimeoutPenalty = {
-        color,
-        penalty: -1,
-        message: `${color} timed out, 1 point deducted.`,
-        timestamp: now,
-      }
-
-      // Reflect zero remaining for the timed-out player until the move is applied
-      gameState.board.timers[color].remaining = 0
-      gameState.board.timers[color].lastUpdateTime = now
-      // Keep whiteTime/blackTime in sync for clients
-      gameState.board.whiteTime = gameState.board.timers.white.remaining
-      gameState.board.blackTime = gameState.board.timers.black.remaining
-
-      timeoutPenaltyApplied = true
-      // Do NOT return here; allow the validator to process the move so move count increases
+    // The move came in after the player's time ran out: it is discarded and the player gets the
+    // timeout penalty instead, the same ply the clock worker would have applied (expireClock)
+    if (color === gameState.board.activeColor && gameState.board.timers[color].remaining <= 0) {
+      const penalty = await applyTimeoutPenalty({ sessionId, userId, timestamp })
+      return penalty.validationResult ? { type: "game:timeoutPenalty", ...penalty } : penalty
     }
     gameState.board.timers[color].lastUpdateTime = now
   }
 
-  // Determine which validator and legal moves function to use
-  let validateFunc
-  let legalMovesFunc
-
-  if (variant === "classic") {
-    if (subvariant === "standard") {
-      validateFunc = validateStandard
-      legalMovesFunc = legalMovesStandard
-    } else if (subvariant === "bullet") {
-      validateFunc = validateBullet
-      legalMovesFunc = legalMovesBullet
-    }
-  } else if (variant === "crazyhouse") {
-    if (subvariant === "standard") {
-      validateFunc = validateCzyStd
-      legalMovesFunc = legalMovesCzyStnd
-    } else if (subvariant === "withTimer") {
-      validateFunc = validateCzyTimer
-      legalMovesFunc = legalMovesCzyTimer
-    }
-  } else if (variant === "sixpointer") {
-    validateFunc = validateSixPointer
-    legalMovesFunc = legalMovesSixPointer
-  } else if (variant === "decay") {
-    validateFunc = validateAndApplyDecayMove
-    legalMovesFunc = getDecayLegalMoves
-  }
-
-  if (!validateFunc || !legalMovesFunc) {
-    return { type: "game:error", message: "Invalid variant or subvariant" }
-  }
-
-  // For Crazyhouse variants, pass pocketedPieces for legal moves
-  let possibleMoves
-  if (variant === "crazyhouse" && subvariant === "standard") {
-    possibleMoves = legalMovesFunc(gameState.board.fen, gameState.board.pocketedPieces, color)
-  } else if (variant === "crazyhouse" && subvariant === "withTimer") {
-    // Before getting possible moves, ensure any expired pieces are handled
-    expireDropPieces(gameState.board, now)
-    possibleMoves = legalMovesFunc(
-      gameState.board.fen,
-      gameState.board.pocketedPieces,
-      gameState.board.dropTimers,
-      color,
-    )
-    console.log("Possible moves:", possibleMoves)
-    console.log("Move received:", move)
-  } else {
-    possibleMoves = legalMovesFunc(gameState.board.fen)
-  }
+  const possibleMoves = engine.legalMoves(gameState.board, color, now)
 
   console.log("Moves received:", move)
   const isMoveLegal =
@@ -219,46 +194,24 @@ export async function makeMove({ sessionId, userId, move, timestamp, variant, su
   }
 
   // Apply move using the variant-specific validator
-  const result = validateFunc(gameState.board, move, color, now)
+  const result = engine.applyMove(gameState.board, move, color, now)
   console.log("Move validation result from variant validator:", result)
 
   if (!result.valid) {
-    // Special handling for TIMEOUT_PENALTY in six-pointer variant
-    if (result.code === "TIMEOUT_PENALTY" && variant === "sixpointer") {
-      console.log("TIMEOUT_PENALTY detected - updating game state and continuing")
-      
-      // Update the board state with the timeout penalty applied
-      gameState.board = result.state
-      
-      // Update timers after timeout penalty
-      const newActiveColor = result.state.activeColor
-      if (gameState.board.timers) {
-        gameState.board.timers[newActiveColor].remaining = 30000
-        gameState.board.timers[newActiveColor].lastUpdateTime = now
-        gameState.board[`${newActiveColor}Time`] = 30000
-      }
-      
-      // Store the timeout penalty information for client notification
-      gameState.board.lastTimeoutPenalty = {
-        player: color,
-        timestamp: now,
-        message: result.reason || "Timeout penalty applied",
-        pointsDeducted: result.timeoutPenalty?.pointsDeducted || 1,
-        newActiveColor: newActiveColor,
-      }
-      
-      // Save the updated game state
+    // The validator flagged the player before applying the move (clock ran out)
+    if (result.gameEnded && result.winnerColor) {
+      gameState.status = "finished"
+      gameState.result = result.result
+      gameState.resultReason = result.endReason || "timeout"
+      gameState.winner = result.winnerColor
+      gameState.endedAt = result.endTimestamp || now
+      gameState.board = engine.serialize(gameState.board, now)
+
       await updateGameState(sessionId, gameState)
-      
-      return {
-        type: "game:timeoutPenalty",
-        message: result.reason || "Timeout penalty applied",
-        timeoutPenalty: result.timeoutPenalty,
-        gameState,
-        penaltyApplied: true,
-      }
+      await finalizeGame(sessionId, gameState)
+      return { type: "game:end", message: result.reason, gameState }
     }
-    
+
     return {
       type: "game:warning",
       message: result.reason || "Invalid move",
@@ -269,21 +222,27 @@ export async function makeMove({ sessionId, userId, move, timestamp, variant, su
 
   // Update game state using the *entire* state object returned by the validator
   gameState.board = result.state
-  gameState.moves.push(result.move)
+  // Stored copy carries when the move was made and the clocks right after it, for the game record
+  gameState.moves.push({
+    ...result.move,
+    timestamp: now,
+    clocks: { white: result.state.whiteTime, black: result.state.blackTime },
+    ...getMoveAnnotations(variant, result.state),
+  })
   gameState.moveCount = (gameState.moveCount || 0) + 1
   gameState.lastMove = result.move
   gameState.positionHistory.push(result.state.fen)
   gameState.gameState = result
+  // A pending takeback request was about the previous position
+  delete gameState.metadata.takebackRequest
 
-  // For decay variant, ensure timeControl structure is properly populated
+  // For decay variant, keep the timeControl timers in step with the board clocks
   if (variant === "decay") {
     gameState.timeControl = gameState.timeControl || {}
     gameState.timeControl.timers = {
-      white: result.state.whiteTime || 180000,
-      black: result.state.blackTime || 180000,
+      white: result.state.whiteTime,
+      black: result.state.blackTime,
     }
-    gameState.timeControl.baseTime = 180000
-    gameState.timeControl.increment = 2000
   }
 
   // For SixPointer, reset timers after a valid move
@@ -291,75 +250,27 @@ export async function makeMove({ sessionId, userId, move, timestamp, variant, su
     const activeColor = gameState.board.activeColor
     const opponentColor = activeColor === "white" ? "black" : "white"
 
-    // Reset timer for next player (opponent) to 30 seconds
-    gameState.board.timers[opponentColor].remaining = 30000
+    // Reset timer for next player (opponent) to the per-move time
+    gameState.board.timers[opponentColor].remaining = perMove
     gameState.board.timers[opponentColor].lastUpdateTime = now
-    gameState.board[`${opponentColor}Time`] = 30000
+    gameState.board[`${opponentColor}Time`] = perMove
 
     // Ensure current player's timer is properly tracked
     gameState.board.timers[activeColor].lastUpdateTime = now
 
-    console.log(`Resetting timer for ${opponentColor} to 30 seconds`)
+    console.log(`Resetting timer for ${opponentColor} to ${perMove / 1000} seconds`)
   }
   // Note: For decay variant, timer increment is handled inside the decay validator
 
-  // For Crazyhouse withTimer, update pocket status and serialize state
-  if (variant === "crazyhouse" && subvariant === "withTimer") {
-    const nowForPocket = Date.now()
-    // 1. Update pocket status first
-    gameState.board.pocketStatus = {
-      white: getPocketStatus(gameState.board, "white", nowForPocket),
-      black: getPocketStatus(gameState.board, "black", nowForPocket),
-    }
-
-    // 2. Update available drops (only for active player)
-    const activeColor = gameState.board.activeColor
-    gameState.board.availableDropPieces = {
-      white: activeColor === "white" ? getAvailableDropPieces(gameState.board, "white", nowForPocket) : [],
-      black: activeColor === "black" ? getAvailableDropPieces(gameState.board, "black", nowForPocket) : [],
-    }
-
-    // 3. Update frozen pieces (preserving state)
-    const currentFrozen = gameState.board.frozenPieces || { white: [], black: [] }
-    gameState.board.frozenPieces = {
-      white: [...new Set([...currentFrozen.white, ...(gameState.board.pocketStatus.white.frozen || [])])],
-      black: [...new Set([...currentFrozen.black, ...(gameState.board.pocketStatus.black.frozen || [])])],
-    }
-
-    // 4. Serialize for storage
-    gameState.board.dropTimers = {
-      white: Object.fromEntries(gameState.board.dropTimers.white),
-      black: Object.fromEntries(gameState.board.dropTimers.black),
-    }
-    gameState.board.pocketedPieces = {
-      white: [...gameState.board.pocketedPieces.white],
-      black: [...gameState.board.pocketedPieces.black],
-    }
-
-    gameState.board = serializeCrazyhouseState(gameState.board)
-  }
-
-  if (variant === "crazyhouse" && subvariant === "withTimer") {
-    // Clean up any expired timers
-    const nowForCleanup = Date.now()
-    expireDropPieces(gameState.board, nowForCleanup)
-
-    // Clean up paused flags that are no longer needed
-    for (const color of ["white", "black"]) {
-      for (const piece of gameState.board.pocketedPieces[color]) {
-        if (piece.timerPaused && !piece.remainingTime) {
-          delete piece.timerPaused
-          delete piece.remainingTime
-        }
-      }
-    }
-  }
+  // Back to the stored form (crazyhouse withTimer also refreshes its pocket status here)
+  gameState.board = engine.serialize(gameState.board, now)
 
   // Game end logic
   if (result.gameEnded) {
     gameState.status = "finished"
     gameState.result = result.result
-    gameState.resultReason = result.endReason || null
+    // Draws report "draw" as endReason; the specific rule (stalemate, repetition, ...) is in result.reason
+    gameState.resultReason = (result.result === "draw" && result.reason) || result.endReason || null
     gameState.winner = result.winnerColor || null
     gameState.endedAt = result.endTimestamp || now
   } else {
@@ -367,15 +278,20 @@ export async function makeMove({ sessionId, userId, move, timestamp, variant, su
   }
 
   await updateGameState(sessionId, gameState)
+  if (gameState.status === "finished") {
+    await finalizeGame(sessionId, gameState)
+  } else if (plySnapshot) {
+    await pushPlySnapshot(sessionId, plySnapshot, gameState)
+  }
   console.log("Game state after move:", gameState)
-  return { move: result.move, gameState }
+  return { move: result.move, gameState, legalMoves: cacheLegalMoves(sessionId, gameState, now) }
 }
 
 // Apply a timeout penalty for sixpointer variant. This can be triggered by the client
 // when the local interpolated timer reaches zero to ensure the server applies the
 // authoritative -1 point penalty and passes the turn.
-export async function applyTimeoutPenalty({ sessionId, userId, timestamp, variant, subvariant }) {
-  const now = timestamp || Date.now()
+export async function applyTimeoutPenalty({ sessionId, userId, timestamp }) {
+  const now = eventTimestamp(timestamp)
   const session = await getSessionById(sessionId)
   if (!session) return { type: "game:error", message: "Session not found" }
 
@@ -383,6 +299,9 @@ export async function applyTimeoutPenalty({ sessionId, userId, timestamp, varian
   if (!gameState || gameState.status !== "active") {
     return { type: "game:error", message: "Game not active" }
   }
+  if (gameState.variantName !== "sixpointer") {
+    return { type: "game:error", message: "Timeout penalties only apply to six-pointer games" }
+  }
 
   const color =
     gameState.players.white.userId === userId ? "white" : gameState.players.black.userId === userId ? "black" : null
@@ -394,6 +313,9 @@ export async function applyTimeoutPenalty({ sessionId, userId, timestamp, varian
     return { type: "game:error", message: "Not your turn to be penalized" }
   }
 
+  // The timeout counts as a ply, so it can be taken back like a move
+  const plySnapshot = takePlySnapshot(gameState, now)
+
   // Ensure board and points structures exist
   gameState.board = gameState.board || {}
   gameState.board.points = gameState.board.points || { white: 0, black: 0 }
@@ -460,6 +382,7 @@ export async function applyTimeoutPenalty({ sessionId, userId, timestamp, varian
     to: null,
     timestamp: now,
     reason: `${color} timed out`,
+    ...getMoveAnnotations(gameState.variantName, gameState.board),
   }
 
   gameState.moves.push(timeoutMove)
@@ -474,7 +397,23 @@ export async function applyTimeoutPenalty({ sessionId, userId, timestamp, varian
   gameState.board.movesPlayed[color] = (gameState.board.movesPlayed[color] || 0) + 1
   gameState.gameState.movesPlayed[color] = (gameState.gameState.movesPlayed[color] || 0) + 1
 
+  // A timeout can use up the last move: the game is then decided on points
+  const status = getVariant("sixpointer").gameStatus(gameState.board)
+  if (status.result !== "ongoing") {
+    gameState.status = "finished"
+    gameState.result = status.winnerColor || "draw"
+    gameState.resultReason = status.result === "draw" ? status.reason : status.result
+    gameState.winner = status.winnerColor || null
+    gameState.endedAt = now
+  }
+  delete gameState.metadata?.takebackRequest
+
   await updateGameState(sessionId, gameState)
+  if (gameState.status === "finished") {
+    await finalizeGame(sessionId, gameState)
+  } else if (plySnapshot) {
+    await pushPlySnapshot(sessionId, plySnapshot, gameState)
+  }
 
   // Keep top-level conveniences in sync for clients
   gameState.movesPlayed = gameState.board.movesPlayed
@@ -497,68 +436,79 @@ export async function applyTimeoutPenalty({ sessionId, userId, timestamp, varian
     code: "TIMEOUT_PENALTY",
   }
 
-  return { move: timeoutMove, gameState, validationResult }
+  return { move: timeoutMove, gameState, validationResult, legalMoves: cacheLegalMoves(sessionId, gameState, now) }
 }
 
-// Get possible moves for a piece
-export async function getPossibleMoves({ sessionId, square, variant, subvariant }) {
-  console.log("Getting possible moves for square:", square)
+/**
+ * Called by the clock worker once the player to move has run out of time, so a game can't stall
+ * while nobody sends moves. Six-pointer applies the timeout penalty and passes the turn;
+ * every other variant ends on time forfeit. A game whose first move never came is aborted.
+ * Returns null when there is nothing to do (a move came in meanwhile, or the game is over).
+ */
+export async function expireClock({ sessionId, now = serverNow() }) {
   const session = await getSessionById(sessionId)
-  if (!session) throw new Error("Session not found")
+  if (!session || session.gameState?.status !== "active") return null
 
   const { gameState } = session
-
-  // Deserialize Maps if this is crazyhouse withTimer
-  if (variant === "crazyhouse" && subvariant === "withTimer") {
-    gameState.board = deserializeCrazyhouseState(gameState.board)
-    expireDropPieces(gameState.board, Date.now())
+  const deadline = getScheduledDeadline(gameState)
+  if (!deadline) return null
+  if (deadline > now) {
+    // Claimed an outdated deadline: keep the current one scheduled
+    await scheduleClockDeadline(sessionId, gameState)
+    return null
   }
 
-  const fen = gameState.board.fen
-  let legalMovesFunc
-
-  if (variant === "classic") {
-    if (subvariant === "standard") {
-      legalMovesFunc = legalMovesStandard
-    } else if (subvariant === "bullet") {
-      legalMovesFunc = legalMovesBullet
-    }
-  } else if (variant === "crazyhouse") {
-    if (subvariant === "standard") {
-      legalMovesFunc = legalMovesCzyStnd
-    } else if (subvariant === "withTimer") {
-      legalMovesFunc = legalMovesCzyTimer
-    }
-  } else if (variant === "sixpointer") {
-    legalMovesFunc = legalMovesSixPointer
-  } else if (variant === "decay") {
-    legalMovesFunc = getDecayLegalMoves
+  // Nobody played the first move in time: the game is aborted and counts for no one
+  if (getFirstMoveDeadline(gameState)) {
+    gameState.status = "finished"
+    gameState.result = "aborted"
+    gameState.resultReason = "aborted"
+    gameState.winner = null
+    gameState.endedAt = deadline
+
+    await updateGameState(sessionId, gameState)
+    await finalizeGame(sessionId, gameState)
+    return { type: "game:end", gameState }
   }
 
-  if (!legalMovesFunc) {
-    throw new Error("Invalid variant or subvariant")
+  if (gameState.variantName === "sixpointer") {
+    const color = gameState.board.activeColor
+    const result = await applyTimeoutPenalty({
+      sessionId,
+      userId: gameState.players[color].userId,
+      timestamp: now,
+    })
+    return result.validationResult ? { type: "game:timeoutPenalty", ...result } : null
   }
 
-  let moves
-  if (variant === "crazyhouse") {
-    const playerColor = gameState.board.activeColor === "w" ? "white" : "black"
-    if (subvariant === "standard") {
-      moves = legalMovesFunc(fen, gameState.board.pocketedPieces, playerColor)
-    } else if (subvariant === "withTimer") {
-      moves = legalMovesFunc(fen, gameState.board.pocketedPieces, gameState.board.dropTimers, playerColor)
-    }
-    if (square === "pocket") {
-      return moves.filter((m) => m.from === "pocket")
-    }
-    return moves.filter((m) => m.from === square)
-  } else {
-    moves = legalMovesFunc(fen).filter((m) => m.from === square)
-  }
-  return moves
+  const forfeit = await checkTimeForfeiture(sessionId, now)
+  return forfeit ? { type: "game:end", gameState: forfeit.gameState } : null
+}
+
+/**
+ * Legal moves of the current position, from the cache while it is valid.
+ * Only reads Redis when the session has no entry yet (e.g. after a server restart) or a
+ * crazyhouse drop timer ran out.
+ */
+export async function getLegalMoves(sessionId) {
+  const cached = legalMovesCache.get(sessionId)
+  const now = serverNow()
+  if (cached && cached.expiresAt > now) return cached
+
+  const session = await getSessionById(sessionId)
+  if (!session) throw new Error("Session not found")
+  return cacheLegalMoves(sessionId, session.gameState, now)
+}
+
+// Get possible moves for a piece ("pocket" for crazyhouse drops)
+export async function getPossibleMoves({ sessionId, square }) {
+  const entry = await getLegalMoves(sessionId)
+  if (!entry) return []
+  return entry.moves.filter((m) => m.from === square)
 }
 
 // Get current game timers (especially useful for crazyhouse withTimer)
-export async function getCurrentTimers({ sessionId, variant, subvariant }) {
+export async function getCurrentTimers({ sessionId }) {
   const session = await getSessionById(sessionId)
   if (!session) return { type: "game:error", message: "Session not found" }
   if (!session.gameState) {
@@ -566,24 +516,12 @@ export async function getCurrentTimers({ sessionId, variant, subvariant }) {
   }
 
   const gameState = session.gameState
-  const now = Date.now()
+  const now = serverNow()
 
-  if (variant === "crazyhouse" && subvariant === "withTimer") {
-    if (!(gameState.board.dropTimers.white instanceof Map)) {
-      gameState.board = deserializeCrazyhouseState(gameState.board)
-    }
-    const timers = getCurrentCrazyhouseTimers(gameState.board, now)
-    return { timers }
-  }
+  const engine = getVariant(gameState.variantName, gameState.subvariantName)
+  if (!engine) return { type: "game:error", message: "Invalid variant or subvariant" }
 
-  return {
-    timers: {
-      white: gameState.board.whiteTime || 0,
-      black: gameState.board.blackTime || 0,
-      activeColor: gameState.board.activeColor || "white",
-      gameEnded: gameState.status === "finished",
-    },
-  }
+  return { timers: engine.tickClocks(engine.deserialize(gameState.board, now), now) }
 }
 
 // Resign (No changes needed, as it's a global game action)
@@ -603,7 +541,7 @@ export async function resign({ sessionId, userId }) {
   gameState.result = winner
   gameState.resultReason = "resignation"
   gameState.winner = winner
-  gameState.endedAt = Date.now()
+  gameState.endedAt = serverNow()
   gameState.shouldNavigateToMenu = true
   if (gameState.gameState && typeof gameState.gameState === "object") {
     gameState.gameState.shouldNavigateToMenu = true
@@ -614,6 +552,36 @@ export async function resign({ sessionId, userId }) {
   }
 
   await updateGameState(sessionId, gameState)
+  await finalizeGame(sessionId, gameState)
+  return { gameState }
+}
+
+/**
+ * End the game of a player who disconnected and did not come back in time.
+ * Before both sides have moved the game is aborted (no winner, no rating change);
+ * after that the opponent wins by abandonment. Returns null when the game already ended.
+ */
+export async function abandonGame({ sessionId, userId }) {
+  const session = await getSessionById(sessionId)
+  if (!session) return null
+
+  const { gameState } = session
+  if (gameState.status !== "active") return null
+
+  const color =
+    gameState.players.white.userId === userId ? "white" : gameState.players.black.userId === userId ? "black" : null
+  if (!color) throw new Error("User not a player in this game")
+
+  const aborted = (gameState.moves || []).length < 2
+  const winner = aborted ? null : color === "white" ? "black" : "white"
+  gameState.status = "finished"
+  gameState.result = aborted ? "aborted" : winner
+  gameState.resultReason = aborted ? "aborted" : "abandonment"
+  gameState.winner = winner
+  gameState.endedAt = serverNow()
+
+  await updateGameState(sessionId, gameState)
+  await finalizeGame(sessionId, gameState)
   return { gameState }
 }
 
@@ -654,9 +622,10 @@ export async function acceptDraw({ sessionId, userId }) {
   gameState.result = "draw"
   gameState.resultReason = "mutual_agreement"
   gameState.winner = null
-  gameState.endedAt = Date.now()
+  gameState.endedAt = serverNow()
 
   await updateGameState(sessionId, gameState)
+  await finalizeGame(sessionId, gameState)
   return { gameState }
 }
 
@@ -678,3 +647,131 @@ export async function declineDraw({ sessionId, userId }) {
   await updateGameState(sessionId, gameState)
   return { gameState }
 }
+
+/**
+ * Go berserk: in arena tournaments that allow it (metadata.berserk), a tournament player halves
+ * their own clock before their first move and scores the tournament's berserkBonus on a win
+ * (recordTournamentResult). Not for six-pointer, whose clock is per move.
+ */
+export async function berserk({ sessionId, userId }) {
+  const session = await getSessionById(sessionId)
+  if (!session) throw new Error("Session not found")
+
+  const { gameState } = session
+  if (gameState.status !== "active") throw new Error("Game is not active")
+  if (!gameState.metadata?.berserk?.allowed) throw new Error("Berserk is not allowed in this game")
+  if (gameState.variantName === "sixpointer") throw new Error("Berserk is not available with per-move clocks")
+
+  const color =
+    gameState.players.white.userId === userId ? "white" : gameState.players.black.userId === userId ? "black" : null
+  if (!color) throw new Error("User not a player in this game")
+  if (gameState.metadata.source?.[userId] !== "tournament") throw new Error("Only tournament players can go berserk")
+  if (gameState.metadata.berserk[color]) throw new Error("Already berserk")
+
+  // White's first move is ply 1, black's ply 2
+  const ownFirstPly = color === "white" ? 1 : 2
+  if ((gameState.moves || []).length >= ownFirstPly) throw new Error("Berserk is only possible before your first move")
+
+  const board = gameState.board
+  // Black's clock runs from white's first move: the time already used is charged before halving,
+  // and what is left of the move's delay still applies
+  if (board.gameStarted && board.activeColor === color && typeof board.turnStartTimestamp === "number") {
+    const now = serverNow()
+    const elapsed = Math.max(0, now - board.turnStartTimestamp)
+    board[`${color}Time`] = chargeElapsed(board[`${color}Time`], elapsed, board.delay)
+    board.turnStartTimestamp = now - Math.min(elapsed, board.delay || 0)
+  }
+  board[`${color}Time`] = Math.floor(board[`${color}Time`] / 2)
+  gameState.metadata.berserk[color] = true
+
+  await updateGameState(sessionId, gameState)
+  // Black's clock may already be running: its deadline moves closer
+  await scheduleClockDeadline(sessionId, gameState)
+  return { gameState, color }
+}
+
+/**
+ * Ask the opponent to take back the last ply. Only unrated games (metadata.rated === false)
+ * allow takebacks; one request can be pending at a time and a new move cancels it.
+ */
+export async function requestTakeback({ sessionId, userId }) {
+  const session = await getSessionById(sessionId)
+  if (!session) throw new Error("Session not found")
+
+  const { gameState } = session
+  if (gameState.status !== "active") throw new Error("Game is not active")
+  if (gameState.metadata?.rated !== false) throw new Error("Takebacks are only allowed in unrated games")
+
+  const color =
+    gameState.players.white.userId === userId ? "white" : gameState.players.black.userId === userId ? "black" : null
+  if (!color) throw new Error("User not a player in this game")
+
+  const ply = (gameState.moves || []).length
+  if (ply === 0) throw new Error("No move to take back")
+  if (gameState.metadata.takebackRequest) throw new Error("A takeback request is already pending")
+
+  gameState.metadata.takebackRequest = { by: color, ply, requestedAt: serverNow() }
+
+  await updateGameState(sessionId, gameState)
+  return { gameState }
+}
+
+/**
+ * Accept the opponent's takeback request: the last ply is reverted to the state it was played
+ * from, in every engine (decay timers, crazyhouse pockets and drop timers, six-pointer points
+ * and move counters are all part of the board). Clocks resume as they stood when the ply was
+ * played; the time spent since then is not charged to anyone.
+ */
+export async function acceptTakeback({ sessionId, userId }) {
+  const session = await getSessionById(sessionId)
+  if (!session) throw new Error("Session not found")
+
+  const { gameState } = session
+  if (gameState.status !== "active") throw new Error("Game is not active")
+
+  const color =
+    gameState.players.white.userId === userId ? "white" : gameState.players.black.userId === userId ? "black" : null
+  if (!color) throw new Error("User not a player in this game")
+
+  const request = gameState.metadata.takebackRequest
+  if (!request || request.by === color) throw new Error("No takeback request from opponent")
+  const ply = (gameState.moves || []).length
+  if (request.ply !== ply) throw new Error("Takeback request is outdated")
+
+  const snapshot = await popPlySnapshot(sessionId)
+  if (!snapshot || snapshot.ply !== ply - 1) throw new Error("The last move cannot be taken back")
+
+  const now = serverNow()
+  const revertedMove = gameState.moves[ply - 1]
+  shiftBoardTimestamps(snapshot.board, now - snapshot.takenAt)
+  gameState.board = snapshot.board
+  gameState.gameState = snapshot.gameState
+  gameState.lastMove = snapshot.lastMove
+  gameState.moveCount = snapshot.moveCount
+  gameState.timeControl = snapshot.timeControl
+  gameState.moves = gameState.moves.slice(0, snapshot.ply)
+  gameState.positionHistory = (gameState.positionHistory || []).slice(0, snapshot.positionHistoryLength)
+  delete gameState.metadata.takebackRequest
+
+  await updateGameState(sessionId, gameState)
+  return { gameState, revertedMove, legalMoves: cacheLegalMoves(sessionId, gameState, now) }
+}
+
+// Decline a takeback request (the requester may also withdraw it this way)
+export async function declineTakeback({ sessionId, userId }) {
+  const session = await getSessionById(sessionId)
+  if (!session) throw new Error("Session not found")
+
+  const { gameState } = session
+  if (gameState.status !== "active") throw new Error("Game is not active")
+
+  const color =
+    gameState.players.white.userId === userId ? "white" : gameState.players.black.userId === userId ? "black" : null
+  if (!color) throw new Error("User not a player in this game")
+  if (!gameState.metadata.takebackRequest) throw new Error("No takeback request pending")
+
+  delete gameState.metadata.takebackRequest
+
+  await updateGameState(sessionId, gameState)
+  return { gameState }
+}
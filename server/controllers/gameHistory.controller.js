@@ -0,0 +1,227 @@
+import mongoose from "mongoose";
+import gameModel from "../models/game.model.js";
+import { getSessionById, getUserActiveSession, getLiveClocks, listLiveSessions } from "./session.controller.js";
+import { spectatorRoom } from "../middlewares/gameAccess.middleware.js";
+import { toPgn, fromGameDocument, fromGameState } from "../utils/pgn.js";
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+const GAME_SOURCES = ["matchmaking", "tournament", "challenge"];
+const GAME_RESULTS = ["win", "loss", "draw"];
+
+// Cursors are opaque to clients: base64url of "<endedAt ms>:<_id>" of the last game on the page
+const encodeCursor = (game) => Buffer.from(`${new Date(game.endedAt).getTime()}:${game._id}`).toString("base64url");
+
+function decodeCursor(cursor) {
+  try {
+    const [time, id] = Buffer.from(cursor, "base64url").toString().split(":");
+    const endedAt = new Date(Number(time));
+    if (isNaN(endedAt.getTime()) || !mongoose.isValidObjectId(id)) return null;
+    return { endedAt, id: new mongoose.Types.ObjectId(id) };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Build the Mongo filter for a player's finished games from the query string.
+ * @returns {{ error?: string, filter?: Object }}
+ */
+function buildHistoryFilter(userId, { variant, subvariant, result, source, from, to, cursor }) {
+  const uid = new mongoose.Types.ObjectId(userId);
+  const conditions = [
+    { status: "finished" },
+    { $or: [{ "players.white": uid }, { "players.black": uid }] },
+  ];
+
+  if (variant) conditions.push({ variant });
+  if (subvariant) conditions.push({ subvariant });
+
+  if (result) {
+    if (!GAME_RESULTS.includes(result)) return { error: `result must be one of ${GAME_RESULTS.join(", ")}` };
+    if (result === "win") conditions.push({ winner: uid });
+    if (result === "loss") conditions.push({ winner: { $nin: [null, uid] } });
+    if (result === "draw") conditions.push({ result: "draw" });
+  }
+
+  if (source) {
+    if (!GAME_SOURCES.includes(source)) return { error: `source must be one of ${GAME_SOURCES.join(", ")}` };
+    conditions.push({ [`source.${userId}`]: source });
+  }
+
+  if (from || to) {
+    const range = {};
+    if (from) range.$gte = new Date(from);
+    if (to) range.$lte = new Date(to);
+    if (Object.values(range).some((date) => isNaN(date.getTime()))) {
+      return { error: "from/to must be valid dates" };
+    }
+    conditions.push({ endedAt: range });
+  }
+
+  if (cursor) {
+    const decoded = decodeCursor(cursor);
+    if (!decoded) return { error: "Invalid cursor" };
+    conditions.push({
+      $or: [
+        { endedAt: { $lt: decoded.endedAt } },
+        { endedAt: decoded.endedAt, _id: { $lt: decoded.id } },
+      ],
+    });
+  }
+
+  return { filter: { $and: conditions } };
+}
+
+/**
+ * GET /api/games?userId=&variant=&subvariant=&result=&source=&from=&to=&limit=&cursor=
+ * Finished games of a player (the caller by default), newest first.
+ * `result` is relative to that player (win/loss/draw). Pass `nextCursor` back as `cursor` for the next page.
+ */
+export const listGames = async (req, res) => {
+  try {
+    const userId = req.query.userId || req.userId;
+    if (!mongoose.isValidObjectId(userId)) {
+      return res.status(400).json({ success: false, message: "Invalid user id" });
+    }
+
+    const { error, filter } = buildHistoryFilter(userId, req.query);
+    if (error) return res.status(400).json({ success: false, message: error });
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+    // Fetch one extra game to know whether another page exists
+    const games = await gameModel.find(filter)
+      .sort({ endedAt: -1, _id: -1 })
+      .limit(limit + 1)
+      .select("-moves -state -variantData")
+      .populate("players.white players.black winner", "name")
+      .lean();
+
+    const hasMore = games.length > limit;
+    const page = hasMore ? games.slice(0, limit) : games;
+
+    return res.status(200).json({
+      success: true,
+      data: page,
+      nextCursor: hasMore ? encodeCursor(page[page.length - 1]) : null,
+    });
+  } catch (err) {
+    console.error("[listGames] Error:", err);
+    return res.status(500).json({ success: false, message: "Internal Server Error" });
+  }
+};
+
+/**
+ * GET /api/games/live?variant=&subvariant=&tournament=true&limit=
+ * Games in progress that can be watched, highest rated first, with their current spectator count.
+ * Watch one by connecting to the /game namespace with its sessionId.
+ */
+export const listLiveGames = async (req, res) => {
+  try {
+    const { variant, subvariant } = req.query;
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+    const games = await listLiveSessions({ variant, subvariant, tournament: req.query.tournament === "true", limit });
+
+    const rooms = req.app.get("io")?.of("/game").adapter.rooms;
+    const data = games.map((game) => ({ ...game, spectators: rooms?.get(spectatorRoom(game.sessionId))?.size || 0 }));
+
+    return res.status(200).json({ success: true, data });
+  } catch (err) {
+    console.error("[listLiveGames] Error:", err);
+    return res.status(500).json({ success: false, message: "Internal Server Error" });
+  }
+};
+
+/**
+ * GET /api/games/active
+ * The caller's game in progress, if any, so the client can reconnect to it (then emit `game:resume`).
+ */
+export const getActiveGame = async (req, res) => {
+  try {
+    const session = await getUserActiveSession(req.userId);
+    if (!session || session.gameState?.status !== "active") {
+      return res.status(200).json({ success: true, data: null });
+    }
+
+    const { gameState } = session;
+    return res.status(200).json({
+      success: true,
+      data: {
+        sessionId: session.sessionId,
+        variant: gameState.variantName,
+        subvariant: gameState.subvariantName,
+        color: gameState.players.white.userId === req.userId ? "white" : "black",
+        gameState,
+        clocks: getLiveClocks(gameState),
+      },
+    });
+  } catch (err) {
+    console.error("[getActiveGame] Error:", err);
+    return res.status(500).json({ success: false, message: "Internal Server Error" });
+  }
+};
+
+/**
+ * GET /api/games/:sessionId
+ * Full record of a game: move list with timestamps, final state, clocks and variant data.
+ * Games still in progress are only visible to their players.
+ */
+export const getGameBySessionId = async (req, res) => {
+  try {
+    const game = await gameModel.findOne({ sessionId: req.params.sessionId })
+      .populate("players.white players.black winner", "name")
+      .lean();
+
+    if (!game) {
+      return res.status(404).json({ success: false, message: "Game not found" });
+    }
+
+    const isPlayer = [game.players?.white?._id, game.players?.black?._id].some((id) => id?.toString() === req.userId);
+    if (game.status !== "finished" && !isPlayer) {
+      return res.status(404).json({ success: false, message: "Game not found" });
+    }
+
+    return res.status(200).json({ success: true, data: game });
+  } catch (err) {
+    console.error("[getGameBySessionId] Error:", err);
+    return res.status(500).json({ success: false, message: "Internal Server Error" });
+  }
+};
+
+/**
+ * GET /api/games/:sessionId/pgn
+ * Download a game as PGN. Finished games come from the Game collection; a game in progress
+ * is exported from its Redis session (result "*") for its players only.
+ */
+export const exportGamePgn = async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const game = await gameModel.findOne({ sessionId })
+      .populate("players.white players.black", "name")
+      .lean();
+
+    if (!game) {
+      return res.status(404).json({ success: false, message: "Game not found" });
+    }
+
+    let pgn;
+    if (game.status === "finished") {
+      pgn = toPgn(fromGameDocument(game));
+    } else {
+      const isPlayer = [game.players?.white?._id, game.players?.black?._id].some((id) => id?.toString() === req.userId);
+      const session = isPlayer ? await getSessionById(sessionId) : null;
+      if (!session) {
+        return res.status(404).json({ success: false, message: "Game not found" });
+      }
+      pgn = toPgn(fromGameState(session.gameState));
+    }
+
+    res.set("Content-Type", "application/x-chess-pgn; charset=utf-8");
+    res.set("Content-Disposition", `attachment; filename="${sessionId}.pgn"`);
+    return res.status(200).send(pgn);
+  } catch (err) {
+    console.error("[exportGamePgn] Error:", err);
+    return res.status(500).json({ success: false, message: "Internal Server Error" });
+  }
+};
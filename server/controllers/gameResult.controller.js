@@ -0,0 +1,152 @@
+import UserModel from '../models/User.model.js';
+import gameModel from '../models/game.model.js';
+import { finalizeGame } from './session.controller.js';
+import { computeRatingUpdates } from './rating.controller.js';
+import { recordTournamentResult } from './tournament.controller.js';
+
+const COLORS = ['white', 'black'];
+
+/**
+ * Per-player outcome of a finished game: "win", "loss", "draw", or null for aborted games
+ */
+function getOutcome(gameState, color) {
+  if (gameState.result === 'aborted') return null;
+  if (gameState.winner !== 'white' && gameState.winner !== 'black') return 'draw';
+  return gameState.winner === color ? 'win' : 'loss';
+}
+
+const COUNTER_BY_OUTCOME = { win: 'win', loss: 'lose', draw: 'draw' };
+
+/**
+ * Work out what the result changes for each player (counters, ratings, tournament streaks) and store
+ * it on the Game document as `resultUpdates`, so every attempt applies the same values: ratings are
+ * computed from both players' ratings before the game.
+ * @returns {Promise<Object>} { white|black: { userId, set: [path, value][], inc, applied }, ratingChanges }
+ */
+async function planResultUpdates(sessionId, gameState) {
+  const userDocs = {};
+  for (const color of COLORS) {
+    userDocs[color] = await UserModel.findById(gameState.players[color].userId);
+    if (!userDocs[color]) throw new Error(`Player ${gameState.players[color].userId} not found`);
+  }
+
+  const ratingUpdates = computeRatingUpdates(gameState, userDocs);
+  const now = new Date();
+  const plan = { ratingChanges: ratingUpdates?.changes || null };
+
+  for (const color of COLORS) {
+    const outcome = getOutcome(gameState, color);
+    const doc = userDocs[color];
+    const $set = { ...(ratingUpdates?.updates[color] || {}), updatedAt: now };
+
+    if (gameState.metadata?.source?.[doc._id.toString()] === 'tournament') {
+      const streak = outcome === 'win' ? (doc.currentTournamentStreak || 0) + 1 : 0;
+      $set.currentTournamentStreak = streak;
+      $set.personalBestStreak = Math.max(doc.personalBestStreak || 0, streak);
+    }
+
+    // Paths like "variantRatings.classic" can't be field names, so the $set is kept as entries
+    plan[color] = { userId: doc._id.toString(), set: Object.entries($set), inc: COUNTER_BY_OUTCOME[outcome], applied: false };
+  }
+
+  await gameModel.updateOne({ sessionId }, { $set: { resultUpdates: plan } });
+  return plan;
+}
+
+/**
+ * One player's counters, rating and streak in a single update. The player is marked as applied
+ * before the write (and unmarked if it fails), so a retry can never apply it twice.
+ */
+async function applyResultUpdate(sessionId, color, update) {
+  const applied = `resultUpdates.${color}.applied`;
+  await gameModel.updateOne({ sessionId }, { $set: { [applied]: true } });
+  try {
+    await UserModel.updateOne(
+      { _id: update.userId },
+      { $set: Object.fromEntries(update.set), $inc: { [update.inc]: 1 } },
+    );
+  } catch (error) {
+    await gameModel.updateOne({ sessionId }, { $set: { [applied]: false } });
+    throw error;
+  }
+}
+
+/**
+ * Single place where a finished game updates everything that depends on its result:
+ * win/lose/draw counters, per-variant ratings, tournament streaks and the tournament leaderboard.
+ * Every end path (move, flag, resign, draw, timeout penalty, abandonment) goes through here.
+ *
+ * Idempotent per sessionId: the Game document is claimed with `resultProcessedAt` before anything
+ * is written, so a repeated call only returns the rating changes of the first one. When a player
+ * update fails the claim is released and the next call finishes the players not yet updated.
+ * Aborted games (result "aborted") are recorded but change no stats; their tournament match is
+ * closed without scoring it.
+ *
+ * @param {string} sessionId
+ * @param {Object} gameState - finished game state from the Redis session
+ * @returns {Promise<Object>} { success, processed, ratingChanges, tournamentScores } or { success: false, code, message };
+ *   tournamentScores is null unless the game counted for a tournament
+ */
+export async function processGameResult(sessionId, gameState) {
+  if (!gameState || gameState.status !== 'finished') {
+    return { success: false, code: 'GAME_NOT_FINISHED', message: 'Game is not finished' };
+  }
+
+  // Makes sure the Game document exists; safe to repeat
+  await finalizeGame(sessionId, gameState);
+
+  const claimed = await gameModel.findOneAndUpdate(
+    { sessionId, resultProcessedAt: null },
+    { $set: { resultProcessedAt: new Date() } },
+  );
+  if (!claimed) {
+    const game = await gameModel.findOne({ sessionId }).select('ratingChanges').lean();
+    if (!game) {
+      return { success: false, code: 'GAME_NOT_FOUND', message: 'Game record not found' };
+    }
+    return { success: true, processed: false, ratingChanges: game.ratingChanges || null };
+  }
+
+  if (gameState.result === 'aborted') {
+    console.log(`[processGameResult] ${sessionId} aborted, no stats updated`);
+    if (gameState.metadata?.tournamentId) {
+      try {
+        await recordTournamentResult(gameState.metadata.tournamentId, sessionId, gameState);
+      } catch (error) {
+        console.error(`[processGameResult] Error closing aborted ${sessionId} on tournament:`, error);
+      }
+    }
+    return { success: true, processed: true, ratingChanges: null };
+  }
+
+  let ratingChanges = null;
+  let tournamentScores = null;
+  try {
+    // A retry after a failed write reuses the stored plan and only updates the players still missing
+    const plan = claimed.resultUpdates || (await planResultUpdates(sessionId, gameState));
+    for (const color of COLORS) {
+      if (!plan[color].applied) await applyResultUpdate(sessionId, color, plan[color]);
+    }
+    ratingChanges = plan.ratingChanges;
+  } catch (error) {
+    // Release the claim so the result can be processed again
+    await gameModel.updateOne({ sessionId }, { $unset: { resultProcessedAt: 1 } });
+    console.error(`[processGameResult] Error updating players for ${sessionId}:`, error);
+    return { success: false, code: 'RESULT_PROCESSING_FAILED', message: error.message };
+  }
+
+  try {
+    if (ratingChanges) {
+      await gameModel.updateOne({ sessionId }, { $set: { ratingChanges } });
+    }
+    if (gameState.metadata?.tournamentId) {
+      const recorded = await recordTournamentResult(gameState.metadata.tournamentId, sessionId, gameState);
+      tournamentScores = recorded.scores;
+    }
+  } catch (error) {
+    console.error(`[processGameResult] Error recording ${sessionId} on game/tournament:`, error);
+  }
+
+  console.log(`[processGameResult] ${sessionId} processed: ${gameState.winner || gameState.result} (${gameState.resultReason})`);
+  return { success: true, processed: true, ratingChanges, tournamentScores };
+}
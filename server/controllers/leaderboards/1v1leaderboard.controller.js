@@ -1,7 +1,18 @@
 import UserModel from "../../models/User.model.js";
+import { getRatingKey } from "../rating.controller.js";
 
 export const v1LeaderboardController = async(req, res) => {
         try {
+            // ?variant=classic&subvariant=blitz ranks players who have played that variant by its rating
+            const { variant, subvariant } = req.query;
+            if (variant) {
+              const key = getRatingKey(variant, subvariant);
+              const users = await UserModel.find({ [`variantRatings.${key}.games`]: { $gt: 0 } })
+                .sort({ [`variantRatings.${key}.rating`]: -1 })
+                .select(`_id email name ratings win lose variantRatings.${key}`);
+              return res.status(200).json({ success: true, users });
+            }
+
             const users = await UserModel.find({})
               .sort({ ratings: -1 })  
               .select('_id email name ratings win lose');
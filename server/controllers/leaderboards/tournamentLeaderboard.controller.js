@@ -1,18 +1,110 @@
 import tournamentModel from "../../models/tournament.model.js";
 import UserModel from "../../models/User.model.js";
+import { rankStandings, isRoundBased, totalRounds } from "../../utils/tournamentFormats.js";
 
 
+// Buchholz and Sonneborn-Berger of Swiss and round-robin standings (rankStandings)
+const tiebreakStats = (entry) =>
+    entry.buchholz === undefined ? {} : { buchholz: entry.buchholz, sonnebornBerger: entry.sonnebornBerger };
+
+// Leaderboard of a tournament with user details, ranked for its format (rankStandings)
+async function buildTournamentLeaderboard(tournament) {
+    // Get all user IDs from leaderboard
+    const playerIds = tournament.leaderboard.map(entry => entry.player);
+    
+    // Fetch user details for all players
+    const users = playerIds.length
+        ? await UserModel.find({ _id: { $in: playerIds } })
+            .select('_id name email avatar title createdAt currentTournamentStreak personalBestStreak')
+            .lean()
+        : [];
+
+    // Create a map for quick user lookup
+    const userMap = {};
+    users.forEach(user => {
+        userMap[user._id.toString()] = user;
+    });
+
+    // Combine leaderboard data with user info, best standing first
+    const leaderboardWithUserInfo = rankStandings(tournament).map((entry, index) => {
+        const user = userMap[entry.player.toString()];
+        return {
+            rank: entry.placement || index + 1, // completed tournaments keep their final placements
+            player: {
+                id: entry.player,
+                name: user?.name || 'Unknown Player',
+                email: user?.email || '',
+                avatar: user?.avatar || null,
+                title: user?.title || null,
+                memberSince: user?.createdAt || null,
+                currentTournamentStreak: user?.currentTournamentStreak || 0,
+                personalBestStreak: user?.personalBestStreak || 0
+            },
+            stats: {
+                wins: entry.wins || 0,
+                losses: entry.losses || 0,
+                draws: entry.draws || 0,
+                currentStreak: entry.currentStreak || 0,
+                points: entry.points || 0,
+                totalGames: (entry.wins || 0) + (entry.losses || 0) + (entry.draws || 0),
+                winRate: ((entry.wins || 0) / Math.max(1, (entry.wins || 0) + (entry.losses || 0) + (entry.draws || 0)) * 100).toFixed(1),
+                ...tiebreakStats(entry)
+            }
+        };
+    });
+
+    // Tournament summary
+    const tournamentInfo = {
+        id: tournament._id,
+        name: tournament.name,
+        status: tournament.status,
+        format: tournament.format || 'arena',
+        ...(isRoundBased(tournament) && { currentRound: tournament.currentRound, totalRounds: totalRounds(tournament) }),
+        // null variant: every game in a random one
+        variant: tournament.variant || null,
+        subvariant: tournament.subvariant || null,
+        timeControl: tournament.timeControl || null,
+        rated: tournament.rated !== false,
+        startTime: tournament.startTime,
+        endTime: tournament.endTime,
+        createdAt: tournament.createdAt,
+        totalParticipants: tournament.leaderboard.length,
+        totalGames: tournament.leaderboard.reduce((sum, entry) => 
+            sum + (entry.wins || 0) + (entry.losses || 0) + (entry.draws || 0), 0) / 2, // Divide by 2 since each game counts for 2 players
+        isLatest: true
+    };
+
+    return {
+        tournament: tournamentInfo,
+        leaderboard: leaderboardWithUserInfo,
+        lastUpdated: new Date()
+    };
+}
+
+// The active tournament, or the most recent one when none is running
+async function findLatestTournament() {
+    const tournament = await tournamentModel.findOne({ status: 'active' })
+        .sort({ createdAt: -1 });
+    if (tournament) return tournament;
+    return tournamentModel.findOne()
+        .sort({ createdAt: -1 })
+        .limit(1);
+}
+
+/**
+ * Leaderboard of one tournament in the shape of the REST responses, for live updates
+ * (tournament:leaderboard_update). Null when the tournament does not exist.
+ * @param {string} tournamentId
+ */
+export async function getTournamentStandings(tournamentId) {
+    const tournament = await tournamentModel.findById(tournamentId);
+    return tournament ? buildTournamentLeaderboard(tournament) : null;
+}
+
 // Get tournament leaderboard with user details (prioritizes latest tournament)
 export const getTournamentLeaderboard = async (req, res) => {
     try {
-        const tournament = await tournamentModel.findOne({ status: 'active' });
-        
-        if (!tournament) {
-            // If no active tournament, get the most recent one
-            tournament = await tournamentModel.findOne()
-                .sort({ createdAt: -1 }) // Sort by creation date, latest first
-                .limit(1);
-        }
+        const tournament = await findLatestTournament();
         
         if (!tournament) {
             return res.status(404).json({
@@ -21,84 +113,9 @@ export const getTournamentLeaderboard = async (req, res) => {
             });
         }
 
-        // Get all user IDs from leaderboard
-        const playerIds = tournament.leaderboard.map(entry => entry.player);
-        
-        // Fetch user details for all players
-        const users = await UserModel.find({ _id: { $in: playerIds } })
-            .select('_id name email avatar title createdAt currentTournamentStreak personalBestStreak')
-            .lean();
-
-        // Create a map for quick user lookup
-        const userMap = {};
-        users.forEach(user => {
-            userMap[user._id.toString()] = user;
-        });
-
-        // Combine leaderboard data with user info
-        const leaderboardWithUserInfo = tournament.leaderboard.map(entry => {
-            const user = userMap[entry.player.toString()];
-            return {
-                rank: 0, // Will be calculated after sorting
-                player: {
-                    id: entry.player,
-                    name: user?.name || 'Unknown Player',
-                    email: user?.email || '',
-                    avatar: user?.avatar || null,
-                    title: user?.title || null,
-                    memberSince: user?.createdAt || null,
-                    currentTournamentStreak: user?.currentTournamentStreak || 0,
-                    personalBestStreak: user?.personalBestStreak || 0
-                },
-                stats: {
-                    wins: entry.wins || 0,
-                    losses: entry.losses || 0,
-                    draws: entry.draws || 0,
-                    currentStreak: entry.currentStreak || 0,
-                    points: entry.points || 0,
-                    totalGames: (entry.wins || 0) + (entry.losses || 0) + (entry.draws || 0),
-                    winRate: ((entry.wins || 0) / Math.max(1, (entry.wins || 0) + (entry.losses || 0) + (entry.draws || 0)) * 100).toFixed(1)
-                }
-            };
-        });
-
-        // Sort by wins (descending), then by currentStreak (descending), then by lowest losses
-        leaderboardWithUserInfo.sort((a, b) => {
-            if (b.stats.wins !== a.stats.wins) {
-                return b.stats.wins - a.stats.wins;
-            }
-            if (b.stats.currentStreak !== a.stats.currentStreak) {
-                return b.stats.currentStreak - a.stats.currentStreak;
-            }
-            return a.stats.losses - b.stats.losses;
-        });
-
-        // Assign ranks
-        leaderboardWithUserInfo.forEach((entry, index) => {
-            entry.rank = index + 1;
-        });
-
-        // Tournament summary
-        const tournamentInfo = {
-            id: tournament._id,
-            name: tournament.name,
-            status: tournament.status,
-            startTime: tournament.startTime,
-            endTime: tournament.endTime,
-            createdAt: tournament.createdAt,
-            totalParticipants: tournament.leaderboard.length,
-            totalGames: tournament.leaderboard.reduce((sum, entry) => 
-                sum + (entry.wins || 0) + (entry.losses || 0) + (entry.draws || 0), 0) / 2, // Divide by 2 since each game counts for 2 players
-            isLatest: true
-        };
-
         return res.status(200).json({
             success: true,
-            data: {
-                tournament: tournamentInfo,
-                leaderboard: leaderboardWithUserInfo,
-                lastUpdated: new Date()
-            }
+            data: await buildTournamentLeaderboard(tournament)
         });
 
     } catch (error) {
@@ -115,15 +132,7 @@ export const getTournamentLeaderboard = async (req, res) => {
 export const getLatestTournamentLeaderboard = async (req, res) => {
     try {
         // Get the most recent tournament (active first, then latest by creation date)
-        let tournament = await tournamentModel.findOne({ status: 'active' })
-            .sort({ createdAt: -1 });
-        
-        if (!tournament) {
-            // If no active tournament, get the most recent one regardless of status
-            tournament = await tournamentModel.findOne()
-                .sort({ createdAt: -1 })
-                .limit(1);
-        }
+        const tournament = await findLatestTournament();
         
         if (!tournament) {
             return res.status(404).json({
@@ -132,106 +141,9 @@ export const getLatestTournamentLeaderboard = async (req, res) => {
             });
         }
 
-        // If tournament has no leaderboard entries, return empty leaderboard
-        if (!tournament.leaderboard || tournament.leaderboard.length === 0) {
-            return res.status(200).json({
-                success: true,
-                data: {
-                    tournament: {
-                        id: tournament._id,
-                        name: tournament.name,
-                        status: tournament.status,
-                        startTime: tournament.startTime,
-                        endTime: tournament.endTime,
-                        createdAt: tournament.createdAt,
-                        totalParticipants: 0,
-                        totalGames: 0,
-                        isLatest: true
-                    },
-                    leaderboard: [],
-                    lastUpdated: new Date()
-                }
-            });
-        }
-
-        // Get all user IDs from leaderboard
-        const playerIds = tournament.leaderboard.map(entry => entry.player);
-        
-        // Fetch user details for all players
-        const users = await UserModel.find({ _id: { $in: playerIds } })
-            .select('_id name email avatar title createdAt currentTournamentStreak personalBestStreak')
-            .lean();
-
-        // Create a map for quick user lookup
-        const userMap = {};
-        users.forEach(user => {
-            userMap[user._id.toString()] = user;
-        });
-
-        // Combine leaderboard data with user info
-        const leaderboardWithUserInfo = tournament.leaderboard.map(entry => {
-            const user = userMap[entry.player.toString()];
-            return {
-                rank: 0, // Will be calculated after sorting
-                player: {
-                    id: entry.player,
-                    name: user?.name || 'Unknown Player',
-                    email: user?.email || '',
-                    avatar: user?.avatar || null,
-                    title: user?.title || null,
-                    memberSince: user?.createdAt || null,
-                    currentTournamentStreak: user?.currentTournamentStreak || 0,
-                    personalBestStreak: user?.personalBestStreak || 0
-                },
-                stats: {
-                    wins: entry.wins || 0,
-                    losses: entry.losses || 0,
-                    draws: entry.draws || 0,
-                    currentStreak: entry.currentStreak || 0,
-                    points: entry.points || 0,
-                    totalGames: (entry.wins || 0) + (entry.losses || 0) + (entry.draws || 0),
-                    winRate: ((entry.wins || 0) / Math.max(1, (entry.wins || 0) + (entry.losses || 0) + (entry.draws || 0)) * 100).toFixed(1)
-                }
-            };
-        });
-
-        // Sort by wins (descending), then by currentStreak (descending), then by lowest losses
-        leaderboardWithUserInfo.sort((a, b) => {
-            if (b.stats.wins !== a.stats.wins) {
-                return b.stats.wins - a.stats.wins;
-            }
-            if (b.stats.currentStreak !== a.stats.currentStreak) {
-                return b.stats.currentStreak - a.stats.currentStreak;
-            }
-            return a.stats.losses - b.stats.losses;
-        });
-
-        // Assign ranks
-        leaderboardWithUserInfo.forEach((entry, index) => {
-            entry.rank = index + 1;
-        });
-
-        // Tournament summary
-        const tournamentInfo = {
-            id: tournament._id,
-            name: tournament.name,
-            status: tournament.status,
-            startTime: tournament.startTime,
-            endTime: tournament.endTime,
-            createdAt: tournament.createdAt,
-            totalParticipants: tournament.leaderboard.length,
-            totalGames: tournament.leaderboard.reduce((sum, entry) => 
-                sum + (entry.wins || 0) + (entry.losses || 0) + (entry.draws || 0), 0) / 2,
-            isLatest: true
-        };
-
         return res.status(200).json({
             success: true,
-            data: {
-                tournament: tournamentInfo,
-                leaderboard: leaderboardWithUserInfo,
-                lastUpdated: new Date()
-            }
+            data: await buildTournamentLeaderboard(tournament)
         });
 
     } catch (error) {
@@ -250,14 +162,7 @@ export const getUserLatestTournamentPosition = async (req, res) => {
         const { userId } = req.params;
 
         // Get the latest tournament (active first, then most recent)
-        let tournament = await tournamentModel.findOne({ status: 'active' })
-            .sort({ createdAt: -1 });
-        
-        if (!tournament) {
-            tournament = await tournamentModel.findOne()
-                .sort({ createdAt: -1 })
-                .limit(1);
-        }
+        const tournament = await findLatestTournament();
 
         if (!tournament) {
             return res.status(404).json({
@@ -289,22 +194,12 @@ export const getUserLatestTournamentPosition = async (req, res) => {
             .lean();
 
         // Calculate rank
-        const sortedLeaderboard = tournament.leaderboard
-            .map(entry => ({
-                player: entry.player,
-                wins: entry.wins || 0,
-                losses: entry.losses || 0,
-                currentStreak: entry.currentStreak || 0
-            }))
-            .sort((a, b) => {
-                if (b.wins !== a.wins) return b.wins - a.wins;
-                if (b.currentStreak !== a.currentStreak) return b.currentStreak - a.currentStreak;
-                return a.losses - b.losses;
-            });
+        const sortedLeaderboard = rankStandings(tournament);
 
         const userRank = sortedLeaderboard.findIndex(entry => 
             entry.player.toString() === userId
         ) + 1;
+        const rankedEntry = sortedLeaderboard[userRank - 1];
 
         const userStats = {
             rank: userRank,
@@ -324,7 +219,8 @@ export const getUserLatestTournamentPosition = async (req, res) => {
                 currentStreak: userEntry.currentStreak || 0,
                 points: userEntry.points || 0,
                 totalGames: (userEntry.wins || 0) + (userEntry.losses || 0) + (userEntry.draws || 0),
-                winRate: ((userEntry.wins || 0) / Math.max(1, (userEntry.wins || 0) + (userEntry.losses || 0) + (userEntry.draws || 0)) * 100).toFixed(1)
+                winRate: ((userEntry.wins || 0) / Math.max(1, (userEntry.wins || 0) + (userEntry.losses || 0) + (userEntry.draws || 0)) * 100).toFixed(1),
+                ...tiebreakStats(rankedEntry)
             }
         };
 
@@ -363,19 +259,13 @@ export const getTournamentHistory = async (req, res) => {
         .sort({ createdAt: -1 }) // Latest first
         .skip(skip)
         .limit(parseInt(limit))
-        .select('_id name startTime endTime createdAt leaderboard')
+        .select('_id name format startTime endTime createdAt leaderboard matches')
         .lean();
 
         const tournamentsWithSummary = await Promise.all(
             tournaments.map(async (tournament) => {
                 // Get top 3 players
-                const sortedLeaderboard = tournament.leaderboard
-                    .sort((a, b) => {
-                        if (b.wins !== a.wins) return (b.wins || 0) - (a.wins || 0);
-                        if (b.currentStreak !== a.currentStreak) return (b.currentStreak || 0) - (a.currentStreak || 0);
-                        return (a.losses || 0) - (b.losses || 0);
-                    })
-                    .slice(0, 3);
+                const sortedLeaderboard = rankStandings(tournament).slice(0, 3);
 
                 // Get user details for top 3
                 const topPlayerIds = sortedLeaderboard.map(entry => entry.player);
@@ -402,7 +292,8 @@ export const getTournamentHistory = async (req, res) => {
                             wins: entry.wins || 0,
                             losses: entry.losses || 0,
                             draws: entry.draws || 0,
-                            currentStreak: entry.currentStreak || 0
+                            currentStreak: entry.currentStreak || 0,
+                            points: entry.points || 0
                         }
                     };
                 });
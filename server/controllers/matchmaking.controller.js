@@ -1,7 +1,9 @@
 import { Server } from 'socket.io';
 import UserModel from '../models/User.model.js';
 import redisClient from '../config/redis.config.js';
-import { createGameSession } from './session.controller.js';
+import { createGameSession, resolveGameTimeControl } from './session.controller.js';
+import { formatTimeControl, isSameTimeControl } from '../utils/timeControl.js';
+import { getVariantRating } from './rating.controller.js';
 // import gameModel from '../models/game.model.js'; // Commented out as per original code
 
 // Import tournament controller functions
@@ -10,8 +12,11 @@ import {
     TOURNAMENT_USER_DATA_KEY,
     getActiveTournamentDetails,
     leaveTournament, // We will use this to clean up tournament users if they get matched
+    acceptsRegularPlayer,
+    tournamentGameConfig,
 } from './tournament.controller.js';
 import gameModel from '../models/game.model.js';
+import { arenaSettings } from '../utils/arenaPairing.js';
 
 // --- NEW EXPORTS FOR TOURNAMENT CONTROLLER ---
 // Define and export these here for use in tournament.controller.js
@@ -25,20 +30,47 @@ export const REGULAR_QUEUE_KEYS_BY_VARIANT = {
 export const REGULAR_USER_DATA_KEY = (userId) => `queueuser:${userId}`;
 // --- END NEW EXPORTS ---
 
+// Queues of non-default time controls currently in use, so counts and cleanup can find them
+const CUSTOM_QUEUES_KEY = 'queues:custom';
+
+/**
+ * Redis queue for a variant/subvariant and a resolved time control. The variant's default time
+ * control plays in its REGULAR_QUEUE_KEYS_BY_VARIANT queue, every other time control in its own
+ * queue next to it (e.g. queue:classic:standard:300+3).
+ * @returns {string|null} null for an unknown variant/subvariant
+ */
+export function getRegularQueueKey(variant, subvariant, timeControl) {
+    const baseKey = variant === 'classic' ? REGULAR_QUEUE_KEYS_BY_VARIANT[`classic:${subvariant}`] : REGULAR_QUEUE_KEYS_BY_VARIANT[variant];
+    if (!baseKey || !timeControl) return baseKey || null;
+    const defaults = resolveGameTimeControl(variant, subvariant).timeControl;
+    return isSameTimeControl(timeControl, defaults) ? baseKey : `${baseKey}:${formatTimeControl(timeControl)}`;
+}
+
+// Queue a waiting user is in (entries written before queueKey was stored are in the default queue)
+const queueKeyOf = (user) => user.queueKey || getRegularQueueKey(user.variant, user.subvariant);
+
 /**
  * Retrieve the current live player counts for each queue variant.
  * @returns {Promise<{crazyhouse:number,sixpointer:number,decay:number,classic:number,classicBreakdown:{bullet:number,standard:number}}>} queue snapshot
  */
 export async function getRegularQueueCounts() {
+    const queueSize = async (redisKey) => {
+        try {
+            const size = await redisClient.zCard(redisKey);
+            return Number.isFinite(size) ? size : 0;
+        } catch (err) {
+            console.error(`[queueCounts] Failed to read queue size for ${redisKey}:`, err);
+            return 0;
+        }
+    };
+    const customQueueKeys = await redisClient.sMembers(CUSTOM_QUEUES_KEY);
     const queueEntries = await Promise.all(
         Object.entries(REGULAR_QUEUE_KEYS_BY_VARIANT).map(async ([key, redisKey]) => {
-            try {
-                const size = await redisClient.zCard(redisKey);
-                return [key, Number.isFinite(size) ? size : 0];
-            } catch (err) {
-                console.error(`[queueCounts] Failed to read queue size for ${key}:`, err);
-                return [key, 0];
-            }
+            // Players waiting with other time controls count for the same variant
+            const sizes = await Promise.all(
+                [redisKey, ...customQueueKeys.filter((custom) => custom.startsWith(`${redisKey}:`))].map(queueSize)
+            );
+            return [key, sizes.reduce((sum, size) => sum + size, 0)];
         })
     );
 
@@ -102,8 +134,9 @@ const cooldownKey = (userId) => `cooldown:${userId}`;
  * @param {Socket} player1Socket
  * @param {Socket} player2Socket
  * @param {Server} io
+ * @param {Document} [tournament] - the tournament, for games with a tournament player (game settings and berserk)
  */
-async function initiateMatch(player1Data, player2Data, player1Socket, player2Socket, io) {
+async function initiateMatch(player1Data, player2Data, player1Socket, player2Socket, io, tournament = null) {
     const { userId: userId1 } = player1Data;
     const { userId: userId2 } = player2Data;
 
@@ -148,8 +181,7 @@ async function initiateMatch(player1Data, player2Data, player1Socket, player2Soc
                 await redisClient.zRem(TOURNAMENT_QUEUE_KEY, userData.userId);
             }
         } else {
-            // Use REGULAR_QUEUE_KEYS_BY_VARIANT to get the correct queue key
-            const specificQueueKey = userData.variant === 'classic' ? REGULAR_QUEUE_KEYS_BY_VARIANT[`classic:${userData.subvariant}`] : REGULAR_QUEUE_KEYS_BY_VARIANT[userData.variant];
+            const specificQueueKey = queueKeyOf(userData);
             if (specificQueueKey) {
                  await redisClient.zRem(specificQueueKey, userData.userId);
             } else {
@@ -171,8 +203,8 @@ async function initiateMatch(player1Data, player2Data, player1Socket, player2Soc
     // Fetch user details for both users
     let userDoc1, userDoc2;
     try {
-        userDoc1 = await UserModel.findById(userId1).select('_id name ratings');
-        userDoc2 = await UserModel.findById(userId2).select('_id name ratings');
+        userDoc1 = await UserModel.findById(userId1).select('_id name ratings variantRatings');
+        userDoc2 = await UserModel.findById(userId2).select('_id name ratings variantRatings');
     } catch (err) {
         console.error(`[initiateMatch] Error fetching user details:`, err);
         player1Socket.emit('queue:error', { message: 'Failed to fetch opponent details.' });
@@ -188,8 +220,8 @@ async function initiateMatch(player1Data, player2Data, player1Socket, player2Soc
     }
 
     // Get ratings based on the determined gameVariant
-    const p1Rating = userDoc1.ratings
-    const p2Rating = userDoc2.ratings
+    const p1Rating = Math.round(getVariantRating(userDoc1, gameVariant, gameSubvariant).rating)
+    const p2Rating = Math.round(getVariantRating(userDoc2, gameVariant, gameSubvariant).rating)
 
 
     const player1 = {
@@ -210,13 +242,27 @@ async function initiateMatch(player1Data, player2Data, player1Socket, player2Soc
         [userId2]: player2IsTournament ? 'tournament' : 'matchmaking'
     };
 
+    // Cross-queue games count for the tournament player's standings
+    const tournamentId = player1Data.tournamentId || player2Data.tournamentId;
+
+    // Games with a tournament player are played with the tournament's settings (the regular player
+    // queued for the same ones, acceptsRegularPlayer); both players of a regular match waited in
+    // the same time control queue
+    const customConfig = tournamentId && tournament ?
+        { ...tournamentGameConfig(tournament), tournamentId, berserk: arenaSettings(tournament).berserk } :
+        { tournamentId, berserk: false };
+    if (!player1IsTournament && !player2IsTournament && player1Data.timeControl) {
+        customConfig.timeControl = JSON.parse(player1Data.timeControl);
+    }
+
     // Pass the source object to createGameSession
     const { sessionId, gameState } = await createGameSession(
         player1,
         player2,
         gameVariant.toLowerCase(),
         gameSubvariant,
-        source  // Now passing the source object instead of a single string
+        source,  // Now passing the source object instead of a single string
+        customConfig
     );    
 
     console.log(`[initiateMatch] Created game session: ${sessionId}`);
@@ -253,13 +299,28 @@ async function initiateMatch(player1Data, player2Data, player1Socket, player2Soc
 /**
  * Add user to matchmaking queue (sorted set by rank, with join time as tiebreaker)
  * This function is for non-tournament players choosing a specific variant.
- * @param {Object} params - { userId, socketId, rank, variant, subvariant }
+ * Players are only paired with players that asked for the same time control.
+ * @param {Object} params - { userId, socketId, rank, variant, subvariant, timeControl }
+ *   timeControl: optional { base, increment, delay } or, for six-pointer, { perMove } (ms);
+ *   fields left out keep the variant's default
  * @param {Server} io - Socket.IO server instance
  */
-export async function joinQueue({ userId, socketId, variant, subvariant, io }) {
+export async function joinQueue({ userId, socketId, variant, subvariant, timeControl, io }) {
     try {
         console.log(`[joinQueue] userId=${userId}, socketId=${socketId}, variant=${variant}, subvariant=${subvariant}`);
 
+        const resolvedTimeControl = resolveGameTimeControl(variant, subvariant, timeControl);
+        if (!resolvedTimeControl.valid) {
+            io.to(socketId).emit('queue:error', { message: `Failed to join queue: ${resolvedTimeControl.reason}` });
+            return;
+        }
+        const fullQueueKey = getRegularQueueKey(variant, subvariant, resolvedTimeControl.timeControl);
+        if (!fullQueueKey) {
+            console.error(`[joinQueue] Could not determine Redis queue key for variant: ${variant}, subvariant: ${subvariant}`);
+            io.to(socketId).emit('queue:error', { message: 'Failed to join queue: invalid variant/subvariant.' });
+            return;
+        }
+
         // Check cooldown
         const cooldown = await redisClient.get(cooldownKey(userId));
         if (cooldown && Date.now() < parseInt(cooldown)) {
@@ -289,7 +350,9 @@ export async function joinQueue({ userId, socketId, variant, subvariant, io }) {
             return;
         }
 
-        let rank = userDoc.ratings
+        // Queue by the Glicko-2 rating of the requested variant, not the overall rating
+        const variantRating = getVariantRating(userDoc, variant, subvariant);
+        let rank = Math.round(variantRating.rating)
         
 
         const now = Date.now();
@@ -299,20 +362,20 @@ export async function joinQueue({ userId, socketId, variant, subvariant, io }) {
             userId,
             socketId,
             rank: rank.toString(), // Store as string
+            rd: Math.round(variantRating.rd).toString(),
+            provisional: variantRating.provisional ? 'true' : 'false',
             variant,
             subvariant: subvariant || '',
+            timeControl: JSON.stringify(resolvedTimeControl.timeControl),
+            queueKey: fullQueueKey,
             joinTime: now.toString(), // Store as string
             status: 'waiting',
         });
 
-        // Use the full queue key from REGULAR_QUEUE_KEYS_BY_VARIANT for zAdd
-        const fullQueueKey = variant === 'classic' ? REGULAR_QUEUE_KEYS_BY_VARIANT[`classic:${subvariant}`] : REGULAR_QUEUE_KEYS_BY_VARIANT[variant];
-        if (!fullQueueKey) {
-            console.error(`[joinQueue] Could not determine Redis queue key for variant: ${variant}, subvariant: ${subvariant}`);
-            io.to(socketId).emit('queue:error', { message: 'Failed to join queue: invalid variant/subvariant.' });
-            return;
-        }
         await redisClient.zAdd(fullQueueKey, [{ score, value: userId }]);
+        if (!Object.values(REGULAR_QUEUE_KEYS_BY_VARIANT).includes(fullQueueKey)) {
+            await redisClient.sAdd(CUSTOM_QUEUES_KEY, fullQueueKey);
+        }
         console.log(`[joinQueue] User ${userId} added to regular queue ${fullQueueKey} with rank ${rank}`);
 
         // Try to match immediately when user joins
@@ -345,8 +408,9 @@ export async function joinQueue({ userId, socketId, variant, subvariant, io }) {
  */
 export async function cleanupUserFromAllQueues(userId) {
     try {
-        // Iterate through all possible regular queue keys defined.
-        for (const key of Object.values(REGULAR_QUEUE_KEYS_BY_VARIANT)) {
+        // Iterate through all possible regular queue keys defined, custom time control queues included.
+        const customQueueKeys = await redisClient.sMembers(CUSTOM_QUEUES_KEY);
+        for (const key of [...Object.values(REGULAR_QUEUE_KEYS_BY_VARIANT), ...customQueueKeys]) {
             await redisClient.zRem(key, userId);
         }
         await redisClient.del(userKey(userId));
@@ -383,7 +447,7 @@ async function tryMatchRegularUser(userId, variant, io, byRank) {
 
     // --- 1. Search in Regular Queue (Same Variant/Subvariant) ---
     // Use the specific queue key for the user's preferred variant/subvariant
-    const specificRegularQueueKey = user.variant === 'classic' ? REGULAR_QUEUE_KEYS_BY_VARIANT[`classic:${user.subvariant}`] : REGULAR_QUEUE_KEYS_BY_VARIANT[user.variant];
+    const specificRegularQueueKey = queueKeyOf(user);
 
     if (!specificRegularQueueKey) {
         console.error(`[tryMatchRegularUser] Invalid specific regular queue key for variant: ${user.variant}, subvariant: ${user.subvariant}`);
@@ -397,6 +461,7 @@ async function tryMatchRegularUser(userId, variant, io, byRank) {
         const queueSize = await redisClient.zCard(specificRegularQueueKey);
         if (queueSize > 1000) range = 50; // Smaller range for larger queues
         if (Date.now() - parseInt(user.joinTime) > 5000) range *= 2; // Expand range over time
+        if (user.provisional === 'true') range *= 2; // Provisional ratings are still far from settled
         queueCandidates = await redisClient.zRangeByScore(specificRegularQueueKey, userRank - range, userRank + range);
     } else {
         // If not by rank (i.e., broader search), just get all in this queue
@@ -409,9 +474,9 @@ async function tryMatchRegularUser(userId, variant, io, byRank) {
     for (const id of queueCandidates) {
         const other = await redisClient.hGetAll(userKey(id));
         if (other && other.status === 'waiting') {
-            // Crucial: for regular-to-regular matches, always match exact variant and subvariant
+            // Crucial: for regular-to-regular matches, always match exact variant, subvariant and time control
             // This implicitly filters for classic subvariants as well because specificRegularQueueKey already targets it.
-            if (other.variant === user.variant && other.subvariant === user.subvariant) {
+            if (other.variant === user.variant && other.subvariant === user.subvariant && queueKeyOf(other) === specificRegularQueueKey) {
                 const otherSocket = io.sockets.get(other.socketId);
                 if (otherSocket) {
                     validRegularCandidates.push(other); // Push the full data object for easier access
@@ -456,10 +521,14 @@ async function tryMatchRegularUser(userId, variant, io, byRank) {
 
     // --- 2. Fallback: Search in Tournament Queue for this regular user's variant/subvariant ---
     // A regular user only falls back to the tournament queue if the tournament explicitly matches their variant.
+    // Tournament games are played with the tournament's settings, so only players waiting for the
+    // same time control of a rated tournament from the normal starting position fall back.
     console.log(`[tryMatchRegularUser] No regular-to-regular match for ${userId}, checking tournament queue for ${user.variant} ${user.subvariant}`);
     const activeTournament = await getActiveTournamentDetails();
-    if (activeTournament) {
+    const arena = arenaSettings(activeTournament);
+    if (activeTournament && arena.regularFallback) {
         const tournamentId = activeTournament.id;
+        const now = Date.now();
         // Fetch users from the tournament queue (could be optimized with ZRANGEBYSCORE by rank if needed)
         let tournamentCandidates = await redisClient.zRange(TOURNAMENT_QUEUE_KEY, 0, -1);
 
@@ -468,12 +537,14 @@ async function tryMatchRegularUser(userId, variant, io, byRank) {
             if (candidate && candidate.status === 'waiting' && candidate.tournamentId === tournamentId) {
                 // For cross-queue matches (regular user matching tournament user),
                 // ensure the tournament user's assigned game variant matches the regular user's desired variant.
-                if (candidate.variant === user.variant && candidate.subvariant === user.subvariant) {
+                // Arena pairing keeps a tournament player for the tournament until regularFallbackAfter
+                const fallbackDue = now - parseInt(candidate.joinTime) >= arena.regularFallbackAfter;
+                if (fallbackDue && acceptsRegularPlayer(activeTournament, user, candidate.variant, candidate.subvariant)) {
                     const candidateSocket = io.sockets.get(candidate.socketId);
                     if (candidateSocket) {
                         // Found a match with a tournament player!
                         console.log(`[tryMatchRegularUser] Found cross-queue match: ${userId} (regular, ${user.variant} ${user.subvariant}) vs ${candidateId} (tournament, ${candidate.variant} ${candidate.subvariant})`);
-                        await initiateMatch(user, candidate, userSocket, candidateSocket, io); // Regular user (P1) vs Tournament user (P2)
+                        await initiateMatch(user, candidate, userSocket, candidateSocket, io, activeTournament); // Regular user (P1) vs Tournament user (P2)
                         return true;
                     } else {
                         console.log(`[tryMatchRegularUser] Cleaning up disconnected tournament user ${candidateId}`);
@@ -503,7 +574,7 @@ export async function leaveQueue(userId) {
         }
 
         // Remove from the specific queue they were in
-        const specificQueueKey = user.variant === 'classic' ? REGULAR_QUEUE_KEYS_BY_VARIANT[`classic:${user.subvariant}`] : REGULAR_QUEUE_KEYS_BY_VARIANT[user.variant];
+        const specificQueueKey = queueKeyOf(user);
         if (specificQueueKey) {
             await redisClient.zRem(specificQueueKey, userId);
             console.log(`[leaveQueue] User ${userId} removed from regular queue: ${specificQueueKey}.`);
@@ -568,8 +639,14 @@ export async function handleDisconnect(userId, socketId) {
 export async function cleanupIdleUsers() {
     try {
         // Iterate through all actual queue keys, not just variants, to catch classic subvariants
-        for (const queueKeyString of Object.values(REGULAR_QUEUE_KEYS_BY_VARIANT)) {
+        const customQueueKeys = await redisClient.sMembers(CUSTOM_QUEUES_KEY);
+        for (const queueKeyString of [...Object.values(REGULAR_QUEUE_KEYS_BY_VARIANT), ...customQueueKeys]) {
             const queue = await redisClient.zRange(queueKeyString, 0, -1);
+            // Custom time control queues are forgotten once empty
+            if (queue.length === 0 && customQueueKeys.includes(queueKeyString)) {
+                await redisClient.sRem(CUSTOM_QUEUES_KEY, queueKeyString);
+                continue;
+            }
             for (const userId of queue) {
                 const user = await redisClient.hGetAll(userKey(userId));
                 if (!user || user.status !== 'waiting') {
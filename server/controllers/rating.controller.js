@@ -0,0 +1,104 @@
+import {
+  rateGame,
+  isProvisional,
+  DEFAULT_RATING,
+  DEFAULT_RD,
+  DEFAULT_VOLATILITY,
+} from '../utils/glicko2.js';
+
+/**
+ * Key of a variant's rating in User.variantRatings, e.g. "classic:bullet" or "decay"
+ */
+export function getRatingKey(variant, subvariant) {
+  return subvariant ? `${variant}:${subvariant}` : variant;
+}
+
+/**
+ * Read a user's rating for a variant, falling back to the Glicko-2 defaults for unplayed variants.
+ * @param {Object} userDoc - User document (or lean object) with variantRatings
+ * @returns {{ rating: number, rd: number, volatility: number, games: number, provisional: boolean }}
+ */
+export function getVariantRating(userDoc, variant, subvariant) {
+  const key = getRatingKey(variant, subvariant);
+  const ratings = userDoc?.variantRatings;
+  const stored = ratings instanceof Map ? ratings.get(key) : ratings?.[key];
+
+  const rating = stored?.rating ?? DEFAULT_RATING;
+  const rd = stored?.rd ?? DEFAULT_RD;
+  return {
+    rating,
+    rd,
+    volatility: stored?.volatility ?? DEFAULT_VOLATILITY,
+    games: stored?.games ?? 0,
+    provisional: isProvisional(rd),
+  };
+}
+
+/**
+ * Overall rating shown on the global leaderboard: the best established variant rating,
+ * or the best provisional one while the player has no established rating yet.
+ */
+function getOverallRating(variantRatings) {
+  const entries = variantRatings.filter((entry) => entry.games > 0);
+  if (entries.length === 0) return 0;
+  const established = entries.filter((entry) => !isProvisional(entry.rd));
+  return Math.round(Math.max(...(established.length > 0 ? established : entries).map((entry) => entry.rating)));
+}
+
+/**
+ * Glicko-2 updates for both players of a finished game. Nothing is written here: the result
+ * service (gameResult.controller.js) applies the returned `$set`s together with the game's other
+ * bookkeeping. Unrated and aborted games return null.
+ * @param {Object} gameState - finished game state from the Redis session
+ * @param {{ white: Object, black: Object }} userDocs - both players' User documents
+ * @returns {{ changes: Object, updates: Object }|null} changes: per color { before, after, delta, rd, provisional };
+ *   updates: per color `$set` for the User document
+ */
+export function computeRatingUpdates(gameState, userDocs) {
+  if (!gameState || gameState.status !== 'finished') return null;
+  if (gameState.metadata?.rated === false || gameState.result === 'aborted') return null;
+
+  const variant = gameState.variantName;
+  const subvariant = gameState.subvariantName;
+  const key = getRatingKey(variant, subvariant);
+
+  const whiteScore = gameState.winner === 'white' ? 1 : gameState.winner === 'black' ? 0 : 0.5;
+  const before = {
+    white: getVariantRating(userDocs.white, variant, subvariant),
+    black: getVariantRating(userDocs.black, variant, subvariant),
+  };
+  // Both updates use the pre-game ratings of the opponent
+  const after = {
+    white: rateGame(before.white, before.black, whiteScore),
+    black: rateGame(before.black, before.white, 1 - whiteScore),
+  };
+
+  const changes = {};
+  const updates = {};
+  const now = new Date();
+  for (const color of ['white', 'black']) {
+    const entry = {
+      rating: after[color].rating,
+      rd: after[color].rd,
+      volatility: after[color].volatility,
+      games: before[color].games + 1,
+      lastPlayedAt: now,
+    };
+    const ratings = new Map(userDocs[color].variantRatings || []);
+    ratings.set(key, entry);
+
+    updates[color] = {
+      [`variantRatings.${key}`]: entry,
+      ratings: getOverallRating([...ratings.values()]),
+    };
+    changes[color] = {
+      before: Math.round(before[color].rating),
+      after: Math.round(entry.rating),
+      delta: Math.round(entry.rating) - Math.round(before[color].rating),
+      rd: Math.round(entry.rd),
+      provisional: isProvisional(entry.rd),
+    };
+  }
+
+  return { changes, updates };
+}
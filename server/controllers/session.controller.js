@@ -2,16 +2,19 @@ import { v4 as uuidv4 } from 'uuid';
 import redisClient, { 
   sessionKey, 
   userSessionKey, 
-  SESSION_TIMEOUT 
+  chatKey,
+  chatMutedKey,
+  plySnapshotsKey,
+  SESSION_TIMEOUT,
+  CLOCK_DEADLINES_KEY,
+  LIVE_GAMES_KEY
 } from '../config/redis.config.js';
-import { createInitialState as createStandardInitialState, convertBigIntToNumber } from '../validations/classic/standard.js';
-import { createInitialState as createBulletInitialState} from '../validations/classic/bullet.js';
-import { createInitialState as createSixPointerInitialState, generateRandomBalancedPosition } from '../validations/sixPointer.js';
-import { createDecayInitialState } from '../validations/decay.js';
-import { createCrazyhouseStandardInitialState as createCzyStndInitState} from '../validations/crazyhouse/crazyhouseStandard.js';
-import { createCrazyhouseInitialState as createCzyTimerInitState } from '../validations/crazyhouse/crazyhouseTimer.js';
+import { convertBigIntToNumber, applyStartingPosition, isPlayableStartingPosition } from '../validations/shared.js';
+import { getVariant } from '../validations/registry.js';
+import { serverNow } from '../utils/clock.js';
 import gameModel from '../models/game.model.js';
 import tournamentModel from '../models/tournament.model.js';
+import { resolveTimeControl, formatTimeControl } from '../utils/timeControl.js';
 
 // Game variants and their configurations
 const GAME_VARIANTS = {
@@ -35,11 +38,13 @@ const GAME_VARIANTS = {
   sixpointer: {
     name: 'sixpointer',
     description: 'A variant of chess where each player has 6 points worth of pieces, allowing for unique strategies and gameplay.',
+    timeControl: { base: 0, increment: 0, perMove: 30 * 1000 }, // 30 seconds per move
   },
   decay:{
     name: 'decay',
     description: 'A variant of chess where pieces decay over time, adding a new layer of strategy.',
     initialFen: 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1',
+    timeControl: { base: 3 * 60 * 1000, increment: 2000 }, // 3+2
   },
   crazyhouse: {
     name: 'crazyhouse',
@@ -122,17 +127,18 @@ const validatePlayer = (player) => {
   return true;
 };
 
-const validateGameConfig = (variant, subvariant) => {
+export const validateGameConfig = (variant, subvariant) => {
   if (!variant || !GAME_VARIANTS[variant]) return false;
-  if (variant === 'classic' && (!subvariant || !GAME_VARIANTS[variant].subvariants[subvariant])) return false;
+  const { subvariants } = GAME_VARIANTS[variant];
+  if (subvariants && (!subvariant || !subvariants[subvariant])) return false;
   return true;
 };
 
 /**
- * Randomly assign colors to players
+ * Assign colors to players: `whiteUserId` picks white (challenges), otherwise at random
  */
-function assignPlayerColors(player1, player2) {
-  const shouldPlayer1BeWhite = Math.random() < 0.5;
+function assignPlayerColors(player1, player2, whiteUserId = null) {
+  const shouldPlayer1BeWhite = whiteUserId ? whiteUserId === player1.userId : Math.random() < 0.5;
   
   if (shouldPlayer1BeWhite) {
     return {
@@ -148,567 +154,46 @@ function assignPlayerColors(player1, player2) {
 }
 
 /**
- * Parse FEN string to extract board state components
+ * Create initial game state with comprehensive chess rules. The board comes from the variant
+ * engine; the clocks are set by applyTimeControl once the time control is resolved.
+ * `now` is the game's start, shared by the board and the session record; `startFen` replaces
+ * the variant's starting position (tournament starting positions).
  */
-function parseFen(fen) {
-  console.log('Parsing FEN:', fen);
-  const parts = fen.split(' ');
-  return {
-    position: parts[0],
-    activeColor: parts[1],
-    castlingRights: parts[2],
-    enPassantSquare: parts[3],
-    halfmoveClock: parseInt(parts[4]) || 0,
-    fullmoveNumber: parseInt(parts[5]) || 1
-  };
-}
-
-/**
- * Create initial game state with comprehensive chess rules
- */
-function createInitialGameState(variant, subvariant, whitePlayer, blackPlayer) {
+function createInitialGameState(variant, subvariant, whitePlayer, blackPlayer, now, startFen) {
   const gameConfig = GAME_VARIANTS[variant].subvariants
     ? GAME_VARIANTS[variant].subvariants[subvariant]
     : GAME_VARIANTS[variant];
-
-  const randonFen = generateRandomBalancedPosition();
-  const fenData = variant === 'sixpointer' ? randonFen : parseFen(gameConfig.initialFen);
-  const now = Date.now();
+  const initialBoard = getVariant(variant, subvariant).createInitialState(now);
+  const board = startFen ? applyStartingPosition(initialBoard, startFen) : initialBoard;
   const timeControl = gameConfig.timeControl || {};
+  const initialTime = timeControl.perMove || timeControl.base;
 
-  // Only for standard chess, use the logic from validations/standard.js
-  if (variant === 'classic' && subvariant === 'standard') {
-    const now = Date.now();
-    const state = createStandardInitialState();
-  
-    // Attach player and session/game metadata as before
-    return {
-      board: state,
-      sessionId: null,
-      variantName: GAME_VARIANTS[variant].name,
-      subvariantName: GAME_VARIANTS[variant].subvariants[subvariant].name,
-      description: GAME_VARIANTS[variant].subvariants[subvariant].description,
-      players: {
-        white: {
-          userId: whitePlayer.userId,
-          username: whitePlayer.username,
-          rating: whitePlayer.rating,
-          avatar: whitePlayer.avatar || null,
-          title: whitePlayer.title || null
-        },
-        black: {
-          userId: blackPlayer.userId,
-          username: blackPlayer.username,
-          rating: blackPlayer.rating,
-          avatar: blackPlayer.avatar || null,
-          title: blackPlayer.title || null
-        }
-      },
-      timeControl: {
-        type: getTimeControlType(timeControl),
-        baseTime: timeControl.base,
-        increment: timeControl.increment,
-        timers: {
-          white: timeControl.base,
-          black: timeControl.base
-        },
-        timeSpent: {
-          white: [],
-          black: []
-        },
-        flagged: {
-          white: false,
-          black: false
-        }
-      },
-      status: 'active',
-      result: CHESS_CONSTANTS.GAME_RESULTS.ONGOING,
-      resultReason: null,
-      winner: null,
-      moves: [],
-      moveCount: 0,
-      lastMove: null,
-      gameState: {
-        check: false,
-        checkmate: false,
-        stalemate: false,
-        insufficientMaterial: false,
-        threefoldRepetition: false,
-        fiftyMoveRule: false
-      },
-      positionHistory: [gameConfig.initialFen],
-      createdAt: Number(now),
-      lastActivity: Number(now),
-      startedAt: Number(now),
-      endedAt: null,
-      rules: getChessRules(variant, subvariant),
-      metadata: {
-        source: null, // Don't set a default, let it be set by createGameSession
-        rated: true,
-        spectators: [],
-        allowSpectators: true,
-        drawOffers: {
-          white: false,
-          black: false
-        },
-        resignations: {
-          white: false,
-          black: false
-        },
-        premoves: {
-          white: null,
-          black: null
-        }
-      }
-    };
-  } else if (variant === 'classic' && subvariant === 'bullet') {
-    const now = Date.now();
-    const state = createBulletInitialState()
+  const toPlayer = (player) => ({
+    userId: player.userId,
+    username: player.username,
+    rating: player.rating,
+    avatar: player.avatar || null,
+    title: player.title || null
+  });
 
-    return {
-      board: state,
-      sessionId: null,
-      variantName: GAME_VARIANTS[variant].name,
-      subvariantName: GAME_VARIANTS[variant].subvariants[subvariant].name,
-      description: GAME_VARIANTS[variant].subvariants[subvariant].description,
-      players: {
-        white: {
-          userId: whitePlayer.userId,
-          username: whitePlayer.username,
-          rating: whitePlayer.rating,
-          avatar: whitePlayer.avatar || null,
-          title: whitePlayer.title || null
-        },
-        black: {
-          userId: blackPlayer.userId,
-          username: blackPlayer.username,
-          rating: blackPlayer.rating,
-          avatar: blackPlayer.avatar || null,
-          title: blackPlayer.title || null
-        }
-      },
-      timeControl: {
-        type: getTimeControlType(timeControl),
-        baseTime: timeControl.base,
-        increment: timeControl.increment,
-        timers: {
-          white: timeControl.base,
-          black: timeControl.base
-        },
-        timeSpent: {
-          white: [],
-          black: []
-        },
-        flagged: {
-          white: false,
-          black: false
-        }
-      },
-      status: 'active',
-      result: CHESS_CONSTANTS.GAME_RESULTS.ONGOING,
-      resultReason: null,
-      winner: null,
-      moves: [],
-      moveCount: 0,
-      lastMove: null,
-      gameState: {
-        check: false,
-        checkmate: false,
-        stalemate: false,
-        insufficientMaterial: false,
-        threefoldRepetition: false,
-        fiftyMoveRule: false
-      },
-      positionHistory: [gameConfig.initialFen],
-      createdAt: Number(now),
-      lastActivity: Number(now),
-      startedAt: Number(now),
-      endedAt: null,
-      rules: getChessRules(variant, subvariant),
-      metadata: {
-        source: 'matchmaking',
-        rated: true,
-        spectators: [],
-        allowSpectators: true,
-        drawOffers: {
-          white: false,
-          black: false
-        },
-        resignations: {
-          white: false,
-          black: false
-        },
-        premoves: {
-          white: null,
-          black: null
-        }
-      }
-    };
-  } else if (variant === 'sixpointer') {
-    // 6-Point Chess: 30 seconds per move, no base time
-    const sixPointerState = createSixPointerInitialState();
-    return {
-      board: sixPointerState,
-      sessionId: null,
-      variantName: GAME_VARIANTS[variant].name,
-      subvariantName: null,
-      description: "6-Point Chess: Each player gets 30 seconds per move, no base time.",
-      players: {
-        white: {
-          userId: whitePlayer.userId,
-          username: whitePlayer.username,
-          rating: whitePlayer.rating,
-          avatar: whitePlayer.avatar || null,
-          title: whitePlayer.title || null
-        },
-        black: {
-          userId: blackPlayer.userId,
-          username: blackPlayer.username,
-          rating: blackPlayer.rating,
-          avatar: blackPlayer.avatar || null,
-          title: blackPlayer.title || null
-        }
-      },
-      timeControl: {
-        type: "sixpointer",
-        baseTime: 0,
-        increment: 0,
-        perMove: 30000, // 30 seconds per move
-        timers: {
-          white: 30000,
-          black: 30000
-        },
-        timeSpent: {
-          white: [],
-          black: []
-        },
-        flagged: {
-          white: false,
-          black: false
-        }
-      },
-      status: 'active',
-      result: CHESS_CONSTANTS.GAME_RESULTS.ONGOING,
-      resultReason: null,
-      winner: null,
-      moves: [],
-      moveCount: 0,
-      lastMove: null,
-      gameState: {
-        check: false,
-        checkmate: false,
-        stalemate: false,
-        insufficientMaterial: false,
-        threefoldRepetition: false,
-        fiftyMoveRule: false
-      },
-      positionHistory: [sixPointerState.fen], // <-- Set to initial FEN for sixpointer
-      createdAt: Number(now),
-      lastActivity: Number(now),
-      startedAt: Number(now),
-      endedAt: null,
-      rules: getChessRules(variant, subvariant),
-      metadata: {
-        source: 'matchmaking',
-        rated: true,
-        spectators: [],
-        allowSpectators: true,
-        drawOffers: {
-          white: false,
-          black: false
-        },
-        resignations: {
-          white: false,
-          black: false
-        },
-        premoves: {
-          white: null,
-          black: null
-        }
-      }
-    };
-  } else if (variant === 'decay') {
-    const initialState = createDecayInitialState();
-    return {
-      board: initialState, // or a dedicated sixPointer initial state if you have one
-      sessionId: null,
-      variantName: GAME_VARIANTS[variant].name,
-      subvariantName: null,
-      description: "6-Point Chess: Each player gets 30 seconds per move, no base time.",
-      players: {
-        white: {
-          userId: whitePlayer.userId,
-          username: whitePlayer.username,
-          rating: whitePlayer.rating,
-          avatar: whitePlayer.avatar || null,
-          title: whitePlayer.title || null
-        },
-        black: {
-          userId: blackPlayer.userId,
-          username: blackPlayer.username,
-          rating: blackPlayer.rating,
-          avatar: blackPlayer.avatar || null,
-          title: blackPlayer.title || null
-        }
-      },
-      timeControl: {
-        type: "decay",
-        baseTime: 180000, // 3 minutes base time
-        increment: 2000, // 2 seconds increment
-        timers: {
-          white: 180000,
-          black: 180000
-        },
-        timeSpent: {
-          white: [],
-          black: []
-        },
-        flagged: {
-          white: false,
-          black: false
-        }
-      },
-      status: 'active',
-      result: CHESS_CONSTANTS.GAME_RESULTS.ONGOING,
-      resultReason: null,
-      winner: null,
-      moves: [],
-      moveCount: 0,
-      lastMove: null,
-      gameState: {
-        check: false,
-        checkmate: false,
-        stalemate: false,
-        insufficientMaterial: false,
-        threefoldRepetition: false,
-        fiftyMoveRule: false
-      },
-      positionHistory: [initialState.fen], // <-- Set to initial FEN for decay
-      createdAt: Number(now),
-      lastActivity: Number(now),
-      startedAt: Number(now),
-      endedAt: null,
-      rules: getChessRules(variant, subvariant),
-      metadata: {
-        source: 'matchmaking',
-        rated: true,
-        spectators: [],
-        allowSpectators: true,
-        drawOffers: {
-          white: false,
-          black: false
-        },
-        resignations: {
-          white: false,
-          black: false
-        },
-        premoves: {
-          white: null,
-          black: null
-        }
-      }
-    };
-  } else if (variant === 'crazyhouse' && subvariant === 'standard') {
-    const initialState = createCzyStndInitState();
-    return {
-      board: initialState, // or a dedicated sixPointer initial state if you have one
-      sessionId: null,
-      variantName: GAME_VARIANTS[variant].name,
-      subvariantName: 'standard',
-      description: "6-Point Chess: Each player gets 30 seconds per move, no base time.",
-      players: {
-        white: {
-          userId: whitePlayer.userId,
-          username: whitePlayer.username,
-          rating: whitePlayer.rating,
-          avatar: whitePlayer.avatar || null,
-          title: whitePlayer.title || null
-        },
-        black: {
-          userId: blackPlayer.userId,
-          username: blackPlayer.username,
-          rating: blackPlayer.rating,
-          avatar: blackPlayer.avatar || null,
-          title: blackPlayer.title || null
-        }
-      },
-      timeControl: {
-        type: "crazyhouse standard",
-        baseTime: 180000, // 3 minutes base time
-        increment: 2000, // 2 seconds increment
-        timers: {
-          white: 180000,
-          black: 180000
-        },
-        timeSpent: {
-          white: [],
-          black: []
-        },
-        flagged: {
-          white: false,
-          black: false
-        }
-      },
-      status: 'active',
-      result: CHESS_CONSTANTS.GAME_RESULTS.ONGOING,
-      resultReason: null,
-      winner: null,
-      moves: [],
-      moveCount: 0,
-      lastMove: null,
-      gameState: {
-        check: false,
-        checkmate: false,
-        stalemate: false,
-        insufficientMaterial: false,
-        threefoldRepetition: false,
-        fiftyMoveRule: false
-      },
-      positionHistory: [initialState.fen], // <-- Set to initial FEN for decay
-      createdAt: Number(now),
-      lastActivity: Number(now),
-      startedAt: Number(now),
-      endedAt: null,
-      rules: getChessRules(variant, subvariant),
-      metadata: {
-        source: 'matchmaking',
-        rated: true,
-        spectators: [],
-        allowSpectators: true,
-        drawOffers: {
-          white: false,
-          black: false
-        },
-        resignations: {
-          white: false,
-          black: false
-        },
-        premoves: {
-          white: null,
-          black: null
-        }
-      }
-    };
-  } else if (variant === 'crazyhouse' && subvariant === 'withTimer') {
-    const initialState = createCzyTimerInitState();
-    return {
-      board: initialState, // or a dedicated sixPointer initial state if you have one
-      sessionId: null,
-      variantName: GAME_VARIANTS[variant].name,
-      subvariantName: 'withTimer',
-      description: "6-Point Chess: Each player gets 30 seconds per move, no base time.",
-      players: {
-        white: {
-          userId: whitePlayer.userId,
-          username: whitePlayer.username,
-          rating: whitePlayer.rating,
-          avatar: whitePlayer.avatar || null,
-          title: whitePlayer.title || null
-        },
-        black: {
-          userId: blackPlayer.userId,
-          username: blackPlayer.username,
-          rating: blackPlayer.rating,
-          avatar: blackPlayer.avatar || null,
-          title: blackPlayer.title || null
-        }
-      },
-      timeControl: {
-        type: "crazyhouse with Timer",
-        baseTime: 180000, // 3 minutes base time
-        increment: 2000, // 2 seconds increment
-        timers: {
-          white: 180000,
-          black: 180000
-        },
-        timeSpent: {
-          white: [],
-          black: []
-        },
-        flagged: {
-          white: false,
-          black: false
-        }
-      },
-      status: 'active',
-      result: CHESS_CONSTANTS.GAME_RESULTS.ONGOING,
-      resultReason: null,
-      winner: null,
-      moves: [],
-      moveCount: 0,
-      lastMove: null,
-      gameState: {
-        check: false,
-        checkmate: false,
-        stalemate: false,
-        insufficientMaterial: false,
-        threefoldRepetition: false,
-        fiftyMoveRule: false
-      },
-      positionHistory: [initialState.fen], // <-- Set to initial FEN for decay
-      createdAt: Number(now),
-      lastActivity: Number(now),
-      startedAt: Number(now),
-      endedAt: null,
-      rules: getChessRules(variant, subvariant),
-      metadata: {
-        source: 'matchmaking',
-        rated: true,
-        spectators: [],
-        allowSpectators: true,
-        drawOffers: {
-          white: false,
-          black: false
-        },
-        resignations: {
-          white: false,
-          black: false
-        },
-        premoves: {
-          white: null,
-          black: null
-        }
-      }
-    };
-  }
-  // Fallback to previous logic for other variant
   return {
+    board,
     sessionId: null,
     variantName: GAME_VARIANTS[variant].name,
-    subvariantName: gameConfig.name,
+    subvariantName: GAME_VARIANTS[variant].subvariants ? gameConfig.name : null,
     description: gameConfig.description,
     players: {
-      white: {
-        userId: whitePlayer.userId,
-        username: whitePlayer.username,
-        rating: whitePlayer.rating,
-        avatar: whitePlayer.avatar || null,
-        title: whitePlayer.title || null
-      },
-      black: {
-        userId: blackPlayer.userId,
-        username: blackPlayer.username,
-        rating: blackPlayer.rating,
-        avatar: blackPlayer.avatar || null,
-        title: blackPlayer.title || null
-      }
-    },
-    board: {
-      fen: gameConfig.initialFen,
-      position: fenData.position,
-      activeColor: fenData.activeColor === 'w' ? 'white' : 'black',
-      castlingRights: fenData.castlingRights,
-      enPassantSquare: fenData.enPassantSquare,
-      halfmoveClock: fenData.halfmoveClock,
-      fullmoveNumber: fenData.fullmoveNumber
+      white: toPlayer(whitePlayer),
+      black: toPlayer(blackPlayer)
     },
     timeControl: {
-      type: getTimeControlType(timeControl),
+      type: ['sixpointer', 'decay'].includes(variant) ? variant : getTimeControlType(timeControl),
       baseTime: timeControl.base,
       increment: timeControl.increment,
+      ...(timeControl.perMove ? { perMove: timeControl.perMove } : {}),
       timers: {
-        white: timeControl.base,
-        black: timeControl.base
+        white: initialTime,
+        black: initialTime
       },
       timeSpent: {
         white: [],
@@ -734,14 +219,14 @@ function createInitialGameState(variant, subvariant, whitePlayer, blackPlayer) {
       threefoldRepetition: false,
       fiftyMoveRule: false
     },
-    positionHistory: [gameConfig.initialFen],
+    positionHistory: [board.fen],
     createdAt: now,
     lastActivity: now,
     startedAt: now,
     endedAt: null,
     rules: getChessRules(variant, subvariant),
     metadata: {
-      source: 'matchmaking',
+      source: null, // Set by createGameSession
       rated: true,
       spectators: [],
       allowSpectators: true,
@@ -835,7 +320,7 @@ function getChessRules(variant, subvariant) {
     online: {
       autoFlag: true,        // Automatically flag on time expiration
       drawClaim: true,       // Allow draw claims
-      takeback: false,       // No takebacks in rated games
+      takeback: false,       // No takebacks in rated games; createGameSession enables them for unrated ones
       analysis: false,       // No engine analysis during game
       opening_book: false    // No opening book during game
     }
@@ -888,9 +373,42 @@ function getChessRules(variant, subvariant) {
 }
 
 /**
- * Initialize game timers based on time control
+ * Put a resolved time control on a new game: the timeControl record and the board clocks the
+ * variant engines run on (whiteTime/blackTime, increment, delay, perMove)
+ */
+function applyTimeControl(gameState, { base, increment, delay, perMove }) {
+  const initial = perMove || base;
+  const type = ['sixpointer', 'decay'].includes(gameState.timeControl.type)
+    ? gameState.timeControl.type
+    : getTimeControlType({ base, increment });
+
+  gameState.timeControl = {
+    ...gameState.timeControl,
+    type,
+    baseTime: base,
+    increment,
+    delay,
+    ...(perMove ? { perMove } : {}),
+    timers: { white: initial, black: initial }
+  };
+
+  const board = gameState.board;
+  board.whiteTime = initial;
+  board.blackTime = initial;
+  board.increment = increment;
+  board.delay = delay;
+  if (perMove) {
+    board.perMove = perMove;
+    for (const color of ['white', 'black']) {
+      if (board.timers?.[color]) board.timers[color].remaining = perMove;
+    }
+  }
+}
+
+/**
+ * Initialize game timers based on time control, started at `now`
  */
-function initializeTimers(gameState) {
+function initializeTimers(gameState, now) {
   const { timeControl } = gameState;
   
   let initialWhite, initialBlack;
@@ -904,12 +422,12 @@ function initializeTimers(gameState) {
   return {
     white: {
       remaining: initialWhite,
-      lastUpdateTime: Date.now(),
+      lastUpdateTime: now,
       isRunning: gameState.board.activeColor === 'white'
     },
     black: {
       remaining: initialBlack,
-      lastUpdateTime: Date.now(),
+      lastUpdateTime: now,
       isRunning: gameState.board.activeColor === 'black'
     }
   };
@@ -931,6 +449,15 @@ export async function createGameSession(player1, player2, variant, subvariant, s
         if (!validateGameConfig(variant, subvariant)) {
           throw new Error(`Invalid game variant: ${variant}/${subvariant}`);
         }
+
+        const resolvedTimeControl = resolveGameTimeControl(variant, subvariant, customConfig.timeControl);
+        if (!resolvedTimeControl.valid) {
+          throw new Error(`Invalid time control: ${resolvedTimeControl.reason}`);
+        }
+
+        if (customConfig.startFen && !isPlayableStartingPosition(customConfig.startFen)) {
+          throw new Error(`Invalid starting position: ${customConfig.startFen}`);
+        }
         
         // Check if either player is already in an active session
         // const [player1Session, player2Session] = await Promise.all([
@@ -946,14 +473,15 @@ export async function createGameSession(player1, player2, variant, subvariant, s
         //   throw new Error(`Player ${player2.username} is already in an active game`);
         // }
         
-        // Generate session ID
+        // Generate session ID, one server time for everything the session starts with
         const sessionId = uuidv4();
+        const now = serverNow();
         
-        // Assign colors randomly
-        const { whitePlayer, blackPlayer } = assignPlayerColors(player1, player2);
+        // Assign colors (customConfig.whiteUserId when the challenger chose a color)
+        const { whitePlayer, blackPlayer } = assignPlayerColors(player1, player2, customConfig.whiteUserId);
         
         // Create initial game state
-        const gameState = createInitialGameState(variant, subvariant, whitePlayer, blackPlayer);
+        const gameState = createInitialGameState(variant, subvariant, whitePlayer, blackPlayer, now, customConfig.startFen);
         gameState.sessionId = sessionId;
 
         // Handle mixed sources - source parameter will be an object with player sources
@@ -963,20 +491,30 @@ export async function createGameSession(player1, player2, variant, subvariant, s
         };
 
         // Apply any custom configurations
-        if (customConfig.timeControl) {
-          gameState.timeControl = { ...gameState.timeControl, ...customConfig.timeControl };
-        }
+        applyTimeControl(gameState, resolvedTimeControl.timeControl);
         
         if (customConfig.rated !== undefined) {
           gameState.metadata.rated = customConfig.rated;
         }
+        if (gameState.rules?.online) {
+          gameState.rules.online.takeback = gameState.metadata.rated === false;
+        }
         
         if (customConfig.allowSpectators !== undefined) {
           gameState.metadata.allowSpectators = customConfig.allowSpectators;
         }
+
+        // Tournament the game counts for, read back when the result is processed
+        if (customConfig.tournamentId) {
+          gameState.metadata.tournamentId = customConfig.tournamentId;
+        }
+        // Arena tournaments that allow berserk (game.controller.js berserk)
+        if (customConfig.berserk) {
+          gameState.metadata.berserk = { allowed: true, white: false, black: false };
+        }
         
         // Initialize timers
-        const timers = initializeTimers(gameState);
+        const timers = initializeTimers(gameState, now);
         gameState.timers = timers;
         
         // Prepare session data for Redis
@@ -988,23 +526,33 @@ export async function createGameSession(player1, player2, variant, subvariant, s
           variant,
           subvariant,
           status: 'active',
-          createdAt: Date.now().toString(),
-          lastActivity: Date.now().toString(),
+          createdAt: now.toString(),
+          lastActivity: now.toString(),
           timeControl: JSON.stringify(convertBigIntToNumber(gameState.timeControl))
         };
         
         // Store in Redis using transaction for atomicity
         const multi = redisClient.multi();
+        const ttl = sessionTtl(gameState, now);
         
         // Store session data
         multi.hSet(sessionKey(sessionId), sessionData);
-        multi.expire(sessionKey(sessionId), Math.floor(SESSION_TIMEOUT / 1000));
+        multi.expire(sessionKey(sessionId), ttl);
         
         // Map users to session
         multi.set(userSessionKey(whitePlayer.userId), sessionId);
         multi.set(userSessionKey(blackPlayer.userId), sessionId);
-        multi.expire(userSessionKey(whitePlayer.userId), Math.floor(SESSION_TIMEOUT / 1000));
-        multi.expire(userSessionKey(blackPlayer.userId), Math.floor(SESSION_TIMEOUT / 1000));
+        multi.expire(userSessionKey(whitePlayer.userId), ttl);
+        multi.expire(userSessionKey(blackPlayer.userId), ttl);
+
+        // List the game for spectators, strongest games first
+        if (gameState.metadata.allowSpectators !== false) {
+          const averageRating = ((Number(whitePlayer.rating) || 0) + (Number(blackPlayer.rating) || 0)) / 2;
+          multi.zAdd(LIVE_GAMES_KEY, [{ score: averageRating, value: sessionId }]);
+        }
+
+        // The game is aborted if the first move doesn't come in time (expireClock)
+        multi.zAdd(CLOCK_DEADLINES_KEY, [{ score: getFirstMoveDeadline(gameState), value: sessionId }]);
         
         // Execute transaction
         await multi.exec();
@@ -1014,7 +562,7 @@ export async function createGameSession(player1, player2, variant, subvariant, s
           white: whitePlayer.username,
           black: blackPlayer.username,
           variant: `${variant}/${subvariant}`,
-          timeControl: `${gameState.timeControl.baseTime/60000}+${gameState.timeControl.increment/1000}`
+          timeControl: formatTimeControl(resolvedTimeControl.timeControl)
         });
 
         console.log(source, 'source for game session creation:', sessionId);
@@ -1028,15 +576,17 @@ export async function createGameSession(player1, player2, variant, subvariant, s
               players: {
                   white: whitePlayer.userId,
                   black: blackPlayer.userId
-              }
+              },
+              status: 'active',
+              timeControl: convertBigIntToNumber(gameState.timeControl),
+              source: gameState.metadata.source,
+              startedAt: new Date()
             });
             await gameData.save();
 
-            // If either player is from tournament, save in tournament collection
-            if (source[whitePlayer.userId] === 'tournament' || source[blackPlayer.userId] === 'tournament') {
-                const tournamentData = await tournamentModel.findOne({
-                    status: 'active'
-                });
+            // Tournament games are listed in the tournament's matches; the result is filled in by recordTournamentResult
+            if (customConfig.tournamentId) {
+                const tournamentData = await tournamentModel.findById(customConfig.tournamentId);
 
                 if (tournamentData) {
                     await tournamentModel.findByIdAndUpdate(
@@ -1047,6 +597,7 @@ export async function createGameSession(player1, player2, variant, subvariant, s
                                     sessionId,
                                     player1: whitePlayer.userId,
                                     player2: blackPlayer.userId,
+                                    round: customConfig.round ?? null,
                                     result: 'ongoing',
                                     gameState: gameState.board
                                 }
@@ -1142,6 +693,50 @@ export async function getUserActiveSession(userId) {
   }
 }
 
+/**
+ * Games in progress that can be watched, highest rated first.
+ * Sessions that expired without finishing are dropped from the listing on the way.
+ * @param {Object} filters - { variant, subvariant, tournament (true: tournament games only), limit }
+ * @returns {Promise<Object[]>} summaries: sessionId, variant, subvariant, players, averageRating, tournamentId, startedAt, moveCount, clocks
+ */
+export async function listLiveSessions({ variant, subvariant, tournament = false, limit = 20 } = {}) {
+  const sessionIds = await redisClient.zRange(LIVE_GAMES_KEY, 0, -1, { REV: true });
+  const games = [];
+
+  for (const sessionId of sessionIds) {
+    if (games.length >= limit) break;
+
+    const session = await getSessionById(sessionId);
+    if (!session || session.gameState.status !== 'active') {
+      await redisClient.zRem(LIVE_GAMES_KEY, sessionId);
+      continue;
+    }
+
+    const { gameState } = session;
+    if (variant && gameState.variantName !== variant) continue;
+    if (subvariant && gameState.subvariantName !== subvariant) continue;
+    if (tournament && !gameState.metadata?.tournamentId) continue;
+
+    const { white, black } = gameState.players;
+    games.push({
+      sessionId,
+      variant: gameState.variantName,
+      subvariant: gameState.subvariantName,
+      players: {
+        white: { userId: white.userId, username: white.username, rating: white.rating },
+        black: { userId: black.userId, username: black.username, rating: black.rating },
+      },
+      averageRating: Math.round(((Number(white.rating) || 0) + (Number(black.rating) || 0)) / 2),
+      tournamentId: gameState.metadata?.tournamentId || null,
+      startedAt: gameState.startedAt,
+      moveCount: (gameState.moves || []).length,
+      clocks: getLiveClocks(gameState),
+    });
+  }
+
+  return games;
+}
+
 /**
  * Update session activity timestamp
  */
@@ -1153,8 +748,9 @@ export async function updateSessionActivity(sessionId) {
       return false;
     }
     
-    await redisClient.hSet(sessionKey(sessionId), 'lastActivity', Date.now().toString());
-    await redisClient.expire(sessionKey(sessionId), Math.floor(SESSION_TIMEOUT / 1000));
+    const gameState = JSON.parse(await redisClient.hGet(sessionKey(sessionId), 'gameState'));
+    await redisClient.hSet(sessionKey(sessionId), 'lastActivity', serverNow().toString());
+    await redisClient.expire(sessionKey(sessionId), sessionTtl(gameState));
     
     return true;
     
@@ -1164,6 +760,26 @@ export async function updateSessionActivity(sessionId) {
   }
 }
 
+/**
+ * Store the state a ply was played from, so a takeback can restore it (unrated games only).
+ * @param {Object} snapshot - { ply, takenAt, board, ... } as built by game.controller.js
+ * @param {Object} gameState - state after the ply, the snapshots expire with its session
+ */
+export async function pushPlySnapshot(sessionId, snapshot, gameState) {
+  const multi = redisClient.multi();
+  multi.rPush(plySnapshotsKey(sessionId), JSON.stringify(convertBigIntToNumber(snapshot)));
+  multi.expire(plySnapshotsKey(sessionId), sessionTtl(gameState));
+  await multi.exec();
+}
+
+/**
+ * Remove and return the snapshot of the last ply, or null when there is none.
+ */
+export async function popPlySnapshot(sessionId) {
+  const entry = await redisClient.rPop(plySnapshotsKey(sessionId));
+  return entry ? JSON.parse(entry) : null;
+}
+
 /**
  * Update game state in Redis
  */
@@ -1176,12 +792,35 @@ export async function updateGameState(sessionId, gameState) {
     }
     
     const multi = redisClient.multi();
+    const ttl = sessionTtl(gameState);
     multi.hSet(sessionKey(sessionId), {
       gameState: JSON.stringify(convertBigIntToNumber(gameState)),
-      lastActivity: Date.now().toString(),
+      lastActivity: serverNow().toString(),
       status: gameState.status
     });
-    multi.expire(sessionKey(sessionId), Math.floor(SESSION_TIMEOUT / 1000));
+    multi.expire(sessionKey(sessionId), ttl);
+    // The chat and takeback snapshots live exactly as long as their session
+    multi.expire(chatKey(sessionId), ttl);
+    multi.expire(chatMutedKey(sessionId), ttl);
+    multi.expire(plySnapshotsKey(sessionId), ttl);
+    // Players can find their game again (game:resume) for as long as it is in progress
+    for (const userId of [gameState.players?.white?.userId, gameState.players?.black?.userId].filter(Boolean)) {
+      if (gameState.status === 'active') {
+        multi.expire(userSessionKey(userId), ttl);
+      } else {
+        multi.del(userSessionKey(userId));
+      }
+    }
+    if (gameState.status !== 'active') {
+      multi.zRem(LIVE_GAMES_KEY, sessionId);
+    }
+    // Every state change moves the flag deadline (or clears it once the game is over)
+    const deadline = getScheduledDeadline(gameState);
+    if (deadline) {
+      multi.zAdd(CLOCK_DEADLINES_KEY, [{ score: deadline, value: sessionId }]);
+    } else {
+      multi.zRem(CLOCK_DEADLINES_KEY, sessionId);
+    }
     
     await multi.exec();
     return true;
@@ -1193,9 +832,193 @@ export async function updateGameState(sessionId, gameState) {
 }
 
 /**
- * Check for time forfeiture
+ * Pick the variant-specific parts of the final board worth keeping in the game record
  */
-export async function checkTimeForfeiture(sessionId) {
+function getVariantData(variant, board = {}) {
+  switch (variant) {
+    case 'decay':
+      return {
+        decayActive: board.decayActive,
+        queenDecayTimers: board.queenDecayTimers,
+        majorPieceDecayTimers: board.majorPieceDecayTimers,
+        frozenPieces: board.frozenPieces,
+      };
+    case 'sixpointer':
+      return {
+        points: board.points,
+        movesPlayed: board.movesPlayed,
+        timeoutPenalties: board.timeoutPenalties,
+      };
+    case 'crazyhouse':
+      return {
+        pocketedPieces: board.pocketedPieces,
+        dropTimers: board.dropTimers,
+        frozenPieces: board.frozenPieces,
+      };
+    default:
+      return {};
+  }
+}
+
+/**
+ * Persist a finished game to the Game collection: final FEN, full move list, clocks,
+ * result/reason and variant-specific data. Safe to call more than once for the same session.
+ * The Redis session expires after SESSION_TIMEOUT, so this is the permanent record of the game.
+ */
+export async function finalizeGame(sessionId, gameState) {
+  try {
+    if (!gameState || gameState.status !== 'finished') {
+      return false;
+    }
+
+    const board = convertBigIntToNumber(gameState.board || {});
+    const winnerColor = gameState.winner === 'white' || gameState.winner === 'black' ? gameState.winner : null;
+    const winnerId = winnerColor ? gameState.players?.[winnerColor]?.userId : null;
+    // Kept with the game, unfiltered text included, for report review
+    const chat = (await redisClient.lRange(chatKey(sessionId), 0, -1)).map((entry) => JSON.parse(entry));
+
+    await gameModel.findOneAndUpdate(
+      { sessionId },
+      {
+        $set: {
+          variant: gameState.variantName,
+          subvariant: gameState.subvariantName,
+          'players.white': gameState.players?.white?.userId,
+          'players.black': gameState.players?.black?.userId,
+          state: board,
+          status: 'finished',
+          finalFen: board.fen,
+          moves: convertBigIntToNumber(gameState.moves || []),
+          moveCount: (gameState.moves || []).length,
+          clocks: { white: board.whiteTime, black: board.blackTime },
+          timeControl: convertBigIntToNumber(gameState.timeControl),
+          variantData: getVariantData(gameState.variantName, board),
+          source: gameState.metadata?.source,
+          winner: winnerId || null,
+          result: winnerColor || (gameState.result === 'aborted' ? 'aborted' : 'draw'),
+          resultReason: gameState.resultReason || null,
+          chat,
+          endedAt: new Date(gameState.endedAt || serverNow()),
+        },
+        $setOnInsert: { startedAt: new Date(gameState.startedAt || gameState.createdAt || serverNow()) },
+      },
+      { upsert: true }
+    );
+
+    console.log(`Game ${sessionId} finalized: ${winnerColor || gameState.result || 'draw'} (${gameState.resultReason})`);
+    return true;
+  } catch (error) {
+    console.error('Error finalizing game:', error);
+    return false;
+  }
+}
+
+// How long the player with the first move has to play it before the game is aborted
+export const FIRST_MOVE_TIMEOUT = 30 * 1000;
+
+/**
+ * When the player to move runs out of time (ms timestamp), or null while no clock is running:
+ * game over, or no move played yet (clocks start with the first move, see getFirstMoveDeadline).
+ */
+export function getClockDeadline(gameState) {
+  if (!gameState || gameState.status !== 'active') return null;
+  const board = gameState.board || {};
+  const activeColor = board.activeColor;
+  if (activeColor !== 'white' && activeColor !== 'black') return null;
+
+  // Six-pointer: per-move timer, created with the first move
+  if (gameState.variantName === 'sixpointer') {
+    const timer = board.timers?.[activeColor];
+    if (!timer || typeof timer.lastUpdateTime !== 'number') return null;
+    return timer.lastUpdateTime + (timer.remaining ?? 0);
+  }
+
+  const remaining = board[`${activeColor}Time`];
+  if (!board.gameStarted || typeof board.turnStartTimestamp !== 'number' || typeof remaining !== 'number') {
+    return null;
+  }
+  // The clock only starts running once the move's delay is used up
+  return board.turnStartTimestamp + (board.delay || 0) + remaining;
+}
+
+/**
+ * Before the first move: when the game is aborted if it still hasn't been played (ms timestamp),
+ * counted from the start of the game or of the turn a takeback went back to. Null once a move was played.
+ */
+export function getFirstMoveDeadline(gameState) {
+  if (!gameState || gameState.status !== 'active' || (gameState.moves || []).length > 0) return null;
+  const since = gameState.board?.turnStartTimestamp ?? gameState.startedAt;
+  return typeof since === 'number' ? since + FIRST_MOVE_TIMEOUT : null;
+}
+
+/**
+ * What the clock worker has to act on next: the flag deadline, or the first-move deadline before any move
+ */
+export function getScheduledDeadline(gameState) {
+  return getClockDeadline(gameState) ?? getFirstMoveDeadline(gameState);
+}
+
+/**
+ * How long (seconds) the Redis keys of a session live: SESSION_TIMEOUT past the next clock deadline,
+ * so the session outlasts the longest think the clock allows and is still there to be flagged.
+ * Refreshed with every state update.
+ */
+export function sessionTtl(gameState, now = serverNow()) {
+  const deadline = getScheduledDeadline(gameState);
+  return Math.ceil((Math.max(deadline ?? now, now) - now + SESSION_TIMEOUT) / 1000);
+}
+
+/**
+ * Clocks as of now: the stored remaining times with the running clock of the player to move counted down
+ * @returns {{ white: number, black: number, activeColor: string, deadline: number|null }}
+ */
+export function getLiveClocks(gameState, now = serverNow()) {
+  const board = gameState?.board || {};
+  const deadline = getClockDeadline(gameState);
+  const clocks = {
+    white: board.whiteTime ?? null,
+    black: board.blackTime ?? null,
+    activeColor: board.activeColor,
+    deadline,
+  };
+  if (deadline) {
+    const remaining = Math.max(0, deadline - now);
+    // While the delay runs the clock stands still at its stored time
+    clocks[board.activeColor] = board.delay ? Math.min(remaining, board[`${board.activeColor}Time`]) : remaining;
+  }
+  return clocks;
+}
+
+/**
+ * Take the sessions whose deadline has passed off the clock schedule. Removing an entry is the claim,
+ * so with several pollers each expired clock is handled once.
+ * @param {number} now
+ * @returns {Promise<string[]>} sessionIds to expire
+ */
+export async function claimExpiredClocks(now = serverNow()) {
+  const due = await redisClient.zRangeByScore(CLOCK_DEADLINES_KEY, 0, now);
+  const claimed = [];
+  for (const sessionId of due) {
+    if (await redisClient.zRem(CLOCK_DEADLINES_KEY, sessionId)) claimed.push(sessionId);
+  }
+  return claimed;
+}
+
+/**
+ * Put a session back on the clock schedule, e.g. after claiming a deadline that turned out stale
+ */
+export async function scheduleClockDeadline(sessionId, gameState) {
+  const deadline = getScheduledDeadline(gameState);
+  if (deadline) {
+    await redisClient.zAdd(CLOCK_DEADLINES_KEY, [{ score: deadline, value: sessionId }]);
+  }
+}
+
+/**
+ * Check for time forfeiture: end the game if the player to move has run out of time.
+ * Not for six-pointer, where running out of time costs a point instead (applyTimeoutPenalty).
+ */
+export async function checkTimeForfeiture(sessionId, now = serverNow()) {
   try {
     const session = await getSessionById(sessionId);
     if (!session || session.gameState.status !== 'active') {
@@ -1203,21 +1026,26 @@ export async function checkTimeForfeiture(sessionId) {
     }
     
     const { gameState } = session;
-    const { timers, board } = gameState;
+    const { board } = gameState;
     const activeColor = board.activeColor;
+    const deadline = getClockDeadline(gameState);
     
-    if (timers[activeColor].remaining <= 0) {
+    if (deadline && deadline <= now) {
       // Time has expired
       const winner = activeColor === 'white' ? 'black' : 'white';
       
+      board[`${activeColor}Time`] = 0;
       gameState.status = 'finished';
-      gameState.result = winner === 'white' ? CHESS_CONSTANTS.GAME_RESULTS.WHITE_WINS : CHESS_CONSTANTS.GAME_RESULTS.BLACK_WINS;
+      gameState.result = winner;
       gameState.resultReason = CHESS_CONSTANTS.WIN_REASONS.TIME_FORFEIT;
       gameState.winner = winner;
-      gameState.endedAt = Date.now();
-      gameState.timeControl.flagged[activeColor] = true;
+      gameState.endedAt = deadline;
+      if (gameState.timeControl?.flagged) {
+        gameState.timeControl.flagged[activeColor] = true;
+      }
       
       await updateGameState(sessionId, gameState);
+      await finalizeGame(sessionId, gameState);
       
       return {
         gameOver: true,
@@ -1251,6 +1079,29 @@ export function getAvailableVariants() {
   }));
 }
 
+/**
+ * Get the configured time control of a variant/subvariant: { base, increment, perMove? } in ms, or null
+ */
+export function getVariantTimeControl(variant, subvariant) {
+  const config = GAME_VARIANTS[variant];
+  if (!config) return null;
+  if (config.subvariants) {
+    return config.subvariants[subvariant]?.timeControl || null;
+  }
+  return config.timeControl || null;
+}
+
+/**
+ * Time control of a new game: the variant's configured one with the requested fields
+ * ({ base, increment, delay } or six-pointer's { perMove }, in ms) applied
+ * @returns {{ valid: true, timeControl: Object } | { valid: false, reason: string }}
+ */
+export function resolveGameTimeControl(variant, subvariant, requested) {
+  const defaults = getVariantTimeControl(variant, subvariant);
+  if (!defaults) return { valid: false, reason: `Invalid game variant: ${variant}/${subvariant}` };
+  return resolveTimeControl(defaults, requested);
+}
+
 /**
  * Get chess constants for frontend use
  */
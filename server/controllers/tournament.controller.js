@@ -1,10 +1,26 @@
 import redisClient from '../config/redis.config.js';
 import { leaveQueue } from './matchmaking.controller.js'; // Import existing matchmaking functions
-import { createGameSession } from './session.controller.js'; // Import createGameSession
+import { createGameSession, resolveGameTimeControl } from './session.controller.js'; // Import createGameSession
+import { getVariantRating } from './rating.controller.js';
 import UserModel from '../models/User.model.js';
 import TournamentModel from '../models/tournament.model.js'; // Import Tournament model
+import { scoreTournamentGame } from '../utils/tournamentScoring.js';
+import { PAIRING_CUTOFF, placementsOf } from '../utils/tournamentSchedule.js';
+import { arenaSettings, lastOpponents, pairArenaPlayers } from '../utils/arenaPairing.js';
+import {
+    isRoundBased,
+    bergerRound,
+    pairSwissRound,
+    playerHistories,
+    rankStandings,
+    standingsComparator,
+    ROUND_POINTS,
+    BYE_POINTS
+} from '../utils/tournamentFormats.js';
+import { serverNow } from '../utils/clock.js';
+import { isSameTimeControl } from '../utils/timeControl.js';
 // NEW IMPORTS for flexible fallback
-import { REGULAR_QUEUE_KEYS_BY_VARIANT, REGULAR_USER_DATA_KEY } from './matchmaking.controller.js';
+import { getRegularQueueKey, REGULAR_USER_DATA_KEY } from './matchmaking.controller.js';
 
 // Constants for tournament management
 const TOURNAMENT_ID_COUNTER_KEY = 'tournament:id_counter';
@@ -22,6 +38,9 @@ const IDLE_TIMEOUT = 5 * 60 * 1000; // 5 minutes
 // Supported variants (mirror from matchmaking.js or import if needed)
 const VARIANTS = ['crazyhouse', 'sixpointer', 'decay', 'classic'];
 
+// Tournament fields every game of it is played with (tournamentVariant, tournamentGameConfig)
+export const GAME_SETTING_FIELDS = ['variant', 'subvariant', 'timeControl', 'rated', 'startingPositions'];
+
 /**
  * Helper: Get a random variant and subvariant (duplicate from matchmaking.js for self-containment, or export from there)
  * This is used when a user *initially* joins a tournament queue.
@@ -63,11 +82,75 @@ function getRandomVariantAndSubvariant() {
 }
 
 /**
- * Creates a new tournament.
- * @param {Object} params - { name, capacity, startTime, duration, entryFee, prizePool }
+ * Variant of the tournament's next game: its own variant/subvariant, or a random one when it
+ * was created without one.
+ */
+function tournamentVariant(tournament) {
+    if (!tournament?.variant) return getRandomVariantAndSubvariant();
+    return { variant: tournament.variant, subvariant: tournament.subvariant || '' };
+}
+
+/**
+ * createGameSession settings of a tournament game: the tournament's time control (the variant's
+ * default when it has none), rated flag and a position drawn from its starting positions.
+ * @param {Object} tournament - Tournament document or plain object
+ * @returns {Object} { timeControl?, rated, startFen? }
+ */
+export function tournamentGameConfig(tournament) {
+    const positions = tournament?.startingPositions || [];
+    return {
+        ...(tournament?.timeControl ? { timeControl: tournament.timeControl } : {}),
+        rated: tournament?.rated !== false,
+        ...(positions.length ? { startFen: positions[Math.floor(Math.random() * positions.length)] } : {})
+    };
+}
+
+/**
+ * Whether a player waiting in a regular queue may play a tournament game in variant/subvariant.
+ * The game is played with the tournament's settings, so they have to be what the player queued
+ * for: the same variant and time control, rated, from the variant's own starting position.
+ * @param {Object} tournament
+ * @param {Object} regularPlayer - regular queue user data (REGULAR_USER_DATA_KEY)
+ * @param {string} variant
+ * @param {string} subvariant
+ * @returns {boolean}
+ */
+export function acceptsRegularPlayer(tournament, regularPlayer, variant, subvariant) {
+    if (regularPlayer.variant !== variant || (regularPlayer.subvariant || '') !== (subvariant || '')) return false;
+    if (tournament.rated === false || tournament.startingPositions?.length) return false;
+
+    const tournamentTimeControl = resolveGameTimeControl(variant, subvariant, tournament.timeControl || undefined);
+    const queuedTimeControl = regularPlayer.timeControl ?
+        JSON.parse(regularPlayer.timeControl) :
+        resolveGameTimeControl(variant, subvariant).timeControl;
+    return tournamentTimeControl.valid && isSameTimeControl(queuedTimeControl, tournamentTimeControl.timeControl);
+}
+
+/**
+ * Creates a new tournament. It starts as "scheduled"; the lifecycle scheduler
+ * (tournamentLifecycle.controller.js) opens it at startTime.
+ * @param {Object} params - { name, capacity, startTime, endTime, format, rounds, arena, variant,
+ * subvariant, timeControl, rated, startingPositions }; format is arena (default), swiss or
+ * roundRobin (utils/tournamentFormats.js), rounds the number of Swiss rounds, arena overrides the
+ * arena pairing defaults (utils/arenaPairing.js). Every game is played in variant/subvariant
+ * (a random variant per game without one) with timeControl, rated and, when given, one of the
+ * startingPositions FENs.
  * @returns {string} The new tournament ID.
  */
-export async function createTournament({ name, capacity = 200, startTime, endTime }) {
+export async function createTournament({
+    name,
+    capacity = 200,
+    startTime,
+    endTime,
+    format = 'arena',
+    rounds = null,
+    arena = {},
+    variant = null,
+    subvariant = null,
+    timeControl = null,
+    rated = true,
+    startingPositions = []
+}) {
     try {
         // Create tournament in MongoDB
         const tournament = new TournamentModel({
@@ -76,6 +159,14 @@ export async function createTournament({ name, capacity = 200, startTime, endTim
             startTime: new Date(startTime),
             endTime: new Date(endTime),
             status: 'scheduled',
+            format,
+            rounds,
+            arena,
+            variant,
+            subvariant,
+            timeControl,
+            rated,
+            startingPositions,
             leaderboard: [],
             matches: []
         });
@@ -95,16 +186,6 @@ export async function createTournament({ name, capacity = 200, startTime, endTim
             participantsCount: '0'
         });
 
-        // If tournament should be active now, update both MongoDB and Redis
-        const now = new Date();
-        if (now >= tournament.startTime) {
-            await Promise.all([
-                TournamentModel.findByIdAndUpdate(tournamentId, { status: 'active' }),
-                redisClient.hSet(TOURNAMENT_DETAILS_KEY(tournamentId), 'status', 'active'),
-                redisClient.set(TOURNAMENT_ACTIVE_KEY, tournamentId)
-            ]);
-        }
-
         return tournamentId;
     } catch (error) {
         console.error('[createTournament] Error:', error);
@@ -112,18 +193,319 @@ export async function createTournament({ name, capacity = 200, startTime, endTim
     }
 }
 
+/**
+ * Remove every participant of a tournament from the tournament queue and
+ * drop the tournament from the active pointer. Used when a tournament stops early.
+ * @param {string} tournamentId
+ */
+async function clearTournamentQueue(tournamentId) {
+    const participants = await redisClient.sMembers(TOURNAMENT_PARTICIPANTS_KEY(tournamentId));
+    for (const userId of participants) {
+        await redisClient.zRem(TOURNAMENT_QUEUE_KEY, userId);
+        await redisClient.del(TOURNAMENT_USER_DATA_KEY(tournamentId, userId));
+    }
+
+    const activeId = await redisClient.get(TOURNAMENT_ACTIVE_KEY);
+    if (activeId === tournamentId) {
+        await redisClient.del(TOURNAMENT_ACTIVE_KEY);
+    }
+}
+
+/**
+ * Updates name, capacity, schedule, arena or game settings of a tournament that has not finished yet.
+ * @param {string} tournamentId
+ * @param {Object} updates - { name, capacity, startTime, endTime, format, rounds, arena, variant,
+ * subvariant, timeControl, rated, startingPositions } (all optional; arena only changes the
+ * settings it names; format, rounds and the game settings only before the start)
+ * @returns {Promise<{ success: boolean, code?: string, message?: string, tournament?: Object, previous?: Object }>}
+ */
+export async function updateTournament(tournamentId, updates) {
+    const tournament = await TournamentModel.findById(tournamentId);
+    if (!tournament) {
+        return { success: false, code: 'TOURNAMENT_NOT_FOUND', message: 'Tournament not found' };
+    }
+    if (!['scheduled', 'active'].includes(tournament.status)) {
+        return { success: false, code: 'TOURNAMENT_NOT_EDITABLE', message: `Cannot edit a ${tournament.status} tournament` };
+    }
+
+    const startFields = ['format', 'rounds', ...GAME_SETTING_FIELDS];
+    if (startFields.some((field) => updates[field] !== undefined) && tournament.status !== 'scheduled') {
+        return { success: false, code: 'TOURNAMENT_NOT_EDITABLE', message: 'Format, rounds and game settings can only be changed before the tournament starts' };
+    }
+
+    const previous = {
+        name: tournament.name,
+        capacity: tournament.capacity,
+        startTime: tournament.startTime,
+        endTime: tournament.endTime,
+        format: tournament.format,
+        rounds: tournament.rounds,
+        arena: arenaSettings(tournament),
+        variant: tournament.variant,
+        subvariant: tournament.subvariant,
+        timeControl: tournament.timeControl,
+        rated: tournament.rated,
+        startingPositions: [...tournament.startingPositions]
+    };
+
+    if (updates.name !== undefined) tournament.name = updates.name;
+    if (updates.capacity !== undefined) tournament.capacity = updates.capacity;
+    if (updates.startTime !== undefined) tournament.startTime = new Date(updates.startTime);
+    if (updates.endTime !== undefined) tournament.endTime = new Date(updates.endTime);
+    if (updates.format !== undefined) tournament.format = updates.format;
+    if (updates.rounds !== undefined) tournament.rounds = updates.rounds;
+    for (const field of GAME_SETTING_FIELDS) {
+        if (updates[field] !== undefined) tournament[field] = updates[field];
+    }
+    for (const [key, value] of Object.entries(updates.arena || {})) {
+        tournament.arena[key] = value;
+    }
+
+    if (tournament.endTime <= tournament.startTime) {
+        return { success: false, code: 'TOURNAMENT_INVALID_SCHEDULE', message: 'endTime must be after startTime' };
+    }
+    if (tournament.capacity < tournament.leaderboard.length) {
+        return { success: false, code: 'TOURNAMENT_INVALID_CAPACITY', message: 'Capacity is below the current number of participants' };
+    }
+
+    await tournament.save();
+    await redisClient.hSet(TOURNAMENT_DETAILS_KEY(tournamentId), {
+        name: tournament.name,
+        capacity: tournament.capacity.toString(),
+        startTime: tournament.startTime.toString(),
+        endTime: tournament.endTime.toString()
+    });
+
+    console.log(`[updateTournament] Updated tournament ${tournamentId}`);
+    return { success: true, tournament, previous };
+}
+
+/**
+ * Cancels a scheduled or running tournament. Queued participants are removed from the tournament queue.
+ * @param {string} tournamentId
+ */
+export async function cancelTournament(tournamentId) {
+    const tournament = await TournamentModel.findById(tournamentId);
+    if (!tournament) {
+        return { success: false, code: 'TOURNAMENT_NOT_FOUND', message: 'Tournament not found' };
+    }
+    if (!['scheduled', 'active', 'finishing'].includes(tournament.status)) {
+        return { success: false, code: 'TOURNAMENT_NOT_CANCELLABLE', message: `Cannot cancel a ${tournament.status} tournament` };
+    }
+
+    tournament.status = 'cancelled';
+    await tournament.save();
+    await redisClient.hSet(TOURNAMENT_DETAILS_KEY(tournamentId), 'status', 'cancelled');
+    await clearTournamentQueue(tournamentId);
+
+    console.log(`[cancelTournament] Cancelled tournament ${tournamentId}`);
+    return { success: true, tournament };
+}
+
+/**
+ * Starts a scheduled tournament immediately, moving its startTime to now.
+ * @param {string} tournamentId
+ */
+export async function forceStartTournament(tournamentId) {
+    const tournament = await TournamentModel.findById(tournamentId);
+    if (!tournament) {
+        return { success: false, code: 'TOURNAMENT_NOT_FOUND', message: 'Tournament not found' };
+    }
+    if (tournament.status !== 'scheduled') {
+        return { success: false, code: 'TOURNAMENT_NOT_STARTABLE', message: `Cannot start a ${tournament.status} tournament` };
+    }
+
+    const now = new Date(serverNow());
+    if (tournament.endTime.getTime() - PAIRING_CUTOFF <= now.getTime()) {
+        return { success: false, code: 'TOURNAMENT_INVALID_SCHEDULE', message: 'Tournament endTime is too close or already in the past' };
+    }
+
+    if (tournament.startTime > now) tournament.startTime = now;
+    await activateTournament(tournament);
+
+    console.log(`[forceStartTournament] Started tournament ${tournamentId}`);
+    return { success: true, tournament };
+}
+
+/**
+ * Ends a running tournament now, moving its endTime to now: pairing stops and the tournament is
+ * completed by the lifecycle scheduler once its running games are over.
+ * @param {string} tournamentId
+ */
+export async function forceEndTournament(tournamentId) {
+    const tournament = await TournamentModel.findById(tournamentId);
+    if (!tournament) {
+        return { success: false, code: 'TOURNAMENT_NOT_FOUND', message: 'Tournament not found' };
+    }
+    if (tournament.status !== 'active') {
+        return { success: false, code: 'TOURNAMENT_NOT_ACTIVE', message: `Cannot end a ${tournament.status} tournament` };
+    }
+
+    const now = new Date(serverNow());
+    if (tournament.endTime > now) tournament.endTime = now;
+    await closeTournamentPairing(tournament);
+
+    console.log(`[forceEndTournament] Ended tournament ${tournamentId}`);
+    return { success: true, tournament };
+}
+
+/**
+ * Lifecycle transition scheduled -> active: the tournament takes joins and pairs its players.
+ * @param {Document} tournament - Tournament document, saved here
+ */
+export async function activateTournament(tournament) {
+    const tournamentId = tournament._id.toString();
+    tournament.status = 'active';
+    await tournament.save();
+
+    await Promise.all([
+        redisClient.hSet(TOURNAMENT_DETAILS_KEY(tournamentId), {
+            status: 'active',
+            startTime: tournament.startTime.toString(),
+            endTime: tournament.endTime.toString()
+        }),
+        redisClient.set(TOURNAMENT_ACTIVE_KEY, tournamentId)
+    ]);
+    return tournament;
+}
+
+/**
+ * Lifecycle transition active -> finishing: no more pairing, queued participants are removed
+ * from the tournament queue. Games already running still count.
+ * @param {Document} tournament - Tournament document, saved here
+ */
+export async function closeTournamentPairing(tournament) {
+    const tournamentId = tournament._id.toString();
+    tournament.status = 'finishing';
+    await tournament.save();
+
+    await redisClient.hSet(TOURNAMENT_DETAILS_KEY(tournamentId), {
+        status: 'finishing',
+        endTime: tournament.endTime.toString()
+    });
+    await clearTournamentQueue(tournamentId);
+    return tournament;
+}
+
+/**
+ * Lifecycle transition finishing -> completed: the standings are frozen (recordTournamentResult
+ * leaves completed tournaments alone), every participant gets a placement and the tournament
+ * goes on their record (User.tournaments).
+ * @param {Document} tournament - Tournament document, saved here
+ */
+export async function completeTournament(tournament) {
+    const tournamentId = tournament._id.toString();
+    const standings = rankStandings(tournament);
+    const placements = placementsOf(standings, standingsComparator(tournament));
+    const placementByPlayer = new Map(standings.map((entry, index) => [entry.player.toString(), placements[index]]));
+    for (const entry of tournament.leaderboard) {
+        entry.placement = placementByPlayer.get(entry.player.toString());
+    }
+
+    tournament.status = 'completed';
+    tournament.completedAt = new Date(serverNow());
+    await tournament.save();
+
+    await Promise.all([
+        redisClient.hSet(TOURNAMENT_DETAILS_KEY(tournamentId), 'status', 'completed'),
+        clearTournamentQueue(tournamentId),
+        standings.length
+            ? UserModel.updateMany(
+                { _id: { $in: standings.map((entry) => entry.player) } },
+                { $addToSet: { tournaments: tournament._id } }
+            )
+            : null
+    ]);
+    return tournament;
+}
+
+/**
+ * Pair and start the next round of a Swiss or round-robin tournament: a game session for every
+ * pairing, all in the tournament's variant (one drawn at random for the round when it has none)
+ * and game settings, and a bye (BYE_POINTS) for a player left over.
+ * Round-robin follows the Berger tables in join order, Swiss pairs by score and rating
+ * (utils/tournamentFormats.js). Called by the lifecycle scheduler once the previous round is over.
+ * @param {Document} tournament - Tournament document, saved here
+ * @returns {Promise<Object>} { round, variant, subvariant, games: [{ white, black, sessionId }], byes }
+ */
+export async function startTournamentRound(tournament) {
+    const tournamentId = tournament._id.toString();
+    const round = tournament.currentRound + 1;
+    const { variant, subvariant } = tournamentVariant(tournament);
+
+    const playerIds = tournament.leaderboard.map((entry) => entry.player.toString());
+    const users = await UserModel.find({ _id: { $in: playerIds } }).select('_id name ratings variantRatings').lean();
+    const userById = new Map(users.map((user) => [user._id.toString(), user]));
+    const ratingOf = (userId) => {
+        const user = userById.get(userId);
+        return user ? Math.round(getVariantRating(user, variant, subvariant).rating) : 0;
+    };
+
+    let pairs;
+    let byes;
+    if (tournament.format === 'roundRobin') {
+        const tables = bergerRound(playerIds, round);
+        pairs = tables.filter(([, black]) => black);
+        byes = tables.filter(([, black]) => !black).map(([white]) => white);
+    } else {
+        const players = tournament.leaderboard.map((entry) => ({
+            id: entry.player.toString(),
+            points: entry.points || 0,
+            rating: ratingOf(entry.player.toString())
+        }));
+        const pairing = pairSwissRound(players, playerHistories(tournament));
+        pairs = pairing.pairs;
+        byes = pairing.bye ? [pairing.bye] : [];
+    }
+
+    const games = [];
+    for (const [white, black] of pairs) {
+        const [whitePlayer, blackPlayer] = [white, black].map((userId) => ({
+            userId,
+            username: userById.get(userId)?.name || 'Unknown Player',
+            rating: ratingOf(userId)
+        }));
+        try {
+            // createGameSession lists the game in the tournament's matches with its round
+            const created = await createGameSession(
+                whitePlayer,
+                blackPlayer,
+                variant,
+                subvariant,
+                { [white]: 'tournament', [black]: 'tournament' },
+                { ...tournamentGameConfig(tournament), tournamentId, round, whiteUserId: white }
+            );
+            if (!created.success) throw new Error(created.message);
+            games.push({ white, black, sessionId: created.sessionId });
+        } catch (err) {
+            console.error(`[startTournamentRound] Could not start ${white} vs ${black} in round ${round} of ${tournamentId}:`, err);
+        }
+    }
+
+    for (const playerId of byes) {
+        tournament.matches.push({ round, player1: playerId, player2: null, result: 'bye', winner: playerId });
+        const entry = tournament.leaderboard.find((standing) => standing.player.toString() === playerId);
+        entry.points = (entry.points || 0) + BYE_POINTS;
+    }
+    tournament.currentRound = round;
+    await tournament.save();
+
+    console.log(`[startTournamentRound] Tournament ${tournamentId} round ${round}: ${games.length} games, ${byes.length} byes`);
+    return { round, variant, subvariant, games, byes };
+}
+
 /**
  * Gets details of the currently active tournament.
  * @returns {Object|null} Tournament details or null if no active tournament.
  */
 export async function getActiveTournamentDetails() {
     try {
-        // Get active tournament from MongoDB
-        const now = new Date();
+        // Get active tournament from MongoDB; the lifecycle scheduler moves it on to "finishing"
+        // at the pairing cutoff, the endTime condition covers the time until its next run
+        const now = serverNow();
         const activeTournament = await TournamentModel.findOne({
-            startTime: { $lte: now },
-            endTime: { $gte: now },
-            status: { $in: ['scheduled', 'active'] }
+            status: 'active',
+            endTime: { $gt: new Date(now + PAIRING_CUTOFF) }
         });
 
         if (activeTournament) {
@@ -154,12 +536,23 @@ export async function getActiveTournamentDetails() {
 }
 
 /**
- * User joins the active tournament.
+ * The next scheduled Swiss or round-robin tournament: these take registrations before they start.
+ * @returns {Promise<Document|null>}
+ */
+async function findRegistrationTournament() {
+    return TournamentModel.findOne({ status: 'scheduled', format: { $in: ['swiss', 'roundRobin'] } })
+        .sort({ startTime: 1 });
+}
+
+/**
+ * User joins the active tournament, or registers for the next Swiss or round-robin one.
+ * Arena players go to the tournament queue; round-based players are paired each round
+ * (startTournamentRound) and cannot join once the first round is paired.
  * @param {Object} params - { userId, socketId, io }
  */
 export async function joinTournament({ userId, socketId, io }) {
     try {
-        const activeTournament = await getActiveTournamentDetails();
+        const activeTournament = (await getActiveTournamentDetails()) || (await findRegistrationTournament());
         
         if (!activeTournament) {
             io.to(socketId).emit('tournament:error', { 
@@ -170,18 +563,26 @@ export async function joinTournament({ userId, socketId, io }) {
 
         const tournamentId = activeTournament._id.toString();
 
+        // Players come back after every game: only the first join adds a leaderboard entry
+        const alreadyJoined = activeTournament.leaderboard.some((entry) => entry.player.toString() === userId);
+        const roundBased = isRoundBased(activeTournament);
+        if (roundBased && activeTournament.currentRound > 0 && !alreadyJoined) {
+            io.to(socketId).emit('tournament:error', { message: 'Registration for this tournament is closed.' });
+            return;
+        }
+
         // Check Redis participant count first (faster)
         const participantsCount = await redisClient.hGet(TOURNAMENT_DETAILS_KEY(tournamentId), 'participantsCount');
-        if (parseInt(participantsCount) >= activeTournament.capacity) {
+        if (!alreadyJoined && parseInt(participantsCount) >= activeTournament.capacity) {
             io.to(socketId).emit('tournament:error', { message: 'Tournament is full.' });
             return;
         }
 
-        // Add to MongoDB leaderboard
-        const updateResult = await TournamentModel.findByIdAndUpdate(
-            tournamentId,
+        // Add to MongoDB leaderboard (the filter keeps concurrent joins from adding a second entry)
+        const updateResult = alreadyJoined ? null : await TournamentModel.findOneAndUpdate(
+            { _id: tournamentId, 'leaderboard.player': { $ne: userId } },
             {
-                $addToSet: {
+                $push: {
                     leaderboard: {
                         player: userId,
                         currentStreak: 0,
@@ -196,14 +597,16 @@ export async function joinTournament({ userId, socketId, io }) {
         if (updateResult) {
             await Promise.all([
                 redisClient.sAdd(TOURNAMENT_PARTICIPANTS_KEY(tournamentId), userId),
-                redisClient.hIncrBy(TOURNAMENT_DETAILS_KEY(tournamentId), 'participantsCount', 1),
-                addTournamentUserToQueue(userId, socketId, tournamentId, io)
+                redisClient.hIncrBy(TOURNAMENT_DETAILS_KEY(tournamentId), 'participantsCount', 1)
             ]);
         }
+        if (!roundBased) {
+            await addTournamentUserToQueue(userId, socketId, activeTournament, io);
+        }
 
         io.to(socketId).emit('tournament:joined', { 
             tournament: activeTournament,
-            status: 'newly_joined'
+            status: updateResult ? 'newly_joined' : 'already_joined'
         });
 
     } catch (err) {
@@ -216,13 +619,15 @@ export async function joinTournament({ userId, socketId, io }) {
 
 /**
  * Adds a tournament participant to the general tournament matchmaking queue
- * with a randomly assigned variant for their next game.
+ * with the variant of their next game (the tournament's, or a random one). They are
+ * paired by runArenaPairing once they have waited the tournament's minWait.
  * @param {string} userId
  * @param {string} socketId
- * @param {string} tournamentId
+ * @param {Document} tournament
  * @param {Server} io
  */
-export async function addTournamentUserToQueue(userId, socketId, tournamentId, io) {
+export async function addTournamentUserToQueue(userId, socketId, tournament, io) {
+    const tournamentId = tournament._id.toString();
     try {
         const userDoc = await UserModel.findById(userId);
         if (!userDoc) {
@@ -231,15 +636,12 @@ export async function addTournamentUserToQueue(userId, socketId, tournamentId, i
             return;
         }
 
-        // Assign random variant/subvariant immediately when joining tournament queue
-        const { variant, subvariant } = getRandomVariantAndSubvariant();
+        // Assign the variant/subvariant immediately when joining tournament queue
+        const { variant, subvariant } = tournamentVariant(tournament);
 
-        let rank = 1200;
-        if (userDoc.ratings && typeof userDoc.ratings === 'object') {
-            rank = userDoc.ratings;
-        }
+        const rank = Math.round(getVariantRating(userDoc, variant, subvariant).rating);
 
-        const now = Date.now();
+        const now = serverNow();
         const score = parseFloat(rank) + (now / 1e13);
 
         await redisClient.hSet(TOURNAMENT_USER_DATA_KEY(tournamentId, userId), {
@@ -256,11 +658,11 @@ export async function addTournamentUserToQueue(userId, socketId, tournamentId, i
         await redisClient.zAdd(TOURNAMENT_QUEUE_KEY, [{ score, value: userId }]);
         console.log(`[addTournamentUserToQueue] User ${userId} added to tournament queue with variant: ${variant}${subvariant ? `:${subvariant}` : ''}`);
 
-        // Try to match immediately
+        // Pair right away if the tournament does not ask for a minimum wait
         try {
-            await tryMatchTournamentUser(userId, io);
+            await runArenaPairing(io);
         } catch (err) {
-            console.error(`[addTournamentUserToQueue] Error in tryMatchTournamentUser for user ${userId}:`, err);
+            console.error(`[addTournamentUserToQueue] Error in runArenaPairing for user ${userId}:`, err);
         }
 
     } catch (err) {
@@ -299,148 +701,187 @@ export async function leaveTournament(userId, tournamentId) {
 }
 
 /**
- * Try to match a tournament user. This function will look for opponents in:
- * 1. The tournament queue (other tournament participants) for the assigned variant.
- * 2. ANY regular variant queue as a fallback.
- * @param {string} userId - The tournament user to match
- * @param {Server} io - Socket.IO server instance
- * @returns {boolean} - true if match was found and completed, false otherwise
+ * Waiting players of the tournament, with their score and last opponent for arena pairing.
+ * Players whose socket is gone are removed from the tournament queue.
+ * @param {Document} tournament - the active tournament
+ * @param {Namespace} io - /matchmaking namespace
+ * @returns {Promise<Object[]>} { userId, joinTime, points, lastOpponent, data, socket }
  */
-export async function tryMatchTournamentUser(userId, io) {
-    console.log(`[tryMatchTournamentUser] Attempting to match userId=${userId}`);
-
-    const activeTournament = await getActiveTournamentDetails();
-    if (!activeTournament) {
-        console.log(`[tryMatchTournamentUser] No active tournament. Removing user ${userId} from tournament queue.`);
-        await redisClient.zRem(TOURNAMENT_QUEUE_KEY, userId);
-        return false;
+async function getWaitingArenaPlayers(tournament, io) {
+    const tournamentId = tournament._id.toString();
+    const points = new Map(tournament.leaderboard.map((entry) => [entry.player.toString(), entry.points || 0]));
+    const opponents = lastOpponents(tournament.matches);
+
+    const waiting = [];
+    for (const userId of await redisClient.zRange(TOURNAMENT_QUEUE_KEY, 0, -1)) {
+        const data = await redisClient.hGetAll(TOURNAMENT_USER_DATA_KEY(tournamentId, userId));
+        if (data?.status !== 'waiting' || data.tournamentId !== tournamentId) continue;
+
+        const socket = io.sockets.get(data.socketId);
+        if (!socket) {
+            console.log(`[getWaitingArenaPlayers] User ${userId}'s socket ${data.socketId} is disconnected, removing from tournament queue`);
+            await leaveTournament(userId, tournamentId);
+            continue;
+        }
+        waiting.push({
+            userId,
+            joinTime: parseInt(data.joinTime),
+            points: points.get(userId) || 0,
+            lastOpponent: opponents.get(userId) || null,
+            data,
+            socket
+        });
     }
+    return waiting;
+}
 
-    const tournamentId = activeTournament._id.toString();
-    const user = await redisClient.hGetAll(TOURNAMENT_USER_DATA_KEY(tournamentId, userId));
-
-    if (!user || user.status !== 'waiting') {
-        console.log(`[tryMatchTournamentUser] User ${userId} not in waiting state for tournament ${tournamentId}. Status: ${user?.status}`);
-        return false;
+/**
+ * Pair a tournament player who has waited long enough with a player from the regular queue of
+ * the same variant and the tournament's time control (acceptsRegularPlayer). Other variants
+ * are never tried.
+ * @param {Object} player - entry from getWaitingArenaPlayers
+ * @param {Namespace} io
+ * @param {Document} tournament
+ * @returns {Promise<boolean>} whether a game was started
+ */
+async function matchWithRegularQueue(player, io, tournament) {
+    const { variant, subvariant } = player.data;
+    const timeControl = resolveGameTimeControl(variant, subvariant, tournament.timeControl || undefined);
+    const queueKey = timeControl.valid && getRegularQueueKey(variant, subvariant, timeControl.timeControl);
+    if (!queueKey) return false;
+
+    const regularCandidates = await redisClient.zRange(queueKey, 0, -1, { REV: true, BY: 'score' });
+    for (const candidateId of regularCandidates) {
+        const candidate = await redisClient.hGetAll(REGULAR_USER_DATA_KEY(candidateId));
+        if (candidate?.status !== 'waiting' || !acceptsRegularPlayer(tournament, candidate, variant, subvariant)) continue;
+
+        const candidateSocket = io.sockets.get(candidate.socketId);
+        if (!candidateSocket) {
+            console.log(`[matchWithRegularQueue] Cleaning up disconnected regular user ${candidateId}`);
+            await leaveQueue(candidateId);
+            continue;
+        }
+        console.log(`[matchWithRegularQueue] ${player.userId} (T:${variant}${subvariant ? `:${subvariant}` : ''}) vs regular user ${candidateId}`);
+        return initiateMatch(player.data, candidate, player.socket, candidateSocket, io, true, tournament);
     }
+    return false;
+}
 
-    const userSocket = io.sockets.get(user.socketId);
-    if (!userSocket) {
-        console.log(`[tryMatchTournamentUser] User ${userId}'s socket ${user.socketId} is disconnected, removing from tournament queue`);
-        await leaveTournament(userId, tournamentId);
-        return false;
-    }
+let arenaPairingRunning = false;
 
-    const userVariant = user.variant;
-    const userSubvariant = user.subvariant;
-    console.log(`[tryMatchTournamentUser] Tournament user ${userId} has variant: ${userVariant}${userSubvariant ? `:${userSubvariant}` : ''}`);
-
-    // --- 1. Search in Tournament Queue First (Any Variant) ---
-    console.log(`[tryMatchTournamentUser] Searching for opponent in tournament queue`);
-    let tournamentCandidates = await redisClient.zRange(TOURNAMENT_QUEUE_KEY, 0, -1, { REV: true, BY: 'score' });
-    tournamentCandidates = tournamentCandidates.filter(id => id !== userId);
-
-    for (const candidateId of tournamentCandidates) {
-        const candidate = await redisClient.hGetAll(TOURNAMENT_USER_DATA_KEY(tournamentId, candidateId));
-        if (candidate && candidate.status === 'waiting' && candidate.tournamentId === tournamentId) {
-            const candidateSocket = io.sockets.get(candidate.socketId);
-            if (candidateSocket) {
-                // For tournament vs tournament match, use the first user's variant
-                console.log(`[tryMatchTournamentUser] Found tournament match: ${userId} (${userVariant}${userSubvariant ? `:${userSubvariant}` : ''}) vs ${candidateId} (${candidate.variant}${candidate.subvariant ? `:${candidate.subvariant}` : ''})`);
-                console.log(`[tryMatchTournamentUser] Using ${userId}'s variant: ${userVariant}${userSubvariant ? `:${userSubvariant}` : ''}`);
-                
-                await initiateMatch(
-                    user,
-                    candidate,
-                    userSocket,
-                    candidateSocket,
-                    io,
-                    false // Not cross-queue
-                );
-                return true;
-            } else {
-                await leaveTournament(candidateId, tournamentId);
+/**
+ * One arena pairing pass over the active tournament's queue (utils/arenaPairing.js): players
+ * who have waited the tournament's minWait are paired by score, without immediate rematches;
+ * those still unpaired after regularFallbackAfter may play someone from the regular queue of
+ * their variant. Runs when a player joins the queue and periodically from the lifecycle
+ * scheduler; a pass that is still running is not overlapped.
+ * @param {Namespace} io - /matchmaking namespace
+ * @param {number} [now]
+ * @returns {Promise<number>} games started
+ */
+export async function runArenaPairing(io, now = serverNow()) {
+    if (arenaPairingRunning) return 0;
+    arenaPairingRunning = true;
+    try {
+        const tournament = await getActiveTournamentDetails();
+        if (!tournament || isRoundBased(tournament)) return 0;
+
+        const settings = arenaSettings(tournament);
+        const waiting = await getWaitingArenaPlayers(tournament, io);
+        const pairs = pairArenaPlayers(waiting, settings, now);
+        const paired = new Set();
+        let started = 0;
+
+        for (const [player, opponent] of pairs) {
+            console.log(`[runArenaPairing] Pairing ${player.userId} (${player.points} pts) with ${opponent.userId} (${opponent.points} pts)`);
+            paired.add(player.userId).add(opponent.userId);
+            if (await initiateMatch(player.data, opponent.data, player.socket, opponent.socket, io, false, tournament)) started++;
+        }
+
+        if (settings.regularFallback) {
+            for (const player of waiting) {
+                if (paired.has(player.userId) || now - player.joinTime < settings.regularFallbackAfter) continue;
+                if (await matchWithRegularQueue(player, io, tournament)) started++;
             }
         }
+        return started;
+    } finally {
+        arenaPairingRunning = false;
     }
+}
 
-    // --- 2. Fallback to Regular Variant Queues (Tournament user's variant takes priority) ---
-    console.log(`[tryMatchTournamentUser] No tournament match for ${userId}, checking regular queues for compatible variants`);
-
-    // First, try to find a regular user with the SAME variant as tournament user
-    const tournamentUserQueueKey = userVariant === 'classic' ? 
-        REGULAR_QUEUE_KEYS_BY_VARIANT[`classic:${userSubvariant}`] : 
-        REGULAR_QUEUE_KEYS_BY_VARIANT[userVariant];
-
-    if (tournamentUserQueueKey) {
-        console.log(`[tryMatchTournamentUser] Checking regular queue for tournament user's variant: ${tournamentUserQueueKey}`);
-        let regularCandidates = await redisClient.zRange(tournamentUserQueueKey, 0, -1, { REV: true, BY: 'score' });
-        
-        for (const candidateId of regularCandidates) {
-            const candidate = await redisClient.hGetAll(REGULAR_USER_DATA_KEY(candidateId));
-            if (candidate && candidate.status === 'waiting') {
-                // Check if variants match
-                if (candidate.variant === userVariant && candidate.subvariant === userSubvariant) {
-                    const candidateSocket = io.sockets.get(candidate.socketId);
-                    if (candidateSocket) {
-                        console.log(`[tryMatchTournamentUser] Found compatible regular user: ${userId} (T:${userVariant}${userSubvariant ? `:${userSubvariant}` : ''}) vs ${candidateId} (R:${candidate.variant}${candidate.subvariant ? `:${candidate.subvariant}` : ''})`);
-                        console.log(`[tryMatchTournamentUser] Using regular user's variant: ${candidate.variant}${candidate.subvariant ? `:${candidate.subvariant}` : ''}`);
-                        
-                        await initiateMatch(
-                            user,          // Tournament user (player1) - their variant will be used
-                            candidate,     // Regular user (player2)
-                            userSocket,
-                            candidateSocket,
-                            io,
-                            true           // isCrossQueueMatch: true
-                        );
-                        return true;
-                    } else {
-                        console.log(`[tryMatchTournamentUser] Cleaning up disconnected regular user ${candidateId}`);
-                        await leaveQueue(candidateId);
-                    }
-                }
+/**
+ * Apply a finished game to the tournament: fill in the match result and update the leaderboard
+ * (wins/losses/draws, current streak and Streak Master points) of the players who played it as
+ * a tournament game. Called once per game by processGameResult (gameResult.controller.js).
+ * An aborted game only closes its match (result "aborted"): nobody scores it.
+ * @param {string} tournamentId
+ * @param {string} sessionId
+ * @param {Object} gameState - finished game state
+ * @returns {Promise<Object>} { success, scores } with { player, outcome, streak, points } per scored player
+ */
+export async function recordTournamentResult(tournamentId, sessionId, gameState) {
+    const winnerColor = gameState.winner === 'white' || gameState.winner === 'black' ? gameState.winner : null;
+    const winnerId = winnerColor ? gameState.players[winnerColor].userId : null;
+
+    await TournamentModel.updateOne(
+        { _id: tournamentId, 'matches.sessionId': sessionId },
+        {
+            $set: {
+                'matches.$.result': winnerColor || gameState.result || 'draw',
+                'matches.$.winner': winnerId,
+                'matches.$.state': gameState.board || {}
             }
         }
+    );
+    if (gameState.result === 'aborted') {
+        console.log(`[recordTournamentResult] Session ${sessionId} of tournament ${tournamentId} aborted, not scored`);
+        return { success: true, scores: [] };
     }
 
-    // --- 3. Final fallback: Check all regular queues (any variant) ---
-    console.log(`[tryMatchTournamentUser] No compatible regular user found, checking all regular queues as final fallback`);
-    const allRegularQueueKeys = Object.values(REGULAR_QUEUE_KEYS_BY_VARIANT);
-
-    for (const regularQueueKey of allRegularQueueKeys) {
-        if (!regularQueueKey || regularQueueKey === tournamentUserQueueKey) continue; // Skip already checked queue
-
-        console.log(`[tryMatchTournamentUser] Checking regular queue: ${regularQueueKey}`);
-        let regularCandidates = await redisClient.zRange(regularQueueKey, 0, -1, { REV: true, BY: 'score' });
-
-        for (const candidateId of regularCandidates) {
-            const candidate = await redisClient.hGetAll(REGULAR_USER_DATA_KEY(candidateId));
-            if (candidate && candidate.status === 'waiting') {
-                const candidateSocket = io.sockets.get(candidate.socketId);
-                if (candidateSocket) {
-                    console.log(`[tryMatchTournamentUser] Found fallback regular user: ${userId} (T:${userVariant}${userSubvariant ? `:${userSubvariant}` : ''}) vs ${candidateId} (R:${candidate.variant}${candidate.subvariant ? `:${candidate.subvariant}` : ''})`);
-                    console.log(`[tryMatchTournamentUser] Using regular user's variant: ${candidate.variant}${candidate.subvariant ? `:${candidate.subvariant}` : ''}`);
-                    
-                    await initiateMatch(
-                        user,          // Tournament user (player1) - their variant will be used
-                        candidate,     // Regular user (player2)
-                        userSocket,
-                        candidateSocket,
-                        io,
-                        true           // isCrossQueueMatch: true
-                    );
-                    return true;
-                } else {
-                    console.log(`[tryMatchTournamentUser] Cleaning up disconnected regular user ${candidateId}`);
-                    await leaveQueue(candidateId);
-                }
-            }
+    const tournament = await TournamentModel.findById(tournamentId).select('status format leaderboard arena').lean();
+    const { berserkBonus } = arenaSettings(tournament);
+    const scores = [];
+    // Final standings are frozen: a game that outlasted the tournament only gets its match result
+    if (!['active', 'finishing'].includes(tournament?.status)) {
+        console.log(`[recordTournamentResult] Tournament ${tournamentId} is ${tournament?.status}, standings left unchanged`);
+        return { success: true, scores };
+    }
+    for (const color of ['white', 'black']) {
+        const playerId = gameState.players[color].userId;
+        if (gameState.metadata?.source?.[playerId] !== 'tournament') continue;
+
+        const entry = tournament?.leaderboard.find((standing) => standing.player.toString() === playerId);
+        if (!entry) {
+            console.warn(`[recordTournamentResult] Player ${playerId} not on leaderboard of tournament ${tournamentId}`);
+            continue;
         }
+
+        const outcome = !winnerColor ? 'draw' : winnerColor === color ? 'win' : 'loss';
+        const scored = scoreTournamentGame({
+            outcome,
+            streak: entry.currentStreak,
+            variant: gameState.variantName,
+            subvariant: gameState.subvariantName,
+            berserkBonus: gameState.metadata.berserk?.[color] ? berserkBonus : 0
+        });
+        // Swiss and round-robin games score the classical point; the streak is kept all the same
+        const { streak } = scored;
+        const points = isRoundBased(tournament) ? ROUND_POINTS[outcome] : scored.points;
+        const counter = { win: 'wins', loss: 'losses', draw: 'draws' }[outcome];
+
+        await TournamentModel.updateOne(
+            { _id: tournamentId, 'leaderboard.player': playerId },
+            {
+                $inc: { [`leaderboard.$.${counter}`]: 1, 'leaderboard.$.points': points },
+                $set: { 'leaderboard.$.currentStreak': streak }
+            }
+        );
+        scores.push({ player: playerId, outcome, streak, points });
     }
 
-    console.log(`[tryMatchTournamentUser] No match found for user ${userId} after checking all queues`);
-    return false;
+    console.log(`[recordTournamentResult] Tournament ${tournamentId} updated for session ${sessionId}`);
+    return { success: true, scores };
 }
 
 /**
@@ -451,8 +892,11 @@ export async function tryMatchTournamentUser(userId, io) {
  * @param {Socket} player2Socket
  * @param {Server} io
  * @param {boolean} isCrossQueueMatch - True if player2 is from a regular queue
+ * @param {Document} tournament - the tournament (game settings and berserk)
+ * @returns {Promise<boolean>} whether the game was started; when it could not be created both
+ *   players are back in their queues
  */
-async function initiateMatch(player1Data, player2Data, player1Socket, player2Socket, io, isCrossQueueMatch = false) {
+async function initiateMatch(player1Data, player2Data, player1Socket, player2Socket, io, isCrossQueueMatch = false, tournament = null) {
     const { userId: userId1 } = player1Data;
     const { userId: userId2 } = player2Data;
 
@@ -477,26 +921,19 @@ async function initiateMatch(player1Data, player2Data, player1Socket, player2Soc
     // Atomically remove both players from their respective queues
     // This logic needs to be robust for both tournament and regular players.
     // player1 is always the tournament user for this function's entry point.
+    const player1DataKey = TOURNAMENT_USER_DATA_KEY(player1Data.tournamentId, userId1);
     await redisClient.zRem(TOURNAMENT_QUEUE_KEY, userId1);
-    await redisClient.del(TOURNAMENT_USER_DATA_KEY(player1Data.tournamentId, userId1)); // Clear tournament user data
-
-    if (isCrossQueueMatch) {
-        // player2 is from a regular queue
-        let player2QueueKey;
-        if (player2Data.variant === 'classic') {
-            player2QueueKey = `queue:classic:${player2Data.subvariant}`;
-        } else if(player2Data.variant === 'crazyhouse') {
-            player2QueueKey = `queue:crazyhouse:${player2Data.subvariant}`;
-        } else {
-            player2QueueKey = `queue:${player2Data.variant}`;
-        }
-        await redisClient.zRem(player2QueueKey, userId2);
-        await redisClient.del(REGULAR_USER_DATA_KEY(userId2)); // Clear regular user data
-    } else {
-        // player2 is also a tournament player
-        await redisClient.zRem(TOURNAMENT_QUEUE_KEY, userId2);
-        await redisClient.del(TOURNAMENT_USER_DATA_KEY(player2Data.tournamentId, userId2)); // Clear tournament user data
-    }
+    await redisClient.del(player1DataKey); // Clear tournament user data
+
+    // player2 is from a regular queue (the one of its time control) or also a tournament player
+    const player2QueueKey = isCrossQueueMatch
+        ? player2Data.queueKey || getRegularQueueKey(player2Data.variant, player2Data.subvariant)
+        : TOURNAMENT_QUEUE_KEY;
+    const player2DataKey = isCrossQueueMatch
+        ? REGULAR_USER_DATA_KEY(userId2)
+        : TOURNAMENT_USER_DATA_KEY(player2Data.tournamentId, userId2);
+    await redisClient.zRem(player2QueueKey, userId2);
+    await redisClient.del(player2DataKey); // Clear user data
 
     // Apply cooldown
     const cooldownUntil1 = Date.now() + REJOIN_COOLDOWN;
@@ -507,25 +944,25 @@ async function initiateMatch(player1Data, player2Data, player1Socket, player2Soc
     // Fetch user details for both users
     let userDoc1, userDoc2;
     try {
-        userDoc1 = await UserModel.findById(userId1).select('_id name ratings');
-        userDoc2 = await UserModel.findById(userId2).select('_id name ratings');
+        userDoc1 = await UserModel.findById(userId1).select('_id name ratings variantRatings');
+        userDoc2 = await UserModel.findById(userId2).select('_id name ratings variantRatings');
     } catch (err) {
         console.error(`[initiateMatch] Error fetching user details:`, err);
         player1Socket.emit('queue:error', { message: 'Failed to fetch opponent details.' });
         player2Socket.emit('queue:error', { message: 'Failed to fetch opponent details.' });
-        return;
+        return false;
     }
 
     if (!userDoc1 || !userDoc2) {
         player1Socket.emit('queue:error', { message: 'Opponent not found.' });
         player2Socket.emit('queue:error', { message: 'Opponent not found.' });
         console.error(`[initiateMatch] User details not found for userId1=${userId1} or userId2=${userId2}`);
-        return;
+        return false;
     }
 
     // Determine the rating to use for each player based on the *gameVariant*
-    const player1Rating = userDoc1.ratings
-    const player2Rating = userDoc2.ratings
+    const player1Rating = Math.round(getVariantRating(userDoc1, gameVariant, gameSubvariant).rating)
+    const player2Rating = Math.round(getVariantRating(userDoc2, gameVariant, gameSubvariant).rating)
 
     const player1 = {
         userId: userDoc1._id.toString(),
@@ -549,13 +986,30 @@ async function initiateMatch(player1Data, player2Data, player1Socket, player2Soc
     console.log(`[initiateMatch] Sources: Player1=${source[player1.userId]}, Player2=${source[player2.userId]}`);
 
     // Create game session with source information
-    const { sessionId, gameState } = await createGameSession(
-        player1,
-        player2,
-        gameVariant,
-        gameSubvariant,
-        source  // Pass the source object instead of just 'tournament'
-    );
+    const tournamentId = player1Data.tournamentId;
+    let created;
+    try {
+        created = await createGameSession(
+            player1,
+            player2,
+            gameVariant,
+            gameSubvariant,
+            source,  // Pass the source object instead of just 'tournament'
+            {
+                ...tournamentGameConfig(tournament),
+                tournamentId,
+                berserk: Boolean(tournament && arenaSettings(tournament).berserk)
+            }
+        );
+        if (!created.success) throw new Error(created.message);
+    } catch (err) {
+        // e.g. an unplayable starting position: nobody was matched, both players wait on as before
+        console.error(`[initiateMatch] Could not start ${userId1} vs ${userId2}:`, err);
+        await restoreQueueEntry(player1Data, TOURNAMENT_QUEUE_KEY, player1DataKey);
+        await restoreQueueEntry(player2Data, player2QueueKey, player2DataKey);
+        return false;
+    }
+    const { sessionId, gameState } = created;
 
     // Emit match events with source information
     player1Socket.emit('queue:matched', {
@@ -579,6 +1033,21 @@ async function initiateMatch(player1Data, player2Data, player1Socket, player2Soc
     });
 
     console.log(`[Matched] ${sessionId}: Successfully matched user ${userId1} with ${userId2} in ${gameVariant} (Cross-queue: ${isCrossQueueMatch})`);
+    return true;
+}
+
+/**
+ * Put a player taken off a queue for a game that could not be created back as they were:
+ * same queue position (rank and join time) and no rejoin cooldown.
+ * @param {Object} playerData - the player's user data from Redis, as passed to initiateMatch
+ * @param {string} queueKey
+ * @param {string} dataKey - key of the user data hash
+ */
+async function restoreQueueEntry(playerData, queueKey, dataKey) {
+    const score = parseFloat(playerData.rank) + (parseInt(playerData.joinTime) / 1e13);
+    await redisClient.hSet(dataKey, playerData);
+    await redisClient.zAdd(queueKey, [{ score, value: playerData.userId }]);
+    await redisClient.del(COOLDOWN_KEY(playerData.userId));
 }
 
 /**
@@ -611,7 +1080,8 @@ export async function handleTournamentDisconnect(userId, socketId) {
 }
 
 /**
- * Periodic cleanup for idle tournament users.
+ * Periodic cleanup for idle tournament users, run by the lifecycle scheduler
+ * (startTournamentLifecycle in tournamentLifecycle.controller.js).
  */
 export async function cleanupIdleTournamentUsers() {
     try {
@@ -639,8 +1109,3 @@ export async function cleanupIdleTournamentUsers() {
         console.error(`[cleanupIdleTournamentUsers] Error:`, err);
     }
 }
-
-// Set up periodic cleanup for tournament users
-setInterval(cleanupIdleTournamentUsers, 60 * 1000);
-
-
@@ -0,0 +1,152 @@
+import TournamentModel from '../models/tournament.model.js';
+import { getSessionById } from './session.controller.js';
+import {
+    activateTournament,
+    closeTournamentPairing,
+    completeTournament,
+    cleanupIdleTournamentUsers,
+    runArenaPairing,
+    startTournamentRound
+} from './tournament.controller.js';
+import { getTournamentStandings } from './leaderboards/tournamentLeaderboard.controller.js';
+import { OPEN_TOURNAMENT_STATUSES, scheduledStatus, finishingTimedOut } from '../utils/tournamentSchedule.js';
+import { isRoundBased, totalRounds } from '../utils/tournamentFormats.js';
+import { serverNow } from '../utils/clock.js';
+
+// How often the scheduler looks for tournaments to move on
+export const LIFECYCLE_POLL_INTERVAL = 5 * 1000;
+// How often idle players are dropped from the tournament queue
+const IDLE_CLEANUP_INTERVAL = 60 * 1000;
+// How often waiting players are paired (players who have waited the tournament's minWait)
+const ARENA_PAIRING_INTERVAL = 2 * 1000;
+
+/**
+ * Sessions of the tournament's games that are still being played (createGameSession lists them
+ * as "ongoing"). A match without a result whose session is gone (expired or never started) is
+ * not waited for.
+ * @param {Object} tournament
+ * @param {number} [round] - only the games of this round
+ * @returns {Promise<string[]>}
+ */
+async function getRunningGames(tournament, round) {
+    const running = [];
+    for (const match of tournament.matches || []) {
+        if ((match.result && match.result !== 'ongoing') || !match.sessionId) continue;
+        if (round !== undefined && match.round !== round) continue;
+        const session = await getSessionById(match.sessionId);
+        if (session?.gameState?.status === 'active') running.push(match.sessionId);
+    }
+    return running;
+}
+
+/**
+ * Move one tournament through every transition its schedule and games allow at `now`, announcing
+ * each on the matchmaking namespace: tournament:started, tournament:finishing, tournament:ended.
+ * Swiss and round-robin tournaments also pair their next round once every game of the current
+ * one is over (tournament:round_started) and finish after their last round.
+ * @param {Document} tournament - Tournament document
+ * @param {Namespace} io - /matchmaking namespace
+ * @param {number} [now]
+ * @returns {Promise<string>} the tournament's status afterwards
+ */
+export async function advanceTournament(tournament, io, now = serverNow()) {
+    const tournamentId = tournament._id.toString();
+    let target = scheduledStatus(tournament, now);
+
+    if (tournament.status === 'scheduled' && target !== 'scheduled') {
+        await activateTournament(tournament);
+        console.log(`[tournamentLifecycle] Tournament ${tournamentId} started`);
+        io?.emit('tournament:started', {
+            tournamentId,
+            name: tournament.name,
+            status: tournament.status,
+            startTime: tournament.startTime,
+            endTime: tournament.endTime
+        });
+    }
+
+    if (tournament.status === 'active' && target === 'active' && isRoundBased(tournament)) {
+        const roundOver = (await getRunningGames(tournament, tournament.currentRound)).length === 0;
+        const lastRound = tournament.currentRound >= totalRounds(tournament) || tournament.leaderboard.length < 2;
+        if (roundOver && lastRound) {
+            target = 'finishing';
+        } else if (roundOver) {
+            const round = await startTournamentRound(tournament);
+            console.log(`[tournamentLifecycle] Tournament ${tournamentId} started round ${round.round}`);
+            io?.emit('tournament:round_started', { tournamentId, ...round });
+        }
+    }
+
+    if (tournament.status === 'active' && target === 'finishing') {
+        await closeTournamentPairing(tournament);
+        console.log(`[tournamentLifecycle] Tournament ${tournamentId} stopped pairing`);
+        io?.emit('tournament:finishing', { tournamentId, status: tournament.status, endTime: tournament.endTime });
+    }
+
+    if (tournament.status === 'finishing') {
+        const running = await getRunningGames(tournament);
+        if (running.length > 0 && !finishingTimedOut(tournament, now)) return tournament.status;
+        if (running.length > 0) {
+            console.warn(`[tournamentLifecycle] Tournament ${tournamentId} completed with ${running.length} games still running`);
+        }
+
+        await completeTournament(tournament);
+        console.log(`[tournamentLifecycle] Tournament ${tournamentId} completed`);
+        io?.emit('tournament:ended', {
+            tournamentId,
+            status: tournament.status,
+            ...(await getTournamentStandings(tournamentId))
+        });
+    }
+
+    return tournament.status;
+}
+
+/**
+ * One scheduler run over every tournament that is not completed or cancelled yet
+ * @param {Namespace} io - /matchmaking namespace
+ */
+export async function runTournamentLifecycle(io, now = serverNow()) {
+    const tournaments = await TournamentModel.find({ status: { $in: OPEN_TOURNAMENT_STATUSES } });
+    for (const tournament of tournaments) {
+        try {
+            await advanceTournament(tournament, io, now);
+        } catch (err) {
+            console.error(`[tournamentLifecycle] Error advancing tournament ${tournament._id}:`, err);
+        }
+    }
+}
+
+/**
+ * Run the lifecycle every LIFECYCLE_POLL_INTERVAL (a run still in progress is not overlapped),
+ * arena pairing every ARENA_PAIRING_INTERVAL and the idle queue cleanup every IDLE_CLEANUP_INTERVAL.
+ * @param {Namespace} io - /matchmaking namespace
+ * @returns {Function} stops the scheduler
+ */
+export function startTournamentLifecycle(io) {
+    let running = false;
+    const intervalId = setInterval(async () => {
+        if (running) return;
+        running = true;
+        try {
+            await runTournamentLifecycle(io);
+        } catch (err) {
+            console.error('[tournamentLifecycle] Scheduler run failed:', err);
+        } finally {
+            running = false;
+        }
+    }, LIFECYCLE_POLL_INTERVAL);
+    const pairingIntervalId = setInterval(async () => {
+        try {
+            await runArenaPairing(io);
+        } catch (err) {
+            console.error('[tournamentLifecycle] Arena pairing failed:', err);
+        }
+    }, ARENA_PAIRING_INTERVAL);
+    const cleanupIntervalId = setInterval(cleanupIdleTournamentUsers, IDLE_CLEANUP_INTERVAL);
+    return () => {
+        clearInterval(intervalId);
+        clearInterval(pairingIntervalId);
+        clearInterval(cleanupIntervalId);
+    };
+}
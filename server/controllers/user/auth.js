@@ -1,10 +1,21 @@
 import bcrypt from "bcryptjs";
-import jwt from "jsonwebtoken";
-import dotenv from "dotenv";
 import UserModel from "../../models/User.model.js";
-
-dotenv.config();
-const SECRET_KEY = process.env.SECRET_KEY;
+import {
+    createAuthSession,
+    rotateRefreshToken,
+    getAuthSessionForRefreshToken,
+    listAuthSessions,
+    revokeAuthSession,
+    revokeAllAuthSessions,
+} from "./authSession.js";
+
+// Device details stored with each auth session so users can tell their sessions apart
+const getDeviceInfo = (req) => ({
+    deviceId: req.body?.deviceId,
+    deviceName: req.body?.deviceName,
+    userAgent: req.headers["user-agent"],
+    ip: req.ip,
+});
 
 // Controller function for user registration
 export const registerUser = async (req, res) => {
@@ -27,16 +38,18 @@ export const registerUser = async (req, res) => {
         // Save the user to the database
         await newUser.save();
 
-        // Generate JWT token
-        const token = jwt.sign({ userId: newUser._id }, SECRET_KEY, { expiresIn: "1d" });
+        // Generate access + refresh tokens for this device
+        const { token, refreshToken } = await createAuthSession(newUser._id, getDeviceInfo(req));
 
         // Return the token and any additional user data as needed
         res.status(201).json({
             token,
+            refreshToken,
             user: {
                 _id: newUser._id,
                 name: newUser.name,
                 email: newUser.email,
+                role: newUser.role,
             },
         });
 
@@ -66,15 +79,17 @@ export const loginUser = async (req, res) => {
       return res.status(401).json({ message: "Invalid credentials" });
     } 
 
-      const token = jwt.sign({ userId: user._id }, SECRET_KEY, { expiresIn: "1d" });
+      const { token, refreshToken } = await createAuthSession(user._id, getDeviceInfo(req));
 
       // Return the token and accountType in the response
       return res.status(200).json({
         token,
+        refreshToken,
         user: {
             _id: user._id,
             name: user.name,
             email: user.email,
+            role: user.role,
         },
       });
   } catch (error) {
@@ -82,3 +97,103 @@ export const loginUser = async (req, res) => {
     return res.status(500).json({ message: "Internal Server Error" });
   }
 };
+
+// Controller function for the authenticated user's profile (req.user is set by authenticate)
+export const getProfile = async (req, res) => {
+  const user = req.user;
+  return res.status(200).json({
+    user: {
+      _id: user._id,
+      name: user.name,
+      email: user.email,
+      role: user.role,
+      ratings: user.ratings,
+      win: user.win,
+      lose: user.lose,
+      currentTournamentStreak: user.currentTournamentStreak,
+      personalBestStreak: user.personalBestStreak,
+      createdAt: user.createdAt,
+    },
+  });
+};
+
+
+// Controller function to exchange a refresh token for a new token pair
+export const refreshToken = async (req, res) => {
+  const { refreshToken } = req.body;
+
+  if (!refreshToken) {
+    return res.status(400).json({ code: "REFRESH_TOKEN_MISSING", message: "Refresh token is required" });
+  }
+
+  try {
+    const result = await rotateRefreshToken(refreshToken);
+    if (!result.success) {
+      return res.status(401).json({ code: result.code, message: result.message });
+    }
+
+    return res.status(200).json({ token: result.token, refreshToken: result.refreshToken });
+  } catch (error) {
+    console.error("Error during token refresh:", error);
+    return res.status(500).json({ message: "Internal Server Error" });
+  }
+};
+
+// Controller function to log out the device owning the given refresh token
+export const logoutUser = async (req, res) => {
+  const { refreshToken } = req.body;
+
+  try {
+    const session = await getAuthSessionForRefreshToken(refreshToken);
+    if (session) {
+      await revokeAuthSession(session.authSessionId, session.userId);
+    }
+
+    // Logging out an unknown or expired session is not an error for the client
+    return res.status(200).json({ message: "Logged out" });
+  } catch (error) {
+    console.error("Error during logout:", error);
+    return res.status(500).json({ message: "Internal Server Error" });
+  }
+};
+
+// Controller function listing the authenticated user's active sessions (one per device)
+export const getSessions = async (req, res) => {
+  try {
+    const sessions = await listAuthSessions(req.userId);
+    return res.status(200).json({
+      sessions: sessions.map((session) => ({
+        ...session,
+        current: session.id === req.authSessionId,
+      })),
+    });
+  } catch (error) {
+    console.error("Error listing sessions:", error);
+    return res.status(500).json({ message: "Internal Server Error" });
+  }
+};
+
+// Controller function revoking one of the authenticated user's sessions
+export const deleteSession = async (req, res) => {
+  try {
+    const revoked = await revokeAuthSession(req.params.sessionId, req.userId);
+    if (!revoked) {
+      return res.status(404).json({ message: "Session not found" });
+    }
+    return res.status(200).json({ message: "Session revoked" });
+  } catch (error) {
+    console.error("Error revoking session:", error);
+    return res.status(500).json({ message: "Internal Server Error" });
+  }
+};
+
+// Controller function revoking every session of the authenticated user (logout everywhere)
+export const deleteAllSessions = async (req, res) => {
+  try {
+    const revokedCount = await revokeAllAuthSessions(req.userId);
+    return res.status(200).json({ message: "All sessions revoked", revokedCount });
+  } catch (error) {
+    console.error("Error revoking all sessions:", error);
+    return res.status(500).json({ message: "Internal Server Error" });
+  }
+};
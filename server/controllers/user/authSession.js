@@ -0,0 +1,223 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import dotenv from "dotenv";
+import { v4 as uuidv4 } from "uuid";
+import redisClient, {
+  authSessionKey,
+  userAuthSessionsKey,
+  ACCESS_TOKEN_EXPIRES_IN,
+  REFRESH_TOKEN_TTL,
+} from "../../config/redis.config.js";
+
+dotenv.config();
+const SECRET_KEY = process.env.SECRET_KEY;
+
+const hashSecret = (secret) => crypto.createHash("sha256").update(secret).digest("hex");
+
+// Compare-and-swap of a session's refresh token hash, run by Redis in one step so two refreshes
+// with the same token can't both rotate it. KEYS[1] = session, ARGV = expected hash, new hash,
+// lastUsedAt, ttl (seconds). Returns 1 when swapped, 0 when the session holds another hash (or none).
+const SWAP_TOKEN_HASH_SCRIPT = `
+if redis.call("HGET", KEYS[1], "tokenHash") ~= ARGV[1] then return 0 end
+redis.call("HSET", KEYS[1], "tokenHash", ARGV[2], "lastUsedAt", ARGV[3])
+redis.call("EXPIRE", KEYS[1], ARGV[4])
+return 1
+`;
+
+/**
+ * Split a refresh token of the form `<authSessionId>.<secret>`.
+ * @returns {{ authSessionId: string, secret: string }|null}
+ */
+function parseRefreshToken(refreshToken) {
+  if (!refreshToken || typeof refreshToken !== "string") return null;
+  const separator = refreshToken.indexOf(".");
+  if (separator <= 0) return null;
+  return {
+    authSessionId: refreshToken.slice(0, separator),
+    secret: refreshToken.slice(separator + 1),
+  };
+}
+
+/**
+ * Sign a short-lived access token bound to an auth session.
+ * @param {string} userId
+ * @param {string} authSessionId
+ */
+export function signAccessToken(userId, authSessionId) {
+  return jwt.sign({ userId: userId.toString(), sid: authSessionId }, SECRET_KEY, { expiresIn: ACCESS_TOKEN_EXPIRES_IN });
+}
+
+/**
+ * Create a new auth session for a device and issue its first access/refresh token pair.
+ * A previous session for the same deviceId is replaced so each device holds one session.
+ * @param {string} userId
+ * @param {Object} device - { deviceId, deviceName, userAgent, ip }
+ * @returns {Promise<{ token: string, refreshToken: string, authSessionId: string }>}
+ */
+export async function createAuthSession(userId, { deviceId, deviceName, userAgent, ip } = {}) {
+  const uid = userId.toString();
+
+  if (deviceId) {
+    const existing = await listAuthSessions(uid);
+    for (const session of existing) {
+      if (session.deviceId === deviceId) {
+        await revokeAuthSession(session.id, uid);
+      }
+    }
+  }
+
+  const authSessionId = uuidv4();
+  const secret = crypto.randomBytes(48).toString("hex");
+  const now = Date.now().toString();
+  const ttlSeconds = Math.floor(REFRESH_TOKEN_TTL / 1000);
+
+  const multi = redisClient.multi();
+  multi.hSet(authSessionKey(authSessionId), {
+    userId: uid,
+    tokenHash: hashSecret(secret),
+    deviceId: deviceId || "",
+    deviceName: deviceName || "",
+    userAgent: userAgent || "",
+    ip: ip || "",
+    createdAt: now,
+    lastUsedAt: now,
+  });
+  multi.expire(authSessionKey(authSessionId), ttlSeconds);
+  multi.sAdd(userAuthSessionsKey(uid), authSessionId);
+  multi.expire(userAuthSessionsKey(uid), ttlSeconds);
+  await multi.exec();
+
+  return {
+    token: signAccessToken(uid, authSessionId),
+    refreshToken: `${authSessionId}.${secret}`,
+    authSessionId,
+  };
+}
+
+/**
+ * Exchange a refresh token for a new access/refresh pair. The old refresh token is invalidated.
+ * Presenting an already rotated token revokes the whole session, since it indicates the token leaked.
+ * @param {string} refreshToken
+ * @returns {Promise<{ success: boolean, code?: string, message?: string, token?: string, refreshToken?: string, userId?: string }>}
+ */
+export async function rotateRefreshToken(refreshToken) {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) {
+    return { success: false, code: "REFRESH_TOKEN_INVALID", message: "Refresh token is invalid" };
+  }
+
+  const { authSessionId, secret } = parsed;
+  const session = await redisClient.hGetAll(authSessionKey(authSessionId));
+  if (!session || !session.userId) {
+    return { success: false, code: "REFRESH_TOKEN_EXPIRED", message: "Session has expired or was revoked" };
+  }
+
+  const newSecret = crypto.randomBytes(48).toString("hex");
+  const ttlSeconds = Math.floor(REFRESH_TOKEN_TTL / 1000);
+
+  // The token must still be the current one when it is replaced, not just when it was read
+  const swapped = await redisClient.eval(SWAP_TOKEN_HASH_SCRIPT, {
+    keys: [authSessionKey(authSessionId)],
+    arguments: [hashSecret(secret), hashSecret(newSecret), Date.now().toString(), ttlSeconds.toString()],
+  });
+  if (swapped !== 1) {
+    console.warn(`[rotateRefreshToken] Reused refresh token for session ${authSessionId}, revoking session`);
+    await revokeAuthSession(authSessionId, session.userId);
+    return { success: false, code: "REFRESH_TOKEN_REUSED", message: "Refresh token was already used" };
+  }
+  await redisClient.expire(userAuthSessionsKey(session.userId), ttlSeconds);
+
+  return {
+    success: true,
+    userId: session.userId,
+    token: signAccessToken(session.userId, authSessionId),
+    refreshToken: `${authSessionId}.${newSecret}`,
+  };
+}
+
+/**
+ * Resolve the auth session a refresh token belongs to, without rotating it.
+ * @returns {Promise<{ authSessionId: string, userId: string }|null>}
+ */
+export async function getAuthSessionForRefreshToken(refreshToken) {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) return null;
+
+  const session = await redisClient.hGetAll(authSessionKey(parsed.authSessionId));
+  if (!session || !session.userId || session.tokenHash !== hashSecret(parsed.secret)) {
+    return null;
+  }
+  return { authSessionId: parsed.authSessionId, userId: session.userId };
+}
+
+/**
+ * Check whether an auth session still exists (not logged out, revoked or expired).
+ * @param {string} authSessionId
+ */
+export async function isAuthSessionActive(authSessionId) {
+  if (!authSessionId) return false;
+  const exists = await redisClient.exists(authSessionKey(authSessionId));
+  return exists === 1;
+}
+
+/**
+ * List the active auth sessions (devices) of a user. Expired entries are pruned.
+ * @param {string} userId
+ */
+export async function listAuthSessions(userId) {
+  const uid = userId.toString();
+  const sessionIds = await redisClient.sMembers(userAuthSessionsKey(uid));
+  const sessions = [];
+
+  for (const id of sessionIds) {
+    const session = await redisClient.hGetAll(authSessionKey(id));
+    if (!session || !session.userId) {
+      await redisClient.sRem(userAuthSessionsKey(uid), id);
+      continue;
+    }
+    sessions.push({
+      id,
+      deviceId: session.deviceId || null,
+      deviceName: session.deviceName || null,
+      userAgent: session.userAgent || null,
+      ip: session.ip || null,
+      createdAt: parseInt(session.createdAt),
+      lastUsedAt: parseInt(session.lastUsedAt),
+    });
+  }
+
+  return sessions.sort((a, b) => b.lastUsedAt - a.lastUsedAt);
+}
+
+/**
+ * Revoke a single auth session. When userId is given, the session must belong to that user.
+ * @returns {Promise<boolean>} true if a session was removed
+ */
+export async function revokeAuthSession(authSessionId, userId) {
+  const session = await redisClient.hGetAll(authSessionKey(authSessionId));
+  if (!session || !session.userId) return false;
+  if (userId && session.userId !== userId.toString()) return false;
+
+  const multi = redisClient.multi();
+  multi.del(authSessionKey(authSessionId));
+  multi.sRem(userAuthSessionsKey(session.userId), authSessionId);
+  await multi.exec();
+  return true;
+}
+
+/**
+ * Revoke every auth session of a user (logout from all devices).
+ * @returns {Promise<number>} number of sessions removed
+ */
+export async function revokeAllAuthSessions(userId) {
+  const uid = userId.toString();
+  const sessionIds = await redisClient.sMembers(userAuthSessionsKey(uid));
+
+  const multi = redisClient.multi();
+  for (const id of sessionIds) {
+    multi.del(authSessionKey(id));
+  }
+  multi.del(userAuthSessionsKey(uid));
+  await multi.exec();
+  return sessionIds.length;
+}
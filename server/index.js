@@ -9,8 +9,13 @@ import logger from "morgan";
 import cron from "node-cron";
 
 import authRoutes from "./router/auth.route.js";
+import adminRoutes from "./router/admin.route.js";
+import gameRoutes from "./router/game.route.js";
+import challengeRoutes from "./router/challenge.route.js";
+import { authenticate } from "./middlewares/auth.middleware.js";
 import websocketRoutes from "./Websockets/websocket.controller.js";
 import { createTournament } from "./controllers/tournament.controller.js";
+import { startTournamentLifecycle } from "./controllers/tournamentLifecycle.controller.js";
 import { getRegularQueueCounts } from "./controllers/matchmaking.controller.js";
 import { v1LeaderboardController } from "./controllers/leaderboards/1v1leaderboard.controller.js";
 import { getTournamentLeaderboard } from "./controllers/leaderboards/tournamentLeaderboard.controller.js";
@@ -35,6 +40,8 @@ const io = new Server(server, {
   },
   transports: ["websocket", "polling"],
 });
+// Lets HTTP handlers (e.g. the admin API) broadcast to socket namespaces
+app.set("io", io);
 
 // ------------------
 // Middleware
@@ -70,10 +77,13 @@ app.use(
 app.get("/", (_, res) => res.json({ status: "running" }));
 
 app.use("/api/auth", authRoutes);
-app.use("/api/leaderboard", v1LeaderboardController);
-app.use("/api/tournaments", getTournamentLeaderboard);
+app.use("/api/admin", adminRoutes);
+app.use("/api/games", gameRoutes);
+app.use("/api/challenges", challengeRoutes);
+app.use("/api/leaderboard", authenticate, v1LeaderboardController);
+app.use("/api/tournaments", authenticate, getTournamentLeaderboard);
 
-app.get("/api/queue/live-users", async (_, res) => {
+app.get("/api/queue/live-users", authenticate, async (_, res) => {
   try {
     const data = await getRegularQueueCounts();
     res.json({ success: true, data });
@@ -88,6 +98,11 @@ app.get("/api/queue/live-users", async (_, res) => {
 // ------------------
 websocketRoutes(io);
 
+// ------------------
+// Tournament lifecycle: scheduled -> active -> finishing -> completed
+// ------------------
+startTournamentLifecycle(io.of("/matchmaking"));
+
 // ------------------
 // Daily tournament cron (9 AM server time)
 // ------------------
@@ -0,0 +1,102 @@
+import jwt from "jsonwebtoken";
+import dotenv from "dotenv";
+import UserModel from "../models/User.model.js";
+import { isAuthSessionActive } from "../controllers/user/authSession.js";
+
+dotenv.config();
+const SECRET_KEY = process.env.SECRET_KEY;
+
+/**
+ * Extract the token from an `Authorization: Bearer <token>` header value.
+ * @param {string} [header]
+ * @returns {string|null}
+ */
+export function extractBearerToken(header) {
+  if (!header || typeof header !== "string") return null;
+  const [scheme, token] = header.split(" ");
+  if (scheme !== "Bearer" || !token) return null;
+  return token;
+}
+
+/**
+ * Verify a JWT issued by loginUser/registerUser.
+ * @param {string} token
+ * @returns {{ valid: boolean, userId?: string, authSessionId?: string, code?: string, message?: string }}
+ */
+export function verifyAccessToken(token) {
+  if (!token) {
+    return { valid: false, code: "AUTH_TOKEN_MISSING", message: "Authentication token is required" };
+  }
+  try {
+    const decoded = jwt.verify(token, SECRET_KEY);
+    if (!decoded || !decoded.userId) {
+      return { valid: false, code: "AUTH_TOKEN_INVALID", message: "Authentication token is invalid" };
+    }
+    return { valid: true, userId: decoded.userId.toString(), authSessionId: decoded.sid || null };
+  } catch (err) {
+    if (err.name === "TokenExpiredError") {
+      return { valid: false, code: "AUTH_TOKEN_EXPIRED", message: "Authentication token has expired" };
+    }
+    return { valid: false, code: "AUTH_TOKEN_INVALID", message: "Authentication token is invalid" };
+  }
+}
+
+/**
+ * Verify an access token and make sure the auth session it was issued for has not been revoked.
+ * @param {string} token
+ * @returns {Promise<{ valid: boolean, userId?: string, authSessionId?: string, code?: string, message?: string }>}
+ */
+export async function verifyAccessTokenSession(token) {
+  const result = verifyAccessToken(token);
+  if (!result.valid) return result;
+
+  if (result.authSessionId && !(await isAuthSessionActive(result.authSessionId))) {
+    return { valid: false, code: "AUTH_SESSION_REVOKED", message: "Session has been logged out" };
+  }
+  return result;
+}
+
+/**
+ * Express middleware: validate the bearer token, load the User document and attach it to `req.user`.
+ * Responds 401 when the token is missing, expired, forged, revoked or belongs to a deleted user.
+ */
+export const authenticate = async (req, res, next) => {
+  try {
+    const token = extractBearerToken(req.headers.authorization);
+    const result = await verifyAccessTokenSession(token);
+
+    if (!result.valid) {
+      return res.status(401).json({ success: false, code: result.code, message: result.message });
+    }
+
+    const user = await UserModel.findById(result.userId).select("-password");
+    if (!user) {
+      return res.status(401).json({ success: false, code: "AUTH_USER_NOT_FOUND", message: "User no longer exists" });
+    }
+
+    req.user = user;
+    req.userId = user._id.toString();
+    req.authSessionId = result.authSessionId;
+    return next();
+  } catch (err) {
+    console.error("[authenticate] Error authenticating request:", err);
+    return res.status(500).json({ success: false, message: "Internal Server Error" });
+  }
+};
+
+/**
+ * Express middleware factory: allow the request only if `req.user.role` is one of `roles`.
+ * Must be mounted after `authenticate`.
+ * @param {...string} roles - e.g. authorizeRoles("moderator", "admin")
+ */
+export const authorizeRoles = (...roles) => (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({ success: false, code: "AUTH_TOKEN_MISSING", message: "Authentication token is required" });
+  }
+
+  if (!roles.includes(req.user.role)) {
+    return res.status(403).json({ success: false, code: "AUTH_FORBIDDEN", message: "You do not have permission to perform this action" });
+  }
+
+  return next();
+};
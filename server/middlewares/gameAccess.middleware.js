@@ -0,0 +1,57 @@
+import { getSessionById } from "../controllers/session.controller.js";
+
+// Socket.IO room of a game's spectators; everyone (players included) is also in the `sessionId` room
+export const spectatorRoom = (sessionId) => `spectators:${sessionId}`;
+
+// Socket.IO room of one player's sockets in a game, for what only that player may see
+export const playerRoom = (sessionId, userId) => `player:${sessionId}:${userId}`;
+
+/**
+ * Build the error passed to next(); the client receives `err.data` with its `connect_error`.
+ * @param {string} code - GAME_SESSION_MISSING, GAME_NOT_FOUND, GAME_NOT_ACTIVE, SPECTATORS_NOT_ALLOWED
+ * @param {string} message
+ */
+function createAccessError(code, message) {
+  const err = new Error(message);
+  err.data = { code, message };
+  return err;
+}
+
+/**
+ * `/game` namespace middleware, runs after socketAuthMiddleware. Decides how the socket joins the
+ * session from `socket.handshake.auth.sessionId` and stores it on `socket.data.role`:
+ * "player" for the two players, "spectator" for anyone else while the game is in progress
+ * and its `metadata.allowSpectators` is not false.
+ */
+export async function gameAccessMiddleware(socket, next) {
+  try {
+    const sessionId = socket.handshake.auth?.sessionId;
+    if (!sessionId) {
+      return next(createAccessError("GAME_SESSION_MISSING", "sessionId is required"));
+    }
+
+    const session = await getSessionById(sessionId);
+    if (!session) {
+      return next(createAccessError("GAME_NOT_FOUND", "Game not found"));
+    }
+
+    const { players, metadata, status } = session.gameState;
+    if ([players?.white?.userId, players?.black?.userId].includes(socket.data.userId)) {
+      socket.data.role = "player";
+      return next();
+    }
+
+    if (metadata?.allowSpectators === false) {
+      return next(createAccessError("SPECTATORS_NOT_ALLOWED", "This game cannot be watched"));
+    }
+    if (status !== "active") {
+      return next(createAccessError("GAME_NOT_ACTIVE", "This game is over"));
+    }
+
+    socket.data.role = "spectator";
+    return next();
+  } catch (err) {
+    console.error("[gameAccess] Error checking game access:", err);
+    return next(createAccessError("GAME_NOT_FOUND", "Game not found"));
+  }
+}
@@ -0,0 +1,52 @@
+import UserModel from "../models/User.model.js";
+import { extractBearerToken, verifyAccessTokenSession } from "./auth.middleware.js";
+
+/**
+ * Build the error passed to next() so the client receives a structured `connect_error`.
+ * Socket.IO forwards `err.data` to the client untouched.
+ * @param {string} code - machine readable reason (AUTH_TOKEN_MISSING, AUTH_TOKEN_EXPIRED, AUTH_TOKEN_INVALID, AUTH_SESSION_REVOKED)
+ * @param {string} message - human readable reason
+ */
+function createAuthError(code, message) {
+  const err = new Error(message);
+  err.data = { code, message };
+  return err;
+}
+
+/**
+ * Socket.IO namespace middleware that verifies the JWT issued by loginUser/registerUser.
+ * The token is read from `socket.handshake.auth.token` (or a `Bearer` authorization header)
+ * and the verified userId is stored on `socket.data.userId`. Any userId sent by the client is ignored.
+ */
+export async function socketAuthMiddleware(socket, next) {
+  try {
+    const token = socket.handshake.auth?.token || extractBearerToken(socket.handshake.headers?.authorization);
+    const result = await verifyAccessTokenSession(token);
+
+    if (!result.valid) {
+      console.warn(`[socketAuth] Rejected socket ${socket.id} on ${socket.nsp.name}: ${result.code}`);
+      return next(createAuthError(result.code, result.message));
+    }
+
+    socket.data.userId = result.userId;
+    return next();
+  } catch (err) {
+    console.error("[socketAuth] Error verifying token:", err);
+    return next(createAuthError("AUTH_UNAVAILABLE", "Authentication is temporarily unavailable"));
+  }
+}
+
+/**
+ * Check the role of the authenticated socket user, the socket counterpart of `authorizeRoles`.
+ * The role is read from the database on each call so demotions take effect without reconnecting.
+ * @param {Socket} socket - socket that passed socketAuthMiddleware
+ * @param {...string} roles - e.g. socketHasRole(socket, "admin")
+ * @returns {Promise<boolean>}
+ */
+export async function socketHasRole(socket, ...roles) {
+  const userId = socket.data?.userId;
+  if (!userId) return false;
+
+  const user = await UserModel.findById(userId).select("role");
+  return !!user && roles.includes(user.role);
+}
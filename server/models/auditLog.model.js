@@ -0,0 +1,32 @@
+import mongoose from "mongoose";
+
+const AuditLog = new mongoose.Schema(
+    {
+        actor: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+          required: true
+        },
+        action: {
+          type: String, // e.g. "tournament:create", "tournament:cancel"
+          required: true
+        },
+        targetType: String, // e.g. "tournament"
+        targetId: String,
+        details: {
+          type: Object, // Request payload / before-after values, whatever helps explain the action
+          default: {}
+        },
+        channel: String, // "http" or "socket"
+        ip: String,
+        createdAt: {
+            type: Date,
+            default: Date.now
+        }
+    }
+)
+
+AuditLog.index({ createdAt: -1 });
+AuditLog.index({ targetType: 1, targetId: 1, createdAt: -1 });
+
+export default mongoose.model("AuditLog", AuditLog);
@@ -21,10 +21,45 @@ const Game = new mongoose.Schema(
           ref: "User",
           default: null // null if draw or ongoing
         },
-        result: String, // "white", "black", "draw"
+        result: String, // "white", "black", "draw", "aborted"
+        resultReason: String, // "checkmate", "timeout", "resignation", "stalemate", "points", ...
+        status: {
+          type: String,
+          enum: ["active", "finished"],
+          default: "active"
+        },
+        finalFen: String,
+        moves: [{
+          type: Object // Move as produced by the variant validator, plus `timestamp` and `clocks` snapshot
+        }],
+        moveCount: {
+          type: Number,
+          default: 0
+        },
+        clocks: {
+          white: Number, // Remaining time in ms when the game ended
+          black: Number
+        },
+        timeControl: Object,
+        variantData: {
+          type: Object, // Decay timers, six-pointer points, crazyhouse pockets, ...
+          default: {}
+        },
+        source: Object, // { [userId]: "matchmaking" | "tournament" | "challenge" }
+        ratingChanges: Object, // { white|black: { before, after, delta, rd, provisional } }, unset for unrated games
+        chat: [{
+          type: Object // { id, userId, username, color, text, quick, flagged, original (unfiltered text, flagged only), timestamp }
+        }],
+        resultProcessedAt: Date, // Set once stats/ratings/tournament standings were updated (gameResult.controller.js)
+        resultUpdates: Object, // Per-player stats/rating writes of the result and whether each was applied (gameResult.controller.js)
         startedAt: Date,
         endedAt: Date,
       }      
 )
 
+Game.index({ sessionId: 1 });
+// Game history: a player's games newest first (see gameHistory.controller.js)
+Game.index({ "players.white": 1, endedAt: -1, _id: -1 });
+Game.index({ "players.black": 1, endedAt: -1, _id: -1 });
+
 export default mongoose.model("Game", Game);
\ No newline at end of file
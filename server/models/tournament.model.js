@@ -1,9 +1,51 @@
 import mongoose from "mongoose";
+import { TOURNAMENT_STATUSES } from "../utils/tournamentSchedule.js";
+import { ARENA_DEFAULTS } from "../utils/arenaPairing.js";
+import { TOURNAMENT_FORMATS } from "../utils/tournamentFormats.js";
 
 const Tournament = new mongoose.Schema(
     {
         name: String,
-        variant: String,
+        // Every game in this variant/subvariant; without one each game draws a random variant
+        variant: {
+          type: String,
+          default: null
+        },
+        subvariant: {
+          type: String,
+          default: null
+        },
+        // { base, increment, delay } or { perMove } over the variant's default; null plays the default
+        timeControl: {
+          type: Object,
+          default: null
+        },
+        rated: {
+          type: Boolean,
+          default: true
+        },
+        // FENs; each game starts from one drawn at random, none plays the variant's own start
+        startingPositions: {
+          type: [String],
+          default: []
+        },
+        // arena, or swiss / roundRobin played in rounds (utils/tournamentFormats.js)
+        format: {
+          type: String,
+          enum: TOURNAMENT_FORMATS,
+          default: 'arena'
+        },
+        // Number of Swiss rounds; round-robin plays one round per opponent
+        rounds: {
+          type: Number,
+          min: 1,
+          default: null
+        },
+        // Round being played, 0 before the first one
+        currentRound: {
+          type: Number,
+          default: 0
+        },
         capacity: {
           type: Number,
           default: 200,
@@ -19,6 +61,10 @@ const Tournament = new mongoose.Schema(
             ref: "User"
           },
           sessionId: String, // For tracking game sessions
+          round: {
+            type: Number,
+            default: null // arena games have no round
+          },
           state: {
             type: Object, // Game state object, can be customized as needed
             default: {}
@@ -30,7 +76,12 @@ const Tournament = new mongoose.Schema(
             default: null // null if ongoing
           },
         }],
-        status: String,
+        // scheduled -> active -> finishing -> completed, or cancelled (utils/tournamentSchedule.js)
+        status: {
+          type: String,
+          enum: TOURNAMENT_STATUSES,
+          default: 'scheduled'
+        },
         startTime: {
           type: Date,
           required: true
@@ -51,8 +102,40 @@ const Tournament = new mongoose.Schema(
           wins: {
             type: Number,
             default: 0
+          },
+          losses: {
+            type: Number,
+            default: 0
+          },
+          draws: {
+            type: Number,
+            default: 0
+          },
+          // Streak Master score, see utils/tournamentScoring.js
+          points: {
+            type: Number,
+            default: 0
+          },
+          // Final rank, set when the tournament is completed
+          placement: {
+            type: Number,
+            default: null
           }
         }],
+        completedAt: {
+          type: Date,
+          default: null
+        },
+        // Arena pairing and berserk settings, see utils/arenaPairing.js
+        arena: {
+          minWait: { type: Number, min: 0, default: ARENA_DEFAULTS.minWait },
+          avoidRematch: { type: Boolean, default: ARENA_DEFAULTS.avoidRematch },
+          preferCloseScore: { type: Boolean, default: ARENA_DEFAULTS.preferCloseScore },
+          regularFallback: { type: Boolean, default: ARENA_DEFAULTS.regularFallback },
+          regularFallbackAfter: { type: Number, min: 0, default: ARENA_DEFAULTS.regularFallbackAfter },
+          berserk: { type: Boolean, default: ARENA_DEFAULTS.berserk },
+          berserkBonus: { type: Number, min: 0, default: ARENA_DEFAULTS.berserkBonus }
+        },
         createdAt: {
             type: Date,
             default: Date.now,
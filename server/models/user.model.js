@@ -1,5 +1,32 @@
 import mongoose from "mongoose";
 
+// Roles checked by authorizeRoles() in middlewares/auth.middleware.js
+export const USER_ROLES = ["player", "moderator", "admin"];
+
+// Glicko-2 rating for one variant/subvariant (see utils/glicko2.js)
+const VariantRating = new mongoose.Schema(
+        {
+            rating: {
+              type: Number,
+              default: 1500
+            },
+            rd: {
+              type: Number,
+              default: 350
+            },
+            volatility: {
+              type: Number,
+              default: 0.06
+            },
+            games: {
+              type: Number,
+              default: 0
+            },
+            lastPlayedAt: Date
+        },
+        { _id: false }
+)
+
 const User = new mongoose.Schema(
         {
             name: {
@@ -14,10 +41,22 @@ const User = new mongoose.Schema(
               type: String,
               required: true
             },
+            role: {
+              type: String,
+              enum: USER_ROLES,
+              default: "player"
+            },
+            // Overall rating for the global leaderboard: best established per-variant rating
             ratings: {
               type: Number,
               default: 0
             },
+            // Keyed by rating key, e.g. "classic:bullet", "crazyhouse:withTimer", "decay" (see rating.controller.js)
+            variantRatings: {
+              type: Map,
+              of: VariantRating,
+              default: {}
+            },
             win: {
               type: Number,
               default: 0
@@ -26,6 +65,10 @@ const User = new mongoose.Schema(
               type: Number,
               default: 0
             },
+            draw: {
+              type: Number,
+              default: 0
+            },
             tournaments: [
               {
                 type: mongoose.Schema.Types.ObjectId,
@@ -0,0 +1,23 @@
+import express from "express";
+import {
+    createTournamentAdmin,
+    updateTournamentAdmin,
+    cancelTournamentAdmin,
+    forceStartTournamentAdmin,
+    forceEndTournamentAdmin,
+    getAuditLog,
+} from "../controllers/admin/admin.controller.js";
+import { authenticate, authorizeRoles } from "../middlewares/auth.middleware.js";
+
+const router = express.Router();
+
+router.use(authenticate, authorizeRoles("admin"));
+
+router.post("/tournaments", createTournamentAdmin);
+router.patch("/tournaments/:tournamentId", updateTournamentAdmin);
+router.post("/tournaments/:tournamentId/cancel", cancelTournamentAdmin);
+router.post("/tournaments/:tournamentId/start", forceStartTournamentAdmin);
+router.post("/tournaments/:tournamentId/end", forceEndTournamentAdmin);
+router.get("/audit-log", getAuditLog);
+
+export default router;
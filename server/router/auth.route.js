@@ -1,9 +1,25 @@
 import express from "express";
-import { registerUser, loginUser } from "../controllers/user/auth.js";
+import {
+    registerUser,
+    loginUser,
+    getProfile,
+    refreshToken,
+    logoutUser,
+    getSessions,
+    deleteSession,
+    deleteAllSessions,
+} from "../controllers/user/auth.js";
+import { authenticate } from "../middlewares/auth.middleware.js";
 
 const router = express.Router();
 
 router.post("/register", registerUser);
 router.post("/login", loginUser);
+router.post("/refresh", refreshToken);
+router.post("/logout", logoutUser);
+router.get("/me", authenticate, getProfile);
+router.get("/sessions", authenticate, getSessions);
+router.delete("/sessions", authenticate, deleteAllSessions);
+router.delete("/sessions/:sessionId", authenticate, deleteSession);
 
 export default router;
\ No newline at end of file
@@ -0,0 +1,13 @@
+import express from "express";
+import { listChallenges, getInvite } from "../controllers/challenge.controller.js";
+import { authenticate } from "../middlewares/auth.middleware.js";
+
+const router = express.Router();
+
+router.use(authenticate);
+
+// Creating, accepting and declining go through the /matchmaking socket (challenge:* events)
+router.get("/", listChallenges);
+router.get("/invite/:code", getInvite);
+
+export default router;
@@ -0,0 +1,15 @@
+import express from "express";
+import { listGames, listLiveGames, getActiveGame, getGameBySessionId, exportGamePgn } from "../controllers/gameHistory.controller.js";
+import { authenticate } from "../middlewares/auth.middleware.js";
+
+const router = express.Router();
+
+router.use(authenticate);
+
+router.get("/", listGames);
+router.get("/live", listLiveGames);
+router.get("/active", getActiveGame);
+router.get("/:sessionId", getGameBySessionId);
+router.get("/:sessionId/pgn", exportGamePgn);
+
+export default router;
@@ -0,0 +1,64 @@
+import "../helpers/setup.js"
+import { describe, it, beforeEach } from "node:test"
+import assert from "node:assert/strict"
+import { resetStores, redis } from "../helpers/stores.js"
+import { authSessionKey } from "../../config/redis.config.js"
+import {
+  createAuthSession,
+  rotateRefreshToken,
+  isAuthSessionActive,
+} from "../../controllers/user/authSession.js"
+
+const USER_ID = "user-1"
+
+// What the token hash swap script does, one script at a time like Redis runs them
+const stubSwapScript = (t) => {
+  let running = Promise.resolve()
+  t.mock.method(redis, "eval", (script, { keys: [key], arguments: [expected, next, lastUsedAt] }) => {
+    running = running.then(async () => {
+      if ((await redis.hGet(key, "tokenHash")) !== expected) return 0
+      await redis.hSet(key, { tokenHash: next, lastUsedAt })
+      return 1
+    })
+    return running
+  })
+}
+
+describe("refresh token rotation", () => {
+  beforeEach(() => resetStores())
+
+  it("hands out a new pair and keeps the session", async (t) => {
+    stubSwapScript(t)
+    const { refreshToken, authSessionId } = await createAuthSession(USER_ID, { deviceId: "phone" })
+
+    const rotated = await rotateRefreshToken(refreshToken)
+    assert.equal(rotated.success, true)
+    assert.equal(rotated.userId, USER_ID)
+    assert.notEqual(rotated.refreshToken, refreshToken)
+    assert.equal((await rotateRefreshToken(rotated.refreshToken)).success, true)
+    assert.equal(await isAuthSessionActive(authSessionId), true)
+  })
+
+  it("revokes the session when a rotated token is used again", async (t) => {
+    stubSwapScript(t)
+    const { refreshToken, authSessionId } = await createAuthSession(USER_ID)
+    const rotated = await rotateRefreshToken(refreshToken)
+
+    const reused = await rotateRefreshToken(refreshToken)
+    assert.equal(reused.success, false)
+    assert.equal(reused.code, "REFRESH_TOKEN_REUSED")
+    assert.equal(await isAuthSessionActive(authSessionId), false)
+    // The token that replaced it died with the session
+    assert.equal((await rotateRefreshToken(rotated.refreshToken)).code, "REFRESH_TOKEN_EXPIRED")
+  })
+
+  it("lets only one of two concurrent refreshes with the same token rotate it", async (t) => {
+    stubSwapScript(t)
+    const { refreshToken, authSessionId } = await createAuthSession(USER_ID)
+
+    const results = await Promise.all([rotateRefreshToken(refreshToken), rotateRefreshToken(refreshToken)])
+    assert.deepEqual(results.map((result) => result.success).sort(), [false, true])
+    assert.equal(results.find((result) => !result.success).code, "REFRESH_TOKEN_REUSED")
+    assert.equal(await redis.exists(authSessionKey(authSessionId)), 0)
+  })
+})
@@ -0,0 +1,45 @@
+// Scripted games for tests/games/scriptedGames.test.js. Movetext is PGN-like: "{61s}" is the
+// think time of the next move (1s otherwise), "B@d3" a crazyhouse drop. `expected` is checked
+// against the final game state.
+export default [
+  {
+    name: "scholar's mate",
+    variant: "classic",
+    subvariant: "standard",
+    movetext: "1. e4 e5 2. Bc4 Nc6 3. Qh5 Nf6 4. Qxf7#",
+    expected: { status: "finished", winner: "white", resultReason: "checkmate" },
+  },
+  {
+    name: "threefold repetition by knight shuffle",
+    variant: "classic",
+    subvariant: "standard",
+    movetext: "1. Nf3 Nf6 2. Ng1 Ng8 3. Nf3 Nf6 4. Ng1 Ng8 5. Nf3",
+    expected: { status: "finished", result: "draw", resultReason: "threefold repetition", winner: null },
+  },
+  {
+    name: "bullet time forfeit",
+    variant: "classic",
+    subvariant: "bullet",
+    movetext: "1. e4 e5 2. {61s} Nf3",
+    expected: { status: "finished", winner: "black", resultReason: "timeout" },
+  },
+  {
+    name: "crazyhouse drop of a captured bishop",
+    variant: "crazyhouse",
+    subvariant: "standard",
+    movetext: "1. e4 d5 2. exd5 Qxd5 3. Nc3 Qe6+ 4. Be2 Qxe2+ 5. Qxe2 B@d3",
+    expected: {
+      status: "active",
+      board: {
+        fen: "rnb1kbnr/ppp1pppp/8/8/8/2Nb4/PPPPQPPP/R1B1K1NR w KQkq - 1 6",
+        pocketedPieces: { white: ["p", "q"], black: ["p"] },
+      },
+    },
+  },
+  {
+    name: "decay checkmate before the queen freezes",
+    variant: "decay",
+    movetext: "1. e4 e5 2. Qh5 Nc6 3. Bc4 Nf6 4. {20s} Qxf7#",
+    expected: { status: "finished", winner: "white", resultReason: "checkmate" },
+  },
+]
@@ -0,0 +1,60 @@
+import { resetStores, savedGames, redis } from "../helpers/stores.js"
+import { describe, it, beforeEach, afterEach } from "node:test"
+import assert from "node:assert/strict"
+import { CLOCK_DEADLINES_KEY, SESSION_TIMEOUT } from "../../config/redis.config.js"
+import {
+  createGameSession,
+  getSessionById,
+  sessionTtl,
+  FIRST_MOVE_TIMEOUT,
+} from "../../controllers/session.controller.js"
+import { expireClock } from "../../controllers/game.controller.js"
+import { setClockSource } from "../../utils/clock.js"
+import { playScript, WHITE, BLACK } from "../helpers/scriptedGame.js"
+
+const START = Date.UTC(2025, 0, 1)
+const BLITZ = { base: 3 * 60 * 1000, increment: 0 }
+const CLASSICAL = { base: 3 * 60 * 60 * 1000, increment: 0 }
+
+describe("clock worker", () => {
+  beforeEach(async () => {
+    await resetStores()
+  })
+
+  afterEach(() => setClockSource())
+
+  it("aborts a game whose first move never comes", async () => {
+    setClockSource(() => START)
+    for (const variant of ["classic", "sixpointer"]) {
+      const subvariant = variant === "classic" ? "standard" : null
+      const { sessionId } = await createGameSession(WHITE, BLACK, variant, subvariant, {}, { whiteUserId: WHITE.userId })
+      assert.equal(await redis.zScore(CLOCK_DEADLINES_KEY, sessionId), START + FIRST_MOVE_TIMEOUT)
+
+      assert.equal(await expireClock({ sessionId, now: START + FIRST_MOVE_TIMEOUT - 1 }), null)
+      const result = await expireClock({ sessionId, now: START + FIRST_MOVE_TIMEOUT })
+      assert.equal(result.type, "game:end")
+      assert.equal(result.gameState.result, "aborted")
+      assert.equal(result.gameState.winner, null)
+      assert.equal(savedGames.get(sessionId)?.result, "aborted")
+    }
+  })
+
+  it("stores the winner's color when a player runs out of time", async () => {
+    const { sessionId } = await playScript({ variant: "classic", subvariant: "standard", movetext: "1. e4", startAt: START, timeControl: BLITZ })
+
+    const result = await expireClock({ sessionId, now: START + 1000 + BLITZ.base })
+    assert.equal(result.type, "game:end")
+    assert.equal(result.gameState.result, "white")
+    assert.equal(result.gameState.winner, "white")
+    assert.equal(savedGames.get(sessionId)?.result, "white")
+  })
+
+  it("keeps the session until well after the player to move could run out of time", async () => {
+    const { sessionId } = await playScript({ variant: "classic", subvariant: "standard", movetext: "1. e4", startAt: START, timeControl: CLASSICAL })
+    const { gameState } = await getSessionById(sessionId)
+
+    assert.equal(sessionTtl(gameState, START + 1000), (CLASSICAL.base + SESSION_TIMEOUT) / 1000)
+    assert.equal(sessionTtl(gameState, START + 1000 + CLASSICAL.base / 2), (CLASSICAL.base / 2 + SESSION_TIMEOUT) / 1000)
+    assert.equal(sessionTtl({ ...gameState, status: "finished" }, START + 1000), SESSION_TIMEOUT / 1000)
+  })
+})
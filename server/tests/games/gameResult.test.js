@@ -0,0 +1,115 @@
+import { resetStores } from "../helpers/stores.js"
+import { describe, it, beforeEach } from "node:test"
+import assert from "node:assert/strict"
+import gameModel from "../../models/game.model.js"
+import UserModel from "../../models/User.model.js"
+import TournamentModel from "../../models/tournament.model.js"
+import { processGameResult } from "../../controllers/gameResult.controller.js"
+import { WHITE, BLACK } from "../helpers/scriptedGame.js"
+
+const SESSION_ID = "result-session"
+
+const finishedGame = () => ({
+  sessionId: SESSION_ID,
+  status: "finished",
+  result: "white",
+  resultReason: "checkmate",
+  winner: "white",
+  variantName: "classic",
+  subvariantName: "standard",
+  players: { white: WHITE, black: BLACK },
+  metadata: { rated: true },
+  board: {},
+  moves: [],
+})
+
+// Apply a $set/$unset with dotted paths to a plain object, as MongoDB would
+function applyUpdate(doc, update) {
+  for (const [path, value] of Object.entries(update.$set || {})) {
+    const keys = path.split(".")
+    const parent = keys.slice(0, -1).reduce((node, key) => (node[key] ??= {}), doc)
+    parent[keys.at(-1)] = value
+  }
+  for (const path of Object.keys(update.$unset || {})) delete doc[path]
+}
+
+describe("game result processing", () => {
+  let game
+  let userWrites
+  let failingUser
+
+  beforeEach(async (t) => {
+    await resetStores()
+    game = {}
+    userWrites = []
+    failingUser = null
+
+    t.mock.method(gameModel, "findOneAndUpdate", async (filter, update) => {
+      if ("resultProcessedAt" in filter && game.resultProcessedAt) return null
+      const before = structuredClone(game)
+      applyUpdate(game, update)
+      return before
+    })
+    t.mock.method(gameModel, "updateOne", async (filter, update) => applyUpdate(game, update))
+    t.mock.method(gameModel, "findOne", () => ({
+      select() {
+        return this
+      },
+      lean: async () => structuredClone(game),
+    }))
+    t.mock.method(UserModel, "findById", async (userId) => new UserModel({ _id: userId, username: userId }))
+    t.mock.method(UserModel, "updateOne", async (filter, update) => {
+      if (filter._id === failingUser) throw new Error("write failed")
+      userWrites.push({ userId: filter._id, update })
+    })
+  })
+
+  it("only updates the players still missing when it is retried after a failed write", async () => {
+    failingUser = BLACK.userId
+    const failed = await processGameResult(SESSION_ID, finishedGame())
+    assert.equal(failed.success, false)
+    assert.deepEqual(userWrites.map((write) => write.userId), [WHITE.userId])
+    assert.equal(game.resultProcessedAt, undefined)
+
+    failingUser = null
+    const retried = await processGameResult(SESSION_ID, finishedGame())
+    assert.equal(retried.success, true)
+    assert.equal(retried.processed, true)
+    assert.deepEqual(userWrites.map((write) => write.userId), [WHITE.userId, BLACK.userId])
+    assert.deepEqual(userWrites[1].update.$inc, { lose: 1 })
+    assert.equal(retried.ratingChanges.black.after, retried.ratingChanges.black.before + retried.ratingChanges.black.delta)
+    assert.deepEqual(game.ratingChanges, retried.ratingChanges)
+
+    const repeated = await processGameResult(SESSION_ID, finishedGame())
+    assert.equal(repeated.processed, false)
+    assert.equal(userWrites.length, 2)
+  })
+
+  it("closes the tournament match of an aborted game without scoring it", async (t) => {
+    const tournamentWrites = []
+    t.mock.method(TournamentModel, "updateOne", async (filter, update) => tournamentWrites.push({ filter, update }))
+    const standings = t.mock.method(TournamentModel, "findById", () => ({
+      select() {
+        return this
+      },
+      lean: async () => ({ status: "active", leaderboard: [] }),
+    }))
+
+    const aborted = {
+      ...finishedGame(),
+      result: "aborted",
+      resultReason: "aborted",
+      winner: null,
+      metadata: { rated: true, tournamentId: "tournament-1" },
+    }
+    const processed = await processGameResult(SESSION_ID, aborted)
+    assert.equal(processed.success, true)
+    assert.equal(processed.ratingChanges, null)
+    assert.deepEqual(userWrites, [])
+    assert.deepEqual(tournamentWrites, [{
+      filter: { _id: "tournament-1", "matches.sessionId": SESSION_ID },
+      update: { $set: { "matches.$.result": "aborted", "matches.$.winner": null, "matches.$.state": {} } },
+    }])
+    assert.equal(standings.mock.callCount(), 0)
+  })
+})
@@ -0,0 +1,33 @@
+import { resetStores, savedGames } from "../helpers/stores.js"
+import { describe, it, beforeEach, afterEach } from "node:test"
+import assert from "node:assert/strict"
+import { playScript } from "../helpers/scriptedGame.js"
+import fixtures from "../fixtures/games.js"
+import { setClockSource } from "../../utils/clock.js"
+
+const START = Date.UTC(2025, 0, 1)
+
+// Only the fields the fixture names
+function pick(actual, expected) {
+  if (!expected || typeof expected !== "object" || Array.isArray(expected)) return actual
+  return Object.fromEntries(Object.keys(expected).map((key) => [key, pick(actual?.[key], expected[key])]))
+}
+
+describe("scripted games through makeMove", () => {
+  beforeEach(async () => {
+    await resetStores()
+  })
+
+  afterEach(() => setClockSource())
+
+  for (const fixture of fixtures) {
+    it(fixture.name, async () => {
+      const { sessionId, gameState } = await playScript({ ...fixture, startAt: START })
+      assert.deepEqual(pick(gameState, fixture.expected), fixture.expected)
+
+      if (gameState.status === "finished") {
+        assert.equal(savedGames.get(sessionId)?.status, "finished", "finished games are recorded")
+      }
+    })
+  }
+})
@@ -0,0 +1,67 @@
+import { resetStores, savedGames } from "../helpers/stores.js"
+import { describe, it, beforeEach, afterEach } from "node:test"
+import assert from "node:assert/strict"
+import { createGameSession, getSessionById, updateGameState } from "../../controllers/session.controller.js"
+import { makeMove, getLegalMoves } from "../../controllers/game.controller.js"
+import { setClockSource } from "../../utils/clock.js"
+import { WHITE, BLACK } from "../helpers/scriptedGame.js"
+
+const START = Date.UTC(2025, 0, 1)
+const PER_MOVE = 30 * 1000
+const FIRST_MOVE = START + 1000
+const LATE = FIRST_MOVE + PER_MOVE + 1000
+
+const playerOf = (color) => (color === "white" ? WHITE : BLACK)
+
+// A six-pointer game after its first move (the per-move clock starts with it), the side to move
+// and one of its legal moves
+async function startGame(setNow) {
+  const { sessionId } = await createGameSession(WHITE, BLACK, "sixpointer", null, {}, { whiteUserId: WHITE.userId })
+  const first = await getSessionById(sessionId)
+  setNow(FIRST_MOVE)
+  const opening = await getLegalMoves(sessionId)
+  await makeMove({ sessionId, userId: playerOf(opening.color).userId, move: opening.moves[0], timestamp: FIRST_MOVE })
+
+  const { color, moves } = await getLegalMoves(sessionId)
+  assert.notEqual(color, first.gameState.board.activeColor)
+  return { sessionId, color, player: playerOf(color), move: moves[0] }
+}
+
+describe("six-pointer move after the per-move time", () => {
+  let now
+
+  beforeEach(async () => {
+    await resetStores()
+    now = START
+    setClockSource(() => now)
+  })
+
+  afterEach(() => setClockSource())
+
+  it("applies the timeout penalty instead of the move", async () => {
+    const { sessionId, color, player, move } = await startGame((time) => (now = time))
+
+    now = LATE
+    const result = await makeMove({ sessionId, userId: player.userId, move, timestamp: LATE })
+    assert.equal(result.type, "game:timeoutPenalty")
+    assert.equal(result.move.type, "timeout")
+    assert.equal(result.validationResult.timeoutPenalty.pointsDeducted, 1)
+    assert.notEqual(result.gameState.board.activeColor, color)
+    assert.equal(result.legalMoves.color, result.gameState.board.activeColor)
+    assert.equal(result.gameState.board.movesPlayed[color], 1)
+  })
+
+  it("finishes the game when the timeout was the last move", async () => {
+    const { sessionId, color, player, move } = await startGame((time) => (now = time))
+    const { gameState } = await getSessionById(sessionId)
+    const opponent = color === "white" ? "black" : "white"
+    gameState.board.movesPlayed = { [color]: 5, [opponent]: 6 }
+    await updateGameState(sessionId, gameState)
+
+    now = LATE
+    const result = await makeMove({ sessionId, userId: player.userId, move, timestamp: LATE })
+    assert.equal(result.type, "game:timeoutPenalty")
+    assert.equal(result.gameState.status, "finished")
+    assert.equal(savedGames.get(sessionId)?.status, "finished")
+  })
+})
@@ -0,0 +1,162 @@
+// In-memory stand-in for the node-redis commands the server uses. Values are kept the way Redis
+// returns them (strings), expiries are accepted and ignored: a test never outlives a session.
+export function createMemoryRedis() {
+  const strings = new Map()
+  const hashes = new Map()
+  const lists = new Map()
+  const sets = new Map()
+  const sortedSets = new Map()
+  const stores = [strings, hashes, lists, sets, sortedSets]
+
+  const entry = (store, key, create) => {
+    if (!store.has(key)) store.set(key, create())
+    return store.get(key)
+  }
+  const sortedEntries = (key) =>
+    [...(sortedSets.get(key) || new Map()).entries()]
+      .map(([value, score]) => ({ value, score }))
+      .sort((a, b) => a.score - b.score || a.value.localeCompare(b.value))
+  const rangeOf = (items, start, stop) => items.slice(start, stop === -1 ? undefined : stop + 1)
+
+  const commands = {
+    async get(key) {
+      return strings.has(key) ? strings.get(key) : null
+    },
+    async set(key, value, options = {}) {
+      if (options.NX && strings.has(key)) return null
+      strings.set(key, String(value))
+      return "OK"
+    },
+    async del(keys) {
+      let removed = 0
+      for (const key of [].concat(keys)) {
+        for (const store of stores) if (store.delete(key)) removed++
+      }
+      return removed
+    },
+    async exists(keys) {
+      return [].concat(keys).filter((key) => stores.some((store) => store.has(key))).length
+    },
+    async expire() {
+      return 1
+    },
+    async pExpire() {
+      return 1
+    },
+    async incr(key) {
+      const value = Number(strings.get(key) || 0) + 1
+      strings.set(key, String(value))
+      return value
+    },
+    async hSet(key, field, value) {
+      const hash = entry(hashes, key, () => new Map())
+      const fields = typeof field === "object" ? Object.entries(field) : [[field, value]]
+      for (const [name, fieldValue] of fields) hash.set(name, String(fieldValue))
+      return fields.length
+    },
+    async hGet(key, field) {
+      return hashes.get(key)?.get(field) ?? null
+    },
+    async hGetAll(key) {
+      return Object.fromEntries(hashes.get(key) || [])
+    },
+    async hDel(key, fields) {
+      const hash = hashes.get(key)
+      return [].concat(fields).filter((field) => hash?.delete(field)).length
+    },
+    async rPush(key, values) {
+      const list = entry(lists, key, () => [])
+      list.push(...[].concat(values).map(String))
+      return list.length
+    },
+    async rPop(key) {
+      return lists.get(key)?.pop() ?? null
+    },
+    async lRange(key, start, stop) {
+      return rangeOf(lists.get(key) || [], start, stop)
+    },
+    async lLen(key) {
+      return (lists.get(key) || []).length
+    },
+    async sAdd(key, members) {
+      const set = entry(sets, key, () => new Set())
+      const added = [].concat(members).filter((member) => !set.has(member))
+      added.forEach((member) => set.add(String(member)))
+      return added.length
+    },
+    async sRem(key, members) {
+      const set = sets.get(key)
+      return [].concat(members).filter((member) => set?.delete(member)).length
+    },
+    async sMembers(key) {
+      return [...(sets.get(key) || [])]
+    },
+    async sIsMember(key, member) {
+      return sets.get(key)?.has(member) ? 1 : 0
+    },
+    async zAdd(key, members) {
+      const sortedSet = entry(sortedSets, key, () => new Map())
+      for (const { score, value } of [].concat(members)) sortedSet.set(String(value), Number(score))
+      return [].concat(members).length
+    },
+    async zRem(key, members) {
+      const sortedSet = sortedSets.get(key)
+      return [].concat(members).filter((member) => sortedSet?.delete(member)).length
+    },
+    async zScore(key, member) {
+      return sortedSets.get(key)?.get(member) ?? null
+    },
+    async zRange(key, start, stop, options = {}) {
+      const values = sortedEntries(key).map(({ value }) => value)
+      return rangeOf(options.REV ? values.reverse() : values, start, stop)
+    },
+    async zRangeByScore(key, min, max) {
+      return sortedEntries(key)
+        .filter(({ score }) => score >= Number(min) && score <= Number(max))
+        .map(({ value }) => value)
+    },
+    async keys(pattern) {
+      const matcher = new RegExp(`^${pattern.split("*").map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&")).join(".*")}$`)
+      const all = new Set(stores.flatMap((store) => [...store.keys()]))
+      return [...all].filter((key) => matcher.test(key))
+    },
+    // No Lua here: a test that reaches a script stubs eval with what the script does (t.mock.method)
+    async eval() {
+      throw new Error("eval needs a real Redis, stub it in the test")
+    },
+    async flushAll() {
+      stores.forEach((store) => store.clear())
+      return "OK"
+    },
+  }
+
+  // Transactions queue the commands and run them in order on exec
+  commands.multi = () => {
+    const queued = []
+    const transaction = { exec: async () => Promise.all(queued.map((run) => run())) }
+    for (const [name, command] of Object.entries(commands)) {
+      if (name === "multi") continue
+      transaction[name] = (...args) => {
+        queued.push(() => command(...args))
+        return transaction
+      }
+    }
+    return transaction
+  }
+
+  return commands
+}
+
+/**
+ * Stand-in for node-redis' createClient, which the "redis" package resolves to under test
+ * (redisHooks.js): config/redis.config.js gets a client that connects at once and keeps everything in memory.
+ */
+export function createClient() {
+  return {
+    ...createMemoryRedis(),
+    on() {
+      return this
+    },
+    async connect() {},
+  }
+}
@@ -0,0 +1,14 @@
+import { Chess } from "chess.js"
+
+const DROP = /^([PNBRQ])@([a-h][1-8])$/
+
+/**
+ * The move object a client sends for a SAN move ("Nf3", "e8=Q") or crazyhouse drop ("N@f3")
+ * in the given position. Throws on moves chess.js rejects.
+ */
+export function toClientMove(san, fen) {
+  const drop = san.match(DROP)
+  if (drop) return { drop: true, piece: drop[1].toLowerCase(), to: drop[2] }
+  const { from, to, promotion } = new Chess(fen).move(san)
+  return promotion ? { from, to, promotion } : { from, to }
+}
@@ -0,0 +1,8 @@
+// Module resolution hooks registered by setup.js: the "redis" package is swapped for the
+// in-memory client of memoryRedis.js
+const MEMORY_REDIS = new URL("./memoryRedis.js", import.meta.url).href
+
+export async function resolve(specifier, context, nextResolve) {
+  if (specifier === "redis") return { url: MEMORY_REDIS, shortCircuit: true }
+  return nextResolve(specifier, context)
+}
@@ -0,0 +1,63 @@
+import "./stores.js"
+import { createGameSession, getSessionById } from "../../controllers/session.controller.js"
+import { makeMove } from "../../controllers/game.controller.js"
+import { setClockSource } from "../../utils/clock.js"
+import { toClientMove } from "./moves.js"
+
+export const WHITE = { userId: "64b000000000000000000001", username: "white", rating: 1500 }
+export const BLACK = { userId: "64b000000000000000000002", username: "black", rating: 1500 }
+
+const MOVE_NUMBER = /^\d+\.+$/
+const THINK_TIME = /^\{(\d+(?:\.\d+)?)s\}$/
+
+/**
+ * Split PGN-like movetext into moves. Move numbers are skipped, "{12s}" is the think time of the
+ * next move, "N@f3" is a crazyhouse drop.
+ * @returns {{ san: string, thinkTime: number }[]}
+ */
+export function parseMovetext(movetext, defaultThinkTime) {
+  const moves = []
+  let thinkTime = defaultThinkTime
+  for (const token of movetext.trim().split(/\s+/)) {
+    if (MOVE_NUMBER.test(token)) continue
+    const think = token.match(THINK_TIME)
+    if (think) {
+      thinkTime = Number(think[1]) * 1000
+      continue
+    }
+    moves.push({ san: token, thinkTime })
+    thinkTime = defaultThinkTime
+  }
+  return moves
+}
+
+/**
+ * Start a game between WHITE and BLACK and replay movetext through makeMove, as the players'
+ * sockets would. Each move reaches the server its think time after the previous one, from
+ * `startAt`: the server clock is moved along, the caller restores it with setClockSource().
+ * Stops at a move the server rejects, unless the rejection ended the game (time forfeit).
+ * @returns {Promise<{ sessionId: string, results: Object[], gameState: Object }>}
+ */
+export async function playScript({ variant, subvariant = null, movetext, thinkTime = 1000, startAt = Date.now(), timeControl }) {
+  let now = startAt
+  setClockSource(() => now)
+  const created = await createGameSession(WHITE, BLACK, variant, subvariant, {}, { whiteUserId: WHITE.userId, timeControl })
+  if (!created.success) throw new Error(`Could not start the game: ${created.message}`)
+  const { sessionId } = created
+
+  const results = []
+  for (const { san, thinkTime: think } of parseMovetext(movetext, thinkTime)) {
+    const { gameState } = await getSessionById(sessionId)
+    if (gameState.status !== "active") throw new Error(`The game is over before ${san}`)
+
+    now += think
+    const player = gameState.board.activeColor === "white" ? WHITE : BLACK
+    const move = toClientMove(san, gameState.board.fen)
+    const result = await makeMove({ sessionId, userId: player.userId, move, timestamp: now })
+    results.push(result)
+    if (!result.move && result.type !== "game:end") throw new Error(`${san} was rejected: ${result.message}`)
+  }
+
+  const { gameState } = await getSessionById(sessionId)
+  return { sessionId, results, gameState }
+}
@@ -0,0 +1,15 @@
+// Loaded before every test file (npm test runs node --import ./tests/helpers/setup.js --test).
+// The server's "redis" import resolves to the in-memory client, so nothing connects to Redis.
+import { register } from "node:module"
+
+register("./redisHooks.js", import.meta.url)
+
+// Access tokens are signed with a throwaway key when no .env provides one
+process.env.SECRET_KEY ??= "test-secret"
+
+// The engines log every move; TEST_VERBOSE=1 keeps the logs
+if (!process.env.TEST_VERBOSE) {
+  console.log = () => {}
+  console.info = () => {}
+  console.warn = () => {}
+}
@@ -0,0 +1,23 @@
+import redisClient from "../../config/redis.config.js"
+import gameModel from "../../models/game.model.js"
+
+// The controllers' Redis client, in memory under test (setup.js)
+export const redis = redisClient
+
+// MongoDB stand-in: game records are kept here by sessionId
+export const savedGames = new Map()
+
+gameModel.prototype.save = async function save() {
+  savedGames.set(this.sessionId, this.toObject())
+  return this
+}
+
+gameModel.findOneAndUpdate = async (filter, update) => {
+  savedGames.set(filter.sessionId, { ...savedGames.get(filter.sessionId), ...update.$set })
+  return null
+}
+
+export async function resetStores() {
+  await redis.flushAll()
+  savedGames.clear()
+}
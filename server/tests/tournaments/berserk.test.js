@@ -0,0 +1,85 @@
+import { resetStores } from "../helpers/stores.js"
+import { describe, it, beforeEach, afterEach } from "node:test"
+import assert from "node:assert/strict"
+import TournamentModel from "../../models/tournament.model.js"
+import { createGameSession, getSessionById, getClockDeadline } from "../../controllers/session.controller.js"
+import { makeMove, berserk } from "../../controllers/game.controller.js"
+import { setClockSource } from "../../utils/clock.js"
+import { WHITE, BLACK } from "../helpers/scriptedGame.js"
+import { toClientMove } from "../helpers/moves.js"
+
+const NOW = Date.UTC(2025, 0, 1, 12)
+const TOURNAMENT_ID = "64b0000000000000000000aa"
+const source = { [WHITE.userId]: "tournament", [BLACK.userId]: "tournament" }
+
+const startGame = async (variant, subvariant, config = {}) => {
+  const { sessionId } = await createGameSession(WHITE, BLACK, variant, subvariant, source, {
+    whiteUserId: WHITE.userId,
+    tournamentId: TOURNAMENT_ID,
+    berserk: true,
+    ...config,
+  })
+  return sessionId
+}
+
+const play = async (sessionId, san, player, timestamp) => {
+  const { gameState } = await getSessionById(sessionId)
+  const move = toClientMove(san, gameState.board.fen)
+  return makeMove({ sessionId, userId: player.userId, move, timestamp })
+}
+
+describe("berserk", () => {
+  beforeEach(async (t) => {
+    await resetStores()
+    t.mock.method(TournamentModel, "findById", async () => null)
+    setClockSource(() => NOW)
+  })
+  afterEach(() => setClockSource())
+
+  it("halves the player's clock once, before their first move", async () => {
+    const sessionId = await startGame("classic", "standard")
+    const before = (await getSessionById(sessionId)).gameState.board.whiteTime
+
+    const { gameState, color } = await berserk({ sessionId, userId: WHITE.userId })
+    assert.equal(color, "white")
+    assert.equal(gameState.board.whiteTime, Math.floor(before / 2))
+    assert.equal(gameState.metadata.berserk.white, true)
+    await assert.rejects(berserk({ sessionId, userId: WHITE.userId }), /Already berserk/)
+  })
+
+  it("is too late once the player has moved", async () => {
+    const sessionId = await startGame("classic", "standard")
+    await play(sessionId, "e4", WHITE, NOW)
+    await assert.rejects(berserk({ sessionId, userId: WHITE.userId }), /before your first move/)
+  })
+
+  it("moves the running clock's deadline when black goes berserk", async () => {
+    const sessionId = await startGame("classic", "standard")
+    await play(sessionId, "e4", WHITE, NOW)
+    const before = (await getSessionById(sessionId)).gameState
+
+    const { gameState } = await berserk({ sessionId, userId: BLACK.userId })
+    assert.equal(gameState.board.blackTime, Math.floor(before.board.blackTime / 2))
+    assert.equal(getClockDeadline(gameState), getClockDeadline(before) - Math.ceil(before.board.blackTime / 2))
+  })
+
+  it("charges the time black already used before halving the clock", async () => {
+    const sessionId = await startGame("classic", "standard")
+    await play(sessionId, "e4", WHITE, NOW)
+    const before = (await getSessionById(sessionId)).gameState
+
+    setClockSource(() => NOW + 10000)
+    const { gameState } = await berserk({ sessionId, userId: BLACK.userId })
+    const left = Math.floor((before.board.blackTime - 10000) / 2)
+    assert.equal(gameState.board.blackTime, left)
+    assert.equal(getClockDeadline(gameState), NOW + 10000 + left)
+  })
+
+  it("is only offered in arena games that allow it, and not with per-move clocks", async () => {
+    const withoutBerserk = await startGame("classic", "standard", { berserk: false })
+    await assert.rejects(berserk({ sessionId: withoutBerserk, userId: WHITE.userId }), /not allowed/)
+
+    const sixpointer = await startGame("sixpointer", null)
+    await assert.rejects(berserk({ sessionId: sixpointer, userId: WHITE.userId }), /per-move clocks/)
+  })
+})
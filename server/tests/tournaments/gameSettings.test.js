@@ -0,0 +1,144 @@
+import { resetStores, redis } from "../helpers/stores.js"
+import { describe, it, beforeEach } from "node:test"
+import assert from "node:assert/strict"
+import TournamentModel from "../../models/tournament.model.js"
+import UserModel from "../../models/User.model.js"
+import { getSessionById } from "../../controllers/session.controller.js"
+import {
+  startTournamentRound,
+  acceptsRegularPlayer,
+  runArenaPairing,
+  TOURNAMENT_QUEUE_KEY,
+  TOURNAMENT_USER_DATA_KEY,
+} from "../../controllers/tournament.controller.js"
+import { validateTournamentInput } from "../../controllers/admin/admin.controller.js"
+import { WHITE, BLACK } from "../helpers/scriptedGame.js"
+
+const START = Date.UTC(2025, 0, 1, 9)
+const END = START + 60 * 60 * 1000
+const ITALIAN = "r1bqk1nr/pppp1ppp/2n5/2b1p3/2B1P3/5N2/PPPP1PPP/RNBQK2R w KQkq - 4 4"
+const BLITZ = { base: 5 * 60 * 1000, increment: 3000 }
+// Already checkmate
+const MATE = "rnb1kbnr/pppp1ppp/8/4p3/6Pq/5P2/PPPPP2P/RNBQKBNR w KQkq - 1 3"
+
+// Tournament queue entry as addTournamentUserToQueue stores it
+const tournamentPlayer = (player, tournamentId) => ({
+  userId: player.userId,
+  socketId: `socket-${player.userId}`,
+  rank: "1500",
+  joinTime: String(START),
+  status: "waiting",
+  tournamentId,
+  variant: "classic",
+  subvariant: "standard",
+})
+
+// Regular queue entry as joinQueue stores it
+const regularPlayer = (timeControl) => ({
+  variant: "classic",
+  subvariant: "standard",
+  timeControl: JSON.stringify({ delay: 0, ...timeControl }),
+})
+
+describe("tournament game settings", () => {
+  let tournament
+
+  beforeEach(async (t) => {
+    await resetStores()
+    tournament = new TournamentModel({
+      name: "Italian blitz",
+      format: "roundRobin",
+      startTime: new Date(START),
+      endTime: new Date(END),
+      variant: "classic",
+      subvariant: "standard",
+      timeControl: BLITZ,
+      rated: false,
+      startingPositions: [ITALIAN],
+      leaderboard: [{ player: WHITE.userId }, { player: BLACK.userId }],
+    })
+
+    t.mock.method(TournamentModel.prototype, "save", async function save() {
+      return this
+    })
+    t.mock.method(TournamentModel, "findById", async () => tournament)
+    t.mock.method(TournamentModel, "findByIdAndUpdate", async (id, update) => {
+      tournament.matches.push(update.$push.matches)
+      return tournament
+    })
+    t.mock.method(UserModel, "find", () => ({
+      select() {
+        return this
+      },
+      lean: async () => [],
+    }))
+  })
+
+  it("plays every game with the tournament's variant, time control, rated flag and positions", async () => {
+    const round = await startTournamentRound(tournament)
+    assert.equal(round.variant, "classic")
+    assert.equal(round.subvariant, "standard")
+
+    const { gameState } = await getSessionById(round.games[0].sessionId)
+    assert.equal(gameState.board.fen, ITALIAN)
+    assert.deepEqual(gameState.positionHistory, [ITALIAN])
+    assert.equal(gameState.timeControl.baseTime, BLITZ.base)
+    assert.equal(gameState.timeControl.increment, BLITZ.increment)
+    assert.equal(gameState.metadata.rated, false)
+  })
+
+  it("only takes regular players who queued for the same game", () => {
+    tournament.rated = true
+    tournament.startingPositions = []
+    assert.equal(acceptsRegularPlayer(tournament, regularPlayer(BLITZ), "classic", "standard"), true)
+    assert.equal(acceptsRegularPlayer(tournament, regularPlayer({ base: 600000, increment: 0 }), "classic", "standard"), false)
+    assert.equal(acceptsRegularPlayer(tournament, regularPlayer(BLITZ), "classic", "bullet"), false)
+
+    tournament.rated = false
+    assert.equal(acceptsRegularPlayer(tournament, regularPlayer(BLITZ), "classic", "standard"), false)
+    tournament.rated = true
+    tournament.startingPositions = [ITALIAN]
+    assert.equal(acceptsRegularPlayer(tournament, regularPlayer(BLITZ), "classic", "standard"), false)
+  })
+
+  it("validates the game settings sent by an admin", () => {
+    const valid = validateTournamentInput(
+      { variant: "classic", subvariant: "standard", timeControl: BLITZ, rated: false, startingPositions: [ITALIAN] },
+      { partial: true },
+    )
+    assert.equal(valid.error, undefined)
+    assert.deepEqual(valid.params.timeControl, { ...BLITZ, delay: 0 })
+
+    assert.ok(validateTournamentInput({ timeControl: BLITZ }, { partial: true }).error)
+    assert.ok(validateTournamentInput({ variant: "checkers" }, { partial: true }).error)
+    assert.ok(validateTournamentInput({ startingPositions: ["not a fen"] }, { partial: true }).error)
+    assert.ok(validateTournamentInput({ startingPositions: [MATE] }, { partial: true }).error)
+  })
+
+  it("puts both arena players back in the queue when their game can't be created", async (t) => {
+    tournament.format = "arena"
+    tournament.startingPositions = [MATE]
+    const tournamentId = tournament._id.toString()
+    t.mock.method(TournamentModel, "findOne", async () => tournament)
+    t.mock.method(UserModel, "findById", (userId) => ({
+      select: async () => new UserModel({ _id: userId, name: userId }),
+    }))
+
+    const emitted = []
+    const sockets = new Map()
+    for (const player of [WHITE, BLACK]) {
+      const entry = tournamentPlayer(player, tournamentId)
+      await redis.hSet(TOURNAMENT_USER_DATA_KEY(tournamentId, player.userId), entry)
+      await redis.zAdd(TOURNAMENT_QUEUE_KEY, [{ score: 1500 + START / 1e13, value: player.userId }])
+      sockets.set(entry.socketId, { emit: (event) => emitted.push(event) })
+    }
+
+    assert.equal(await runArenaPairing({ sockets }, START + 10 * 60 * 1000), 0)
+    assert.deepEqual(emitted, [])
+    assert.deepEqual((await redis.zRange(TOURNAMENT_QUEUE_KEY, 0, -1)).sort(), [WHITE.userId, BLACK.userId].sort())
+    for (const player of [WHITE, BLACK]) {
+      assert.deepEqual(await redis.hGetAll(TOURNAMENT_USER_DATA_KEY(tournamentId, player.userId)), tournamentPlayer(player, tournamentId))
+      assert.equal(await redis.get(`cooldown:${player.userId}`), null)
+    }
+  })
+})
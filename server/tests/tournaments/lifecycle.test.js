@@ -0,0 +1,93 @@
+import { redis, resetStores } from "../helpers/stores.js"
+import { describe, it, beforeEach } from "node:test"
+import assert from "node:assert/strict"
+import TournamentModel from "../../models/tournament.model.js"
+import UserModel from "../../models/User.model.js"
+import { createGameSession } from "../../controllers/session.controller.js"
+import { advanceTournament } from "../../controllers/tournamentLifecycle.controller.js"
+import { PAIRING_CUTOFF, FINISHING_TIMEOUT } from "../../utils/tournamentSchedule.js"
+import { WHITE, BLACK } from "../helpers/scriptedGame.js"
+
+const START = Date.UTC(2025, 0, 1, 9)
+const END = START + 60 * 60 * 1000
+
+// Matchmaking namespace stand-in that keeps what was emitted
+const recordingNamespace = () => {
+  const events = []
+  return { events, emit: (event, payload) => events.push({ event, payload }) }
+}
+
+describe("tournament lifecycle", () => {
+  let tournament
+  let io
+
+  beforeEach(async (t) => {
+    await resetStores()
+    t.mock.method(TournamentModel.prototype, "save", async function save() {
+      return this
+    })
+    t.mock.method(TournamentModel, "findById", async () => null)
+    t.mock.method(UserModel, "updateMany", async () => ({ modifiedCount: 0 }))
+
+    tournament = new TournamentModel({
+      name: "Daily",
+      startTime: new Date(START),
+      endTime: new Date(END),
+      leaderboard: [
+        { player: WHITE.userId, wins: 1, points: 2 },
+        { player: BLACK.userId, wins: 2, points: 6 },
+      ],
+    })
+    io = recordingNamespace()
+  })
+
+  it("waits for startTime, then opens pairing", async () => {
+    assert.equal(await advanceTournament(tournament, io, START - 1000), "scheduled")
+    assert.deepEqual(io.events, [])
+
+    assert.equal(await advanceTournament(tournament, io, START), "active")
+    assert.deepEqual(io.events.map(({ event }) => event), ["tournament:started"])
+    assert.equal(await redis.get("tournament:active"), tournament._id.toString())
+  })
+
+  it("stops pairing PAIRING_CUTOFF before endTime", async () => {
+    await advanceTournament(tournament, io, START)
+    assert.equal(await advanceTournament(tournament, io, END - PAIRING_CUTOFF - 1), "active")
+
+    assert.equal(await advanceTournament(tournament, io, END - PAIRING_CUTOFF), "completed")
+    assert.deepEqual(
+      io.events.map(({ event }) => event),
+      ["tournament:started", "tournament:finishing", "tournament:ended"],
+    )
+    assert.equal(await redis.get("tournament:active"), null)
+  })
+
+  it("waits for running games before freezing the standings", async () => {
+    const { sessionId } = await createGameSession(WHITE, BLACK, "classic", "standard", {}, {})
+    tournament.matches.push({ player1: WHITE.userId, player2: BLACK.userId, sessionId, result: "ongoing" })
+
+    await advanceTournament(tournament, io, START)
+    assert.equal(await advanceTournament(tournament, io, END), "finishing")
+    assert.equal(tournament.leaderboard[0].placement, null)
+
+    tournament.matches[0].result = "white"
+    assert.equal(await advanceTournament(tournament, io, END + 1000), "completed")
+    assert.deepEqual(
+      tournament.leaderboard.map(({ player, placement }) => [player.toString(), placement]),
+      [
+        [WHITE.userId, 2],
+        [BLACK.userId, 1],
+      ],
+    )
+    assert.ok(tournament.completedAt)
+  })
+
+  it("stops waiting FINISHING_TIMEOUT after endTime", async () => {
+    const { sessionId } = await createGameSession(WHITE, BLACK, "classic", "standard", {}, {})
+    tournament.matches.push({ player1: WHITE.userId, player2: BLACK.userId, sessionId, result: "ongoing" })
+
+    await advanceTournament(tournament, io, START)
+    assert.equal(await advanceTournament(tournament, io, END + FINISHING_TIMEOUT - 1), "finishing")
+    assert.equal(await advanceTournament(tournament, io, END + FINISHING_TIMEOUT), "completed")
+  })
+})
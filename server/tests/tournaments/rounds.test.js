@@ -0,0 +1,94 @@
+import { resetStores } from "../helpers/stores.js"
+import { describe, it, beforeEach } from "node:test"
+import assert from "node:assert/strict"
+import TournamentModel from "../../models/tournament.model.js"
+import UserModel from "../../models/User.model.js"
+import { advanceTournament } from "../../controllers/tournamentLifecycle.controller.js"
+import { WHITE, BLACK } from "../helpers/scriptedGame.js"
+
+const START = Date.UTC(2025, 0, 1, 9)
+const END = START + 3 * 60 * 60 * 1000
+const THIRD = "64b000000000000000000003"
+const PLAYERS = [WHITE.userId, BLACK.userId, THIRD]
+
+// Matchmaking namespace stand-in that keeps what was emitted
+const recordingNamespace = () => {
+  const events = []
+  return { events, emit: (event, payload) => events.push({ event, payload }) }
+}
+
+describe("round-based tournaments", () => {
+  let tournament
+  let io
+
+  beforeEach(async (t) => {
+    await resetStores()
+    tournament = new TournamentModel({
+      name: "Round-robin",
+      format: "roundRobin",
+      startTime: new Date(START),
+      endTime: new Date(END),
+      leaderboard: PLAYERS.map((player) => ({ player })),
+    })
+    io = recordingNamespace()
+
+    t.mock.method(TournamentModel.prototype, "save", async function save() {
+      return this
+    })
+    // createGameSession lists each game in the tournament's matches
+    t.mock.method(TournamentModel, "findById", async () => tournament)
+    t.mock.method(TournamentModel, "findByIdAndUpdate", async (id, update) => {
+      tournament.matches.push(update.$push.matches)
+      return tournament
+    })
+    t.mock.method(UserModel, "find", () => ({
+      select() {
+        return this
+      },
+      lean: async () => [],
+    }))
+    t.mock.method(UserModel, "updateMany", async () => ({ modifiedCount: 0 }))
+  })
+
+  // Finish every running game of the round as a win for white, as recordTournamentResult would
+  const finishRound = (round) => {
+    for (const match of tournament.matches) {
+      if (match.round !== round || match.result !== "ongoing") continue
+      match.result = "white"
+      tournament.leaderboard.find(({ player }) => player.equals(match.player1)).points += 1
+    }
+  }
+
+  it("starts the next round only when every game of the current one is over", async () => {
+    assert.equal(await advanceTournament(tournament, io, START), "active")
+    assert.equal(tournament.currentRound, 1)
+    const started = io.events.find(({ event }) => event === "tournament:round_started").payload
+    assert.equal(started.games.length, 1)
+    assert.equal(started.byes.length, 1)
+
+    await advanceTournament(tournament, io, START + 1000)
+    assert.equal(tournament.currentRound, 1)
+
+    finishRound(1)
+    await advanceTournament(tournament, io, START + 2000)
+    assert.equal(tournament.currentRound, 2)
+  })
+
+  it("completes after the last round with everyone met once", async () => {
+    for (let round = 1; round <= 3; round++) {
+      await advanceTournament(tournament, io, START + round * 1000)
+      assert.equal(tournament.currentRound, round)
+      finishRound(round)
+    }
+    assert.equal(await advanceTournament(tournament, io, START + 4000), "completed")
+
+    const games = tournament.matches.filter(({ player2 }) => player2)
+    const byes = tournament.matches.filter(({ player2 }) => !player2)
+    assert.equal(new Set(games.map(({ player1, player2 }) => [player1, player2].sort().join("-"))).size, 3)
+    assert.deepEqual(byes.map(({ player1 }) => player1.toString()).sort(), [...PLAYERS].sort())
+    assert.deepEqual(
+      io.events.map(({ event }) => event).filter((event) => event !== "tournament:round_started"),
+      ["tournament:started", "tournament:finishing", "tournament:ended"],
+    )
+  })
+})
@@ -0,0 +1,62 @@
+import { describe, it } from "node:test"
+import assert from "node:assert/strict"
+import { pairArenaPlayers, lastOpponents, arenaSettings, ARENA_DEFAULTS } from "../../utils/arenaPairing.js"
+
+const NOW = Date.UTC(2025, 0, 1, 12)
+const settings = { ...ARENA_DEFAULTS, minWait: 5000 }
+const player = (userId, points, waited = 10000, lastOpponent = null) => ({
+  userId,
+  points,
+  joinTime: NOW - waited,
+  lastOpponent,
+})
+const ids = (pairs) => pairs.map((pair) => pair.map(({ userId }) => userId))
+
+describe("arena pairing", () => {
+  it("pairs the closest scores, leaders first", () => {
+    const waiting = [player("a", 0), player("b", 12), player("c", 3), player("d", 10)]
+    assert.deepEqual(ids(pairArenaPlayers(waiting, settings, NOW)), [
+      ["b", "d"],
+      ["c", "a"],
+    ])
+  })
+
+  it("pairs the longest waiting first when scores are ignored", () => {
+    const waiting = [player("a", 0, 6000), player("b", 12, 9000), player("c", 3, 7000)]
+    const pairs = pairArenaPlayers(waiting, { ...settings, preferCloseScore: false }, NOW)
+    assert.deepEqual(ids(pairs), [["b", "c"]])
+  })
+
+  it("leaves players who have not waited minWait in the queue", () => {
+    const waiting = [player("a", 4), player("b", 4, 4999), player("c", 0)]
+    assert.deepEqual(ids(pairArenaPlayers(waiting, settings, NOW)), [["a", "c"]])
+  })
+
+  it("does not pair the last opponents again", () => {
+    const waiting = [player("a", 6, 10000, "b"), player("b", 6, 10000, "a"), player("c", 0)]
+    assert.deepEqual(ids(pairArenaPlayers(waiting, settings, NOW)), [["a", "c"]])
+
+    const twoPlayers = waiting.slice(0, 2)
+    assert.deepEqual(pairArenaPlayers(twoPlayers, settings, NOW), [])
+    assert.deepEqual(ids(pairArenaPlayers(twoPlayers, { ...settings, avoidRematch: false }, NOW)), [["a", "b"]])
+  })
+
+  it("finds each player's most recent opponent", () => {
+    const opponents = lastOpponents([
+      { player1: "a", player2: "b" },
+      { player1: "c", player2: "a" },
+    ])
+    assert.equal(opponents.get("a"), "c")
+    assert.equal(opponents.get("b"), "a")
+    assert.equal(opponents.get("c"), "a")
+  })
+
+  it("fills in the defaults for settings a tournament does not set", () => {
+    assert.deepEqual(arenaSettings({ arena: { minWait: 0, berserk: false } }), {
+      ...ARENA_DEFAULTS,
+      minWait: 0,
+      berserk: false,
+    })
+    assert.deepEqual(arenaSettings({}), ARENA_DEFAULTS)
+  })
+})
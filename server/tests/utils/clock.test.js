@@ -0,0 +1,30 @@
+import "../helpers/setup.js"
+import { describe, it, afterEach } from "node:test"
+import assert from "node:assert/strict"
+import { serverNow, setClockSource, eventTimestamp, MAX_LAG_COMPENSATION } from "../../utils/clock.js"
+
+const RECEIVED = Date.UTC(2025, 0, 1)
+
+describe("event timestamps", () => {
+  afterEach(() => setClockSource())
+
+  it("keeps a client timestamp within the lag window", () => {
+    assert.equal(eventTimestamp(RECEIVED - 300, RECEIVED), RECEIVED - 300)
+  })
+
+  it("does not credit more than MAX_LAG_COMPENSATION", () => {
+    assert.equal(eventTimestamp(RECEIVED - 60000, RECEIVED), RECEIVED - MAX_LAG_COMPENSATION)
+  })
+
+  it("never moves an event into the future", () => {
+    assert.equal(eventTimestamp(RECEIVED + 60000, RECEIVED), RECEIVED)
+  })
+
+  it("falls back to the server time without a usable client timestamp", () => {
+    setClockSource(() => RECEIVED)
+    assert.equal(serverNow(), RECEIVED)
+    for (const timestamp of [undefined, null, "1735689600000", NaN, Infinity]) {
+      assert.equal(eventTimestamp(timestamp), RECEIVED)
+    }
+  })
+})
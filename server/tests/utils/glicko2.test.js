@@ -0,0 +1,39 @@
+import "../helpers/setup.js"
+import { describe, it } from "node:test"
+import assert from "node:assert/strict"
+import { ratePeriod, rateGame, DEFAULT_VOLATILITY } from "../../utils/glicko2.js"
+
+const near = (actual, expected, tolerance) =>
+  assert.ok(Math.abs(actual - expected) <= tolerance, `expected ${actual} to be within ${tolerance} of ${expected}`)
+
+// Glickman, "Example of the Glicko-2 system": a 1500 (RD 200) player beats a 1400 (RD 30)
+// and loses to a 1550 (RD 100) and a 1700 (RD 300) in one rating period, with tau = 0.5
+const PLAYER = { rating: 1500, rd: 200, volatility: DEFAULT_VOLATILITY }
+const PERIOD = [
+  { opponent: { rating: 1400, rd: 30 }, score: 1 },
+  { opponent: { rating: 1550, rd: 100 }, score: 0 },
+  { opponent: { rating: 1700, rd: 300 }, score: 0 },
+]
+
+describe("glicko-2", () => {
+  it("matches the published example rating period", () => {
+    const rated = ratePeriod(PLAYER, PERIOD)
+    near(rated.rating, 1464.06, 0.01)
+    near(rated.rd, 151.52, 0.01)
+    near(rated.volatility, 0.05999, 0.00001)
+  })
+
+  it("rates a single game as its own period", () => {
+    const [game] = PERIOD
+    assert.deepEqual(rateGame(PLAYER, game.opponent, game.score), ratePeriod(PLAYER, [game]))
+  })
+
+  it("moves the winner up and the loser down by the same amount between equal players", () => {
+    const player = { rating: 1500, rd: 100, volatility: DEFAULT_VOLATILITY }
+    const winner = rateGame(player, player, 1)
+    const loser = rateGame(player, player, 0)
+    assert.ok(winner.rating > 1500)
+    near(winner.rating - 1500, 1500 - loser.rating, 1e-9)
+    assert.ok(winner.rd < player.rd)
+  })
+})
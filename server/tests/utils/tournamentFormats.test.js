@@ -0,0 +1,106 @@
+import { describe, it } from "node:test"
+import assert from "node:assert/strict"
+import {
+  bergerRound,
+  pairSwissRound,
+  playerHistories,
+  tiebreaks,
+  rankStandings,
+  totalRounds,
+} from "../../utils/tournamentFormats.js"
+
+// Matches as the tournament stores them: player1 had white
+const game = (round, white, black, result) => ({ round, player1: white, player2: black, result })
+const bye = (round, player) => ({ round, player1: player, player2: null, result: "bye" })
+
+describe("round-robin", () => {
+  it("follows the Berger tables", () => {
+    const players = ["1", "2", "3", "4", "5", "6"]
+    assert.deepEqual(bergerRound(players, 1), [["1", "6"], ["2", "5"], ["3", "4"]])
+    assert.deepEqual(bergerRound(players, 2), [["6", "4"], ["5", "3"], ["1", "2"]])
+    assert.deepEqual(bergerRound(players, 5), [["3", "6"], ["4", "2"], ["5", "1"]])
+  })
+
+  it("meets everyone once and gives each player one bye with an odd number", () => {
+    const players = ["a", "b", "c", "d", "e"]
+    const tournament = { format: "roundRobin", leaderboard: players }
+    const met = new Set()
+    const byes = []
+    for (let round = 1; round <= totalRounds(tournament); round++) {
+      for (const [white, black] of bergerRound(players, round)) {
+        if (!black) byes.push(white)
+        else met.add([white, black].sort().join("-"))
+      }
+    }
+    assert.equal(totalRounds(tournament), 5)
+    assert.equal(met.size, 10)
+    assert.deepEqual(byes.sort(), players)
+  })
+})
+
+describe("Swiss pairing", () => {
+  it("pairs score groups top half against bottom half", () => {
+    const players = [
+      { id: "a", points: 1, rating: 1900 },
+      { id: "b", points: 1, rating: 1800 },
+      { id: "c", points: 1, rating: 1700 },
+      { id: "d", points: 1, rating: 1600 },
+      { id: "e", points: 0, rating: 2000 },
+      { id: "f", points: 0, rating: 1500 },
+    ]
+    const { pairs, bye } = pairSwissRound(players, new Map())
+    assert.equal(bye, null)
+    assert.deepEqual(pairs, [["a", "c"], ["b", "d"], ["e", "f"]])
+  })
+
+  it("avoids rematches and balances colors", () => {
+    const tournament = { matches: [game(1, "a", "b", "draw"), game(1, "d", "c", "draw")] }
+    const players = ["a", "b", "c", "d"].map((id) => ({ id, points: 0.5 }))
+    const { pairs } = pairSwissRound(players, playerHistories(tournament))
+    // a and d had white, so c and b get it
+    assert.deepEqual(pairs, [["c", "a"], ["b", "d"]])
+  })
+
+  it("gives the bye to the lowest ranked player without one", () => {
+    const tournament = { matches: [bye(1, "c"), game(1, "a", "b", "white")] }
+    const players = [
+      { id: "a", points: 1 },
+      { id: "c", points: 1 },
+      { id: "b", points: 0 },
+    ]
+    assert.equal(pairSwissRound(players, playerHistories(tournament)).bye, "b")
+  })
+
+  it("allows a rematch when nothing else is left", () => {
+    const tournament = { matches: [game(1, "a", "b", "white")] }
+    const players = [{ id: "a", points: 1 }, { id: "b", points: 0 }]
+    assert.deepEqual(pairSwissRound(players, playerHistories(tournament)).pairs, [["b", "a"]])
+  })
+})
+
+describe("tiebreaks", () => {
+  it("ranks equal scores by Buchholz, then Sonneborn-Berger", () => {
+    const tournament = {
+      format: "swiss",
+      leaderboard: [
+        { player: "a", points: 1.5 },
+        { player: "b", points: 1.5 },
+        { player: "c", points: 2 },
+        { player: "d", points: 1 },
+      ],
+      matches: [
+        game(1, "a", "d", "white"),
+        game(1, "b", "c", "black"),
+        game(2, "c", "a", "draw"),
+        game(2, "d", "b", "black"),
+        game(3, "a", "b", "ongoing"),
+        game(3, "c", "d", "aborted"),
+      ],
+    }
+    const scores = tiebreaks(tournament)
+    assert.deepEqual(scores.get("a"), { buchholz: 3, sonnebornBerger: 2 })
+    assert.deepEqual(scores.get("b"), { buchholz: 3, sonnebornBerger: 1 })
+    assert.deepEqual(scores.get("c"), { buchholz: 3, sonnebornBerger: 2.25 })
+    assert.deepEqual(rankStandings(tournament).map(({ player }) => player), ["c", "a", "b", "d"])
+  })
+})
@@ -0,0 +1,39 @@
+import { describe, it } from "node:test"
+import assert from "node:assert/strict"
+import { scheduledStatus, isPairingOpen, placementsOf, PAIRING_CUTOFF } from "../../utils/tournamentSchedule.js"
+import { compareStandings } from "../../utils/tournamentScoring.js"
+
+const START = Date.UTC(2025, 0, 1, 9)
+const END = START + 60 * 60 * 1000
+const schedule = (status) => ({ status, startTime: new Date(START), endTime: new Date(END) })
+
+describe("tournament schedule", () => {
+  it("follows startTime and the pairing cutoff", () => {
+    assert.equal(scheduledStatus(schedule("scheduled"), START - 1), "scheduled")
+    assert.equal(scheduledStatus(schedule("scheduled"), START), "active")
+    assert.equal(scheduledStatus(schedule("active"), END - PAIRING_CUTOFF - 1), "active")
+    assert.equal(scheduledStatus(schedule("active"), END - PAIRING_CUTOFF), "finishing")
+  })
+
+  it("never reopens a finishing, completed or cancelled tournament", () => {
+    for (const status of ["finishing", "completed", "cancelled"]) {
+      assert.equal(scheduledStatus(schedule(status), START), status)
+    }
+  })
+
+  it("only pairs in active tournaments before the cutoff", () => {
+    assert.equal(isPairingOpen(schedule("active"), START), true)
+    assert.equal(isPairingOpen(schedule("active"), END - PAIRING_CUTOFF), false)
+    assert.equal(isPairingOpen(schedule("scheduled"), START), false)
+  })
+
+  it("shares placements between tied players", () => {
+    const standings = [
+      { points: 9, wins: 3 },
+      { points: 6, wins: 2 },
+      { points: 6, wins: 2 },
+      { points: 1, wins: 0 },
+    ]
+    assert.deepEqual(placementsOf(standings, compareStandings), [1, 2, 2, 4])
+  })
+})
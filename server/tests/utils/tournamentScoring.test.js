@@ -0,0 +1,53 @@
+import { describe, it } from "node:test"
+import assert from "node:assert/strict"
+import {
+  scoreTournamentGame,
+  compareStandings,
+  variantWinPoints,
+  DRAW_POINTS,
+  MAX_STREAK_MULTIPLIER,
+} from "../../utils/tournamentScoring.js"
+
+describe("Streak Master scoring", () => {
+  it("multiplies the win points by the streak the win extends", () => {
+    let streak = 0
+    const points = []
+    for (let game = 0; game < MAX_STREAK_MULTIPLIER + 2; game++) {
+      const scored = scoreTournamentGame({ outcome: "win", streak, variant: "classic", subvariant: "standard" })
+      streak = scored.streak
+      points.push(scored.points)
+    }
+    assert.equal(streak, MAX_STREAK_MULTIPLIER + 2)
+    assert.deepEqual(points, [2, 4, 6, 8, 10, 10, 10])
+  })
+
+  it("ends the streak on a loss or a draw", () => {
+    assert.deepEqual(scoreTournamentGame({ outcome: "loss", streak: 4, variant: "decay" }), { streak: 0, points: 0 })
+    assert.deepEqual(scoreTournamentGame({ outcome: "draw", streak: 4, variant: "decay" }), { streak: 0, points: DRAW_POINTS })
+  })
+
+  it("scores harder variants higher", () => {
+    assert.equal(variantWinPoints("classic", "bullet"), 2)
+    assert.equal(variantWinPoints("crazyhouse", "standard"), 3)
+    assert.equal(variantWinPoints("crazyhouse", "withTimer"), 4)
+    assert.equal(variantWinPoints("decay", null), 4)
+    assert.equal(scoreTournamentGame({ outcome: "win", streak: 2, variant: "sixpointer" }).points, 9)
+  })
+
+  it("adds the berserk bonus to wins only", () => {
+    const berserk = { streak: 0, variant: "classic", berserkBonus: 1 }
+    assert.equal(scoreTournamentGame({ ...berserk, outcome: "win" }).points, 3)
+    assert.equal(scoreTournamentGame({ ...berserk, outcome: "draw" }).points, DRAW_POINTS)
+    assert.equal(scoreTournamentGame({ ...berserk, outcome: "loss" }).points, 0)
+  })
+
+  it("ranks by points, then wins, streak and fewest losses", () => {
+    const standings = [
+      { player: "a", points: 10, wins: 3, currentStreak: 0, losses: 2 },
+      { player: "b", points: 12, wins: 2, currentStreak: 2, losses: 0 },
+      { player: "c", points: 10, wins: 3, currentStreak: 1, losses: 4 },
+      { player: "d", points: 10, wins: 3, currentStreak: 0, losses: 1 },
+    ]
+    assert.deepEqual(standings.sort(compareStandings).map(({ player }) => player), ["b", "c", "d", "a"])
+  })
+})
@@ -0,0 +1,75 @@
+import "../helpers/setup.js"
+import { describe, it } from "node:test"
+import assert from "node:assert/strict"
+import { createCrazyhouseInitialState, validateAndApplyCrazyhouseMove } from "../../validations/crazyhouse/crazyhouseTimer.js"
+import { getVariant } from "../../validations/registry.js"
+import { toClientMove } from "../helpers/moves.js"
+
+const START = Date.UTC(2025, 0, 1)
+
+describe("crazyhouse with drop timers", () => {
+  const at = (ms) => START + ms
+
+  function play(state, moves) {
+    for (const [san, ms] of moves) {
+      const result = validateAndApplyCrazyhouseMove(state, toClientMove(san, state.fen), state.activeColor, at(ms))
+      assert.equal(result.valid, true, `${san}: ${result.reason}`)
+    }
+  }
+
+  // White ends up with a pawn then a knight in the pocket; the pawn has 8s of white's turns left
+  function pawnThenKnight() {
+    const state = createCrazyhouseInitialState(START)
+    play(state, [
+      ["e4", 0],
+      ["d5", 1000],
+      ["exd5", 2000],
+      ["Nf6", 3000],
+      ["Bb5+", 4000],
+      ["Nbd7", 5000],
+      ["Bxd7+", 6000],
+      ["Qxd7", 7000],
+    ])
+    return state
+  }
+
+  it("only offers the first piece of the pocket", () => {
+    const state = pawnThenKnight()
+    assert.deepEqual(state.pocketedPieces.white.map((piece) => piece.type), ["p", "n"])
+
+    const result = validateAndApplyCrazyhouseMove(state, toClientMove("N@e5", state.fen), "white", at(8000))
+    assert.equal(result.valid, false)
+    assert.equal(result.code, "SEQUENTIAL_DROP_ONLY")
+  })
+
+  it("runs the drop timer on its owner's turns only", () => {
+    const state = pawnThenKnight()
+    // 1s on Bb5+ and 1s on Bxd7+ are gone, black's turns are not counted
+    assert.equal(state.dropTimers.white.get(state.pocketedPieces.white[0].id), START + 7000 + 8000)
+  })
+
+  it("expires the first piece and starts the next one's 10s", () => {
+    const state = pawnThenKnight()
+    const variant = getVariant("crazyhouse", "withTimer")
+
+    const drops = variant.legalMoves(state, "white", at(15000)).filter((move) => move.from === "pocket")
+    assert.ok(drops.length > 0)
+    assert.ok(drops.every((move) => move.piece === "n"))
+    assert.deepEqual(state.pocketedPieces.white.map((piece) => piece.type), ["n"])
+
+    const pawnDrop = validateAndApplyCrazyhouseMove(state, toClientMove("P@e5", state.fen), "white", at(16000))
+    assert.equal(pawnDrop.valid, false)
+
+    play(state, [["N@e5", 24000]])
+    assert.deepEqual(state.pocketedPieces.white, [])
+  })
+
+  it("loses the next piece too when its own 10s run out", () => {
+    const state = pawnThenKnight()
+    getVariant("crazyhouse", "withTimer").legalMoves(state, "white", at(15000))
+
+    const result = validateAndApplyCrazyhouseMove(state, toClientMove("N@e5", state.fen), "white", at(25000))
+    assert.equal(result.valid, false)
+    assert.deepEqual(state.pocketedPieces.white, [])
+  })
+})
@@ -0,0 +1,48 @@
+import "../helpers/setup.js"
+import { describe, it } from "node:test"
+import assert from "node:assert/strict"
+import { createDecayInitialState, validateAndApplyDecayMove, getDecayLegalMoves } from "../../validations/decay.js"
+import { toClientMove } from "../helpers/moves.js"
+
+const START = Date.UTC(2025, 0, 1)
+
+// Play [san, msSinceStart] pairs, failing on the first rejected move
+function play(state, moves) {
+  for (const [san, at] of moves) {
+    const color = state.activeColor
+    const result = validateAndApplyDecayMove(state, toClientMove(san, state.fen), color, START + at)
+    assert.equal(result.valid, true, `${san}: ${result.reason}`)
+  }
+}
+
+describe("decay", () => {
+  it("freezes the queen once its owner has used 25s since moving it", () => {
+    const state = createDecayInitialState()
+    play(state, [["e4", 0], ["e5", 1000], ["Qh5", 2000], ["Nc6", 3000]])
+
+    const result = validateAndApplyDecayMove(state, toClientMove("Qxf7+", state.fen), "white", START + 3000 + 25000)
+    assert.equal(result.valid, false)
+    assert.equal(result.code, "PIECE_FROZEN")
+    assert.deepEqual(state.frozenPieces.white, ["h5"])
+    assert.equal(
+      getDecayLegalMoves(state.fen, state.frozenPieces, "white").some((move) => move.from === "h5"),
+      false,
+    )
+  })
+
+  it("only counts the queen owner's own turns", () => {
+    const state = createDecayInitialState()
+    // Black thinks for 40s, white's queen has used 1s of its 25
+    play(state, [["e4", 0], ["e5", 1000], ["Qh5", 2000], ["Nc6", 42000], ["Qxf7+", 43000]])
+    assert.equal(state.queenDecayTimers.white.frozen, false)
+  })
+
+  it("gives the queen 2s back per move, up to 25s", () => {
+    const state = createDecayInitialState()
+    play(state, [["e4", 0], ["e5", 1000], ["Qf3", 2000], ["Nc6", 3000]])
+    assert.equal(state.queenDecayTimers.white.timeRemaining, 25000)
+
+    play(state, [["Qg3", 8000]])
+    assert.equal(state.queenDecayTimers.white.timeRemaining, 25000 - 5000 + 2000)
+  })
+})
@@ -0,0 +1,55 @@
+import "../helpers/setup.js"
+import { describe, it } from "node:test"
+import assert from "node:assert/strict"
+import { getVariant } from "../../validations/registry.js"
+import { recordPosition, getRepetitionCount } from "../../validations/shared.js"
+import { toClientMove } from "../helpers/moves.js"
+
+const START = Date.UTC(2025, 0, 1)
+const KNIGHT_SHUFFLE = ["Nf3", "Nf6", "Ng1", "Ng8", "Nf3", "Nf6", "Ng1", "Ng8", "Nf3"]
+
+// Plays the moves through the variant's engine, the way makeMove does (stored form in between)
+function playThrough(variant, subvariant, moves) {
+  const engine = getVariant(variant, subvariant)
+  let board = engine.serialize(engine.createInitialState(), START)
+  let result
+  moves.forEach((san, index) => {
+    const now = START + (index + 1) * 1000
+    const state = engine.deserialize(JSON.parse(JSON.stringify(board)), now)
+    result = engine.applyMove(state, toClientMove(san, state.fen), state.activeColor, now)
+    assert.equal(result.valid, true, `${san}: ${result.reason}`)
+    board = engine.serialize(result.state, now)
+  })
+  return result
+}
+
+describe("threefold repetition", () => {
+  it("counts positions regardless of the move counters", () => {
+    const state = {}
+    recordPosition(state, "rnbqkbnr/pppppppp/8/8/8/5N2/PPPPPPPP/RNBQKB1R b KQkq - 1 1")
+    recordPosition(state, "rnbqkbnr/pppppppp/8/8/8/5N2/PPPPPPPP/RNBQKB1R b KQkq - 5 3")
+    assert.equal(getRepetitionCount(state, "rnbqkbnr/pppppppp/8/8/8/5N2/PPPPPPPP/RNBQKB1R b KQkq - 9 5"), 2)
+  })
+
+  for (const [variant, subvariant] of [
+    ["classic", "standard"],
+    ["classic", "bullet"],
+    ["decay", null],
+  ]) {
+    it(`draws ${variant}${subvariant ? `/${subvariant}` : ""} on the third occurrence`, () => {
+      const beforeThird = playThrough(variant, subvariant, KNIGHT_SHUFFLE.slice(0, -1))
+      assert.equal(beforeThird.gameEnded, false)
+
+      const third = playThrough(variant, subvariant, KNIGHT_SHUFFLE)
+      assert.equal(third.gameEnded, true)
+      assert.equal(third.result, "draw")
+      assert.match(third.reason, /threefold/)
+    })
+  }
+
+  it("draws crazyhouse with drop timers on the third occurrence", () => {
+    const third = playThrough("crazyhouse", "withTimer", KNIGHT_SHUFFLE)
+    assert.equal(third.gameEnded, true)
+    assert.match(third.reason, /threefold/i)
+  })
+})
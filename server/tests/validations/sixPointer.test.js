@@ -0,0 +1,58 @@
+import "../helpers/setup.js"
+import { describe, it } from "node:test"
+import assert from "node:assert/strict"
+import { createInitialState, validateAndApplyMove } from "../../validations/sixPointer.js"
+import { toClientMove } from "../helpers/moves.js"
+
+const START = Date.UTC(2025, 0, 1)
+
+// Black to play its sixth and last move, white has played all six
+function finalMoveState(fen) {
+  return {
+    ...createInitialState(),
+    fen,
+    activeColor: "black",
+    movesPlayed: { white: 6, black: 5 },
+    gameStarted: true,
+    turnStartTimestamp: START,
+    lastMoveTimestamp: START,
+  }
+}
+
+describe("six-pointer", () => {
+  it("gives the opponent a bonus move to answer a capture on the final move", () => {
+    const state = finalMoveState("rnbqkbnr/ppp1pppp/8/3p4/4P3/2N5/PPPP1PPP/R1BQKBNR b KQkq - 1 2")
+
+    const capture = validateAndApplyMove(state, toClientMove("dxe4", state.fen), "black", START + 1000)
+    assert.equal(capture.valid, true)
+    assert.equal(capture.bonusMoveAwarded, true)
+    assert.deepEqual(state.bonusMoves, { white: 1, black: 0 })
+    assert.equal(capture.gameEnded, false)
+
+    const recapture = validateAndApplyMove(state, toClientMove("Nxe4", state.fen), "white", START + 2000)
+    assert.equal(recapture.valid, true)
+    assert.equal(recapture.gameEnded, true)
+    assert.deepEqual(state.points, { white: 1, black: 1 })
+    assert.equal(recapture.result, "draw")
+  })
+
+  it("ends on points when the final capture cannot be answered", () => {
+    const state = finalMoveState("rnbqkbnr/ppp1pppp/8/3p4/4P3/8/PPPP1PPP/RNBQKBNR b KQkq - 0 2")
+
+    const capture = validateAndApplyMove(state, toClientMove("dxe4", state.fen), "black", START + 1000)
+    assert.equal(capture.valid, true)
+    assert.equal(capture.bonusMoveAwarded, false)
+    assert.equal(capture.gameEnded, true)
+    assert.equal(capture.result, "points")
+    assert.equal(capture.winnerColor, "black")
+  })
+
+  it("refuses moves beyond the limit", () => {
+    const state = finalMoveState("rnbqkbnr/ppp1pppp/8/3p4/4P3/8/PPPP1PPP/RNBQKBNR w KQkq - 0 2")
+    state.activeColor = "white"
+
+    const result = validateAndApplyMove(state, toClientMove("Nc3", state.fen), "white", START + 1000)
+    assert.equal(result.valid, false)
+    assert.equal(result.code, "MOVE_LIMIT_EXCEEDED")
+  })
+})
@@ -0,0 +1,88 @@
+// Arena pairing. Players come back to the tournament queue after every game and are paired
+// again as soon as possible: with the closest tournament score, never straight back against the
+// opponent they just played, and only after a minimum wait so there is more than one candidate
+// to choose from. Berserk lets a player halve their clock for a bonus on a win.
+// Every setting can be overridden per tournament (Tournament.arena).
+
+export const ARENA_DEFAULTS = {
+  // ms a player waits in the queue before being paired
+  minWait: 5 * 1000,
+  // Skip the opponent of the player's previous tournament game
+  avoidRematch: true,
+  // Pair the closest tournament scores; off, the longest waiting players are paired first
+  preferCloseScore: true,
+  // Pair with a player from the regular queue of the same variant after regularFallbackAfter ms
+  regularFallback: true,
+  regularFallbackAfter: 30 * 1000,
+  // Players may halve their clock before their first move; a win then scores berserkBonus more
+  berserk: true,
+  berserkBonus: 1,
+};
+
+/**
+ * The tournament's arena settings, ARENA_DEFAULTS for anything it does not set
+ * @param {Object} tournament - Tournament document or plain object
+ * @returns {Object}
+ */
+export function arenaSettings(tournament) {
+  const arena = tournament?.arena?.toObject?.() ?? tournament?.arena ?? {};
+  const settings = {};
+  for (const [key, value] of Object.entries(ARENA_DEFAULTS)) {
+    settings[key] = arena[key] ?? value;
+  }
+  return settings;
+}
+
+/**
+ * Each player's opponent in their most recent tournament game
+ * @param {Object[]} matches - Tournament matches in the order they were paired
+ * @returns {Map<string, string>} userId -> userId
+ */
+export function lastOpponents(matches = []) {
+  const opponents = new Map();
+  for (const { player1, player2 } of matches) {
+    if (!player1 || !player2) continue;
+    opponents.set(player1.toString(), player2.toString());
+    opponents.set(player2.toString(), player1.toString());
+  }
+  return opponents;
+}
+
+/**
+ * Pair the waiting players. The highest scores are paired first, each with the closest score
+ * still available (the longest waiting on equal gaps); a player whose only candidates are
+ * excluded keeps waiting.
+ * @param {Object[]} waiting - { userId, joinTime, points, lastOpponent }
+ * @param {Object} settings - arenaSettings()
+ * @param {number} now - ms since epoch
+ * @returns {Array<[Object, Object]>} pairs of entries from `waiting`
+ */
+export function pairArenaPlayers(waiting, settings, now) {
+  const ready = waiting
+    .filter((player) => now - player.joinTime >= settings.minWait)
+    .sort((a, b) => (b.points || 0) - (a.points || 0) || a.joinTime - b.joinTime);
+
+  const paired = new Set();
+  const pairs = [];
+  for (const player of ready) {
+    if (paired.has(player.userId)) continue;
+
+    let best = null;
+    for (const other of ready) {
+      if (other === player || paired.has(other.userId)) continue;
+      if (settings.avoidRematch && (player.lastOpponent === other.userId || other.lastOpponent === player.userId)) continue;
+
+      const gap = settings.preferCloseScore ? Math.abs((player.points || 0) - (other.points || 0)) : 0;
+      if (!best || gap < best.gap || (gap === best.gap && other.joinTime < best.player.joinTime)) {
+        best = { player: other, gap };
+      }
+    }
+
+    if (best) {
+      paired.add(player.userId);
+      paired.add(best.player.userId);
+      pairs.push([player, best.player]);
+    }
+  }
+  return pairs;
+}
@@ -0,0 +1,43 @@
+// Words masked in in-game chat. Extend without a deploy through CHAT_BLOCKLIST (comma separated).
+const DEFAULT_BLOCKLIST = [
+  "asshole",
+  "bastard",
+  "bitch",
+  "cunt",
+  "dick",
+  "fuck",
+  "motherfucker",
+  "nigger",
+  "retard",
+  "shit",
+  "slut",
+  "whore",
+];
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+function buildBlocklistPattern() {
+  const extra = (process.env.CHAT_BLOCKLIST || "")
+    .split(",")
+    .map((word) => word.trim().toLowerCase())
+    .filter(Boolean);
+  const words = [...new Set([...DEFAULT_BLOCKLIST, ...extra])].map(escapeRegExp);
+  // Whole words plus common suffixes ("fucking", "shits"), case-insensitive
+  return new RegExp(`\\b(?:${words.join("|")})(?:s|es|ed|er|ers|ing|y)?\\b`, "gi");
+}
+
+const BLOCKLIST_PATTERN = buildBlocklistPattern();
+
+/**
+ * Mask blocklisted words with asterisks.
+ * @param {string} text
+ * @returns {{ text: string, flagged: boolean }} flagged is true when anything was masked
+ */
+export function filterChatText(text) {
+  let flagged = false;
+  const filtered = text.replace(BLOCKLIST_PATTERN, (match) => {
+    flagged = true;
+    return "*".repeat(match.length);
+  });
+  return { text: filtered, flagged };
+}
@@ -0,0 +1,32 @@
+// Server time for everything clock related: game clocks, drop and decay timers, session stamps.
+// Read it once where an event comes in (a move, a timeout, a new game) and pass that value down,
+// so every computation for the event agrees. Tests swap the source with setClockSource.
+
+let source = () => Date.now();
+
+export function serverNow() {
+  return source();
+}
+
+/**
+ * Replace the time source (ms since epoch), e.g. a fixed or stepping time in tests.
+ * Without an argument the real clock is restored.
+ */
+export function setClockSource(nextSource = () => Date.now()) {
+  source = nextSource;
+}
+
+// How far before its arrival a client's move timestamp is trusted: network lag up to this much
+// is not charged to the player's clock, anything older is
+export const MAX_LAG_COMPENSATION = 1000;
+
+/**
+ * Time of a client event: the client's timestamp when it lies within MAX_LAG_COMPENSATION before
+ * the server time of arrival, clamped into that window otherwise (never in the future).
+ * @param {number} [clientTimestamp]
+ * @param {number} [receivedAt] - server time the event arrived
+ */
+export function eventTimestamp(clientTimestamp, receivedAt = serverNow()) {
+  if (typeof clientTimestamp !== "number" || !Number.isFinite(clientTimestamp)) return receivedAt;
+  return Math.min(receivedAt, Math.max(receivedAt - MAX_LAG_COMPENSATION, clientTimestamp));
+}
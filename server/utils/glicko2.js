@@ -0,0 +1,101 @@
+// Glicko-2 rating system (Glickman, "Example of the Glicko-2 system", 2013).
+// Every game is treated as its own rating period, as most online servers do.
+
+export const DEFAULT_RATING = 1500;
+export const DEFAULT_RD = 350;
+export const DEFAULT_VOLATILITY = 0.06;
+// A rating is provisional while its deviation is above this value
+export const PROVISIONAL_RD = 110;
+// Lower bound so established ratings still move a little after each game
+const MIN_RD = 45;
+// System constant constraining volatility changes (0.3 - 1.2 in the paper)
+const TAU = 0.5;
+const CONVERGENCE_TOLERANCE = 0.000001;
+const SCALE = 173.7178;
+
+const toGlicko2Scale = ({ rating, rd }) => ({ mu: (rating - DEFAULT_RATING) / SCALE, phi: rd / SCALE });
+
+const g = (phi) => 1 / Math.sqrt(1 + (3 * phi * phi) / (Math.PI * Math.PI));
+
+const expectedScore = (mu, muOpponent, phiOpponent) => 1 / (1 + Math.exp(-g(phiOpponent) * (mu - muOpponent)));
+
+/**
+ * Step 5 of the paper: new volatility via the Illinois algorithm.
+ */
+function computeVolatility(phi, sigma, delta, v) {
+  const a = Math.log(sigma * sigma);
+  const f = (x) => {
+    const ex = Math.exp(x);
+    return (ex * (delta * delta - phi * phi - v - ex)) / (2 * Math.pow(phi * phi + v + ex, 2)) - (x - a) / (TAU * TAU);
+  };
+
+  let A = a;
+  let B;
+  if (delta * delta > phi * phi + v) {
+    B = Math.log(delta * delta - phi * phi - v);
+  } else {
+    let k = 1;
+    while (f(a - k * TAU) < 0) k += 1;
+    B = a - k * TAU;
+  }
+
+  let fA = f(A);
+  let fB = f(B);
+  while (Math.abs(B - A) > CONVERGENCE_TOLERANCE) {
+    const C = A + ((A - B) * fA) / (fB - fA);
+    const fC = f(C);
+    if (fC * fB <= 0) {
+      A = B;
+      fA = fB;
+    } else {
+      fA = fA / 2;
+    }
+    B = C;
+    fB = fC;
+  }
+
+  return Math.exp(A / 2);
+}
+
+/**
+ * Rate one player after a rating period (steps 2-8 of the paper).
+ * @param {{ rating: number, rd: number, volatility: number }} player
+ * @param {Array<{ opponent: { rating: number, rd: number }, score: number }>} games - score 1 win, 0.5 draw, 0 loss
+ * @returns {{ rating: number, rd: number, volatility: number }}
+ */
+export function ratePeriod(player, games) {
+  const { mu, phi } = toGlicko2Scale(player);
+  const sigma = player.volatility ?? DEFAULT_VOLATILITY;
+
+  const results = games.map(({ opponent, score }) => {
+    const { mu: muOpponent, phi: phiOpponent } = toGlicko2Scale(opponent);
+    return { gOpponent: g(phiOpponent), E: expectedScore(mu, muOpponent, phiOpponent), score };
+  });
+  const v = 1 / results.reduce((sum, { gOpponent, E }) => sum + gOpponent * gOpponent * E * (1 - E), 0);
+  const improvement = results.reduce((sum, { gOpponent, E, score }) => sum + gOpponent * (score - E), 0);
+  const delta = v * improvement;
+
+  const newSigma = computeVolatility(phi, sigma, delta, v);
+  const phiStar = Math.sqrt(phi * phi + newSigma * newSigma);
+  const newPhi = 1 / Math.sqrt(1 / (phiStar * phiStar) + 1 / v);
+  const newMu = mu + newPhi * newPhi * improvement;
+
+  return {
+    rating: newMu * SCALE + DEFAULT_RATING,
+    rd: Math.max(MIN_RD, Math.min(DEFAULT_RD, newPhi * SCALE)),
+    volatility: newSigma,
+  };
+}
+
+/**
+ * Rate one player after a game, its own rating period.
+ * @param {{ rating: number, rd: number, volatility: number }} player
+ * @param {{ rating: number, rd: number }} opponent
+ * @param {number} score - 1 win, 0.5 draw, 0 loss
+ * @returns {{ rating: number, rd: number, volatility: number }}
+ */
+export function rateGame(player, opponent, score) {
+  return ratePeriod(player, [{ opponent, score }]);
+}
+
+export const isProvisional = (rd) => rd > PROVISIONAL_RD;
@@ -0,0 +1,266 @@
+import { getVariantTimeControl } from "../controllers/session.controller.js";
+
+const STANDARD_START_FEN = "rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1";
+const MAX_LINE_LENGTH = 80;
+
+// Value of the [Variant] tag; classic games are plain chess and get no tag
+const VARIANT_TAGS = {
+  crazyhouse: "Crazyhouse",
+  decay: "Decay",
+  sixpointer: "SixPointer",
+};
+
+const RESULT_TOKENS = {
+  white: "1-0",
+  black: "0-1",
+  draw: "1/2-1/2",
+};
+
+const TIMEOUT_REASONS = ["timeout", "time_forfeit"];
+
+const escapeTag = (value) => String(value ?? "?").replace(/\\/g, "\\\\").replace(/"/g, '\\"');
+
+const colorOf = (move) => (move.color === "w" || move.color === "white" ? "white" : "black");
+
+const capitalize = (text) => text.charAt(0).toUpperCase() + text.slice(1);
+
+function formatDate(value) {
+  const date = value ? new Date(value) : null;
+  if (!date || isNaN(date.getTime())) return "????.??.??";
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${date.getUTCFullYear()}.${pad(date.getUTCMonth() + 1)}.${pad(date.getUTCDate())}`;
+}
+
+// %clk value: H:MM:SS, rounded down to whole seconds
+function formatClock(ms) {
+  const totalSeconds = Math.max(0, Math.floor(ms / 1000));
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = totalSeconds % 60;
+  return `${hours}:${String(minutes).padStart(2, "0")}:${String(seconds).padStart(2, "0")}`;
+}
+
+/**
+ * PGN TimeControl tag: "base+increment" in seconds, or "1/seconds" for per-move clocks (six-pointer).
+ */
+function formatTimeControl(variant, subvariant, storedTimeControl) {
+  // The game's own clock first, it may differ from the variant's default
+  if (storedTimeControl?.perMove) return `1/${storedTimeControl.perMove / 1000}`;
+  if (typeof storedTimeControl?.baseTime === "number") {
+    return `${storedTimeControl.baseTime / 1000}+${(storedTimeControl.increment || 0) / 1000}`;
+  }
+
+  const configured = getVariantTimeControl(variant, subvariant);
+  if (configured?.perMove) return `1/${configured.perMove / 1000}`;
+  if (configured && typeof configured.base === "number") {
+    return `${configured.base / 1000}+${(configured.increment || 0) / 1000}`;
+  }
+  return "-";
+}
+
+function formatTermination(resultReason, result) {
+  if (!resultReason) return result === "*" ? "unterminated" : "normal";
+  if (TIMEOUT_REASONS.includes(resultReason)) return "time forfeit";
+  if (resultReason === "abandonment") return "abandoned";
+  if (resultReason === "aborted") return "unterminated";
+  return "normal";
+}
+
+/**
+ * Remaining clock of the player who just moved. Uses the clock snapshot stored with the move,
+ * or replays the move timestamps against the time control for games recorded without snapshots.
+ */
+function createClockTracker(timeControl) {
+  const base = timeControl?.perMove ?? timeControl?.base;
+  const increment = timeControl?.increment || 0;
+  const remaining = { white: base, black: base };
+  let previousTimestamp = null;
+
+  return (move, color) => {
+    if (typeof move.clocks?.[color] === "number") {
+      previousTimestamp = move.timestamp ?? previousTimestamp;
+      return move.clocks[color];
+    }
+    if (typeof base !== "number" || typeof move.timestamp !== "number") return null;
+
+    if (timeControl.perMove) {
+      remaining[color] = previousTimestamp === null ? base : Math.max(0, base - (move.timestamp - previousTimestamp));
+    } else if (previousTimestamp !== null) {
+      remaining[color] = Math.max(0, remaining[color] - (move.timestamp - previousTimestamp)) + increment;
+    }
+    previousTimestamp = move.timestamp;
+    return remaining[color];
+  };
+}
+
+// Decay: pieces that became frozen with this move
+function describeFreezes(previous, current) {
+  if (!current) return [];
+  const notes = [];
+  for (const color of ["white", "black"]) {
+    const before = new Set(previous?.[color] || []);
+    for (const square of current[color] || []) {
+      if (!before.has(square)) notes.push(`${capitalize(color)} piece on ${square} frozen by decay`);
+    }
+  }
+  return notes;
+}
+
+// Six-pointer: point changes caused by this move
+function describePoints(previous, current) {
+  if (!current) return [];
+  const notes = [];
+  for (const color of ["white", "black"]) {
+    const delta = (current[color] || 0) - (previous?.[color] || 0);
+    if (delta !== 0) {
+      notes.push(`${capitalize(color)} ${delta > 0 ? "+" : ""}${delta} point${Math.abs(delta) === 1 ? "" : "s"}`);
+    }
+  }
+  if (notes.length > 0) notes.push(`score ${current.white || 0}-${current.black || 0}`);
+  return notes;
+}
+
+/**
+ * Join tokens into lines of at most 80 characters, as the PGN export format asks for.
+ */
+function wrapTokens(tokens) {
+  const lines = [];
+  let line = "";
+  for (const token of tokens) {
+    if (line && line.length + 1 + token.length > MAX_LINE_LENGTH) {
+      lines.push(line);
+      line = token;
+    } else {
+      line = line ? `${line} ${token}` : token;
+    }
+  }
+  if (line) lines.push(line);
+  return lines.join("\n");
+}
+
+/**
+ * Serialize a game to PGN.
+ * @param {Object} game - normalized game, see fromGameDocument / fromGameState
+ * @returns {string}
+ */
+export function toPgn(game) {
+  const moves = game.moves || [];
+  const result = game.finished ? RESULT_TOKENS[game.winnerColor || "draw"] : "*";
+  const initialFen = moves[0]?.before || game.initialFen || STANDARD_START_FEN;
+
+  const tags = [
+    ["Event", game.event],
+    ["Site", "DecayCheese"],
+    ["Date", formatDate(game.startedAt)],
+    ["Round", "-"],
+    ["White", game.whiteName],
+    ["Black", game.blackName],
+    ["Result", result],
+  ];
+  if (VARIANT_TAGS[game.variant]) tags.push(["Variant", VARIANT_TAGS[game.variant]]);
+  tags.push(["TimeControl", formatTimeControl(game.variant, game.subvariant, game.timeControl)]);
+  if (initialFen !== STANDARD_START_FEN) {
+    tags.push(["SetUp", "1"], ["FEN", initialFen]);
+  }
+  tags.push(["Termination", formatTermination(game.resultReason, result)]);
+
+  const [, activeColor, , , , fullmove] = initialFen.split(" ");
+  let moveNumber = parseInt(fullmove) || 1;
+  let needsNumber = true;
+  const clockFor = createClockTracker(
+    typeof game.timeControl?.baseTime === "number"
+      ? {
+          base: game.timeControl.baseTime,
+          increment: game.timeControl.increment,
+          perMove: game.timeControl.perMove,
+        }
+      : getVariantTimeControl(game.variant, game.subvariant) || {},
+  );
+
+  const tokens = [];
+  const previous = { frozenPieces: null, points: null };
+  let expectedColor = activeColor === "b" ? "black" : "white";
+
+  for (const move of moves) {
+    const color = move.color ? colorOf(move) : expectedColor;
+
+    // Six-pointer timeouts pass the turn without a move: written as a null move
+    const san = move.type === "timeout" ? "--" : move.san;
+    if (color === "white") {
+      tokens.push(`${moveNumber}. ${san}`);
+    } else {
+      tokens.push(needsNumber ? `${moveNumber}... ${san}` : san);
+    }
+
+    const notes = [];
+    if (move.type === "timeout") notes.push(`${capitalize(color)} ran out of time`);
+    notes.push(...describeFreezes(previous.frozenPieces, move.frozenPieces));
+    notes.push(...describePoints(previous.points, move.points));
+
+    const clock = clockFor(move, color);
+    const commentParts = typeof clock === "number" ? [`[%clk ${formatClock(clock)}]`] : [];
+    if (notes.length > 0) commentParts.push(notes.join(", "));
+
+    needsNumber = commentParts.length > 0;
+    if (needsNumber) tokens.push(`{ ${commentParts.join(" ").replace(/[{}]/g, "")} }`);
+
+    if (move.frozenPieces) previous.frozenPieces = move.frozenPieces;
+    if (move.points) previous.points = move.points;
+    if (color === "black") {
+      moveNumber += 1;
+      needsNumber = true;
+    }
+    expectedColor = color === "white" ? "black" : "white";
+  }
+  tokens.push(result);
+
+  const header = tags.map(([name, value]) => `[${name} "${escapeTag(value)}"]`).join("\n");
+  return `${header}\n\n${wrapTokens(tokens)}\n`;
+}
+
+const describeEvent = (source, variant) => {
+  const fromTournament = source && Object.values(source).includes("tournament");
+  return `${fromTournament ? "Tournament" : "Casual"} ${VARIANT_TAGS[variant] || "Chess"} game`;
+};
+
+/**
+ * Normalize a Game document (players populated with `name`) for toPgn.
+ */
+export function fromGameDocument(doc) {
+  const winnerColor = doc.result === "white" || doc.result === "black" ? doc.result : null;
+  return {
+    event: describeEvent(doc.source, doc.variant),
+    variant: doc.variant,
+    subvariant: doc.subvariant,
+    whiteName: doc.players?.white?.name,
+    blackName: doc.players?.black?.name,
+    startedAt: doc.startedAt,
+    // Aborted games have no result: exported as "*"
+    finished: doc.status === "finished" && doc.result !== "aborted",
+    winnerColor,
+    resultReason: doc.resultReason,
+    timeControl: doc.timeControl,
+    moves: doc.moves,
+  };
+}
+
+/**
+ * Normalize a live Redis session game state (getSessionById().gameState) for toPgn.
+ */
+export function fromGameState(gameState) {
+  const finished = gameState.status === "finished" && gameState.result !== "aborted";
+  return {
+    event: describeEvent(gameState.metadata?.source, gameState.variantName),
+    variant: gameState.variantName,
+    subvariant: gameState.subvariantName,
+    whiteName: gameState.players?.white?.username,
+    blackName: gameState.players?.black?.username,
+    startedAt: gameState.startedAt || gameState.createdAt,
+    finished,
+    winnerColor: finished && (gameState.winner === "white" || gameState.winner === "black") ? gameState.winner : null,
+    resultReason: gameState.resultReason,
+    timeControl: gameState.timeControl,
+    initialFen: gameState.positionHistory?.[0],
+    moves: gameState.moves,
+  };
+}
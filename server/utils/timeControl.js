@@ -0,0 +1,70 @@
+// Time controls, all values in ms:
+//   base       starting time of each player
+//   increment  added to the mover's clock after each move (Fischer)
+//   delay      grace period at the start of each move before the clock runs (US delay)
+//   perMove    six-pointer only: fresh time for every move, there is no base time
+
+// Accepted range of each field, for custom time controls
+export const TIME_CONTROL_LIMITS = {
+  base: { min: 15 * 1000, max: 3 * 60 * 60 * 1000 },
+  increment: { min: 0, max: 60 * 1000 },
+  delay: { min: 0, max: 60 * 1000 },
+  perMove: { min: 5 * 1000, max: 5 * 60 * 1000 },
+};
+
+/**
+ * Clock of a player after a move that took `elapsed` ms: the first `delay` ms are free.
+ */
+export function chargeElapsed(remaining, elapsed, delay = 0) {
+  return Math.max(0, remaining - Math.max(0, elapsed - (delay || 0)));
+}
+
+/**
+ * Apply requested settings over a variant's default time control and check them against
+ * TIME_CONTROL_LIMITS. Per-move variants (defaults with perMove) only take perMove; the others
+ * take base, increment and delay. Fields left out keep the default.
+ * @param {Object} defaults - the variant's configured time control ({ base, increment, perMove? })
+ * @param {Object} [requested] - { base, increment, delay } or { perMove }
+ * @returns {{ valid: true, timeControl: Object } | { valid: false, reason: string }}
+ */
+export function resolveTimeControl(defaults, requested) {
+  const perMoveVariant = Boolean(defaults.perMove);
+  const fields = perMoveVariant ? ["perMove"] : ["base", "increment", "delay"];
+  const timeControl = perMoveVariant
+    ? { base: 0, increment: 0, delay: 0, perMove: defaults.perMove }
+    : { base: defaults.base, increment: defaults.increment || 0, delay: defaults.delay || 0 };
+
+  if (requested === undefined || requested === null) return { valid: true, timeControl };
+  if (typeof requested !== "object" || Array.isArray(requested)) {
+    return { valid: false, reason: "timeControl must be an object" };
+  }
+
+  for (const [field, value] of Object.entries(requested)) {
+    if (value === undefined || value === null) continue;
+    if (!fields.includes(field)) {
+      return { valid: false, reason: `${field} cannot be set for this variant` };
+    }
+    const { min, max } = TIME_CONTROL_LIMITS[field];
+    if (!Number.isInteger(value) || value < min || value > max) {
+      return { valid: false, reason: `${field} must be a whole number of ms between ${min} and ${max}` };
+    }
+    timeControl[field] = value;
+  }
+  return { valid: true, timeControl };
+}
+
+/**
+ * Short label: "180+2" (seconds), "180+0d5" with a delay, "1/30" for per-move time
+ */
+export function formatTimeControl({ base = 0, increment = 0, delay = 0, perMove } = {}) {
+  if (perMove) return `1/${perMove / 1000}`;
+  const label = `${base / 1000}+${increment / 1000}`;
+  return delay ? `${label}d${delay / 1000}` : label;
+}
+
+/**
+ * Whether two resolved time controls are the same clock
+ */
+export function isSameTimeControl(a, b) {
+  return formatTimeControl(a) === formatTimeControl(b);
+}
@@ -0,0 +1,202 @@
+// Tournament formats. "arena" (the default) pairs players continuously (utils/arenaPairing.js).
+// "swiss" and "roundRobin" play fixed rounds: a round is paired all at once and the next one
+// when every game of it is over (advanceTournament in controllers/tournamentLifecycle.controller.js).
+// Round games score ROUND_POINTS, a bye BYE_POINTS; ties are broken by Buchholz, then
+// Sonneborn-Berger.
+import { compareStandings } from './tournamentScoring.js';
+
+export const TOURNAMENT_FORMATS = ['arena', 'swiss', 'roundRobin'];
+
+export const ROUND_POINTS = { win: 1, draw: 0.5, loss: 0 };
+export const BYE_POINTS = 1;
+export const DEFAULT_SWISS_ROUNDS = 5;
+
+// Swiss pairings tried before rematches are allowed, so a round without a rematch-free
+// pairing cannot search forever
+const SWISS_SEARCH_LIMIT = 10000;
+
+export function isRoundBased(tournament) {
+  return tournament?.format === 'swiss' || tournament?.format === 'roundRobin';
+}
+
+/**
+ * Number of rounds: the tournament's `rounds` for Swiss, one game against everyone for round-robin
+ */
+export function totalRounds(tournament) {
+  const players = tournament.leaderboard?.length || 0;
+  if (tournament.format === 'roundRobin') return players % 2 === 0 ? Math.max(players - 1, 0) : players;
+  return tournament.rounds || DEFAULT_SWISS_ROUNDS;
+}
+
+/**
+ * One round of the Berger tables for the players in seeding order. With an odd number of
+ * players the one paired with the empty seat has the bye.
+ * @param {string[]} players - in seeding order
+ * @param {number} round - 1-based
+ * @returns {Array<[string, string|null]>} [white, black] pairs, black null for the bye
+ */
+export function bergerRound(players, round) {
+  const seats = players.length % 2 === 0 ? [...players] : [...players, null];
+  const last = seats.length - 1;
+  if (last < 1) return [];
+
+  // The last seat stays put and alternates colors; the others move on half a table each round
+  const r = round - 1;
+  const first = (r * (seats.length / 2)) % last;
+  const tables = [r % 2 === 0 ? [seats[first], seats[last]] : [seats[last], seats[first]]];
+  for (let k = 1; k < seats.length / 2; k++) {
+    tables.push([seats[(first + k) % last], seats[(first - k + last) % last]]);
+  }
+  return tables.map(([white, black]) => (white === null ? [black, null] : [white, black]));
+}
+
+/**
+ * What each player has played in the tournament's rounds, from its matches (player1 had white)
+ * @param {Object} tournament
+ * @returns {Map<string, { opponents: Set<string>, colors: string[], byes: number }>}
+ */
+export function playerHistories(tournament) {
+  const histories = new Map();
+  const historyOf = (playerId) => {
+    const id = playerId.toString();
+    if (!histories.has(id)) histories.set(id, { opponents: new Set(), colors: [], byes: 0 });
+    return histories.get(id);
+  };
+
+  for (const match of tournament.matches || []) {
+    if (match.round == null || !match.player1) continue;
+    if (!match.player2) {
+      historyOf(match.player1).byes++;
+      continue;
+    }
+    historyOf(match.player1).opponents.add(match.player2.toString());
+    historyOf(match.player1).colors.push('white');
+    historyOf(match.player2).opponents.add(match.player1.toString());
+    historyOf(match.player2).colors.push('black');
+  }
+  return histories;
+}
+
+// White goes to the player who has had it less often, then to the one who had black last,
+// then to the higher ranked (a)
+function assignColors(a, b, histories) {
+  const balance = (player) => {
+    const colors = histories.get(player.id)?.colors || [];
+    return colors.filter((color) => color === 'white').length - colors.filter((color) => color === 'black').length;
+  };
+  const lastColor = (player) => histories.get(player.id)?.colors.at(-1);
+
+  if (balance(a) !== balance(b)) return balance(a) < balance(b) ? [a, b] : [b, a];
+  if (lastColor(a) !== lastColor(b) && (lastColor(a) === 'white' || lastColor(b) === 'black')) return [b, a];
+  return [a, b];
+}
+
+// Opponents for the first of `rest`, best first: its own score group, top half against bottom
+// half, then the players below in order (they float up)
+function candidatesFor(player, rest) {
+  const group = [player, ...rest.filter((other) => other.points === player.points)];
+  const half = Math.floor(group.length / 2);
+  const distance = (other) => {
+    const index = group.indexOf(other);
+    return index === -1 ? Infinity : Math.abs(index - half);
+  };
+  return [...rest].sort((a, b) => distance(a) - distance(b) || rest.indexOf(a) - rest.indexOf(b));
+}
+
+function pairRemaining(remaining, histories, allowRematch, budget) {
+  if (remaining.length === 0) return [];
+  const [player, ...rest] = remaining;
+  for (const opponent of candidatesFor(player, rest)) {
+    if (--budget.left < 0) return null;
+    if (!allowRematch && histories.get(player.id)?.opponents.has(opponent.id)) continue;
+
+    const paired = pairRemaining(rest.filter((other) => other !== opponent), histories, allowRematch, budget);
+    if (paired) return [[player, opponent], ...paired];
+  }
+  return null;
+}
+
+/**
+ * Pair a Swiss round. Players are ranked by points, then rating; with an odd number the lowest
+ * ranked player who has not had a bye yet gets it. Score groups are paired top half against
+ * bottom half without rematches (allowed only when no other pairing exists), colors balanced.
+ * @param {Object[]} players - { id, points, rating }
+ * @param {Map} histories - playerHistories()
+ * @returns {{ pairs: Array<[string, string]>, bye: string|null }} [white, black] ids
+ */
+export function pairSwissRound(players, histories) {
+  const ranked = [...players].sort((a, b) => b.points - a.points || (b.rating || 0) - (a.rating || 0));
+
+  let bye = null;
+  if (ranked.length % 2 === 1) {
+    const byeIndex = ranked.findLastIndex((player) => !histories.get(player.id)?.byes);
+    bye = ranked.splice(byeIndex === -1 ? ranked.length - 1 : byeIndex, 1)[0].id;
+  }
+
+  const pairs =
+    pairRemaining(ranked, histories, false, { left: SWISS_SEARCH_LIMIT }) ||
+    pairRemaining(ranked, histories, true, { left: Infinity });
+  return {
+    pairs: pairs.map(([a, b]) => assignColors(a, b, histories).map((player) => player.id)),
+    bye,
+  };
+}
+
+/**
+ * Buchholz (sum of the opponents' points) and Sonneborn-Berger (points of the opponents beaten
+ * plus half of those drawn) from the tournament's finished round games. Byes and aborted games count for neither.
+ * @returns {Map<string, { buchholz: number, sonnebornBerger: number }>}
+ */
+export function tiebreaks(tournament) {
+  const points = new Map(tournament.leaderboard.map((entry) => [entry.player.toString(), entry.points || 0]));
+  const scores = new Map([...points.keys()].map((id) => [id, { buchholz: 0, sonnebornBerger: 0 }]));
+
+  for (const match of tournament.matches || []) {
+    if (match.round == null || !match.player1 || !match.player2) continue;
+    if (!match.result || match.result === 'ongoing' || match.result === 'aborted') continue;
+    const white = match.player1.toString();
+    const black = match.player2.toString();
+    if (!scores.has(white) || !scores.has(black)) continue;
+
+    scores.get(white).buchholz += points.get(black);
+    scores.get(black).buchholz += points.get(white);
+    const whiteShare = match.result === 'white' ? 1 : match.result === 'black' ? 0 : 0.5;
+    scores.get(white).sonnebornBerger += whiteShare * points.get(black);
+    scores.get(black).sonnebornBerger += (1 - whiteShare) * points.get(white);
+  }
+  return scores;
+}
+
+/**
+ * Round-based order: points, then Buchholz, Sonneborn-Berger and wins
+ */
+export function compareRoundStandings(a, b) {
+  return (
+    (b.points || 0) - (a.points || 0) ||
+    (b.buchholz || 0) - (a.buchholz || 0) ||
+    (b.sonnebornBerger || 0) - (a.sonnebornBerger || 0) ||
+    (b.wins || 0) - (a.wins || 0)
+  );
+}
+
+/**
+ * Comparator for the tournament's standings
+ */
+export function standingsComparator(tournament) {
+  return isRoundBased(tournament) ? compareRoundStandings : compareStandings;
+}
+
+/**
+ * The tournament's leaderboard, best first, as plain entries; round-based formats add their
+ * buchholz and sonnebornBerger.
+ * @param {Object} tournament - Tournament document or lean object
+ * @returns {Object[]}
+ */
+export function rankStandings(tournament) {
+  const entries = tournament.leaderboard.map((entry) => entry.toObject?.() ?? { ...entry });
+  if (isRoundBased(tournament)) {
+    const scores = tiebreaks(tournament);
+    for (const entry of entries) Object.assign(entry, scores.get(entry.player.toString()));
+  }
+  return entries.sort(standingsComparator(tournament));
+}
@@ -0,0 +1,64 @@
+// Tournament lifecycle, driven by the schedule (controllers/tournamentLifecycle.controller.js):
+//   scheduled -> active      at startTime, pairing opens
+//   active    -> finishing   PAIRING_CUTOFF before endTime: no new games, the queue is cleared
+//   finishing -> completed   once every tournament game has its result, or FINISHING_TIMEOUT after
+//                            endTime: standings are frozen and placements awarded
+// "cancelled" is set by admins and, like "completed", ends the lifecycle.
+
+export const TOURNAMENT_STATUSES = ['scheduled', 'active', 'finishing', 'completed', 'cancelled'];
+
+// Statuses the scheduler still has to move on
+export const OPEN_TOURNAMENT_STATUSES = ['scheduled', 'active', 'finishing'];
+
+// No pairing this long before endTime, so the last games can be played out
+export const PAIRING_CUTOFF = 60 * 1000;
+
+// How long after endTime a finishing tournament waits for games that are still running
+export const FINISHING_TIMEOUT = 10 * 60 * 1000;
+
+const toTime = (date) => new Date(date).getTime();
+
+/**
+ * Status the schedule calls for at `now`. Completion depends on the running games, so a
+ * tournament past its pairing cutoff is "finishing" here until it is completed.
+ * @param {Object} tournament - { status, startTime, endTime }
+ * @param {number} now - ms since epoch
+ * @returns {string}
+ */
+export function scheduledStatus(tournament, now) {
+  if (!OPEN_TOURNAMENT_STATUSES.includes(tournament.status)) return tournament.status;
+  if (tournament.status === 'finishing') return 'finishing';
+  if (now >= toTime(tournament.endTime) - PAIRING_CUTOFF) return 'finishing';
+  if (tournament.status === 'active' || now >= toTime(tournament.startTime)) return 'active';
+  return 'scheduled';
+}
+
+/**
+ * Whether new games may be paired in the tournament at `now`
+ */
+export function isPairingOpen(tournament, now) {
+  return tournament.status === 'active' && scheduledStatus(tournament, now) === 'active';
+}
+
+/**
+ * Whether a finishing tournament stops waiting for its running games at `now`
+ */
+export function finishingTimedOut(tournament, now) {
+  return now >= toTime(tournament.endTime) + FINISHING_TIMEOUT;
+}
+
+/**
+ * Final placements from standings sorted best first. Players the comparator cannot tell apart
+ * share a placement, the next one skips accordingly (1, 2, 2, 4).
+ * @param {Object[]} sortedStandings
+ * @param {Function} compare - the comparator the standings were sorted with
+ * @returns {number[]} placement of each entry, in the same order
+ */
+export function placementsOf(sortedStandings, compare) {
+  const placements = [];
+  sortedStandings.forEach((entry, index) => {
+    const tied = index > 0 && compare(sortedStandings[index - 1], entry) === 0;
+    placements.push(tied ? placements[index - 1] : index + 1);
+  });
+  return placements;
+}
@@ -0,0 +1,51 @@
+// Streak Master scoring. A win extends the player's streak and scores the variant's win points
+// times the streak length (up to MAX_STREAK_MULTIPLIER); a draw scores DRAW_POINTS, a loss
+// nothing, and both end the streak.
+
+// Win points by difficulty, looked up as "variant:subvariant" first, then "variant"
+export const VARIANT_WIN_POINTS = {
+  classic: 2,
+  'crazyhouse:standard': 3,
+  'crazyhouse:withTimer': 4,
+  sixpointer: 3,
+  decay: 4,
+};
+const DEFAULT_WIN_POINTS = 2;
+
+export const DRAW_POINTS = 1;
+export const MAX_STREAK_MULTIPLIER = 5;
+
+export function variantWinPoints(variant, subvariant) {
+  return VARIANT_WIN_POINTS[`${variant}:${subvariant}`] ?? VARIANT_WIN_POINTS[variant] ?? DEFAULT_WIN_POINTS;
+}
+
+/**
+ * Score one tournament game for a player.
+ * @param {Object} params
+ * @param {"win"|"loss"|"draw"} params.outcome
+ * @param {number} params.streak - the player's streak before the game
+ * @param {string} params.variant
+ * @param {string} [params.subvariant]
+ * @param {number} [params.berserkBonus] - added to a win, for a player who went berserk (utils/arenaPairing.js)
+ * @returns {{ streak: number, points: number }} the streak after the game and the points it scored
+ */
+export function scoreTournamentGame({ outcome, streak = 0, variant, subvariant, berserkBonus = 0 }) {
+  if (outcome === 'win') {
+    const nextStreak = (streak || 0) + 1;
+    const points = variantWinPoints(variant, subvariant) * Math.min(nextStreak, MAX_STREAK_MULTIPLIER);
+    return { streak: nextStreak, points: points + berserkBonus };
+  }
+  return { streak: 0, points: outcome === 'draw' ? DRAW_POINTS : 0 };
+}
+
+/**
+ * Leaderboard order: points, then wins, then the running streak, then fewest losses
+ */
+export function compareStandings(a, b) {
+  return (
+    (b.points || 0) - (a.points || 0) ||
+    (b.wins || 0) - (a.wins || 0) ||
+    (b.currentStreak || 0) - (a.currentStreak || 0) ||
+    (a.losses || 0) - (b.losses || 0)
+  );
+}
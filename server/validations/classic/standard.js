@@ -1,151 +1,16 @@
 import { Chess } from "chess.js"
-
-// Helper: Recursively convert BigInt values to Number for JSON serialization
-export function convertBigIntToNumber(obj) {
-  if (typeof obj === "bigint") {
-    return Number(obj)
-  } else if (Array.isArray(obj)) {
-    return obj.map(convertBigIntToNumber)
-  } else if (obj && typeof obj === "object") {
-    const newObj = {}
-    for (const key in obj) {
-      if (Object.prototype.hasOwnProperty.call(obj, key)) {
-        newObj[key] = convertBigIntToNumber(obj[key])
-      }
-    }
-    return newObj
-  }
-  return obj
-}
-
-// Helper: Validate ObjectId format
-export function isValidObjectId(id) {
-  if (!id) return false
-  if (typeof id !== "string") return false
-  // MongoDB ObjectId is 24 characters hex string
-  return /^[0-9a-fA-F]{24}$/.test(id)
-}
-
-// Helper: Safely handle ObjectId operations
-export function safeObjectId(id, fallback = null) {
-  try {
-    if (!id) return fallback
-    if (typeof id === "string" && isValidObjectId(id)) {
-      return id
-    }
-    if (typeof id === "object" && id.toString && isValidObjectId(id.toString())) {
-      return id.toString()
-    }
-    console.warn("[ObjectId] Invalid ObjectId format:", id)
-    return fallback
-  } catch (error) {
-    console.error("[ObjectId] Error processing ObjectId:", error)
-    return fallback
-  }
-}
-
-// Helper: Validate and sanitize user data for database operations
-export function sanitizeUserData(userData) {
-  try {
-    if (!userData || typeof userData !== "object") {
-      return null
-    }
-
-    const sanitized = {}
-
-    // Handle user ID
-    if (userData.userId) {
-      const validUserId = safeObjectId(userData.userId)
-      if (validUserId) {
-        sanitized.userId = validUserId
-      } else {
-        console.warn("[SANITIZE] Invalid userId:", userData.userId)
-        return null
-      }
-    }
-
-    // Handle session ID
-    if (userData.sessionId) {
-      const validSessionId = safeObjectId(userData.sessionId)
-      if (validSessionId) {
-        sanitized.sessionId = validSessionId
-      } else {
-        console.warn("[SANITIZE] Invalid sessionId:", userData.sessionId)
-        return null
-      }
-    }
-
-    // Copy other safe fields
-    const safeFields = ["username", "rating", "avatar", "title"]
-    safeFields.forEach((field) => {
-      if (userData[field] !== undefined) {
-        sanitized[field] = userData[field]
-      }
-    })
-
-    return sanitized
-  } catch (error) {
-    console.error("[SANITIZE] Error sanitizing user data:", error)
-    return null
-  }
-}
-
-// Helper: Safe database operation wrapper
-export async function safeDatabaseOperation(operation, context = "unknown") {
-  try {
-    console.log(`[DB] Starting ${context} operation`)
-    const result = await operation()
-    console.log(`[DB] Completed ${context} operation successfully`)
-    return { success: true, data: result }
-  } catch (error) {
-    console.error(`[DB] Error in ${context} operation:`, error.message)
-
-    // Handle specific MongoDB errors
-    if (error.name === "CastError" && error.path === "_id") {
-      return {
-        success: false,
-        error: "Invalid ID format",
-        code: "INVALID_OBJECT_ID",
-        context: context,
-      }
-    }
-
-    if (error.name === "ValidationError") {
-      return {
-        success: false,
-        error: "Data validation failed",
-        code: "VALIDATION_ERROR",
-        context: context,
-        details: error.errors,
-      }
-    }
-
-    if (error.code === 11000) {
-      return {
-        success: false,
-        error: "Duplicate key error",
-        code: "DUPLICATE_KEY",
-        context: context,
-      }
-    }
-
-    return {
-      success: false,
-      error: error.message || "Database operation failed",
-      code: "DB_ERROR",
-      context: context,
-    }
-  }
-}
+import { recordPosition, getRepetitionCount, serializeState, deserializeState } from "../shared.js"
+import { chargeElapsed } from "../../utils/timeControl.js"
+import { serverNow } from "../../utils/clock.js"
 
 // Create initial state for a 10-minute game
-export function createInitialState() {
+export function createInitialState(currentTimestamp = serverNow()) {
   try {
     const game = new Chess() // default position
     const fen = game.fen()
     const [position, activeColor, castlingRights, enPassantSquare, halfmoveClock, fullmoveNumber] = fen.split(" ")
 
-    const now = Date.now()
+    const now = currentTimestamp
 
     return {
       fen,
@@ -200,7 +65,7 @@ export function validateAndApplyMove(state, move, playerColor, currentTimestamp)
     }
 
     if (!currentTimestamp || typeof currentTimestamp !== "number") {
-      currentTimestamp = Date.now()
+      currentTimestamp = serverNow()
     }
 
     // Check if game has already ended
@@ -296,7 +161,8 @@ export function validateAndApplyMove(state, move, playerColor, currentTimestamp)
     }
 
     // Handle first move specially
-    if (!state.gameStarted || state.moveHistory.length === 0) {
+    const isFirstMove = !state.gameStarted || state.moveHistory.length === 0
+    if (isFirstMove) {
       console.log("FIRST MOVE DETECTED - Starting game timers")
       state.gameStarted = true
       state.firstMoveTimestamp = currentTimestamp
@@ -313,7 +179,7 @@ export function validateAndApplyMove(state, move, playerColor, currentTimestamp)
 
       // Deduct time from the player who is making the move (current player)
       if (currentPlayerBeforeMove === "w") {
-        const newWhiteTime = Math.max(0, state.whiteTime - elapsed)
+        const newWhiteTime = chargeElapsed(state.whiteTime, elapsed, state.delay)
         console.log("WHITE MOVE: Deducting", elapsed, "ms from white time")
         console.log("White time:", state.whiteTime, "->", newWhiteTime)
         state.whiteTime = newWhiteTime
@@ -337,7 +203,7 @@ export function validateAndApplyMove(state, move, playerColor, currentTimestamp)
           }
         }
       } else {
-        const newBlackTime = Math.max(0, state.blackTime - elapsed)
+        const newBlackTime = chargeElapsed(state.blackTime, elapsed, state.delay)
         console.log("BLACK MOVE: Deducting", elapsed, "ms from black time")
         console.log("Black time:", state.blackTime, "->", newBlackTime)
         state.blackTime = newBlackTime
@@ -388,6 +254,11 @@ export function validateAndApplyMove(state, move, playerColor, currentTimestamp)
       console.log(`${capturingPlayer} captured ${capturedPiece.type}`)
     }
 
+    // Increment for the mover, from the second move on (the first move only starts the clocks)
+    if (!isFirstMove && state.increment) {
+      state[`${currentPlayerColor}Time`] += state.increment
+    }
+
     // Update state after successful move
     const oldFen = state.fen
     state.fen = game.fen()
@@ -409,7 +280,7 @@ export function validateAndApplyMove(state, move, playerColor, currentTimestamp)
     console.log("- Move count:", state.moveHistory.length)
 
     // Update repetition tracking
-    updateRepetitionMap(state, game)
+    recordPosition(state, game.fen())
 
     const resultStatus = checkGameStatus(state, game)
     console.log("Game status after move:", resultStatus)
@@ -441,7 +312,7 @@ export function validateAndApplyMove(state, move, playerColor, currentTimestamp)
       checkmate: game.isCheckmate(),
       stalemate: game.isStalemate(),
       insufficientMaterial: game.isInsufficientMaterial(),
-      threefoldRepetition: game.isThreefoldRepetition(),
+      threefoldRepetition: getRepetitionCount(state, game.fen()) >= 3,
       fiftyMoveRule: game.isDraw(),
       canCastleKingside: {
         white: game.castling && game.castling["w"] && game.castling["w"].k,
@@ -507,7 +378,7 @@ export function getCurrentTimers(state, currentTimestamp) {
     }
 
     if (!currentTimestamp || typeof currentTimestamp !== "number") {
-      currentTimestamp = Date.now()
+      currentTimestamp = serverNow()
     }
 
     // If game has ended, return the final timer values
@@ -557,9 +428,9 @@ export function getCurrentTimers(state, currentTimestamp) {
 
     // Only deduct time from the current player (whose turn it is right now)
     if (currentPlayer === "w") {
-      whiteTime = Math.max(0, whiteTime - elapsed)
+      whiteTime = chargeElapsed(whiteTime, elapsed, state.delay)
     } else {
-      blackTime = Math.max(0, blackTime - elapsed)
+      blackTime = chargeElapsed(blackTime, elapsed, state.delay)
     }
 
     // Check for timeout and end game if necessary
@@ -673,14 +544,11 @@ export function checkGameStatus(state, gameInstance) {
     // Check for other draw conditions
     if (game.isStalemate()) return { result: "draw", reason: "stalemate", winnerColor: null }
     if (game.isInsufficientMaterial()) return { result: "draw", reason: "insufficient material", winnerColor: null }
-    if (game.isThreefoldRepetition()) return { result: "draw", reason: "threefold repetition", winnerColor: null }
+    if (getRepetitionCount(state, game.fen()) >= 3) return { result: "draw", reason: "threefold repetition", winnerColor: null }
     if (game.isDraw()) return { result: "draw", reason: "50-move rule", winnerColor: null }
 
     // Manual check for 5x / 75x repetition
-    if (!(state.repetitionMap instanceof Map)) {
-      state.repetitionMap = new Map(Object.entries(state.repetitionMap || {}))
-    }
-    const repetitionCount = state.repetitionMap.get(game.fen()) || 0
+    const repetitionCount = getRepetitionCount(state, game.fen())
     if (repetitionCount >= 5) return { result: "draw", reason: "fivefold repetition", winnerColor: null }
     if (state.moveHistory && state.moveHistory.length >= 150) return { result: "draw", reason: "75-move rule", winnerColor: null }
 
@@ -691,39 +559,15 @@ export function checkGameStatus(state, gameInstance) {
   }
 }
 
-// Helper: track FEN repetitions for 5-fold and 75-move rule
-export function updateRepetitionMap(state, gameInstance) {
-  try {
-    // Validate input
-    if (!state || typeof state !== "object") {
-      console.error("[REPETITION] Invalid state provided to updateRepetitionMap")
-      return
-    }
-
-    // Defensive: reconstruct repetitionMap if missing
-    let fen
-    if (gameInstance) {
-      fen = gameInstance.fen()
-    } else if (state.fen) {
-      fen = state.fen
-    } else {
-      console.error("[REPETITION] Missing FEN in game state")
-      return
-    }
-
-    if (!fen || typeof fen !== "string") {
-      console.error("[REPETITION] Invalid FEN format:", fen)
-      return
-    }
-
-    if (!(state.repetitionMap instanceof Map)) {
-      state.repetitionMap = new Map(Object.entries(state.repetitionMap || {}))
-    }
-
-    const current = state.repetitionMap.get(fen) || 0
-    state.repetitionMap.set(fen, current + 1)
-    console.log("Repetition map updated for FEN:", fen, "Count:", current + 1)
-  } catch (error) {
-    console.error("Error updating repetition :", error)
-  }
+// Variant interface, see validations/registry.js
+export const classicStandardVariant = {
+  variant: "classic",
+  subvariant: "standard",
+  createInitialState,
+  applyMove: validateAndApplyMove,
+  legalMoves: (state) => getLegalMoves(state.fen),
+  tickClocks: getCurrentTimers,
+  gameStatus: (state) => checkGameStatus(state, new Chess(state.fen)),
+  serialize: serializeState,
+  deserialize: deserializeState,
 }
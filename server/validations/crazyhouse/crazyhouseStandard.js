@@ -1,130 +1,14 @@
 import { Chess } from "chess.js";
-
-// Helper: Validate ObjectId format (Keep existing)
-export function isValidObjectId(id) {
-  if (!id) return false;
-  if (typeof id !== "string") return false;
-  return /^[0-9a-fA-F]{24}$/.test(id);
-}
-
-// Helper: Safely handle ObjectId operations (Keep existing)
-export function safeObjectId(id, fallback = null) {
-  try {
-    if (!id) return fallback;
-    if (typeof id === "string" && isValidObjectId(id)) {
-      return id;
-    }
-    if (typeof id === "object" && id.toString && isValidObjectId(id.toString())) {
-      return id.toString();
-    }
-    console.warn("[ObjectId] Invalid ObjectId format:", id);
-    return fallback;
-  } catch (error) {
-    console.error("[ObjectId] Error processing ObjectId:", error);
-    return fallback;
-  }
-}
-
-// Helper: Validate and sanitize user data for database operations (Keep existing)
-export function sanitizeUserData(userData) {
-  try {
-    if (!userData || typeof userData !== "object") {
-      return null;
-    }
-
-    const sanitized = {};
-
-    // Handle user ID
-    if (userData.userId) {
-      const validUserId = safeObjectId(userData.userId);
-      if (validUserId) {
-        sanitized.userId = validUserId;
-      } else {
-        console.warn("[SANITIZE] Invalid userId:", userData.userId);
-        return null;
-      }
-    }
-
-    // Handle session ID
-    if (userData.sessionId) {
-      const validSessionId = safeObjectId(userData.sessionId);
-      if (validSessionId) {
-        sanitized.sessionId = validSessionId;
-      } else {
-        console.warn("[SANITIZE] Invalid sessionId:", userData.sessionId);
-        return null;
-      }
-    }
-
-    // Copy other safe fields
-    const safeFields = ["username", "rating", "avatar", "title"];
-    safeFields.forEach((field) => {
-      if (userData[field] !== undefined) {
-        sanitized[field] = userData[field];
-      }
-    });
-
-    return sanitized;
-  } catch (error) {
-    console.error("[SANITIZE] Error sanitizing user data:", error);
-    return null;
-  }
-}
-
-// Helper: Safe database operation wrapper (Keep existing)
-export async function safeDatabaseOperation(operation, context = "unknown") {
-  try {
-    console.log(`[DB] Starting ${context} operation`);
-    const result = await operation();
-    console.log(`[DB] Completed ${context} operation successfully`);
-    return { success: true, data: result };
-  } catch (error) {
-    console.error(`[DB] Error in ${context} operation:`, error.message);
-
-    // Handle specific MongoDB errors
-    if (error.name === "CastError" && error.path === "_id") {
-      return {
-        success: false,
-        error: "Invalid ID format",
-        code: "INVALID_OBJECT_ID",
-        context: context,
-      };
-    }
-
-    if (error.name === "ValidationError") {
-      return {
-        success: false,
-        error: "Data validation failed",
-        code: "VALIDATION_ERROR",
-        context: context,
-        details: error.errors,
-      };
-    }
-
-    if (error.code === 11000) {
-      return {
-        success: false,
-        error: "Duplicate key error",
-        code: "DUPLICATE_KEY",
-        context: context,
-      };
-    }
-
-    return {
-      success: false,
-      error: error.message || "Database operation failed",
-      code: "DB_ERROR",
-      context: context,
-    };
-  }
-}
+import { recordPosition, getRepetitionCount, serializeState, deserializeState } from "../shared.js";
+import { chargeElapsed } from "../../utils/timeControl.js";
+import { serverNow } from "../../utils/clock.js";
 
 // --- Crazyhouse (Standard) Constants ---
 const BASE_TIME_STANDARD = 180000; // 3 minutes in ms
 const INCREMENT_TIME_STANDARD = 2000; // 2 seconds increment per move
 
 // Create initial state for a Crazyhouse (Standard) game
-export function createCrazyhouseStandardInitialState() {
+export function createCrazyhouseStandardInitialState(currentTimestamp = serverNow()) {
   try {
     const game = new Chess(); // default position
     const fen = game.fen();
@@ -137,7 +21,7 @@ export function createCrazyhouseStandardInitialState() {
       fullmoveNumber,
     ] = fen.split(" ");
 
-    const now = Date.now();
+    const now = currentTimestamp;
 
     return {
       fen,
@@ -183,9 +67,9 @@ function updateCrazyhouseStandardTimers(state, currentTimestamp) {
   if (state.gameStarted && state.turnStartTimestamp) {
     const elapsed = currentTimestamp - state.turnStartTimestamp;
     if (currentPlayer === "w") {
-      state.whiteTime = Math.max(0, state.whiteTime - elapsed);
+      state.whiteTime = chargeElapsed(state.whiteTime, elapsed, state.delay);
     } else {
-      state.blackTime = Math.max(0, state.blackTime - elapsed);
+      state.blackTime = chargeElapsed(state.blackTime, elapsed, state.delay);
     }
   }
   // No drop timer expiration logic needed here for Standard Crazyhouse
@@ -276,7 +160,7 @@ export function validateAndApplyCrazyhouseStandardMove(state, move, playerColor,
     }
 
     if (!currentTimestamp || typeof currentTimestamp !== "number") {
-      currentTimestamp = Date.now();
+      currentTimestamp = serverNow();
     }
 
     if (state.gameEnded) {
@@ -468,11 +352,13 @@ function updateGameStateAfterMoveStandard(state, moveResult, currentTimestamp, i
   state.fen = game.fen();
   state.lastMoveTimestamp = currentTimestamp;
 
-  const BASE_TIME_STANDARD = 180000; // 3 minutes in ms
-  if (currentPlayerBeforeMove === "w") {
-    state.whiteTime = Math.min(state.whiteTime + state.increment, BASE_TIME_STANDARD);
-  } else {
-    state.blackTime = Math.min(state.blackTime + state.increment, BASE_TIME_STANDARD);
+  // Increment for the mover, from the second move on (the first move only starts the clocks)
+  if (state.moveHistory.length > 0) {
+    if (currentPlayerBeforeMove === "w") {
+      state.whiteTime += state.increment || 0;
+    } else {
+      state.blackTime += state.increment || 0;
+    }
   }
 
   state.turnStartTimestamp = currentTimestamp;
@@ -487,7 +373,7 @@ function updateGameStateAfterMoveStandard(state, moveResult, currentTimestamp, i
   console.log("- Final times - White:", state.whiteTime, "Black:", state.blackTime);
 
   // Update repetition tracking for Crazyhouse (includes pocket)
-  updateRepetitionMap(state, game, true);
+  recordPosition(state, getCrazyhouseFenForRepetition(game.fen(), state.pocketedPieces));
 }
 
 function finalizeGameEndStandard(state, gameStatus, currentTimestamp) {
@@ -503,7 +389,7 @@ function createMoveResultStandard(state, moveResult, gameStatus) {
     checkmate: moveResult.game.isCheckmate(),
     stalemate: moveResult.game.isStalemate(),
     insufficientMaterial: moveResult.game.isInsufficientMaterial(),
-    threefoldRepetition: moveResult.game.isThreefoldRepetition(),
+    threefoldRepetition: getRepetitionCount(state, getCrazyhouseFenForRepetition(moveResult.game.fen(), state.pocketedPieces)) >= 3,
     fiftyMoveRule: moveResult.game.isDraw(),
     lastMove: moveResult.result,
     result: gameStatus.result,
@@ -554,7 +440,7 @@ export function getCurrentCrazyhouseStandardTimers(state, currentTimestamp) {
     }
 
     if (!currentTimestamp || typeof currentTimestamp !== "number") {
-      currentTimestamp = Date.now();
+      currentTimestamp = serverNow();
     }
 
     if (state.gameEnded) {
@@ -747,11 +633,8 @@ export function checkCrazyhouseStandardGameStatus(state, gameInstance) {
     if (game.isInsufficientMaterial()) return { result: "draw", reason: "insufficient material", winnerColor: null };
 
     // Crazyhouse repetition must include the pocketed pieces state
-    if (!(state.repetitionMap instanceof Map)) {
-      state.repetitionMap = new Map(Object.entries(state.repetitionMap || {}));
-    }
     const crazyhouseFen = getCrazyhouseFenForRepetition(game.fen(), state.pocketedPieces);
-    const repetitionCount = state.repetitionMap.get(crazyhouseFen) || 0;
+    const repetitionCount = getRepetitionCount(state, crazyhouseFen);
     if (repetitionCount >= 3) return { result: "draw", reason: "threefold repetition (crazyhouse)", winnerColor: null };
 
     // Chess.com Crazyhouse implements 50-move and 75-move rules for draws.
@@ -769,51 +652,6 @@ export function checkCrazyhouseStandardGameStatus(state, gameInstance) {
   }
 }
 
-// Helper: track FEN repetitions for Crazyhouse (includes pocketed pieces)
-export function updateRepetitionMap(state, gameInstance, isCrazyhouse = false) {
-  try {
-    if (!state || typeof state !== "object") {
-      console.error("[REPETITION] Invalid state provided");
-      return;
-    }
-
-    let fen;
-    if (gameInstance) {
-      fen = gameInstance.fen();
-    } else if (state.fen) {
-      fen = state.fen;
-    } else {
-      console.error("[REPETITION] Missing FEN in game state");
-      return;
-    }
-
-    if (!fen || typeof fen !== "string") {
-      console.error("[REPETITION] Invalid FEN format:", fen);
-      return;
-    }
-
-    // For Crazyhouse, repetition must include the pocketed pieces state
-    let repetitionFen = fen;
-    if (isCrazyhouse && state.pocketedPieces) {
-      // Sort pocketed pieces to ensure consistent FEN for repetition checking
-      const whitePocket = state.pocketedPieces.white.slice().sort().join('');
-      const blackPocket = state.pocketedPieces.black.slice().sort().join('');
-      repetitionFen += `[${whitePocket}][${blackPocket}]`;
-    }
-
-    if (!(state.repetitionMap instanceof Map)) {
-      state.repetitionMap = new Map(Object.entries(state.repetitionMap || {}));
-    }
-
-    const current = state.repetitionMap.get(repetitionFen) || 0;
-    state.repetitionMap.set(repetitionFen, current + 1);
-
-    console.log("Repetition map updated for Crazyhouse FEN:", repetitionFen, "Count:", current + 1);
-  } catch (error) {
-    console.error("Error updating repetition map:", error);
-  }
-}
-
 // Helper: Generate a Crazyhouse FEN string for repetition checking
 function getCrazyhouseFenForRepetition(fen, pocketedPieces) {
     // Only the board position (first part of FEN) matters for Chess.js's internal FEN
@@ -824,4 +662,22 @@ function getCrazyhouseFenForRepetition(fen, pocketedPieces) {
     const blackPocket = pocketedPieces.black.slice().sort().join('');
     crazyhouseFen += `[${whitePocket}][${blackPocket}]`;
     return crazyhouseFen;
-}
\ No newline at end of file
+}
+
+// Variant interface, see validations/registry.js
+export const crazyhouseStandardVariant = {
+  variant: "crazyhouse",
+  subvariant: "standard",
+  createInitialState: createCrazyhouseStandardInitialState,
+  applyMove: validateAndApplyCrazyhouseStandardMove,
+  // Board moves plus drops from the pocket (from: "pocket")
+  legalMoves: (state, color) => getCrazyhouseStandardLegalMoves(state.fen, state.pocketedPieces, color),
+  tickClocks: getCurrentCrazyhouseStandardTimers,
+  gameStatus: (state) => checkCrazyhouseStandardGameStatus(state, new Chess(state.fen)),
+  serialize: serializeState,
+  deserialize: (state) => {
+    const board = deserializeState(state);
+    board.pocketedPieces = board.pocketedPieces || { white: [], black: [] };
+    return board;
+  },
+};
@@ -1,114 +1,7 @@
 import { Chess } from "chess.js"
-
-// Helper: Validate ObjectId format (Keep existing)
-export function isValidObjectId(id) {
-  if (!id) return false
-  if (typeof id !== "string") return false
-  return /^[0-9a-fA-F]{24}$/.test(id)
-}
-
-// Helper: Safely handle ObjectId operations (Keep existing)
-export function safeObjectId(id, fallback = null) {
-  try {
-    if (!id) return fallback
-    if (typeof id === "string" && isValidObjectId(id)) {
-      return id
-    }
-    if (typeof id === "object" && id.toString && isValidObjectId(id.toString())) {
-      return id.toString()
-    }
-    console.warn("[ObjectId] Invalid ObjectId format:", id)
-    return fallback
-  } catch (error) {
-    console.error("[ObjectId] Error processing ObjectId:", error)
-    return fallback
-  }
-}
-
-// Helper: Validate and sanitize user data for database operations (Keep existing)
-export function sanitizeUserData(userData) {
-  try {
-    if (!userData || typeof userData !== "object") {
-      return null
-    }
-    const sanitized = {}
-    // Handle user ID
-    if (userData.userId) {
-      const validUserId = safeObjectId(userData.userId)
-      if (validUserId) {
-        sanitized.userId = validUserId
-      } else {
-        console.warn("[SANITIZE] Invalid userId:", userData.userId)
-        return null
-      }
-    }
-    // Handle session ID
-    if (userData.sessionId) {
-      const validSessionId = safeObjectId(userData.sessionId)
-      if (validSessionId) {
-        sanitized.sessionId = validSessionId
-      } else {
-        console.warn("[SANITIZE] Invalid sessionId:", userData.sessionId)
-        return null
-      }
-    }
-    // Copy other safe fields
-    const safeFields = ["username", "rating", "avatar", "title"]
-    safeFields.forEach((field) => {
-      if (userData[field] !== undefined) {
-        sanitized[field] = userData[field]
-      }
-    })
-    return sanitized
-  } catch (error) {
-    console.error("[SANITIZE] Error sanitizing user data:", error)
-    return null
-  }
-}
-
-// Helper: Safe database operation wrapper (Keep existing)
-export async function safeDatabaseOperation(operation, context = "unknown") {
-  try {
-    console.log(`[DB] Starting ${context} operation`)
-    const result = await operation()
-    console.log(`[DB] Completed ${context} operation successfully`)
-    return { success: true, data: result }
-  } catch (error) {
-    console.error(`[DB] Error in ${context} operation:`, error.message)
-    // Handle specific MongoDB errors
-    if (error.name === "CastError" && error.path === "_id") {
-      return {
-        success: false,
-        error: "Invalid ID format",
-        code: "INVALID_OBJECT_ID",
-        context: context,
-      }
-    }
-    if (error.name === "ValidationError") {
-      return {
-        success: false,
-        error: "Data validation failed",
-        code: "VALIDATION_ERROR",
-        context: context,
-        details: error.errors,
-      }
-    }
-    if (error.code === 11000) {
-      return {
-        success: false,
-        error: "Duplicate key error",
-        code: "DUPLICATE_KEY",
-        context: context,
-      }
-    }
-    return {
-      success: false,
-      error: error.message || "Database operation failed",
-      code: "DB_ERROR",
-      context: context,
-    }
-  }
-}
+import { recordPosition, toRepetitionMap } from "../shared.js"
+import { chargeElapsed } from "../../utils/timeControl.js"
+import { serverNow } from "../../utils/clock.js"
 
 // --- Crazyhouse withTimer Constants ---
 const DROP_TIME_LIMIT = 10000 // 10 seconds in ms
@@ -116,12 +9,12 @@ const BASE_TIME = 180000 // 3 minutes in ms
 const INCREMENT_TIME = 2000 // 2 seconds increment per move
 
 // Create initial state for a Crazyhouse withTimer game
-export function createCrazyhouseInitialState() {
+export function createCrazyhouseInitialState(currentTimestamp = serverNow()) {
   try {
     const game = new Chess() // default position
     const fen = game.fen()
     const [position, activeColor, castlingRights, enPassantSquare, halfmoveClock, fullmoveNumber] = fen.split(" ")
-    const now = Date.now()
+    const now = currentTimestamp
     return {
       fen,
       position,
@@ -172,10 +65,7 @@ function updateCrazyhouseTimers(state, currentTimestamp) {
   const currentPlayer = game.turn()
   const currentPlayerColor = currentPlayer === "w" ? "white" : "black"
 
-  const BASE_TIME = 180000; // 3 minutes in ms
   for (const color of ["white", "black"]) {
-    // Clamp main timers to never exceed 3 minutes
-    state[`${color}Time`] = Math.min(state[`${color}Time`], BASE_TIME);
     const pocket = state.pocketedPieces[color]
     const timers = state.dropTimers[color]
 
@@ -213,10 +103,10 @@ function updateCrazyhouseTimers(state, currentTimestamp) {
 }
 
 // Handle piece drop logic - enhanced with better validation
-function handlePieceDrop(state, move, playerColor, game) {
+function handlePieceDrop(state, move, playerColor, game, currentTimestamp) {
   const playerPocket = state.pocketedPieces[playerColor]
   const playerDropTimers = state.dropTimers[playerColor]
-  const now = Date.now()
+  const now = currentTimestamp
 
   console.log(`Handling piece drop for ${playerColor}:`, {
     pocket: playerPocket,
@@ -354,7 +244,7 @@ export function validateAndApplyCrazyhouseMove(state, move, playerColor, current
     }
 
     if (!currentTimestamp || typeof currentTimestamp !== "number") {
-      currentTimestamp = Date.now()
+      currentTimestamp = serverNow()
     }
 
     if (state.gameEnded) {
@@ -401,7 +291,7 @@ export function validateAndApplyCrazyhouseMove(state, move, playerColor, current
 
     if (move.drop === true) {
       isDrop = true
-      moveResult = handlePieceDrop(state, move, playerColor, game)
+      moveResult = handlePieceDrop(state, move, playerColor, game, currentTimestamp)
     } else {
       // Standard chess move
       moveResult = validateChessMove(state, move, playerColor, currentTimestamp)
@@ -454,7 +344,7 @@ export function validateAndApplyCrazyhouseMove(state, move, playerColor, current
     if (state.game) delete state.game // Clean up temp Chess instance
     console.log("=== CRAZYHOUSE MOVE VALIDATION END ===")
 
-    return createMoveResult(state, moveResult, gameStatus)
+    return createMoveResult(state, moveResult, gameStatus, currentTimestamp)
   } catch (error) {
     console.error("Error in validateAndApplyCrazyhouseMove:", error)
     return {
@@ -504,11 +394,7 @@ function initializeStateDefaults(state, currentTimestamp) {
 
   if (typeof state.gameEnded !== "boolean") state.gameEnded = false
   if (!state.frozenPieces) state.frozenPieces = { white: [], black: [] }
-  if (!state.repetitionMap) {
-    state.repetitionMap = new Map()
-  } else if (!(state.repetitionMap instanceof Map)) {
-    state.repetitionMap = new Map(Object.entries(state.repetitionMap || {}))
-  }
+  state.repetitionMap = toRepetitionMap(state.repetitionMap)
 }
 
 function checkForTimeout(state, currentTimestamp) {
@@ -588,9 +474,9 @@ function updateGameStateAfterMove(state, moveResult, currentTimestamp, isDrop) {
   // Deduct elapsed time, then add increment (but not for first move)
   if (state.gameStarted && state.moveHistory.length > 0) {
     if (previousPlayer === "w") {
-      state.whiteTime = Math.max(0, state.whiteTime - elapsed + state.increment)
+      state.whiteTime = chargeElapsed(state.whiteTime, elapsed, state.delay) + (state.increment || 0)
     } else {
-      state.blackTime = Math.max(0, state.blackTime - elapsed + state.increment)
+      state.blackTime = chargeElapsed(state.blackTime, elapsed, state.delay) + (state.increment || 0)
     }
   } else {
     // First move: just set gameStarted, don't deduct or increment
@@ -632,9 +518,9 @@ function finalizeGameEnd(state, gameStatus, currentTimestamp) {
   state.endTimestamp = currentTimestamp
 }
 
-function createMoveResult(state, moveResult, gameStatus) {
+function createMoveResult(state, moveResult, gameStatus, currentTimestamp) {
   // Derive frozenPieces for the current state
-  const derivedFrozenPieces = deriveFrozenPieces(state)
+  const derivedFrozenPieces = deriveFrozenPieces(state, currentTimestamp)
   state.gameState = {
     check: moveResult.game.inCheck(),
     checkmate: moveResult.game.isCheckmate(),
@@ -678,8 +564,8 @@ function createMoveResult(state, moveResult, gameStatus) {
 }
 
 // Helper function to derive frozen pieces
-function deriveFrozenPieces(state) {
-  const now = Date.now()
+function deriveFrozenPieces(state, currentTimestamp) {
+  const now = currentTimestamp
   const frozenPieces = {
     white: [],
     black: [],
@@ -726,7 +612,7 @@ export function getCurrentCrazyhouseTimers(state, currentTimestamp) {
     }
 
     if (!currentTimestamp || typeof currentTimestamp !== "number") {
-      currentTimestamp = Date.now()
+      currentTimestamp = serverNow()
     }
 
     // Initialize defaults
@@ -748,7 +634,7 @@ export function getCurrentCrazyhouseTimers(state, currentTimestamp) {
           white: Object.fromEntries(state.dropTimers.white),
           black: Object.fromEntries(state.dropTimers.black),
         },
-        frozenPieces: deriveFrozenPieces(state),
+        frozenPieces: deriveFrozenPieces(state, currentTimestamp),
       }
     }
 
@@ -764,7 +650,7 @@ export function getCurrentCrazyhouseTimers(state, currentTimestamp) {
           white: Object.fromEntries(state.dropTimers.white),
           black: Object.fromEntries(state.dropTimers.black),
         },
-        frozenPieces: deriveFrozenPieces(state),
+        frozenPieces: deriveFrozenPieces(state, currentTimestamp),
       }
     }
 
@@ -803,7 +689,7 @@ export function getCurrentCrazyhouseTimers(state, currentTimestamp) {
           white: Object.fromEntries(tempState.dropTimers.white),
           black: Object.fromEntries(tempState.dropTimers.black),
         },
-        frozenPieces: deriveFrozenPieces(tempState),
+        frozenPieces: deriveFrozenPieces(tempState, currentTimestamp),
       }
     }
 
@@ -826,7 +712,7 @@ export function getCurrentCrazyhouseTimers(state, currentTimestamp) {
           white: Object.fromEntries(tempState.dropTimers.white),
           black: Object.fromEntries(tempState.dropTimers.black),
         },
-        frozenPieces: deriveFrozenPieces(tempState),
+        frozenPieces: deriveFrozenPieces(tempState, currentTimestamp),
       }
     }
 
@@ -840,7 +726,7 @@ export function getCurrentCrazyhouseTimers(state, currentTimestamp) {
         white: Object.fromEntries(tempState.dropTimers.white),
         black: Object.fromEntries(tempState.dropTimers.black),
       },
-      frozenPieces: deriveFrozenPieces(tempState),
+      frozenPieces: deriveFrozenPieces(tempState, currentTimestamp),
     }
   } catch (error) {
     console.error("Error in getCurrentCrazyhouseTimers:", error)
@@ -855,7 +741,7 @@ export function getCurrentCrazyhouseTimers(state, currentTimestamp) {
 }
 
 // Generate legal moves and possible piece drops
-export function getCrazyhouseLegalMoves(fen, pocketedPieces, dropTimers, playerColor) {
+export function getCrazyhouseLegalMoves(fen, pocketedPieces, dropTimers, playerColor, currentTimestamp = serverNow()) {
   console.log("=== CRAZYHOUSE LEGAL MOVES GENERATION START ===")
   console.log("FEN:", pocketedPieces, "Player Color:", playerColor, "Drop Timers:", dropTimers)
   try {
@@ -874,7 +760,7 @@ export function getCrazyhouseLegalMoves(fen, pocketedPieces, dropTimers, playerC
       console.log(currentPlayerPocket)
       // Use the Map directly, it's already deserialized in gameController.js
       const currentPlayerDropTimers = dropTimers[playerColor]
-      const now = Date.now()
+      const now = currentTimestamp
 
       // Only the first piece in the pocket can be dropped, and only if its timer is active and not expired
       if (currentPlayerPocket.length > 0) {
@@ -1010,10 +896,8 @@ function updateRepetitionMap(state, game, includePockets = true) {
       positionKey += `_${pocketString}`
     }
 
-    const currentCount = state.repetitionMap.get(positionKey) || 0
-    state.repetitionMap.set(positionKey, currentCount + 1)
-
-    console.log(`Position repetition count: ${currentCount + 1} for key: ${positionKey}`)
+    const count = recordPosition(state, positionKey)
+    console.log(`Position repetition count: ${count} for key: ${positionKey}`)
   } catch (error) {
     console.error("Error updating repetition map:", error)
   }
@@ -1043,7 +927,7 @@ function isThreefoldRepetition(state) {
 export function getAvailableDropPieces(state, playerColor, currentTimestamp) {
   try {
     if (!currentTimestamp) {
-      currentTimestamp = Date.now()
+      currentTimestamp = serverNow()
     }
     if (!state.pocketedPieces || !state.pocketedPieces[playerColor]) {
       return []
@@ -1088,7 +972,7 @@ export function getAvailableDropPieces(state, playerColor, currentTimestamp) {
 export function getPocketStatus(state, playerColor, currentTimestamp) {
   try {
     if (!currentTimestamp) {
-      currentTimestamp = Date.now()
+      currentTimestamp = serverNow()
     }
     if (!state.pocketedPieces || !state.pocketedPieces[playerColor]) {
       return {
@@ -1152,7 +1036,7 @@ export function getPocketStatus(state, playerColor, currentTimestamp) {
 export function expireDropPieces(state, currentTimestamp) {
   try {
     if (!currentTimestamp) {
-      currentTimestamp = Date.now()
+      currentTimestamp = serverNow()
     }
     let expiredCount = 0
     for (const color of ["white", "black"]) {
@@ -1206,16 +1090,20 @@ export function expireDropPieces(state, currentTimestamp) {
   }
 }
 
+// Both directions accept either form, so (de)serializing twice is harmless
+const timersToObject = (timers) => (timers instanceof Map ? Object.fromEntries(timers) : { ...(timers || {}) })
+const timersToMap = (timers) => (timers instanceof Map ? timers : new Map(Object.entries(timers || {})))
+
 // Serialize state for storage (convert Maps to objects)
 export function serializeCrazyhouseState(state) {
   try {
     return {
       ...state,
       dropTimers: {
-        white: Object.fromEntries(state.dropTimers.white),
-        black: Object.fromEntries(state.dropTimers.black),
+        white: timersToObject(state.dropTimers?.white),
+        black: timersToObject(state.dropTimers?.black),
       },
-      repetitionMap: Object.fromEntries(state.repetitionMap),
+      repetitionMap: Object.fromEntries(toRepetitionMap(state.repetitionMap)),
     }
   } catch (error) {
     console.error("Error serializing state:", error)
@@ -1229,10 +1117,10 @@ export function deserializeCrazyhouseState(serializedState) {
     return {
       ...serializedState,
       dropTimers: {
-        white: new Map(Object.entries(serializedState.dropTimers?.white || {})),
-        black: new Map(Object.entries(serializedState.dropTimers?.black || {})),
+        white: timersToMap(serializedState.dropTimers?.white),
+        black: timersToMap(serializedState.dropTimers?.black),
       },
-      repetitionMap: new Map(Object.entries(serializedState.repetitionMap || {})),
+      repetitionMap: toRepetitionMap(serializedState.repetitionMap),
     }
   } catch (error) {
     console.error("Error deserializing state:", error)
@@ -1268,3 +1156,71 @@ export function resumeDropTimer(state, color, currentTimestamp) {
     delete firstPiece.remainingTime
   }
 }
+
+// Working state for a move: Maps restored and fields of older stored boards filled in
+function deserializeForPlay(serializedState, currentTimestamp = serverNow()) {
+  const state = deserializeCrazyhouseState(serializedState)
+  state.pocketedPieces = state.pocketedPieces || { white: [], black: [] }
+  state.frozenPieces = state.frozenPieces || { white: [], black: [] }
+  state.whiteTime = state.whiteTime ?? BASE_TIME
+  state.blackTime = state.blackTime ?? BASE_TIME
+  state.increment = state.increment ?? INCREMENT_TIME
+  state.turnStartTimestamp = state.turnStartTimestamp ?? currentTimestamp
+  state.lastMoveTimestamp = state.lastMoveTimestamp ?? currentTimestamp
+  state.gameStarted = state.gameStarted ?? false
+  state.firstMoveTimestamp = state.firstMoveTimestamp ?? null
+  return state
+}
+
+// Stored state after a move: expired drops removed, pocket status and available drops
+// refreshed for clients, Maps turned into objects
+function serializeAfterPlay(state, currentTimestamp = serverNow()) {
+  const board = deserializeCrazyhouseState(state)
+  expireDropPieces(board, currentTimestamp)
+  for (const color of ["white", "black"]) {
+    for (const piece of board.pocketedPieces[color]) {
+      if (piece.timerPaused && !piece.remainingTime) {
+        delete piece.timerPaused
+        delete piece.remainingTime
+      }
+    }
+  }
+
+  board.pocketStatus = {
+    white: getPocketStatus(board, "white", currentTimestamp),
+    black: getPocketStatus(board, "black", currentTimestamp),
+  }
+  // Only the player to move can drop
+  board.availableDropPieces = {
+    white: board.activeColor === "white" ? getAvailableDropPieces(board, "white", currentTimestamp) : [],
+    black: board.activeColor === "black" ? getAvailableDropPieces(board, "black", currentTimestamp) : [],
+  }
+  const currentFrozen = board.frozenPieces || { white: [], black: [] }
+  board.frozenPieces = {
+    white: [...new Set([...currentFrozen.white, ...(board.pocketStatus.white.frozen || [])])],
+    black: [...new Set([...currentFrozen.black, ...(board.pocketStatus.black.frozen || [])])],
+  }
+  return serializeCrazyhouseState(board)
+}
+
+// Variant interface, see validations/registry.js
+export const crazyhouseWithTimerVariant = {
+  variant: "crazyhouse",
+  subvariant: "withTimer",
+  createInitialState: createCrazyhouseInitialState,
+  applyMove: validateAndApplyCrazyhouseMove,
+  // Board moves plus drops of the first pocket piece while its drop timer runs
+  legalMoves: (state, color, currentTimestamp = serverNow()) => {
+    expireDropPieces(state, currentTimestamp)
+    return getCrazyhouseLegalMoves(state.fen, state.pocketedPieces, state.dropTimers, color, currentTimestamp)
+  },
+  // The moves change when the droppable piece expires
+  legalMovesValidUntil: (state, color) => {
+    const droppable = state.pocketedPieces?.[color]?.[0]
+    return (droppable && state.dropTimers[color].get(droppable.id)) || Infinity
+  },
+  tickClocks: getCurrentCrazyhouseTimers,
+  gameStatus: (state) => checkCrazyhouseGameStatus(state, new Chess(state.fen)),
+  serialize: serializeAfterPlay,
+  deserialize: deserializeForPlay,
+}
@@ -1,131 +1,16 @@
 import { Chess } from "chess.js"
-
-// Helper: Validate ObjectId format
-export function isValidObjectId(id) {
-  if (!id) return false
-  if (typeof id !== "string") return false
-  return /^[0-9a-fA-F]{24}$/.test(id)
-}
-// Helper: Safely handle ObjectId operations
-export function safeObjectId(id, fallback = null) {
-  try {
-    if (!id) return fallback
-    if (typeof id === "string" && isValidObjectId(id)) {
-      return id
-    }
-    if (typeof id === "object" && id.toString && isValidObjectId(id.toString())) {
-      return id.toString()
-    }
-    console.warn("[ObjectId] Invalid ObjectId format:", id)
-    return fallback
-  } catch (error) {
-    console.error("[ObjectId] Error processing ObjectId:", error)
-    return fallback
-  }
-}
-
-// Helper: Validate and sanitize user data for database operations
-export function sanitizeUserData(userData) {
-  try {
-    if (!userData || typeof userData !== "object") {
-      return null
-    }
-
-    const sanitized = {}
-
-    // Handle user ID
-    if (userData.userId) {
-      const validUserId = safeObjectId(userData.userId)
-      if (validUserId) {
-        sanitized.userId = validUserId
-      } else {
-        console.warn("[SANITIZE] Invalid userId:", userData.userId)
-        return null
-      }
-    }
-
-    // Handle session ID
-    if (userData.sessionId) {
-      const validSessionId = safeObjectId(userData.sessionId)
-      if (validSessionId) {
-        sanitized.sessionId = validSessionId
-      } else {
-        console.warn("[SANITIZE] Invalid sessionId:", userData.sessionId)
-        return null
-      }
-    }
-
-    // Copy other safe fields
-    const safeFields = ["username", "rating", "avatar", "title"]
-    safeFields.forEach((field) => {
-      if (userData[field] !== undefined) {
-        sanitized[field] = userData[field]
-      }
-    })
-
-    return sanitized
-  } catch (error) {
-    console.error("[SANITIZE] Error sanitizing user data:", error)
-    return null
-  }
-}
-
-// Helper: Safe database operation wrapper
-export async function safeDatabaseOperation(operation, context = "unknown") {
-  try {
-    console.log(`[DB] Starting ${context} operation`)
-    const result = await operation()
-    console.log(`[DB] Completed ${context} operation successfully`)
-    return { success: true, data: result }
-  } catch (error) {
-    console.error(`[DB] Error in ${context} operation:`, error.message)
-
-    // Handle specific MongoDB errors
-    if (error.name === "CastError" && error.path === "_id") {
-      return {
-        success: false,
-        error: "Invalid ID format",
-        code: "INVALID_OBJECT_ID",
-        context: context,
-      }
-    }
-
-    if (error.name === "ValidationError") {
-      return {
-        success: false,
-        error: "Data validation failed",
-        code: "VALIDATION_ERROR",
-        context: context,
-        details: error.errors,
-      }
-    }
-
-    if (error.code === 11000) {
-      return {
-        success: false,
-        error: "Duplicate key error",
-        code: "DUPLICATE_KEY",
-        context: context,
-      }
-    }
-
-    return {
-      success: false,
-      error: error.message || "Database operation failed",
-      code: "DB_ERROR",
-      context: context,
-    }
-  }
-}
+import { recordPosition, getRepetitionCount, serializeState, deserializeState } from "./shared.js"
+import { chargeElapsed } from "../utils/timeControl.js"
+import { serverNow } from "../utils/clock.js"
 
 // Create initial state for a 3+2 decay game
-export function createDecayInitialState() {
+export function createDecayInitialState(currentTimestamp = serverNow()) {
   try {
     const game = new Chess() // default position
     const fen = game.fen()
     const [position, activeColor, castlingRights, enPassantSquare, halfmoveClock, fullmoveNumber] = fen.split(" ")
 
-    const now = Date.now()
+    const now = currentTimestamp
 
     return {
       fen,
@@ -385,7 +270,7 @@ export function validateAndApplyDecayMove(state, move, playerColor, currentTimes
     }
 
     if (!currentTimestamp || typeof currentTimestamp !== "number") {
-      currentTimestamp = Date.now()
+      currentTimestamp = serverNow()
     }
 
     // Check if game has already ended
@@ -535,9 +420,9 @@ function validateChessMove(state, move, playerColor, currentTimestamp) {
     // Calculate elapsed time and deduct from current player
     const elapsed = currentTimestamp - state.turnStartTimestamp
     if (currentPlayerBeforeMove === "w") {
-      state.whiteTime = Math.max(0, state.whiteTime - elapsed)
+      state.whiteTime = chargeElapsed(state.whiteTime, elapsed, state.delay)
     } else {
-      state.blackTime = Math.max(0, state.blackTime - elapsed)
+      state.blackTime = chargeElapsed(state.blackTime, elapsed, state.delay)
     }
   }
 
@@ -590,12 +475,13 @@ function updateGameStateAfterMove(state, moveResult, currentTimestamp) {
   state.fen = game.fen()
   state.lastMoveTimestamp = currentTimestamp
 
-  // Add increment to the player who just moved (3+2 time control), clamp to 3 min
-  const BASE_TIME = 180000 // 3 minutes in ms
-  if (currentPlayerBeforeMove === "w") {
-    state.whiteTime = Math.min(state.whiteTime + state.increment, BASE_TIME)
-  } else {
-    state.blackTime = Math.min(state.blackTime + state.increment, BASE_TIME)
+  // Add increment to the player who just moved, from the second move on (the first move only starts the clocks)
+  if (state.moveHistory.length > 0) {
+    if (currentPlayerBeforeMove === "w") {
+      state.whiteTime += state.increment || 0
+    } else {
+      state.blackTime += state.increment || 0
+    }
   }
 
   // Reset turn start timestamp for the NEXT player's turn
@@ -612,7 +498,7 @@ function updateGameStateAfterMove(state, moveResult, currentTimestamp) {
   console.log("- Final times - White:", state.whiteTime, "Black:", state.blackTime)
 
   // Update repetition tracking
-  updateRepetitionMap(state, game)
+  recordPosition(state, game.fen())
 }
 
 function finalizeGameEnd(state, gameStatus, currentTimestamp) {
@@ -629,7 +515,7 @@ function createMoveResult(state, moveResult, gameStatus) {
     checkmate: moveResult.game.isCheckmate(),
     stalemate: moveResult.game.isStalemate(),
     insufficientMaterial: moveResult.game.isInsufficientMaterial(),
-    threefoldRepetition: moveResult.game.isThreefoldRepetition(),
+    threefoldRepetition: getRepetitionCount(state, moveResult.game.fen()) >= 3,
     fiftyMoveRule: moveResult.game.isDraw(),
     lastMove: moveResult.result,
     result: gameStatus.result,
@@ -681,7 +567,7 @@ export function getCurrentDecayTimers(state, currentTimestamp) {
     }
 
     if (!currentTimestamp || typeof currentTimestamp !== "number") {
-      currentTimestamp = Date.now()
+      currentTimestamp = serverNow()
     }
 
     // If game has ended, return final values
@@ -738,9 +624,9 @@ export function getCurrentDecayTimers(state, currentTimestamp) {
 
     // Deduct time from current player only
     if (currentPlayer === "w") {
-      whiteTime = Math.max(0, whiteTime - elapsed)
+      whiteTime = chargeElapsed(whiteTime, elapsed, state.delay)
     } else {
-      blackTime = Math.max(0, blackTime - elapsed)
+      blackTime = chargeElapsed(blackTime, elapsed, state.delay)
     }
 
     // Check for timeout
@@ -873,14 +759,11 @@ export function checkDecayGameStatus(state, gameInstance) {
     // Check for other draw conditions
     if (game.isStalemate()) return { result: "draw", reason: "stalemate", winnerColor: null }
     if (game.isInsufficientMaterial()) return { result: "draw", reason: "insufficient material", winnerColor: null }
-    if (game.isThreefoldRepetition()) return { result: "draw", reason: "threefold repetition", winnerColor: null }
+    if (getRepetitionCount(state, game.fen()) >= 3) return { result: "draw", reason: "threefold repetition", winnerColor: null }
     if (game.isDraw()) return { result: "draw", reason: "50-move rule", winnerColor: null }
 
     // Manual repetition checks
-    if (!(state.repetitionMap instanceof Map)) {
-      state.repetitionMap = new Map(Object.entries(state.repetitionMap || {}))
-    }
-    const repetitionCount = state.repetitionMap.get(game.fen()) || 0
+    const repetitionCount = getRepetitionCount(state, game.fen())
     if (repetitionCount >= 5) return { result: "draw", reason: "fivefold repetition", winnerColor: null }
 
     if (state.moveHistory && state.moveHistory.length >= 150)
@@ -893,38 +776,16 @@ export function checkDecayGameStatus(state, gameInstance) {
   }
 }
 
-// Helper: track FEN repetitions
-export function updateRepetitionMap(state, gameInstance) {
-  try {
-    if (!state || typeof state !== "object") {
-      console.error("[REPETITION] Invalid state provided")
-      return
-    }
-
-    let fen
-    if (gameInstance) {
-      fen = gameInstance.fen()
-    } else if (state.fen) {
-      fen = state.fen
-    } else {
-      console.error("[REPETITION] Missing FEN in game state")
-      return
-    }
-
-    if (!fen || typeof fen !== "string") {
-      console.error("[REPETITION] Invalid FEN format:", fen)
-      return
-    }
-
-    if (!(state.repetitionMap instanceof Map)) {
-      state.repetitionMap = new Map(Object.entries(state.repetitionMap || {}))
-    }
-
-    const current = state.repetitionMap.get(fen) || 0
-    state.repetitionMap.set(fen, current + 1)
-
-    console.log("Repetition map updated for FEN:", fen, "Count:", current + 1)
-  } catch (error) {
-    console.error("Error updating repetition map:", error)
-  }
+// Variant interface, see validations/registry.js
+export const decayVariant = {
+  variant: "decay",
+  subvariant: null,
+  createInitialState: createDecayInitialState,
+  applyMove: validateAndApplyDecayMove,
+  // Frozen pieces cannot move
+  legalMoves: (state, color) => getDecayLegalMoves(state.fen, state.frozenPieces, color),
+  tickClocks: getCurrentDecayTimers,
+  gameStatus: (state) => checkDecayGameStatus(state, new Chess(state.fen)),
+  serialize: serializeState,
+  deserialize: deserializeState,
 }
@@ -0,0 +1,58 @@
+import { classicStandardVariant } from "./classic/standard.js"
+import { classicBulletVariant } from "./classic/bullet.js"
+import { crazyhouseStandardVariant } from "./crazyhouse/crazyhouseStandard.js"
+import { crazyhouseWithTimerVariant } from "./crazyhouse/crazyhouseTimer.js"
+import { sixPointerVariant } from "./sixPointer.js"
+import { decayVariant } from "./decay.js"
+
+/**
+ * Every variant engine exports one object with this shape, and the game and session controllers
+ * only go through it. A new variant is one engine file plus a registerVariant call here
+ * (and its entry in GAME_VARIANTS, controllers/session.controller.js).
+ *
+ * @typedef {Object} Variant
+ * @property {string} variant
+ * @property {string|null} subvariant - null for variants without subvariants
+ * @property {(now: number) => Object} createInitialState - board of a new game started at `now`
+ * @property {(board: Object, move: Object, color: string, now: number) => Object} applyMove
+ *   validates and plays a move: { valid, state, move, gameEnded, ... } or { valid: false, reason }
+ * @property {(board: Object, color: string, now: number) => Object[]} legalMoves
+ *   every legal move of `color` ({ from, to, promotion } or drops with from: "pocket")
+ * @property {(board: Object, color: string) => number} [legalMovesValidUntil]
+ *   when legalMoves changes without a move being played (default: never)
+ * @property {(board: Object, now: number) => Object} tickClocks - { white, black, activeColor, gameEnded }
+ * @property {(board: Object) => Object} gameStatus - { result: "ongoing"|..., winnerColor, reason }
+ * @property {(board: Object, now: number) => Object} serialize - board as stored in Redis (no Maps)
+ * @property {(board: Object, now: number) => Object} deserialize - stored board ready for the other functions
+ */
+
+const variants = new Map()
+
+const variantKey = (variant, subvariant) => (subvariant ? `${variant}:${subvariant}` : variant)
+
+/**
+ * Add a variant engine, replacing any registered under the same variant/subvariant
+ * @param {Variant} definition
+ */
+export function registerVariant(definition) {
+  variants.set(variantKey(definition.variant, definition.subvariant), definition)
+}
+
+/**
+ * Engine of a variant. Variants without subvariants ignore the subvariant.
+ * @returns {Variant|null}
+ */
+export function getVariant(variant, subvariant) {
+  return variants.get(variantKey(variant, subvariant)) || variants.get(variant) || null
+}
+
+for (const definition of [
+  classicStandardVariant,
+  classicBulletVariant,
+  crazyhouseStandardVariant,
+  crazyhouseWithTimerVariant,
+  sixPointerVariant,
+  decayVariant,
+]) {
+  registerVariant(definition)
+}
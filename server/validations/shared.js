@@ -0,0 +1,200 @@
+// Helpers shared by the variant engines
+import { Chess, validateFen } from "chess.js"
+
+// Helper: Recursively convert BigInt values to Number for JSON serialization
+export function convertBigIntToNumber(obj) {
+  if (typeof obj === "bigint") {
+    return Number(obj)
+  } else if (Array.isArray(obj)) {
+    return obj.map(convertBigIntToNumber)
+  } else if (obj && typeof obj === "object") {
+    const newObj = {}
+    for (const key in obj) {
+      if (Object.prototype.hasOwnProperty.call(obj, key)) {
+        newObj[key] = convertBigIntToNumber(obj[key])
+      }
+    }
+    return newObj
+  }
+  return obj
+}
+
+// Helper: Validate ObjectId format
+export function isValidObjectId(id) {
+  if (!id) return false
+  if (typeof id !== "string") return false
+  // MongoDB ObjectId is 24 characters hex string
+  return /^[0-9a-fA-F]{24}$/.test(id)
+}
+
+// Helper: Safely handle ObjectId operations
+export function safeObjectId(id, fallback = null) {
+  try {
+    if (!id) return fallback
+    if (typeof id === "string" && isValidObjectId(id)) {
+      return id
+    }
+    if (typeof id === "object" && id.toString && isValidObjectId(id.toString())) {
+      return id.toString()
+    }
+    console.warn("[ObjectId] Invalid ObjectId format:", id)
+    return fallback
+  } catch (error) {
+    console.error("[ObjectId] Error processing ObjectId:", error)
+    return fallback
+  }
+}
+
+// Helper: Validate and sanitize user data for database operations
+export function sanitizeUserData(userData) {
+  try {
+    if (!userData || typeof userData !== "object") {
+      return null
+    }
+
+    const sanitized = {}
+
+    // Handle user ID
+    if (userData.userId) {
+      const validUserId = safeObjectId(userData.userId)
+      if (validUserId) {
+        sanitized.userId = validUserId
+      } else {
+        console.warn("[SANITIZE] Invalid userId:", userData.userId)
+        return null
+      }
+    }
+
+    // Handle session ID
+    if (userData.sessionId) {
+      const validSessionId = safeObjectId(userData.sessionId)
+      if (validSessionId) {
+        sanitized.sessionId = validSessionId
+      } else {
+        console.warn("[SANITIZE] Invalid sessionId:", userData.sessionId)
+        return null
+      }
+    }
+
+    // Copy other safe fields
+    const safeFields = ["username", "rating", "avatar", "title"]
+    safeFields.forEach((field) => {
+      if (userData[field] !== undefined) {
+        sanitized[field] = userData[field]
+      }
+    })
+
+    return sanitized
+  } catch (error) {
+    console.error("[SANITIZE] Error sanitizing user data:", error)
+    return null
+  }
+}
+
+// Helper: Safe database operation wrapper
+export async function safeDatabaseOperation(operation, context = "unknown") {
+  try {
+    console.log(`[DB] Starting ${context} operation`)
+    const result = await operation()
+    console.log(`[DB] Completed ${context} operation successfully`)
+    return { success: true, data: result }
+  } catch (error) {
+    console.error(`[DB] Error in ${context} operation:`, error.message)
+
+    // Handle specific MongoDB errors
+    if (error.name === "CastError" && error.path === "_id") {
+      return {
+        success: false,
+        error: "Invalid ID format",
+        code: "INVALID_OBJECT_ID",
+        context: context,
+      }
+    }
+
+    if (error.name === "ValidationError") {
+      return {
+        success: false,
+        error: "Data validation failed",
+        code: "VALIDATION_ERROR",
+        context: context,
+        details: error.errors,
+      }
+    }
+
+    if (error.code === 11000) {
+      return {
+        success: false,
+        error: "Duplicate key error",
+        code: "DUPLICATE_KEY",
+        context: context,
+      }
+    }
+
+    return {
+      success: false,
+      error: error.message || "Database operation failed",
+      code: "DB_ERROR",
+      context: context,
+    }
+  }
+}
+
+// Repetition counts by position key (FEN, with the pockets in crazyhouse). Engines work on a Map,
+// stored boards carry a plain object.
+export function toRepetitionMap(repetitionMap) {
+  return repetitionMap instanceof Map ? repetitionMap : new Map(Object.entries(repetitionMap || {}))
+}
+
+// The same position with other halfmove/fullmove counters is a repetition, so keys starting
+// with a full FEN drop the two counters
+const withoutMoveCounters = (positionKey) => positionKey.replace(/^(\S+ [wb] \S+ \S+) \d+ \d+/, "$1")
+
+// Count one more occurrence of a position, returns the new count
+export function recordPosition(state, positionKey) {
+  if (!state || typeof state !== "object" || !positionKey || typeof positionKey !== "string") {
+    console.error("[REPETITION] Invalid state or position key:", positionKey)
+    return 0
+  }
+  const key = withoutMoveCounters(positionKey)
+  state.repetitionMap = toRepetitionMap(state.repetitionMap)
+  const count = (state.repetitionMap.get(key) || 0) + 1
+  state.repetitionMap.set(key, count)
+  return count
+}
+
+export function getRepetitionCount(state, positionKey) {
+  state.repetitionMap = toRepetitionMap(state.repetitionMap)
+  return state.repetitionMap.get(withoutMoveCounters(positionKey)) || 0
+}
+
+// Board state as stored in Redis: Maps become plain objects
+export function serializeState(state) {
+  return { ...state, repetitionMap: Object.fromEntries(toRepetitionMap(state.repetitionMap)) }
+}
+
+export function deserializeState(state) {
+  return { ...state, repetitionMap: toRepetitionMap(state.repetitionMap) }
+}
+
+// A FEN a game can start from: valid, and not already mate or stalemate
+export function isPlayableStartingPosition(fen) {
+  if (typeof fen !== "string" || !validateFen(fen).ok) return false
+  return !new Chess(fen).isGameOver()
+}
+
+// A variant's initial board moved to another starting position (tournament starting positions).
+// Clocks and variant fields are kept; throws on an invalid FEN.
+export function applyStartingPosition(state, startFen) {
+  const fen = new Chess(startFen).fen()
+  const [position, activeColor, castlingRights, enPassantSquare, halfmoveClock, fullmoveNumber] = fen.split(" ")
+  return {
+    ...state,
+    fen,
+    position,
+    activeColor: activeColor === "w" ? "white" : "black",
+    castlingRights,
+    enPassantSquare,
+    halfmoveClock: Number.parseInt(halfmoveClock),
+    fullmoveNumber: Number.parseInt(fullmoveNumber),
+  }
+}
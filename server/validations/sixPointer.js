@@ -1,115 +1,6 @@
 import { Chess } from "chess.js"
-
-// Helper: Validate ObjectId format
-export function isValidObjectId(id) {
-  if (!id) return false
-  if (typeof id !== "string") return false
-  // MongoDB ObjectId is 24 characters hex string
-  return /^[0-9a-fA-F]{24}$/.test(id)
-}
-
-// Helper: Safely handle ObjectId operations
-export function safeObjectId(id, fallback = null) {
-  try {
-    if (!id) return fallback
-    if (typeof id === "string" && isValidObjectId(id)) {
-      return id
-    }
-    if (typeof id === "object" && id.toString && isValidObjectId(id.toString())) {
-      return id.toString()
-    }
-    console.warn("[ObjectId] Invalid ObjectId format:", id)
-    return fallback
-  } catch (error) {
-    console.error("[ObjectId] Error processing ObjectId:", error)
-    return fallback
-  }
-}
-
-// Helper: Validate and sanitize user data for database operations
-export function sanitizeUserData(userData) {
-  try {
-    if (!userData || typeof userData !== "object") {
-      return null
-    }
-    const sanitized = {}
-    // Handle user ID
-    if (userData.userId) {
-      const validUserId = safeObjectId(userData.userId)
-      if (validUserId) {
-        sanitized.userId = validUserId
-      } else {
-        console.warn("[SANITIZE] Invalid userId:", userData.userId)
-        return null
-      }
-    }
-    // Handle session ID
-    if (userData.sessionId) {
-      const validSessionId = safeObjectId(userData.sessionId)
-      if (validSessionId) {
-        sanitized.sessionId = validSessionId
-      } else {
-        console.warn("[SANITIZE] Invalid sessionId:", userData.sessionId)
-        return null
-      }
-    }
-    // Copy other safe fields
-    const safeFields = ["username", "rating", "avatar", "title"]
-    safeFields.forEach((field) => {
-      if (userData[field] !== undefined) {
-        sanitized[field] = userData[field]
-      }
-    })
-    return sanitized
-  } catch (error) {
-    console.error("[SANITIZE] Error sanitizing user data:", error)
-    return null
-  }
-}
-
-// Helper: Safe database operation wrapper
-export async function safeDatabaseOperation(operation, context = "unknown") {
-  try {
-    console.log(`[DB] Starting ${context} operation`)
-    const result = await operation()
-    console.log(`[DB] Completed ${context} operation successfully`)
-    return { success: true, data: result }
-  } catch (error) {
-    console.error(`[DB] Error in ${context} operation:`, error.message)
-    // Handle specific MongoDB errors
-    if (error.name === "CastError" && error.path === "_id") {
-      return {
-        success: false,
-        error: "Invalid ID format",
-        code: "INVALID_OBJECT_ID",
-        context: context,
-      }
-    }
-    if (error.name === "ValidationError") {
-      return {
-        success: false,
-        error: "Data validation failed",
-        code: "VALIDATION_ERROR",
-        context: context,
-        details: error.errors,
-      }
-    }
-    if (error.code === 11000) {
-      return {
-        success: false,
-        error: "Duplicate key error",
-        code: "DUPLICATE_KEY",
-        context: context,
-      }
-    }
-    return {
-      success: false,
-      error: error.message || "Database operation failed",
-      code: "DB_ERROR",
-      context: context,
-    }
-  }
-}
+import { recordPosition, getRepetitionCount, serializeState, deserializeState } from "./shared.js"
+import { serverNow } from "../utils/clock.js"
 
 // 6PT Chess: Point values for pieces
 const PIECE_VALUES = {
@@ -167,11 +58,11 @@ function handleTimeoutPenalty(state, playerColor, currentTimestamp) {
   state.points[playerColor] = Math.max(0, state.points[playerColor] - 1)
   state.timeoutPenalties[playerColor]++
 
-  // Reset timer to 30 seconds
+  // Reset timer to the per-move time
   if (playerColor === "white") {
-    state.whiteTime = 30000
+    state.whiteTime = state.perMove || 30000
   } else {
-    state.blackTime = 30000
+    state.blackTime = state.perMove || 30000
   }
 
   // Switch turns by updating active color
@@ -212,7 +103,7 @@ function calculatePoints(capturedPieces) {
 }
 
 // Create initial state for 6PT Chess
-export function createInitialState() {
+export function createInitialState(currentTimestamp = serverNow()) {
   try {
     // Generate random balanced starting position
     const randomFen = generateRandomBalancedPosition()
@@ -221,7 +112,7 @@ export function createInitialState() {
     console.log("Generated random FEN for 6PT Chess:", fen)
     const [position, activeColor, castlingRights, enPassantSquare, halfmoveClock, fullmoveNumber] = fen.split(" ")
 
-    const now = Date.now()
+    const now = currentTimestamp
     return {
       fen,
       position,
@@ -337,7 +228,7 @@ function checkCaptureOnFinalMove(state, game, move, playerColor) {
   return false
 }
 
-export function resetSixPointerTimer(gameState) {
+export function resetSixPointerTimer(gameState, currentTimestamp = serverNow()) {
   // The activeColor is the player who just moved, so switch to the next player
   const nextColor = gameState.board && gameState.board.activeColor === "white" ? "black" : "white"
 
@@ -345,14 +236,14 @@ export function resetSixPointerTimer(gameState) {
   if (!gameState.board) gameState.board = {}
   if (!gameState.board.timers)
     gameState.board.timers = {
-      white: { remaining: 30000, lastUpdateTime: Date.now() },
-      black: { remaining: 30000, lastUpdateTime: Date.now() },
+      white: { remaining: 30000, lastUpdateTime: currentTimestamp },
+      black: { remaining: 30000, lastUpdateTime: currentTimestamp },
     }
 
   const perMove = (gameState.timeControl && gameState.timeControl.perMove) || 30000
 
   gameState.board.timers[nextColor].remaining = perMove
-  gameState.board.timers[nextColor].lastUpdateTime = Date.now()
+  gameState.board.timers[nextColor].lastUpdateTime = currentTimestamp
 
   // Also mirror simple time fields for compatibility with other code paths
   gameState.board[`${nextColor}Time`] = perMove
@@ -380,7 +271,7 @@ export function validateAndApplyMove(state, move, playerColor, currentTimestamp)
       return { valid: false, reason: "Invalid player color", code: "INVALID_PLAYER" }
     }
     if (!currentTimestamp || typeof currentTimestamp !== "number") {
-      currentTimestamp = Date.now()
+      currentTimestamp = serverNow()
     }
 
     // Check if game has already ended
@@ -554,7 +445,7 @@ export function validateAndApplyMove(state, move, playerColor, currentTimestamp)
     state.activeColor = newActivePlayer === "w" ? "white" : "black"
 
     // Update repetition tracking
-    updateRepetitionMap(state, game)
+    recordPosition(state, game.fen())
 
     // Check game status (including 6PT specific end conditions)
     const resultStatus = check6PTGameStatus(state, game)
@@ -582,7 +473,7 @@ export function validateAndApplyMove(state, move, playerColor, currentTimestamp)
       checkmate: game.isCheckmate(),
       stalemate: game.isStalemate(),
       insufficientMaterial: game.isInsufficientMaterial(),
-      threefoldRepetition: game.isThreefoldRepetition(),
+      threefoldRepetition: getRepetitionCount(state, game.fen()) >= 3,
       fiftyMoveRule: game.isDraw(),
       canCastleKingside: {
         white: game.castling && game.castling["w"] && game.castling["w"].k,
@@ -663,7 +554,7 @@ export function getCurrentTimers(state, currentTimestamp) {
       }
     }
     if (!currentTimestamp || typeof currentTimestamp !== "number") {
-      currentTimestamp = Date.now()
+      currentTimestamp = serverNow()
     }
 
     // If game has ended, return the final timer values
@@ -880,13 +771,10 @@ export function checkGameStatus(state, gameInstance) {
 
     if (game.isStalemate()) return { result: "draw", reason: "stalemate", winnerColor: null }
     if (game.isInsufficientMaterial()) return { result: "draw", reason: "insufficient material", winnerColor: null }
-    if (game.isThreefoldRepetition()) return { result: "draw", reason: "threefold repetition", winnerColor: null }
+    if (getRepetitionCount(state, game.fen()) >= 3) return { result: "draw", reason: "threefold repetition", winnerColor: null }
     if (game.isDraw()) return { result: "draw", reason: "50-move rule", winnerColor: null }
 
-    if (!(state.repetitionMap instanceof Map)) {
-      state.repetitionMap = new Map(Object.entries(state.repetitionMap || {}))
-    }
-    const repetitionCount = state.repetitionMap.get(game.fen()) || 0
+    const repetitionCount = getRepetitionCount(state, game.fen())
     if (repetitionCount >= 5) return { result: "draw", reason: "fivefold repetition", winnerColor: null }
     if (state.moveHistory && state.moveHistory.length >= 150)
       return { result: "draw", reason: "75-move rule", winnerColor: null }
@@ -898,37 +786,15 @@ export function checkGameStatus(state, gameInstance) {
   }
 }
 
-// Helper: track FEN repetitions (same as original)
-export function updateRepetitionMap(state, gameInstance) {
-  try {
-    if (!state || typeof state !== "object") {
-      console.error("[REPETITION] Invalid state provided to updateRepetitionMap")
-      return
-    }
-
-    let fen
-    if (gameInstance) {
-      fen = gameInstance.fen()
-    } else if (state.fen) {
-      fen = state.fen
-    } else {
-      console.error("[REPETITION] Missing FEN in game state")
-      return
-    }
-
-    if (!fen || typeof fen !== "string") {
-      console.error("[REPETITION] Invalid FEN format:", fen)
-      return
-    }
-
-    if (!(state.repetitionMap instanceof Map)) {
-      state.repetitionMap = new Map(Object.entries(state.repetitionMap || {}))
-    }
-
-    const current = state.repetitionMap.get(fen) || 0
-    state.repetitionMap.set(fen, current + 1)
-    console.log("Repetition map updated for FEN:", fen, "Count:", current + 1)
-  } catch (error) {
-    console.error("Error updating repetition map:", error)
-  }
+// Variant interface, see validations/registry.js
+export const sixPointerVariant = {
+  variant: "sixpointer",
+  subvariant: null,
+  createInitialState,
+  applyMove: validateAndApplyMove,
+  legalMoves: (state) => getLegalMoves(state.fen),
+  tickClocks: getCurrentTimers,
+  gameStatus: (state) => check6PTGameStatus(state, new Chess(state.fen)),
+  serialize: serializeState,
+  deserialize: deserializeState,
 }